@@ -0,0 +1,120 @@
+/**
+ * Matcher evaluation CLI (see src/lib/matchEval.js for the fixture format and metrics).
+ *
+ *   npm run eval:match -- [fixture.json | dir ...] [--out report.json] [--baseline report.json] [--json]
+ *
+ * Defaults to test/fixtures/matching. Save a report with --out before tweaking a rule,
+ * then re-run with --baseline to see metric, per-rule and per-case differences.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseEvalFixture, runMatchEval, diffEvalReports } from '../src/lib/matchEval.js';
+
+const DEFAULT_FIXTURES = 'test/fixtures/matching';
+
+/**
+ * Parse argv into fixture paths and flags.
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{ paths: string[], out: string|null, baseline: string|null, json: boolean }}
+ */
+function parseArgs(argv) {
+    const args = { paths: [], out: null, baseline: null, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (a === '--out') args.out = argv[++i];
+        else if (a === '--baseline') args.baseline = argv[++i];
+        else if (a === '--json') args.json = true;
+        else args.paths.push(a);
+    }
+    if (!args.paths.length) args.paths.push(DEFAULT_FIXTURES);
+    return args;
+}
+
+/**
+ * Expand directories into their .json files.
+ * @param {string[]} paths - Files or directories
+ * @returns {string[]}
+ */
+function fixtureFiles(paths) {
+    return paths.flatMap(p => (fs.statSync(p).isDirectory()
+        ? fs.readdirSync(p).filter(f => f.endsWith('.json')).sort().map(f => path.join(p, f))
+        : [p]));
+}
+
+/**
+ * Signed number for diff output.
+ * @param {number|null} n - Value
+ * @returns {string}
+ */
+function signed(n) {
+    if (n == null) return '-';
+    return n > 0 ? `+${n}` : String(n);
+}
+
+/**
+ * Print a report (and its diff against a baseline) as plain text.
+ * @param {Object} report - runMatchEval() report
+ * @param {Object|null} diff - diffEvalReports() result
+ */
+function printReport(report, diff) {
+    console.log(`${report.cases} cases, ${report.positives} with an expected token\n`);
+
+    console.log(['threshold', 'precision'.padEnd(10), 'recall '.padEnd(7), 'falseAccept'.padEnd(12), ' tp', ' fp', ' fn', ' tn'].join('  '));
+    for (const [t, m] of Object.entries(report.thresholds)) {
+        const d = diff?.thresholds[t];
+        const cell = (v, dv) => `${v ?? '-'}${d ? ` (${signed(dv)})` : ''}`;
+        console.log([
+            t.padEnd(9),
+            cell(m.precision, d?.precision).padEnd(10),
+            cell(m.recall, d?.recall).padEnd(7),
+            cell(m.falseAcceptRate, d?.falseAcceptRate).padEnd(12),
+            String(m.tp).padStart(3), String(m.fp).padStart(3), String(m.fn).padStart(3), String(m.tn).padStart(3),
+        ].join('  '));
+    }
+
+    console.log('\nrule            expected  impostor  margin');
+    for (const [r, m] of Object.entries(report.rules)) {
+        const d = diff?.rules[r];
+        console.log(`${r.padEnd(14)}  ${String(m.expectedMean ?? '-').padEnd(8)}  ${String(m.impostorMean ?? '-').padEnd(8)}  ${m.margin ?? '-'}${d ? ` (${signed(d.margin)})` : ''}`);
+    }
+
+    console.log(`\n${'hard rejects'.padEnd(18)}  expected  others`);
+    for (const [reason, m] of Object.entries(report.rejects)) {
+        const d = diff?.rejects[reason];
+        console.log(`${reason.padEnd(18)}  ${String(m.expected).padEnd(8)}  ${m.others}${d ? `  (${signed(d.expected)} / ${signed(d.others)})` : ''}`);
+    }
+
+    const misses = report.results.filter(r => Object.values(r.outcomes).some(o => o === 'fp' || o === 'fn'));
+    if (misses.length) {
+        console.log('\nfalse accepts / misses');
+        for (const r of misses) {
+            console.log(`  ${r.fixture}/${r.id}: expected ${r.expected ?? 'no match'}, picked ${r.predicted ?? 'none'} @ ${r.confidence} ${JSON.stringify(r.outcomes)}${r.expectedRejected ? ` [expected rejected: ${r.expectedRejected}]` : ''}`);
+        }
+    }
+
+    if (diff?.changed.length) {
+        console.log('\nchanged vs baseline');
+        for (const c of diff.changed) {
+            console.log(`  ${c.fixture}/${c.id}: ${c.predicted} (confidence ${signed(c.confidence)}) ${JSON.stringify(c.outcomes)}`);
+        }
+    }
+}
+
+const args = parseArgs(process.argv.slice(2));
+const fixtures = [];
+for (const file of fixtureFiles(args.paths)) {
+    const parsed = parseEvalFixture(JSON.parse(fs.readFileSync(file, 'utf8')));
+    if (parsed.error) {
+        console.error(`${file}: ${parsed.error}`);
+        process.exit(1);
+    }
+    fixtures.push(parsed);
+}
+
+const report = runMatchEval(fixtures);
+const diff = args.baseline ? diffEvalReports(JSON.parse(fs.readFileSync(args.baseline, 'utf8')), report) : null;
+
+if (args.out) fs.writeFileSync(args.out, `${JSON.stringify(report, null, 2)}\n`);
+if (args.json) console.log(JSON.stringify(diff ? { report, diff } : report, null, 2));
+else printReport(report, diff);
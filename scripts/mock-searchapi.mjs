@@ -0,0 +1,120 @@
+/**
+ * Local SearchApi stand-in serving recorded fixtures (see test/mocks/searchApiMock.js for the format).
+ *
+ *   node scripts/mock-searchapi.mjs [fixture.json | dir ...] [--port 8788] [--record out.json]
+ *
+ * Point the worker at it with SEARCHAPI_ENDPOINT=http://127.0.0.1:8788/api/v1/search (.dev.vars).
+ * Defaults to test/fixtures/searchapi.
+ *
+ * Record mode (--record): calls without a fixture go to the live SearchApi with the caller's
+ * Authorization header (or SEARCHAPI_KEY from the environment) and the response is appended
+ * to the given file, which is created when missing. Recorded entries hold every call param
+ * except api_key; trim them by hand to make an entry answer more calls.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import http from 'node:http';
+import { SEARCHAPI_ENDPOINT, SEARCHAPI_TIMEOUT_MS } from '../src/lib/constants.js';
+import { callParams, fixtureEntries, findFixtureEntry, fixtureResponse, recordEntry } from '../test/mocks/searchApiMock.js';
+
+const DEFAULT_FIXTURES = 'test/fixtures/searchapi';
+const USAGE = 'Usage: node scripts/mock-searchapi.mjs [fixture.json | dir ...] [--port 8788] [--record out.json]';
+
+/**
+ * Parse argv into fixture paths and flags.
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{ paths: string[], port: number, record: string|null, help: boolean, error: string|null }}
+ */
+function parseArgs(argv) {
+    const args = { paths: [], port: 8788, record: null, help: false, error: null };
+    for (let i = 0; i < argv.length && !args.error; i++) {
+        const a = argv[i];
+        if (a === '--help' || a === '-h') args.help = true;
+        else if (a === '--port') {
+            args.port = Number(argv[++i]);
+            if (!Number.isInteger(args.port) || args.port < 1 || args.port > 65535) args.error = '--port needs a port number';
+        } else if (a === '--record') {
+            args.record = argv[++i] || null;
+            if (!args.record || args.record.startsWith('-')) args.error = '--record needs a file path';
+        } else if (a.startsWith('-')) args.error = `Unknown option: ${a}`;
+        else args.paths.push(a);
+    }
+    if (!args.paths.length) args.paths.push(DEFAULT_FIXTURES);
+    return args;
+}
+
+/**
+ * Expand directories into their .json files.
+ * @param {string[]} paths - Files or directories
+ * @returns {string[]}
+ */
+function fixtureFiles(paths) {
+    return paths.flatMap(p => (fs.statSync(p).isDirectory()
+        ? fs.readdirSync(p).filter(f => f.endsWith('.json')).sort().map(f => path.join(p, f))
+        : [p]));
+}
+
+/**
+ * Fetch a call from the live SearchApi and append it to the record file.
+ * @param {Object} params - callParams() result
+ * @param {string} authorization - Authorization header to forward
+ * @param {string} file - Record file
+ * @param {Object[]} entries - Loaded entries (the new one is appended)
+ * @returns {Promise<Object>} Recorded entry
+ */
+async function recordCall(params, authorization, file, entries) {
+    const u = new URL(SEARCHAPI_ENDPOINT);
+    for (const [k, v] of Object.entries(params)) u.searchParams.set(k, v);
+
+    const res = await fetch(u, {
+        headers: { Authorization: authorization, Accept: 'application/json' },
+        signal: AbortSignal.timeout(SEARCHAPI_TIMEOUT_MS),
+    });
+    const entry = recordEntry(params, res.status, await res.json().catch(() => ({ error: 'Non-JSON response' })));
+
+    const stored = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { name: path.basename(file, '.json'), entries: [] };
+    stored.entries.push(entry);
+    fs.writeFileSync(file, `${JSON.stringify(stored, null, 2)}\n`);
+    entries.push(entry);
+    return entry;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (args.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+if (args.error) {
+    console.error(`${args.error}\n${USAGE}`);
+    process.exit(2);
+}
+const files = fixtureFiles(args.paths);
+if (args.record && !files.includes(args.record) && fs.existsSync(args.record)) files.push(args.record);
+const entries = fixtureEntries(files.map(f => JSON.parse(fs.readFileSync(f, 'utf8'))));
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const params = callParams(url);
+
+    let entry = findFixtureEntry(entries, params);
+    let source = entry ? 'fixture' : 'miss';
+    if (!entry && args.record) {
+        const authorization = req.headers.authorization || `Bearer ${process.env.SEARCHAPI_KEY || ''}`;
+        try {
+            entry = await recordCall(params, authorization, args.record, entries);
+            source = 'recorded';
+        } catch (err) {
+            source = `record failed: ${err.message}`;
+        }
+    }
+    console.log(`${source.padEnd(8)} ${params.engine || '-'} ${params.q || params.property_token || ''}`);
+
+    const out = fixtureResponse(entry, params);
+    res.writeHead(out.status, { 'Content-Type': 'application/json' });
+    res.end(await out.text());
+});
+
+server.listen(args.port, '127.0.0.1', () => {
+    console.log(`SearchApi mock on http://127.0.0.1:${args.port}/api/v1/search (${entries.length} entries${args.record ? `, recording to ${args.record}` : ''})`);
+});
@@ -3,78 +3,242 @@
  * Hotel Direct Contact Worker - Router
  *
  * Routes:
- *  - /compare     : SearchApi hotel comparison (handled by routes/compare.js)
+ *  - /compare     : SearchApi hotel comparison (handled by routes/compare.js;
+ *                   Accept: text/event-stream streams match/offers/done events)
+ *  - /compare/batch : POST, many hotels sharing one stay (handled by routes/compareBatch.js)
+ *  - /compare/calendar : Flexible-date price grid (handled by routes/compareCalendar.js)
  *  - /prefetchCtx : Search context prefetch (handled by routes/prefetchCtx.js)
+ *  - /history     : Price history for a property + stay (handled by routes/history.js)
+ *  - /watches     : Price-drop watches (handled by routes/watches.js)
+ *  - /keys        : Per-install API keys + usage (handled by routes/keys.js)
+ *  - /feedback/match : User match feedback (handled by routes/feedback.js)
+ *  - /match/explain : POST, per-candidate matcher breakdown, no SearchApi call (handled by routes/matchExplain.js)
+ *  - /admin/*     : Operator API, Bearer ADMIN_TOKEN (handled by routes/admin.js)
  *  - /__version   : Build info (handled by routes/version.js)
+ *  - /__health    : ok/status for anyone (rate-limited); the full report and ?probe= upstream checks need ADMIN_TOKEN (handled by routes/health.js)
  *  - /?query=...  : Contact lookup (handled by routes/contact.js)
  *
+ * Scheduled (cron):
+ *  - Re-checks due price watches (routes/watches.js handleWatchCron)
+ *  - Refreshes the KV currency rates table when stale (lib/rates.js refreshRates)
+ *
  * REQUIRED ENV / BINDINGS:
  *  - env.GOOGLE_API_KEY (for contact lookup)
- *  - env.SEARCHAPI_KEY (for /compare and /prefetchCtx)
+ *  - env.SEARCHAPI_KEY or env.SERPAPI_KEY (hotel data provider for /compare and /prefetchCtx)
  *  - env.CACHE_KV (KV Namespace binding)
  *
  * OPTIONAL ENV:
  *  - env.CHROME_EXTENSION_ID or env.COMPARE_ALLOWED_ORIGINS (for /compare CORS allowlist)
  *  - env.COMPARE_ALLOW_LOCALHOST=1 (to allow localhost origins)
+ *  - env.HOTEL_PROVIDER ("searchapi" | "serpapi", default "searchapi")
+ *  - env.HOTEL_PROVIDER_FAILOVER (comma-separated providers tried when the primary fails)
+ *  - env.SEARCHAPI_ENDPOINT (SearchApi URL override, e.g. the local mock from scripts/mock-searchapi.mjs)
+ *  - env.FX_RATES_URL (currency rates source for displayCurrency; defaults to open.er-api.com)
+ *  - env.RATE_LIMITER (RateLimiter Durable Object; token-bucket limits, falls back to KV windows when unbound)
+ *  - env.REQUIRE_API_KEY=1 (reject /compare*, /prefetchCtx without an Authorization: Bearer hk_... key)
+ *  - env.ADMIN_TOKEN (Bearer token for operator routes, e.g. DELETE /keys/{id})
+ *  - env.REQUEST_SIGNING_SECRET (HMAC secret for X-Signature request signing, see lib/signing.js)
+ *  - env.REQUIRE_SIGNED_ORIGINLESS=1 (reject unsigned requests to locked routes that have no Origin)
+ *  - env.SEARCHAPI_DAILY_BUDGET / env.SEARCHAPI_MONTHLY_BUDGET (upstream credit limits; unset = unlimited)
+ *  - env.SEARCHAPI_BUDGET_MODE ("cache-only" default, or "reject" once the budget is spent)
+ *  - env.BUDGET_COUNTER (BudgetCounter Durable Object; credit counters, falls back to KV when unbound)
+ *  - env.REQUEST_METRICS (Analytics Engine dataset; one data point per request, see lib/requestLog.js)
+ *  - env.WATCH_CALLBACK_HOSTS (comma-separated hosts /watches callbacks may use; unset = any public https host)
+ *
+ * Every response carries X-Request-Id and every request ends with one JSON log line (lib/requestLog.js).
  */
 
-import { buildCompareCors, buildPublicCors } from './lib/cors.js';
+import { buildCompareCors, compareCorsRejection, buildPublicCors } from './lib/cors.js';
 import { jsonResponse } from './lib/http.js';
 
 import { handleVersion } from './routes/version.js';
+import { handleHealth } from './routes/health.js';
 import { handlePrefetchCtx } from './routes/prefetchCtx.js';
 import { handleCompare } from './routes/compare.js';
+import { handleCompareBatch } from './routes/compareBatch.js';
+import { handleCompareCalendar } from './routes/compareCalendar.js';
+import { handleHistory } from './routes/history.js';
+import { handleWatches, handleWatchCron } from './routes/watches.js';
+import { handleKeys } from './routes/keys.js';
+import { handleAdmin } from './routes/admin.js';
+import { handleFeedback } from './routes/feedback.js';
+import { handleMatchExplain } from './routes/matchExplain.js';
 import { handleContact } from './routes/contact.js';
+import { refreshRates } from './lib/rates.js';
+import { authenticateApiKey } from './lib/apiKeys.js';
+import { verifyRequestSignature } from './lib/signing.js';
+import { budgetRejectResponse } from './lib/budget.js';
+import { createRequestLog } from './lib/requestLog.js';
 
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
+// Durable Object classes (wrangler.jsonc durable_objects)
+export { RateLimiter } from './lib/rateLimitDO.js';
+export { BudgetCounter } from './lib/budgetDO.js';
 
-    const isCompare = url.pathname === '/compare';
-    const isPrefetch = url.pathname === '/prefetchCtx';
-    const isVersion = url.pathname === '/__version';
-
-    // ----- Locked routes (extension-only CORS) -----
-    if (isCompare || isPrefetch) {
-      const compareCors = buildCompareCors(request, env);
-      const corsHeaders = compareCors.corsHeaders;
-
-      // OPTIONS preflight
-      if (request.method === 'OPTIONS') {
-        if (!compareCors.configured || !compareCors.allowed) {
-          return new Response(null, { status: 403, headers: corsHeaders });
-        }
-        return new Response(null, {
-          status: 204,
-          headers: { ...corsHeaders, 'Access-Control-Max-Age': '86400' },
-        });
-      }
+// Paths logged as-is; everything else is grouped so the metrics index stays small
+const LOGGED_PATHS = new Set([
+  '/compare', '/compare/batch', '/compare/calendar', '/prefetchCtx', '/history', '/watches',
+  '/feedback/match', '/match/explain', '/__version', '/__health',
+]);
 
-      // Dispatch to handlers
-      if (isPrefetch) {
-        return handlePrefetchCtx({ request, env, ctx, url, corsHeaders });
-      }
+/**
+ * Route name for logs and metrics.
+ * @param {URL} url - Request URL
+ * @returns {string}
+ */
+function routeName(url) {
+  if (LOGGED_PATHS.has(url.pathname)) return url.pathname;
+  if (url.pathname.startsWith('/admin/')) return '/admin';
+  if (url.pathname === '/keys' || url.pathname.startsWith('/keys/')) return '/keys';
+  return 'contact';
+}
 
-      return handleCompare({ request, env, ctx, url, corsHeaders, compareCors });
-    }
+/**
+ * Dispatch a request to its route handler.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings
+ * @param {Object} ctx - Execution context
+ * @param {URL} url - Parsed request URL
+ * @param {Object} log - Request log (lib/requestLog.js)
+ * @returns {Promise<Response>}
+ */
+async function route(request, env, ctx, url, log) {
+  const isCompare = url.pathname === '/compare';
+  const isCompareBatch = url.pathname === '/compare/batch';
+  const isCompareCalendar = url.pathname === '/compare/calendar';
+  const isPrefetch = url.pathname === '/prefetchCtx';
+  const isHistory = url.pathname === '/history';
+  const isWatches = url.pathname === '/watches';
+  const isKeys = url.pathname === '/keys' || url.pathname.startsWith('/keys/');
+  const isFeedback = url.pathname === '/feedback/match';
+  const isMatchExplain = url.pathname === '/match/explain';
+  const isVersion = url.pathname === '/__version';
+  const isHealth = url.pathname === '/__health';
+  const isAdmin = url.pathname.startsWith('/admin/');
 
-    // ----- Public routes (open CORS) -----
-    const corsHeaders = buildPublicCors();
+  // ----- Operator routes (no CORS, Bearer ADMIN_TOKEN) -----
+  if (isAdmin) {
+    return handleAdmin({ request, env, ctx, url });
+  }
+
+  // ----- Locked routes (extension-only CORS) -----
+  if (isCompare || isCompareBatch || isCompareCalendar || isPrefetch || isHistory || isWatches || isKeys || isFeedback || isMatchExplain) {
+    const compareCors = buildCompareCors(request, env);
+    const corsHeaders = compareCors.corsHeaders;
 
     // OPTIONS preflight
     if (request.method === 'OPTIONS') {
+      if (!compareCors.configured || !compareCors.allowed) {
+        return new Response(null, { status: 403, headers: corsHeaders });
+      }
       return new Response(null, {
         status: 204,
         headers: { ...corsHeaders, 'Access-Control-Max-Age': '86400' },
       });
     }
 
-    // /__version
-    if (isVersion) {
-      return handleVersion({ corsHeaders });
+    // Other origins are turned away before anything touches KV (a valid signature stores its nonce)
+    const rejected = compareCorsRejection(compareCors, isKeys ? '/keys' : url.pathname);
+    if (rejected) return rejected;
+
+    // Optional HMAC signature (mandatory for Origin-less requests when REQUIRE_SIGNED_ORIGINLESS=1)
+    const signed = await verifyRequestSignature(request, env);
+    if (signed.error) return jsonResponse(signed.error.body, signed.error.status, corsHeaders);
+
+    if (isKeys) {
+      return handleKeys({ request, env, ctx, url, corsHeaders, compareCors });
+    }
+
+    // Routes that spend SearchApi credits: limits + quotas follow the API key when one is sent.
+    // Feedback only changes the token cache for votes sent with a key; watches are capped per key.
+    let apiKey = null;
+    const spendsCredits = isCompare || isCompareBatch || isCompareCalendar || isPrefetch || (isWatches && request.method === 'POST');
+    if (spendsCredits || isFeedback || isWatches) {
+      const auth = await authenticateApiKey(request, env);
+      if (auth.error) return jsonResponse(auth.error.body, auth.error.status, corsHeaders);
+      apiKey = auth.apiKey;
+      if (apiKey) log.set({ apiKeyId: apiKey.id });
+    }
+    if (spendsCredits) {
+      const rejected = await budgetRejectResponse(env, corsHeaders);
+      if (rejected) return rejected;
+    }
+
+    // Dispatch to handlers
+    if (isPrefetch) {
+      return handlePrefetchCtx({ request, env, ctx, url, corsHeaders, apiKey, log });
+    }
+
+    if (isWatches) {
+      return handleWatches({ request, env, ctx, url, corsHeaders, compareCors, apiKey });
     }
 
-    // Contact lookup (default route)
-    return handleContact({ request, env, ctx, url, corsHeaders });
+    if (isFeedback) {
+      return handleFeedback({ request, env, ctx, url, corsHeaders, compareCors, apiKey });
+    }
+
+    if (isMatchExplain) {
+      return handleMatchExplain({ request, env, ctx, url, corsHeaders, compareCors });
+    }
+
+    if (isHistory) {
+      return handleHistory({ request, env, ctx, url, corsHeaders, compareCors });
+    }
+
+    if (isCompareBatch) {
+      return handleCompareBatch({ request, env, ctx, url, corsHeaders, compareCors, apiKey, log });
+    }
+
+    if (isCompareCalendar) {
+      return handleCompareCalendar({ request, env, ctx, url, corsHeaders, compareCors, apiKey, log });
+    }
+
+    return handleCompare({ request, env, ctx, url, corsHeaders, compareCors, apiKey, log });
+  }
+
+  // ----- Public routes (open CORS) -----
+  const corsHeaders = buildPublicCors();
+
+  // OPTIONS preflight
+  if (request.method === 'OPTIONS') {
+    return new Response(null, {
+      status: 204,
+      headers: { ...corsHeaders, 'Access-Control-Max-Age': '86400' },
+    });
+  }
+
+  // /__version
+  if (isVersion) {
+    return handleVersion({ corsHeaders });
+  }
+
+  // /__health
+  if (isHealth) {
+    return handleHealth({ request, env, ctx, url, corsHeaders });
+  }
+
+  // Contact lookup (default route)
+  return handleContact({ request, env, ctx, url, corsHeaders });
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    const log = createRequestLog(request, env, routeName(url));
+
+    let response;
+    try {
+      response = await route(request, env, ctx, url, log);
+    } catch (e) {
+      // Still one log line for the request; the runtime answers with its own 500
+      log.set({ errorCode: 'INTERNAL_ERROR', error: String(e?.message || e) });
+      await log.finish(new Response(null, { status: 500 }), ctx);
+      throw e;
+    }
+    return log.finish(response, ctx);
+  },
+
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil(handleWatchCron({ env, ctx }));
+    ctx.waitUntil(refreshRates(env));
   },
 };
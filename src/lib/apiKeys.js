@@ -0,0 +1,311 @@
+/**
+ * Per-install API keys + daily usage quotas.
+ * Keys look like `hk_{id}.{secret}`; KV stores only a SHA-256 of the secret:
+ *  - `apikey:{id}`              : { id, secretHash, issuer, installId, label, createdAt, revokedAt, quotas }
+ *  - `keyusage:{id}:{YYYY-MM-DD}` : { requests, credits, searchapi_calls } (UTC day)
+ *  - `issuerusage:{issuer}:{YYYY-MM-DD}` : { credits } shared by every key from one issuer
+ *
+ * `issuer` is a hash of the registering IP. Keys from one issuer share one /compare rate-limit
+ * bucket (lib/rateLimit.js getClientIdentity) and API_KEY_ISSUER_DAILY_CREDITS, so minting
+ * more keys from one IP never buys more than one key's budget. Records from before issuers
+ * existed fall back to per-key limits.
+ *
+ * Usage counters use the same non-atomic get-then-put as the KV rate limiter, so
+ * concurrent requests can undercount slightly.
+ *
+ * @module lib/apiKeys
+ */
+
+import {
+    API_KEY_PREFIX,
+    API_KEY_DAILY_CREDITS,
+    API_KEY_HOURLY_REQUESTS,
+    API_KEY_USAGE_TTL_SEC,
+    API_KEY_ISSUER_DAILY_CREDITS,
+} from './constants.js';
+import { jsonResponse } from './http.js';
+import { getClientIp } from './rateLimit.js';
+import { kvGetJson, kvPutJson } from './kvCache.js';
+
+/**
+ * Build KV key for an API key record.
+ * @param {string} id - Key ID
+ * @returns {string}
+ */
+export function apiKeyRecordKey(id) {
+    return `apikey:${id}`;
+}
+
+/**
+ * Build KV key for a day of key usage.
+ * @param {string} id - Key ID
+ * @param {string} day - YYYY-MM-DD (UTC)
+ * @returns {string}
+ */
+export function apiKeyUsageKey(id, day) {
+    return `keyusage:${id}:${day}`;
+}
+
+/**
+ * Build KV key for a day of credits shared by one issuer's keys.
+ * @param {string} issuer - Issuer hash
+ * @param {string} day - YYYY-MM-DD (UTC)
+ * @returns {string}
+ */
+export function apiKeyIssuerUsageKey(issuer, day) {
+    return `issuerusage:${issuer}:${day}`;
+}
+
+/**
+ * Random hex string.
+ * @param {number} bytes - Number of random bytes
+ * @returns {string}
+ */
+export function randomHex(bytes) {
+    const buf = crypto.getRandomValues(new Uint8Array(bytes));
+    return Array.from(buf, b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * SHA-256 hex digest.
+ * @param {string} text - Input
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Compare two strings without an early exit.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean}
+ */
+export function timingSafeEqual(a, b) {
+    if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+}
+
+/**
+ * Split a raw key into id + secret.
+ * @param {string} raw - `hk_{id}.{secret}`
+ * @returns {{ id: string, secret: string }|null}
+ */
+export function parseApiKey(raw) {
+    const m = String(raw || "").match(/^hk_([0-9a-f]{16})\.([0-9a-f]{64})$/);
+    return m ? { id: m[1], secret: m[2] } : null;
+}
+
+/**
+ * Read a Bearer token from the Authorization header.
+ * @param {Request} request - Incoming request
+ * @returns {string|null}
+ */
+export function readBearerToken(request) {
+    const m = (request.headers.get("Authorization") || "").match(/^Bearer\s+(\S+)$/i);
+    return m ? m[1] : null;
+}
+
+/**
+ * Today's date (UTC) as YYYY-MM-DD.
+ * @param {number} [now] - Epoch ms
+ * @returns {string}
+ */
+function utcDay(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Issuer of keys registered by this request: a hash of the client IP (the raw IP is not stored).
+ * @param {Request} request - POST /keys request
+ * @returns {Promise<string>}
+ */
+export async function apiKeyIssuer(request) {
+    return (await sha256Hex(`ip:${getClientIp(request)}`)).slice(0, 16);
+}
+
+/**
+ * Create and store a new API key.
+ * @param {Object} env - Environment bindings
+ * @param {Object} [opts]
+ * @param {string|null} [opts.issuer] - From apiKeyIssuer(); keys sharing it share limits
+ * @param {string|null} [opts.installId] - Extension install ID (informational)
+ * @param {string|null} [opts.label] - Free-form label
+ * @returns {Promise<{ key: string, record: Object }>} `key` is only ever returned here
+ */
+export async function createApiKey(env, { issuer = null, installId = null, label = null } = {}) {
+    const id = randomHex(8);
+    const secret = randomHex(32);
+
+    const record = {
+        id,
+        secretHash: await sha256Hex(secret),
+        issuer,
+        installId,
+        label,
+        createdAt: new Date().toISOString(),
+        revokedAt: null,
+        quotas: { dailyCredits: API_KEY_DAILY_CREDITS, hourlyRequests: API_KEY_HOURLY_REQUESTS },
+    };
+    await env.CACHE_KV.put(apiKeyRecordKey(id), JSON.stringify(record));
+
+    return { key: `${API_KEY_PREFIX}${id}.${secret}`, record };
+}
+
+/**
+ * Mark a key as revoked (the record is kept for auditing).
+ * @param {Object} env - Environment bindings
+ * @param {string} id - Key ID
+ * @returns {Promise<Object|null>} Updated record, or null when unknown
+ */
+export async function revokeApiKey(env, id) {
+    const record = await kvGetJson(env.CACHE_KV, apiKeyRecordKey(id));
+    if (!record) return null;
+    if (!record.revokedAt) {
+        record.revokedAt = new Date().toISOString();
+        await env.CACHE_KV.put(apiKeyRecordKey(id), JSON.stringify(record));
+    }
+    return record;
+}
+
+/**
+ * Public view of a key record (no secret hash or issuer hash).
+ * @param {Object} record - Stored record
+ * @returns {Object}
+ */
+export function publicApiKey(record) {
+    const { secretHash, issuer, ...rest } = record;
+    return rest;
+}
+
+/**
+ * Authenticate the request's API key.
+ * No Authorization header is anonymous (IP-based limits) unless env.REQUIRE_API_KEY=1.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{ apiKey: Object|null, error: { status: number, body: Object }|null }>}
+ */
+export async function authenticateApiKey(request, env) {
+    const token = readBearerToken(request);
+
+    if (!token) {
+        if (String(env.REQUIRE_API_KEY || "") === "1") {
+            return { apiKey: null, error: { status: 401, body: { error: "API key required", error_code: "API_KEY_REQUIRED" } } };
+        }
+        return { apiKey: null, error: null };
+    }
+
+    const invalid = { apiKey: null, error: { status: 401, body: { error: "Invalid API key", error_code: "INVALID_API_KEY" } } };
+    const parsed = parseApiKey(token);
+    if (!parsed || !env.CACHE_KV) return invalid;
+
+    const record = await kvGetJson(env.CACHE_KV, apiKeyRecordKey(parsed.id));
+    if (!record || !timingSafeEqual(record.secretHash, await sha256Hex(parsed.secret))) return invalid;
+
+    if (record.revokedAt) {
+        return { apiKey: null, error: { status: 401, body: { error: "API key revoked", error_code: "API_KEY_REVOKED" } } };
+    }
+    return { apiKey: record, error: null };
+}
+
+/**
+ * Read a key's usage for one UTC day.
+ * `remainingCredits` is the lower of the key's own quota and its issuer's shared one.
+ * @param {Object} env - Environment bindings
+ * @param {Object} apiKey - Key record
+ * @param {number} [now] - Epoch ms
+ * @returns {Promise<{ day: string, requests: number, credits: number, searchapi_calls: Object, issuerCredits: number|null, remainingCredits: number }>}
+ */
+export async function getApiKeyUsage(env, apiKey, now = Date.now()) {
+    const day = utcDay(now);
+    const [stored, issuerStored] = await Promise.all([
+        kvGetJson(env.CACHE_KV, apiKeyUsageKey(apiKey.id, day)),
+        apiKey.issuer ? kvGetJson(env.CACHE_KV, apiKeyIssuerUsageKey(apiKey.issuer, day)) : null,
+    ]);
+    const credits = stored?.credits || 0;
+    const dailyCredits = apiKey.quotas?.dailyCredits ?? API_KEY_DAILY_CREDITS;
+    const issuerCredits = apiKey.issuer ? (issuerStored?.credits || 0) : null;
+    const issuerRemaining = apiKey.issuer ? API_KEY_ISSUER_DAILY_CREDITS - issuerCredits : Infinity;
+
+    return {
+        day,
+        requests: stored?.requests || 0,
+        credits,
+        searchapi_calls: stored?.searchapi_calls || {},
+        issuerCredits,
+        remainingCredits: Math.max(0, Math.min(dailyCredits - credits, issuerRemaining)),
+    };
+}
+
+/**
+ * 429 response when the key's daily SearchApi credits are spent, otherwise null.
+ * Anonymous requests (no key) are never blocked here.
+ * @param {Object} env - Environment bindings
+ * @param {Object|null} apiKey - Key record
+ * @param {Object} corsHeaders - CORS headers
+ * @param {Object|null} [usage] - getApiKeyUsage() result, when the caller already read it
+ * @returns {Promise<Response|null>}
+ */
+export async function apiKeyQuotaResponse(env, apiKey, corsHeaders, usage = null) {
+    if (!apiKey) return null;
+
+    usage ||= await getApiKeyUsage(env, apiKey);
+    if (usage.remainingCredits > 0) return null;
+
+    const nextDay = Date.parse(`${usage.day}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+    const retryAfter = Math.max(1, Math.ceil((nextDay - Date.now()) / 1000));
+    return jsonResponse(
+        { error: "Daily quota exceeded", error_code: "QUOTA_EXCEEDED", day: usage.day, credits: usage.credits, retryAfter },
+        429,
+        { ...corsHeaders, "Retry-After": String(retryAfter) }
+    );
+}
+
+/**
+ * Add one request and its SearchApi calls to the key's daily usage (and its credits to the issuer's).
+ * @param {Object} params
+ * @param {Object} params.env - Environment bindings
+ * @param {Object} params.ctx - Execution context
+ * @param {Object|null} params.apiKey - Key record (no-op when null)
+ * @param {Object|null} params.usage - { searchapi_calls: { engine: count } }
+ */
+export function recordApiKeyUsage({ env, ctx, apiKey, usage }) {
+    if (!apiKey || !env.CACHE_KV) return;
+
+    ctx.waitUntil((async () => {
+        const day = utcDay();
+        const key = apiKeyUsageKey(apiKey.id, day);
+        const stored = (await kvGetJson(env.CACHE_KV, key)) || { requests: 0, credits: 0, searchapi_calls: {} };
+
+        stored.requests += 1;
+        let added = 0;
+        for (const [engine, n] of Object.entries(usage?.searchapi_calls || {})) {
+            if (!n) continue;
+            stored.searchapi_calls[engine] = (stored.searchapi_calls[engine] || 0) + n;
+            added += n;
+        }
+        stored.credits += added;
+        await kvPutJson(env.CACHE_KV, key, stored, API_KEY_USAGE_TTL_SEC);
+
+        if (apiKey.issuer && added) {
+            const issuerKey = apiKeyIssuerUsageKey(apiKey.issuer, day);
+            const shared = (await kvGetJson(env.CACHE_KV, issuerKey)) || { credits: 0 };
+            shared.credits += added;
+            await kvPutJson(env.CACHE_KV, issuerKey, shared, API_KEY_USAGE_TTL_SEC);
+        }
+    })());
+}
+
+/**
+ * Whether the request carries the operator token (env.ADMIN_TOKEN) as a Bearer token.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings
+ * @returns {boolean}
+ */
+export function isAdminRequest(request, env) {
+    const token = readBearerToken(request);
+    return Boolean(env.ADMIN_TOKEN && token && timingSafeEqual(token, String(env.ADMIN_TOKEN)));
+}
@@ -0,0 +1,112 @@
+/**
+ * Brand taxonomy extension stored in KV.
+ * KV `brands:taxonomy` holds `{ parents: [...], updatedAt }` in the BRAND_TAXONOMY shape:
+ *   { id, brands: [{ id, patterns: string[], subBrands?: [{ id, patterns: string[] }] }] }
+ *
+ * A stored parent replaces the built-in parent with the same id; other stored parents are
+ * appended. No TTL: the extension lives until an operator deletes it (DELETE /admin/brands).
+ *
+ * @module lib/brands
+ */
+
+import { BRAND_TAXONOMY, BRAND_TAXONOMY_KV_KEY, BRAND_TAXONOMY_CACHE_MS } from './constants.js';
+import { kvGetJson } from './kvCache.js';
+import { compileBrandTaxonomy, DEFAULT_BRAND_TAXONOMY } from './matching.js';
+
+const ID_RE = /^[a-z0-9][a-z0-9-]{0,59}$/;
+const MAX_PATTERNS = 20;
+
+// Per-isolate cache: { at, taxonomy }
+let cachedTaxonomy = null;
+
+/**
+ * Validate a list of patterns.
+ * @param {*} patterns - Raw value
+ * @param {string} where - Path for error messages
+ * @returns {{ patterns: string[] }|{ error: string }}
+ */
+function parsePatterns(patterns, where) {
+    if (!Array.isArray(patterns) || !patterns.length || patterns.length > MAX_PATTERNS) {
+        return { error: `${where}.patterns must be an array of 1-${MAX_PATTERNS} strings` };
+    }
+    const out = patterns.map(p => String(p || "").trim().toLowerCase()).filter(Boolean);
+    if (out.length !== patterns.length) return { error: `${where}.patterns must not contain empty strings` };
+    return { patterns: out };
+}
+
+/**
+ * Validate a taxonomy extension body.
+ * @param {Object} body - { parents: [{ id, brands: [{ id, patterns, subBrands? }] }] }
+ * @returns {{ parents: Object[] }|{ error: string }}
+ */
+export function parseBrandTaxonomy(body) {
+    if (!Array.isArray(body?.parents) || !body.parents.length) return { error: "parents must be a non-empty array" };
+
+    const parents = [];
+    for (const [i, parent] of body.parents.entries()) {
+        const where = `parents[${i}]`;
+        if (!ID_RE.test(parent?.id || "")) return { error: `${where}.id must be a lowercase slug` };
+        if (!Array.isArray(parent.brands) || !parent.brands.length) return { error: `${where}.brands must be a non-empty array` };
+
+        const brands = [];
+        for (const [j, brand] of parent.brands.entries()) {
+            const bWhere = `${where}.brands[${j}]`;
+            if (!ID_RE.test(brand?.id || "")) return { error: `${bWhere}.id must be a lowercase slug` };
+            const bp = parsePatterns(brand.patterns, bWhere);
+            if (bp.error) return bp;
+
+            if (brand.subBrands != null && !Array.isArray(brand.subBrands)) return { error: `${bWhere}.subBrands must be an array` };
+            const subBrands = [];
+            for (const [k, sub] of (brand.subBrands || []).entries()) {
+                const sWhere = `${bWhere}.subBrands[${k}]`;
+                if (!ID_RE.test(sub?.id || "")) return { error: `${sWhere}.id must be a lowercase slug` };
+                const sp = parsePatterns(sub.patterns, sWhere);
+                if (sp.error) return sp;
+                subBrands.push({ id: sub.id, patterns: sp.patterns });
+            }
+            brands.push({ id: brand.id, patterns: bp.patterns, subBrands });
+        }
+        parents.push({ id: parent.id, brands });
+    }
+
+    const ids = parents.map(p => p.id);
+    if (new Set(ids).size !== ids.length) return { error: "parents ids must be unique" };
+    return { parents };
+}
+
+/**
+ * Merge stored parents over the built-in taxonomy (same id replaces, new ids append).
+ * @param {Object[]} base - Built-in parents
+ * @param {Object[]} extra - Stored parents
+ * @returns {Object[]}
+ */
+export function mergeBrandTaxonomy(base, extra) {
+    const byId = new Map(extra.map(p => [p.id, p]));
+    const merged = base.map(p => byId.get(p.id) || p);
+    const baseIds = new Set(base.map(p => p.id));
+    return [...merged, ...extra.filter(p => !baseIds.has(p.id))];
+}
+
+/**
+ * Compiled taxonomy for matching: built-in merged with the KV extension.
+ * Cached per isolate for BRAND_TAXONOMY_CACHE_MS; falls back to the built-in one.
+ * @param {Object} env - Environment bindings
+ * @param {Object} [opts]
+ * @param {boolean} [opts.fresh] - Skip the isolate cache
+ * @returns {Promise<Object>} compileBrandTaxonomy() result with source "static" | "kv"
+ */
+export async function loadBrandTaxonomy(env, { fresh = false } = {}) {
+    if (!env.CACHE_KV) return DEFAULT_BRAND_TAXONOMY;
+
+    const now = Date.now();
+    if (!fresh && cachedTaxonomy && now - cachedTaxonomy.at < BRAND_TAXONOMY_CACHE_MS) return cachedTaxonomy.taxonomy;
+
+    const stored = await kvGetJson(env.CACHE_KV, BRAND_TAXONOMY_KV_KEY);
+    const parsed = stored ? parseBrandTaxonomy(stored) : null;
+    const taxonomy = parsed?.parents
+        ? compileBrandTaxonomy(mergeBrandTaxonomy(BRAND_TAXONOMY, parsed.parents), { source: "kv", updatedAt: stored.updatedAt || null })
+        : DEFAULT_BRAND_TAXONOMY;
+
+    cachedTaxonomy = { at: now, taxonomy };
+    return taxonomy;
+}
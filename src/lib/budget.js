@@ -0,0 +1,180 @@
+/**
+ * SearchApi credit budget.
+ * Upstream calls (usage.searchapi_calls) are accumulated per UTC day / month and engine
+ * in the BudgetCounter Durable Object (env.BUDGET_COUNTER), or in KV (`budget:day:*`,
+ * `budget:month:*`, non-atomic) when the binding is missing.
+ *
+ * Limits: env.SEARCHAPI_DAILY_BUDGET / env.SEARCHAPI_MONTHLY_BUDGET (credits; unset/0 = unlimited).
+ * When exhausted, env.SEARCHAPI_BUDGET_MODE decides:
+ *  - "cache-only" (default): cached matches/offers are still served, upstream calls fail with BUDGET_EXHAUSTED
+ *  - "reject"              : credit-spending routes answer 503 BUDGET_EXHAUSTED outright
+ *
+ * @module lib/budget
+ */
+
+import { BUDGET_STATE_CACHE_MS, BUDGET_DAY_RETENTION } from './constants.js';
+import { jsonResponse } from './http.js';
+import { kvGetJson, kvPutJson } from './kvCache.js';
+import { addCalls } from './budgetDO.js';
+
+// Per-isolate cache of the counters: { at, day, month, dayKey }
+let cachedUsage = null;
+
+/**
+ * Parse a non-negative integer budget from env.
+ * @param {*} raw - Env value
+ * @returns {number|null} null = unlimited
+ */
+function parseBudget(raw) {
+    const n = parseInt(String(raw ?? ""), 10);
+    return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Budget configuration from env.
+ * @param {Object} env - Environment bindings
+ * @returns {{ daily: number|null, monthly: number|null, mode: "cache-only"|"reject" }}
+ */
+export function budgetConfig(env) {
+    return {
+        daily: parseBudget(env.SEARCHAPI_DAILY_BUDGET),
+        monthly: parseBudget(env.SEARCHAPI_MONTHLY_BUDGET),
+        mode: String(env.SEARCHAPI_BUDGET_MODE || "").toLowerCase() === "reject" ? "reject" : "cache-only",
+    };
+}
+
+/**
+ * UTC day + month keys.
+ * @param {number} [now] - Epoch ms
+ * @returns {{ day: string, month: string }}
+ */
+export function budgetPeriod(now = Date.now()) {
+    const iso = new Date(now).toISOString();
+    return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+/**
+ * Durable Object stub for the global counter.
+ * @param {Object} env - Environment bindings
+ * @returns {Object|null}
+ */
+function counterStub(env) {
+    if (!env.BUDGET_COUNTER) return null;
+    return env.BUDGET_COUNTER.get(env.BUDGET_COUNTER.idFromName("global"));
+}
+
+/**
+ * Read the current counters (bypasses the isolate cache).
+ * @param {Object} env - Environment bindings
+ * @param {number} [now] - Epoch ms
+ * @returns {Promise<{ day: Object, month: Object }>}
+ */
+export async function readBudgetUsage(env, now = Date.now()) {
+    const period = budgetPeriod(now);
+    const stub = counterStub(env);
+    let usage;
+    if (stub) {
+        usage = await stub.read(period);
+    } else if (env.CACHE_KV) {
+        const [day, month] = await Promise.all([
+            kvGetJson(env.CACHE_KV, `budget:day:${period.day}`),
+            kvGetJson(env.CACHE_KV, `budget:month:${period.month}`),
+        ]);
+        usage = { day: addCalls(day, {}), month: addCalls(month, {}) };
+    } else {
+        usage = { day: addCalls(null, {}), month: addCalls(null, {}) };
+    }
+    cachedUsage = { at: now, dayKey: period.day, ...usage };
+    return usage;
+}
+
+/**
+ * Current budget state (counters cached per isolate for BUDGET_STATE_CACHE_MS).
+ * @param {Object} env - Environment bindings
+ * @param {Object} [opts]
+ * @param {boolean} [opts.fresh] - Skip the isolate cache
+ * @param {number} [opts.now] - Epoch ms
+ * @returns {Promise<Object>} { config, day: { date, used, limit, remaining, engines }, month: {...}, exhausted, exhaustedBy }
+ */
+export async function getBudgetState(env, { fresh = false, now = Date.now() } = {}) {
+    const config = budgetConfig(env);
+    const period = budgetPeriod(now);
+
+    let usage = cachedUsage;
+    if (fresh || !usage || usage.dayKey !== period.day || now - usage.at > BUDGET_STATE_CACHE_MS) {
+        usage = await readBudgetUsage(env, now);
+    }
+
+    const view = (counter, limit, date) => ({
+        date,
+        used: counter.total,
+        limit,
+        remaining: limit == null ? null : Math.max(0, limit - counter.total),
+        engines: counter.engines,
+    });
+    const day = view(usage.day, config.daily, period.day);
+    const month = view(usage.month, config.monthly, period.month);
+
+    const exhaustedBy = day.remaining === 0 ? "daily" : (month.remaining === 0 ? "monthly" : null);
+    return { config, day, month, exhausted: Boolean(exhaustedBy), exhaustedBy };
+}
+
+/**
+ * Whether upstream calls are currently blocked by the budget.
+ * Skips the counter read entirely when no limit is configured.
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<boolean>}
+ */
+export async function isBudgetExhausted(env) {
+    const { daily, monthly } = budgetConfig(env);
+    if (daily == null && monthly == null) return false;
+    return (await getBudgetState(env)).exhausted;
+}
+
+/**
+ * 503 for credit-spending routes when the budget is exhausted in "reject" mode, else null.
+ * @param {Object} env - Environment bindings
+ * @param {Object} corsHeaders - CORS headers
+ * @returns {Promise<Response|null>}
+ */
+export async function budgetRejectResponse(env, corsHeaders) {
+    if (budgetConfig(env).mode !== "reject" || !(await isBudgetExhausted(env))) return null;
+    return jsonResponse({ error: "SearchApi budget exhausted", error_code: "BUDGET_EXHAUSTED" }, 503, corsHeaders);
+}
+
+/**
+ * Add a request's upstream calls to the budget counters.
+ * @param {Object} params
+ * @param {Object} params.env - Environment bindings
+ * @param {Object} params.ctx - Execution context
+ * @param {Object|null} params.usage - { searchapi_calls: { engine: count } }
+ */
+export function recordSearchApiSpend({ env, ctx, usage }) {
+    const calls = usage?.searchapi_calls || {};
+    if (!Object.values(calls).some(n => n > 0)) return;
+
+    const now = Date.now();
+    const period = budgetPeriod(now);
+
+    // Keep this isolate's view current without waiting for the next read
+    if (cachedUsage?.dayKey === period.day) {
+        cachedUsage = { ...cachedUsage, day: addCalls(cachedUsage.day, calls), month: addCalls(cachedUsage.month, calls) };
+    }
+
+    const stub = counterStub(env);
+    if (stub) {
+        ctx.waitUntil(stub.add({ ...period, calls }));
+        return;
+    }
+    if (!env.CACHE_KV) return;
+
+    ctx.waitUntil((async () => {
+        const dayKey = `budget:day:${period.day}`;
+        const monthKey = `budget:month:${period.month}`;
+        const [day, month] = await Promise.all([kvGetJson(env.CACHE_KV, dayKey), kvGetJson(env.CACHE_KV, monthKey)]);
+        await Promise.all([
+            kvPutJson(env.CACHE_KV, dayKey, addCalls(day, calls), BUDGET_DAY_RETENTION * 86400),
+            kvPutJson(env.CACHE_KV, monthKey, addCalls(month, calls), 400 * 86400), // ~13 months
+        ]);
+    })());
+}
@@ -0,0 +1,72 @@
+/**
+ * SearchApi credit counter Durable Object.
+ * A single instance (idFromName("global")) holds per-day and per-month call
+ * counts by engine, so concurrent requests never lose increments.
+ *
+ * @module lib/budgetDO
+ */
+
+import { DurableObject } from "cloudflare:workers";
+import { BUDGET_DAY_RETENTION } from './constants.js';
+
+/**
+ * Add engine call counts to a counter (pure; shared with the KV fallback).
+ * @param {{ total: number, engines: Object }|null} counter - Stored counter
+ * @param {Object} calls - { engine: count }
+ * @returns {{ total: number, engines: Object }}
+ */
+export function addCalls(counter, calls) {
+    const out = { total: counter?.total || 0, engines: { ...(counter?.engines || {}) } };
+    for (const [engine, n] of Object.entries(calls || {})) {
+        if (!(n > 0)) continue;
+        out.engines[engine] = (out.engines[engine] || 0) + n;
+        out.total += n;
+    }
+    return out;
+}
+
+export class BudgetCounter extends DurableObject {
+    /**
+     * Add calls to today's and this month's counters.
+     * @param {{ day: string, month: string, calls: Object }} params - day YYYY-MM-DD, month YYYY-MM
+     * @returns {Promise<{ day: Object, month: Object }>}
+     */
+    async add({ day, month, calls }) {
+        const dayKey = `day:${day}`;
+        const monthKey = `month:${month}`;
+        const stored = await this.ctx.storage.get([dayKey, monthKey]);
+
+        const dayCounter = addCalls(stored.get(dayKey), calls);
+        const monthCounter = addCalls(stored.get(monthKey), calls);
+        await this.ctx.storage.put({ [dayKey]: dayCounter, [monthKey]: monthCounter });
+
+        // First write of a new day: drop counters past the retention window
+        if (!stored.get(dayKey)) await this.prune(day);
+
+        return { day: dayCounter, month: monthCounter };
+    }
+
+    /**
+     * Read the counters for a day + month.
+     * @param {{ day: string, month: string }} params
+     * @returns {Promise<{ day: Object, month: Object }>}
+     */
+    async read({ day, month }) {
+        const stored = await this.ctx.storage.get([`day:${day}`, `month:${month}`]);
+        return {
+            day: addCalls(stored.get(`day:${day}`), {}),
+            month: addCalls(stored.get(`month:${month}`), {}),
+        };
+    }
+
+    /**
+     * Delete day counters older than BUDGET_DAY_RETENTION days (month counters are tiny and kept).
+     * @param {string} today - YYYY-MM-DD
+     * @returns {Promise<void>}
+     */
+    async prune(today) {
+        const cutoff = new Date(Date.parse(`${today}T00:00:00Z`) - BUDGET_DAY_RETENTION * 86400000).toISOString().slice(0, 10);
+        const days = await this.ctx.storage.list({ prefix: "day:", end: `day:${cutoff}` });
+        if (days.size) await this.ctx.storage.delete([...days.keys()]);
+    }
+}
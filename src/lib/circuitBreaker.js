@@ -0,0 +1,116 @@
+/**
+ * Per-provider circuit breaker (in-isolate).
+ * After BREAKER_FAILURE_THRESHOLD consecutive 5xx/timeouts a provider is skipped for
+ * BREAKER_COOLDOWN_MS; then one trial call is let through (half-open) and its outcome
+ * closes or re-opens the breaker.
+ *
+ * State lives in module scope, so each isolate trips independently; that is enough
+ * to stop paying upstream timeouts on every request while a provider is down.
+ *
+ * @module lib/circuitBreaker
+ */
+
+import { BREAKER_FAILURE_THRESHOLD, BREAKER_COOLDOWN_MS } from './constants.js';
+
+// Reported next to breaker snapshots so operators don't read one isolate's view as global
+export const BREAKER_SCOPE = {
+    scope: "isolate",
+    note: "Breaker state is kept per isolate: it only reflects upstream calls made by the isolate that answered this request. Other isolates trip and recover independently.",
+};
+
+// providerId -> { state: "closed"|"open"|"half-open", failures, openedAt, lastError, lastFailureAt }
+const breakers = new Map();
+
+/**
+ * Get (or create) a provider's breaker.
+ * @param {string} id - Provider ID
+ * @returns {Object}
+ */
+function getBreaker(id) {
+    let b = breakers.get(id);
+    if (!b) {
+        b = { state: "closed", failures: 0, openedAt: null, lastError: null, lastFailureAt: null };
+        breakers.set(id, b);
+    }
+    return b;
+}
+
+/**
+ * Whether a result counts as an upstream failure (timeout/network or 5xx).
+ * @param {Object} result - Provider result
+ * @returns {boolean}
+ */
+export function isBreakerFailure(result) {
+    const s = result?.status ?? 0;
+    return !result?.ok && (s === 0 || s >= 500);
+}
+
+/**
+ * Whether a call to the provider may go through now.
+ * Moves an open breaker to half-open once the cooldown has passed (one trial call).
+ * @param {string} id - Provider ID
+ * @param {number} [now] - Epoch ms
+ * @returns {boolean}
+ */
+export function breakerAllows(id, now = Date.now()) {
+    const b = getBreaker(id);
+    if (b.state === "closed") return true;
+    if (b.state === "open" && now - b.openedAt >= BREAKER_COOLDOWN_MS) {
+        b.state = "half-open";
+        return true;
+    }
+    // Open, or half-open with the trial call already in flight
+    return false;
+}
+
+/**
+ * Record a call outcome.
+ * @param {string} id - Provider ID
+ * @param {Object} result - Provider result
+ * @param {number} [now] - Epoch ms
+ */
+export function recordBreakerResult(id, result, now = Date.now()) {
+    const b = getBreaker(id);
+
+    if (!isBreakerFailure(result)) {
+        b.state = "closed";
+        b.failures = 0;
+        b.openedAt = null;
+        return;
+    }
+
+    b.failures += 1;
+    b.lastFailureAt = now;
+    b.lastError = result.fetchError || `HTTP ${result.status}`;
+    if (b.state === "half-open" || b.failures >= BREAKER_FAILURE_THRESHOLD) {
+        b.state = "open";
+        b.openedAt = now;
+    }
+}
+
+/**
+ * Snapshot of every breaker in this isolate (admin/health).
+ * @param {number} [now] - Epoch ms
+ * @returns {Object} { [providerId]: { state, failures, openedAt, retryInMs, lastError, lastFailureAt } }
+ */
+export function breakerSnapshot(now = Date.now()) {
+    const out = {};
+    for (const [id, b] of breakers) {
+        out[id] = {
+            state: b.state,
+            failures: b.failures,
+            openedAt: b.openedAt ? new Date(b.openedAt).toISOString() : null,
+            retryInMs: b.state === "open" ? Math.max(0, BREAKER_COOLDOWN_MS - (now - b.openedAt)) : 0,
+            lastError: b.lastError,
+            lastFailureAt: b.lastFailureAt ? new Date(b.lastFailureAt).toISOString() : null,
+        };
+    }
+    return out;
+}
+
+/**
+ * Close every breaker (admin reset, tests).
+ */
+export function resetBreakers() {
+    breakers.clear();
+}
@@ -0,0 +1,34 @@
+/**
+ * Concurrency helpers.
+ * 
+ * @module lib/concurrency
+ */
+
+/**
+ * Map over items with at most `limit` async calls in flight.
+ * Results keep input order.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Max concurrent calls
+ * @param {(item: any, index: number) => Promise<any>} fn - Async mapper
+ * @returns {Promise<Array>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const list = Array.isArray(items) ? items : [];
+    const results = new Array(list.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < list.length) {
+            const i = next++;
+            results[i] = await fn(list[i], i);
+        }
+    };
+
+    const workers = [];
+    for (let w = 0; w < Math.max(1, Math.min(limit, list.length)); w++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return results;
+}
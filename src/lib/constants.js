@@ -56,19 +56,122 @@ export const COMPARE_RATE_LIMIT = 60; // requests per hour
 export const COMPARE_WINDOW_SEC = 60 * 60; // 1 hour
 export const CTX_RATE_LIMIT = 30; // prefetch calls per hour per IP
 export const CTX_WINDOW_SEC = 3600; // 1 hour
+// Token-bucket burst sizes (Durable Object limiter); sustained rate = limit / window
+export const COMPARE_BURST = 20;
+export const CTX_BURST = 10;
+export const FEEDBACK_RATE_LIMIT = 30; // POST /feedback/match per hour per IP
+export const FEEDBACK_BURST = 10;
+export const EXPLAIN_RATE_LIMIT = 120; // POST /match/explain per hour per IP (no upstream calls)
+export const EXPLAIN_BURST = 20;
+export const WATCH_RATE_LIMIT = 60; // /watches requests per hour per IP
+export const WATCH_BURST = 10;
+export const HEALTH_RATE_LIMIT = 60; // Anonymous /__health checks per hour per IP (admin callers are not limited)
+export const HEALTH_BURST = 10;
+
+// ---------- API KEYS ----------
+export const API_KEY_PREFIX = "hk_";
+export const API_KEY_DAILY_CREDITS = 200;      // SearchApi credits per key per UTC day
+export const API_KEY_HOURLY_REQUESTS = 120;    // /compare requests per key per hour (replaces the per-IP limit)
+export const API_KEY_REGISTER_LIMIT = 5;       // POST /keys per IP per hour
+export const API_KEY_ISSUER_DAILY_CREDITS = 200; // Shared by every key registered from one IP per UTC day (rotating keys gains nothing)
+export const API_KEY_USAGE_TTL_SEC = 8 * 24 * 60 * 60; // Keep a week of daily usage counters
+
+// ---------- SEARCHAPI BUDGET ----------
+// Daily/monthly credit limits come from env (SEARCHAPI_DAILY_BUDGET / SEARCHAPI_MONTHLY_BUDGET; unset = unlimited)
+export const BUDGET_STATE_CACHE_MS = 15 * 1000;     // Per-isolate cache of the budget counters
+export const BUDGET_DAY_RETENTION = 40;             // Days of per-day counters kept
+export const BREAKER_FAILURE_THRESHOLD = 5;         // Consecutive 5xx/timeouts that open a provider's breaker
+export const BREAKER_COOLDOWN_MS = 30 * 1000;       // Open breaker duration before a half-open trial call
+
+// ---------- HEALTH ----------
+export const HEALTH_PROBES = ["searchapi", "serpapi", "places", "brave", "cse"]; // Opt-in upstream probes (?probe=)
+export const HEALTH_PROBE_QUERY = "Hilton London Paddington"; // Fixed query every probe searches for
+export const HEALTH_PROBE_TIMEOUT_MS = 5000;
+export const HEALTH_KV_PROBE_TTL_SEC = 60;    // KV minimum; the probe key is deleted right away, this is the backstop
+export const HEALTH_KV_READ_KEY = "health:read"; // Never written; anonymous checks only read it
+
+// ---------- ADMIN ----------
+export const ADMIN_PURGE_MAX_KEYS = 500;      // Keys listed/deleted per /admin/cache call (under the per-request KV op limit)
+export const ADMIN_CTX_SCAN_MAX = 200;        // ctx: entries read when purging by property_token
+
+// ---------- MATCH FEEDBACK ----------
+export const FEEDBACK_NEGATIVE_THRESHOLD = 3;   // Distinct clients reporting a served token wrong before its tok: entries are dropped
+export const FEEDBACK_POSITIVE_THRESHOLD = 3;   // Distinct clients confirming a token before it is promoted into tok: entries
+export const FEEDBACK_CONFIDENCE_BOOST = 0.15;  // Added to the re-scored confidence of a promoted token (capped at 0.95)
+export const FEEDBACK_MAX_VOTERS = 50;          // Voter hashes kept per token and verdict (dedupe)
+export const FEEDBACK_TTL_SEC = 90 * 24 * 60 * 60; // Aggregates kept 90 days after the last vote
+
+// ---------- REQUEST SIGNING ----------
+export const SIGNATURE_MAX_SKEW_SEC = 300;    // Reject timestamps further than 5 min from now
+export const SIGNATURE_NONCE_TTL_SEC = 2 * SIGNATURE_MAX_SKEW_SEC; // Nonces only need to outlive the skew window
+
+// ---------- OCCUPANCY ----------
+export const MAX_ADULTS = 10;
+export const MAX_CHILDREN = 6;
+export const MAX_CHILD_AGE = 17;
+export const MAX_ROOMS = 8;
 
 // ---------- SEARCHAPI CONFIG ----------
 export const SEARCHAPI_ENDPOINT = "https://www.searchapi.io/api/v1/search";
 export const SEARCHAPI_TIMEOUT_MS = 8000;
 
+// ---------- SERPAPI CONFIG ----------
+export const SERPAPI_ENDPOINT = "https://serpapi.com/search.json";
+export const SERPAPI_TIMEOUT_MS = 8000;
+
 // ---------- CACHE TTLs ----------
 export const TOKEN_TTL_SEC = 30 * 24 * 60 * 60; // 30 days
 export const TOKEN_TTL_NO_DOMAIN_SEC = 7 * 24 * 60 * 60; // 7 days (fallback)
-export const OFFERS_TTL_SEC = 30 * 60; // 30 minutes
+export const OFFERS_TTL_SEC = 30 * 60; // 30 minutes (soft expiry: fresh until then)
+export const OFFERS_STALE_MAX_SEC = 6 * 60 * 60; // Stale offers served (and revalidated) up to 6h past soft expiry
+export const OFFERS_REFRESH_LOCK_SEC = 60; // Per-key background refresh lock (KV minimum TTL)
 export const CTX_TTL_SEC = 30 * 60; // 30 minutes
+export const HISTORY_TTL_SEC = 60 * 24 * 60 * 60; // 60 days (refreshed on every append)
 
 // ---------- LIMITS ----------
 export const MAX_OFFERS_RETURNED = 25;
+export const HISTORY_MAX_SNAPSHOTS = 200; // Per property_token + stay dates
+
+// ---------- BATCH COMPARE ----------
+export const COMPARE_BATCH_MAX_ITEMS = 40;   // One search-results page worth of hotels
+export const COMPARE_BATCH_CONCURRENCY = 4;  // Parallel items in flight toward SearchApi
+export const COMPARE_ITEM_MAX_CALLS = 3;     // Worst case SearchApi calls for one cold item: search, verify, property
+
+// ---------- PRICE CALENDAR ----------
+export const CALENDAR_MAX_DATES = 31;        // Check-in dates per window
+export const CALENDAR_MAX_NIGHTS = 30;       // Stay length cap
+export const CALENDAR_DEFAULT_BUDGET = 7;    // google_hotels_property calls per request
+export const CALENDAR_MAX_BUDGET = 14;
+
+// ---------- PRICE WATCHES ----------
+export const WATCH_CHECK_INTERVAL_SEC = 6 * 60 * 60; // Re-check each watch every 6 hours
+export const WATCH_MAX_CHECKS_PER_RUN = 25;           // SearchApi calls per cron run
+export const WATCH_CRON_PAGE_KEYS = 1000;             // Watch keys scanned per cron run (one KV list page)
+export const WATCH_CRON_CURSOR_KEY = "watchcron:cursor";
+export const WATCH_MAX_PER_CLIENT = 20;
+export const WATCH_MAX_PER_OWNER = 50;                // Live watches per IP / API key issuer, across all its clientIds
+export const WATCH_MAX_HORIZON_DAYS = 365;            // Latest check-in a watch may target, from today
+export const WATCH_DEFAULT_DROP_PCT = 5;              // Notify on >= 5% drop when no target given
+export const WATCH_NOTIFY_TIMEOUT_MS = 5000;
+
+// ---------- CURRENCY RATES ----------
+export const RATES_ENDPOINT = "https://open.er-api.com/v6/latest/USD"; // Override with env.FX_RATES_URL
+export const RATES_KV_KEY = "fx:rates";
+export const RATES_REFRESH_SEC = 6 * 60 * 60;     // Cron refetches when the stored table is older than this
+export const RATES_KV_TTL_SEC = 7 * 24 * 60 * 60; // Drop to the static table if refresh keeps failing
+export const RATES_TIMEOUT_MS = 5000;
+
+// ---------- TAX NORMALIZATION ----------
+// Typical taxes + fees on top of before-tax room prices, by gl country (fraction of the base price).
+// Only used when no offer for the property shows both before- and after-tax prices.
+export const TAX_RATES_BY_COUNTRY = {
+    us: 0.14, ca: 0.15, mx: 0.19, br: 0.05,
+    gb: 0.20, ie: 0.135, fr: 0.10, de: 0.07, it: 0.10, es: 0.10, pt: 0.06, nl: 0.09, be: 0.06,
+    at: 0.10, ch: 0.038, se: 0.12, no: 0.12, dk: 0.25, fi: 0.14, pl: 0.08, cz: 0.12, gr: 0.13, tr: 0.10,
+    ae: 0.20, za: 0.15, in: 0.18, th: 0.17, sg: 0.19, my: 0.16, id: 0.21, jp: 0.10, kr: 0.10,
+    au: 0.10, nz: 0.15,
+};
+export const TAX_RATIO_MAX = 1.5; // Ignore observed after/before-tax ratios above this (bad data)
 
 // ---------- SUPPORTED LANGUAGES ----------
 // Supported Google Travel UI languages (SearchApi list)
@@ -130,6 +233,242 @@ export const STRICT_BRAND_RULES = [
     { id: "quality-inn", patterns: ["quality inn"] },
 ];
 
+// ---------- BRAND TAXONOMY ----------
+// Parent company -> brand -> sub-brand. Brand ids line up with STRICT_BRAND_RULES where both exist.
+// Two names with different sub-brands of the same parent are a hard mismatch ("Hampton by Hilton"
+// vs "Hilton Garden Inn"); a shared sub-brand earns BRAND_SUB_MATCH_BOOST. A bare brand ("Hilton
+// London") against a sub-brand is left to the rest of the scoring.
+// Sub-brand patterns must be distinctive on their own: they also imply the brand.
+// Extended/overridden per parent id from KV (BRAND_TAXONOMY_KV_KEY, see lib/brands.js).
+export const BRAND_TAXONOMY = [
+    {
+        id: "marriott-international",
+        brands: [
+            {
+                id: "marriott",
+                patterns: ["marriott"],
+                subBrands: [
+                    { id: "jw-marriott", patterns: ["jw marriott"] },
+                    { id: "marriott-marquis", patterns: ["marriott marquis"] },
+                    { id: "courtyard", patterns: ["courtyard by marriott", "courtyard marriott"] },
+                    { id: "residence-inn", patterns: ["residence inn"] },
+                    { id: "fairfield", patterns: ["fairfield inn", "fairfield by marriott"] },
+                    { id: "springhill-suites", patterns: ["springhill suites"] },
+                    { id: "towneplace-suites", patterns: ["towneplace suites"] },
+                    { id: "marriott-executive-apartments", patterns: ["marriott executive apartments"] },
+                    { id: "marriott-vacation-club", patterns: ["marriott vacation club"] },
+                    { id: "ac-hotels", patterns: ["ac hotel by marriott", "ac hotels by marriott"] },
+                    { id: "delta", patterns: ["delta hotels"] },
+                    { id: "autograph-collection", patterns: ["autograph collection"] },
+                    { id: "tribute-portfolio", patterns: ["tribute portfolio"] },
+                ],
+            },
+            {
+                id: "sheraton",
+                patterns: ["sheraton"],
+                subBrands: [
+                    { id: "four-points", patterns: ["four points"] },
+                ],
+            },
+            {
+                id: "westin",
+                patterns: ["westin"],
+                subBrands: [
+                    { id: "element", patterns: ["element by westin"] },
+                ],
+            },
+            { id: "ritz-carlton", patterns: ["ritz carlton"] },
+            { id: "st-regis", patterns: ["st regis"] },
+            { id: "le-meridien", patterns: ["le meridien"] },
+            { id: "aloft", patterns: ["aloft"] },
+            { id: "moxy", patterns: ["moxy"] },
+        ],
+    },
+    {
+        id: "hilton-worldwide",
+        brands: [
+            {
+                id: "hilton",
+                patterns: ["hilton"],
+                subBrands: [
+                    { id: "hilton-garden-inn", patterns: ["hilton garden inn"] },
+                    { id: "hampton", patterns: ["hampton by hilton", "hampton inn"] },
+                    { id: "doubletree", patterns: ["doubletree", "double tree by hilton"] },
+                    { id: "embassy-suites", patterns: ["embassy suites"] },
+                    { id: "homewood-suites", patterns: ["homewood suites"] },
+                    { id: "home2-suites", patterns: ["home2 suites"] },
+                    { id: "tru", patterns: ["tru by hilton"] },
+                    { id: "canopy", patterns: ["canopy by hilton"] },
+                    { id: "tempo", patterns: ["tempo by hilton"] },
+                    { id: "motto", patterns: ["motto by hilton"] },
+                    { id: "signia", patterns: ["signia by hilton"] },
+                    { id: "hilton-grand-vacations", patterns: ["hilton grand vacations"] },
+                    { id: "waldorf-astoria", patterns: ["waldorf astoria"] },
+                    { id: "conrad", patterns: ["conrad hotel", "conrad hotels"] },
+                    { id: "curio-collection", patterns: ["curio collection"] },
+                    { id: "tapestry-collection", patterns: ["tapestry collection"] },
+                ],
+            },
+        ],
+    },
+    {
+        id: "hyatt-hotels",
+        brands: [
+            {
+                id: "hyatt",
+                patterns: ["hyatt"],
+                subBrands: [
+                    { id: "park-hyatt", patterns: ["park hyatt"] },
+                    { id: "grand-hyatt", patterns: ["grand hyatt"] },
+                    { id: "hyatt-regency", patterns: ["hyatt regency"] },
+                    { id: "hyatt-place", patterns: ["hyatt place"] },
+                    { id: "hyatt-house", patterns: ["hyatt house"] },
+                    { id: "hyatt-centric", patterns: ["hyatt centric"] },
+                    { id: "andaz", patterns: ["andaz"] },
+                    { id: "unbound-collection", patterns: ["unbound collection"] },
+                ],
+            },
+        ],
+    },
+    {
+        id: "ihg",
+        brands: [
+            { id: "intercontinental", patterns: ["intercontinental"] },
+            {
+                id: "holiday-inn",
+                patterns: ["holiday inn"],
+                subBrands: [
+                    { id: "holiday-inn-express", patterns: ["holiday inn express"] },
+                    { id: "holiday-inn-resort", patterns: ["holiday inn resort"] },
+                    { id: "holiday-inn-club", patterns: ["holiday inn club"] },
+                ],
+            },
+            { id: "crowne-plaza", patterns: ["crowne plaza"] },
+            { id: "hotel-indigo", patterns: ["hotel indigo", "indigo hotel"] },
+            { id: "kimpton", patterns: ["kimpton"] },
+            { id: "staybridge-suites", patterns: ["staybridge suites"] },
+            { id: "candlewood-suites", patterns: ["candlewood suites"] },
+            { id: "voco", patterns: ["voco"] },
+        ],
+    },
+    {
+        id: "accor",
+        brands: [
+            {
+                id: "ibis",
+                patterns: ["ibis"],
+                subBrands: [
+                    { id: "ibis-styles", patterns: ["ibis styles"] },
+                    { id: "ibis-budget", patterns: ["ibis budget"] },
+                ],
+            },
+            {
+                id: "novotel",
+                patterns: ["novotel"],
+                subBrands: [
+                    { id: "novotel-suites", patterns: ["novotel suites"] },
+                ],
+            },
+            { id: "mercure", patterns: ["mercure"] },
+            {
+                id: "sofitel",
+                patterns: ["sofitel"],
+                subBrands: [
+                    { id: "sofitel-legend", patterns: ["sofitel legend"] },
+                    { id: "so-sofitel", patterns: ["so sofitel", "so by sofitel"] },
+                ],
+            },
+            { id: "pullman", patterns: ["pullman"] },
+            { id: "mgallery", patterns: ["mgallery"] },
+            { id: "swissotel", patterns: ["swissotel"] },
+            { id: "fairmont", patterns: ["fairmont"] },
+            { id: "movenpick", patterns: ["movenpick"] },
+            { id: "adagio", patterns: ["adagio aparthotel", "aparthotel adagio"] },
+        ],
+    },
+    {
+        id: "wyndham",
+        brands: [
+            {
+                id: "wyndham",
+                patterns: ["wyndham"],
+                subBrands: [
+                    { id: "wyndham-grand", patterns: ["wyndham grand"] },
+                    { id: "wyndham-garden", patterns: ["wyndham garden"] },
+                    { id: "tryp", patterns: ["tryp by wyndham"] },
+                    { id: "la-quinta", patterns: ["la quinta"] },
+                    { id: "microtel", patterns: ["microtel"] },
+                    { id: "wingate", patterns: ["wingate by wyndham"] },
+                    { id: "baymont", patterns: ["baymont"] },
+                    { id: "trademark-collection", patterns: ["trademark collection"] },
+                ],
+            },
+            {
+                id: "ramada",
+                patterns: ["ramada"],
+                subBrands: [
+                    { id: "ramada-encore", patterns: ["ramada encore"] },
+                    { id: "ramada-plaza", patterns: ["ramada plaza"] },
+                ],
+            },
+            { id: "days-inn", patterns: ["days inn"] },
+            { id: "super-8", patterns: ["super 8"] },
+        ],
+    },
+    {
+        id: "radisson-hotel-group",
+        brands: [
+            {
+                id: "radisson",
+                patterns: ["radisson"],
+                subBrands: [
+                    { id: "radisson-blu", patterns: ["radisson blu"] },
+                    { id: "radisson-red", patterns: ["radisson red"] },
+                    { id: "radisson-collection", patterns: ["radisson collection"] },
+                    { id: "park-inn", patterns: ["park inn by radisson"] },
+                    { id: "country-inn", patterns: ["country inn suites by radisson", "country inn by radisson"] },
+                ],
+            },
+        ],
+    },
+    {
+        id: "best-western-hotels",
+        brands: [
+            {
+                id: "best-western",
+                patterns: ["best western"],
+                subBrands: [
+                    { id: "best-western-plus", patterns: ["best western plus"] },
+                    { id: "best-western-premier", patterns: ["best western premier"] },
+                    { id: "surestay", patterns: ["surestay"] },
+                ],
+            },
+        ],
+    },
+    {
+        id: "choice-hotels",
+        brands: [
+            {
+                id: "comfort",
+                patterns: ["comfort inn", "comfort suites"],
+                subBrands: [
+                    { id: "comfort-inn", patterns: ["comfort inn"] },
+                    { id: "comfort-suites", patterns: ["comfort suites"] },
+                ],
+            },
+            { id: "quality-inn", patterns: ["quality inn"] },
+            { id: "clarion", patterns: ["clarion"] },
+            { id: "cambria", patterns: ["cambria hotel", "cambria hotels"] },
+            { id: "sleep-inn", patterns: ["sleep inn"] },
+            { id: "econo-lodge", patterns: ["econo lodge"] },
+            { id: "ascend-collection", patterns: ["ascend hotel collection"] },
+        ],
+    },
+];
+export const BRAND_SUB_MATCH_BOOST = 0.05;            // Same sub-brand on both sides
+export const BRAND_TAXONOMY_KV_KEY = "brands:taxonomy";
+export const BRAND_TAXONOMY_CACHE_MS = 60 * 1000;     // Per-isolate cache of the KV extension
+
 // ---------- KEY DISAMBIGUATOR GROUPS (synonym-aware) ----------
 // "Strong" patterns are location-defining (trigger conflicts if mismatched).
 // "Weak" patterns are ambiguous (contribute to boost but not conflict).
@@ -167,6 +506,30 @@ export const MIN_SCORE_FOR_DOMAIN_BOOST = 0.55;
 export const DOMAIN_BACKFILL_MIN_CONF = 0.85;  // Min confidence to backfill domain cache from name hit
 export const HIT_DOMAIN_MIN_SCORE = 0.70;      // Min baseScore for hit-domain validation
 
+// ---------- GEO MATCHING ----------
+// Applied only when the query has lat/lng and the candidate has GPS coordinates
+export const GEO_MATCH_RADIUS_KM = 25;         // Beyond this: hard mismatch (env GEO_MATCH_RADIUS_KM overrides)
+export const GEO_NEAR_KM = 0.3;                // Same building / block
+export const GEO_NEAR_BOOST = 0.10;
+export const GEO_CLOSE_KM = 2;
+export const GEO_CLOSE_BOOST = 0.05;
+export const GEO_FAR_KM = 5;                   // Penalty ramps up from here to the radius
+export const GEO_FAR_PENALTY_MAX = 0.15;
+
+// ---------- MATCH ACCEPTANCE ----------
+// Confidence gates applied by /compare to a pickBestProperty() result
+export const MATCH_MIN_ACCEPT_CONF = 0.25;     // Below: LOW_CONFIDENCE_MATCH (search path)
+export const CTX_MIN_CONF = 0.55;              // ctx pick accepted from here when it has a strong signal
+export const MATCH_CERTAIN_CONF = 0.65;        // ctx accepted outright, name token cached; below: matchUncertain
+export const TOKEN_CACHE_BOOKING_MIN_CONF = 0.70;
+export const TOKEN_CACHE_DOMAIN_MIN_CONF = 0.75; // Domain token cached, ctx hit backfilled
+export const TOKEN_LONG_TTL_MIN_CONF = 0.80;   // Name token kept TOKEN_TTL_SEC instead of TOKEN_TTL_NO_DOMAIN_SEC
+
+// ---------- MATCH EVALUATION ----------
+// Confidence cut-offs used by /compare: ctx acceptance, token caching / "certain", domain backfill
+export const MATCH_EVAL_THRESHOLDS = [CTX_MIN_CONF, MATCH_CERTAIN_CONF, TOKEN_CACHE_DOMAIN_MIN_CONF];
+export const EXPLAIN_MAX_CANDIDATES = 50;      // Inline candidates accepted by POST /match/explain
+
 // ---------- ACCOMMODATION TYPE SIGNALS ----------
 // Soft signals (boost/penalty), never hard mismatch.
 // "hotel" group is weak since names often omit "hotel" and we don't want omission to hurt.
@@ -217,5 +580,38 @@ export const TYPE_MISMATCH_PENALTY_STRONG = 0.18;   // apartment vs hostel, etc.
 export const TYPE_MISMATCH_PENALTY_WEAK = 0.10;     // hotel-like vs apartment-like
 export const TYPE_EFFECT_CAP = 0.20;                // Cap absolute impact
 
+// ---------- TRANSLITERATION ----------
+// CJK accommodation words, replaced before romanization (Han has no word breaks; kana and
+// Hangul runs would otherwise glue "hotel" onto the name). Longest first where one contains another.
+export const TRANSLIT_CJK_WORDS = [
+    ["ゲストハウス", "guesthouse"],
+    ["ホステル", "hostel"],
+    ["ホテル", "hotel"],
+    ["リゾート", "resort"],
+    ["青年旅舍", "hostel"],
+    ["度假村", "resort"],
+    ["酒店", "hotel"],
+    ["饭店", "hotel"],
+    ["飯店", "hotel"],
+    ["宾馆", "hotel"],
+    ["賓館", "hotel"],
+    ["旅馆", "hotel"],
+    ["旅館", "ryokan"],
+    ["公寓", "apartments"],
+    ["게스트하우스", "guesthouse"],
+    ["호텔", "hotel"],
+    ["리조트", "resort"],
+];
+
+// Romanized words mapped to their English form so stop words / type signals still apply
+export const TRANSLIT_WORD_ALIASES = {
+    otel: "hotel",            // Отель (ru), otel (tr)
+    gotel: "hotel",           // Готель (uk)
+    gostinitsa: "hotel",      // Гостиница (ru)
+    khostel: "hostel",        // Хостел (ru)
+    xenodocheio: "hotel",     // Ξενοδοχείο (el)
+    fndq: "hotel",            // فندق (ar, unvocalized)
+};
+
 // ---------- ROOM LIMIT ----------
 export const MAX_ROOMS_PER_OFFER = 8;
@@ -5,6 +5,8 @@
  * @module lib/cors
  */
 
+import { jsonResponse } from './http.js';
+
 /**
  * Normalize an origin string.
  * @param {string} origin - Origin to normalize
@@ -70,9 +72,9 @@ export function buildCompareCors(request, env) {
 
     /** @type {Record<string, string>} */
     const base = {
-        "Access-Control-Allow-Methods": "GET, HEAD, POST, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type, Authorization",
-        "Access-Control-Expose-Headers": "Retry-After",
+        "Access-Control-Allow-Methods": "GET, HEAD, POST, DELETE, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Signature, X-Signature-Timestamp, X-Signature-Nonce, X-Request-Id, X-Client-Secret",
+        "Access-Control-Expose-Headers": "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Request-Id",
         "Vary": "Origin",
     };
 
@@ -107,6 +109,35 @@ export function buildCompareCors(request, env) {
     };
 }
 
+/**
+ * Rejection for a locked route, with the same bodies /compare sends:
+ * 500 + configuration hint when no allowlist is set, 403 naming the origin when it isn't on it.
+ * @param {Object} compareCors - Result of buildCompareCors()
+ * @param {string} routePath - Route named in the 403 reason (e.g. "/history")
+ * @returns {Response|null} Null when the request may proceed
+ */
+export function compareCorsRejection(compareCors, routePath) {
+    const corsHeaders = compareCors?.corsHeaders || {};
+    if (!compareCors?.configured) {
+        return jsonResponse(
+            {
+                error: "Compare CORS not configured",
+                hint: "Set CHROME_EXTENSION_ID or COMPARE_ALLOWED_ORIGINS in your Worker environment variables.",
+            },
+            500,
+            corsHeaders
+        );
+    }
+    if (!compareCors.allowed) {
+        return jsonResponse(
+            { error: "Forbidden", reason: `Origin not allowed for ${routePath}`, origin: compareCors.origin || null },
+            403,
+            corsHeaders
+        );
+    }
+    return null;
+}
+
 /**
  * Build public CORS headers (for contact lookup route).
  * @returns {Object}
@@ -115,6 +146,7 @@ export function buildPublicCors() {
     return {
         "Access-Control-Allow-Origin": "*",
         "Access-Control-Allow-Methods": "GET, HEAD, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type",
+        "Access-Control-Allow-Headers": "Content-Type, X-Request-Id",
+        "Access-Control-Expose-Headers": "X-Request-Id",
     };
 }
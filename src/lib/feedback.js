@@ -0,0 +1,244 @@
+/**
+ * User match feedback ("wrong hotel" / "this one").
+ * Votes are aggregated per query identity in KV `feedback:{gl}:{normalizeKey(hotelName)}`:
+ *   { identity, firstAt, lastAt, total, tokens: { [property_token]: { name, negative, positive,
+ *     keyedNegative, keyedPositive, negVoters, posVoters, lastAt } }, actions }
+ *
+ * Each client (hashed API key ID, else hashed IP) counts once per token and verdict. Every vote is
+ * recorded for /admin/feedback, but only votes sent with an API key count toward the cache effects
+ * (an IP is too cheap to rotate): once a served token collects FEEDBACK_NEGATIVE_THRESHOLD keyed
+ * negative votes, the tok: entries pointing at it are deleted; once a token collects
+ * FEEDBACK_POSITIVE_THRESHOLD keyed positive votes (and more positive than negative), it is written
+ * into the tok: entries with a confidence boost.
+ *
+ * A token is only ever voted up when the server already knows it as a candidate for the hotel
+ * (findFeedbackCandidate); the promoted entry's name and link come from that stored candidate,
+ * never from the request body.
+ *
+ * The aggregate uses the same non-atomic get-then-put as the API key usage counters.
+ *
+ * @module lib/feedback
+ */
+
+import {
+    TOKEN_TTL_SEC,
+    TOKEN_TTL_NO_DOMAIN_SEC,
+    FEEDBACK_NEGATIVE_THRESHOLD,
+    FEEDBACK_POSITIVE_THRESHOLD,
+    FEEDBACK_CONFIDENCE_BOOST,
+    FEEDBACK_MAX_VOTERS,
+    FEEDBACK_TTL_SEC,
+} from './constants.js';
+import { kvGetJson, kvPutJson, kvListKeys } from './kvCache.js';
+import { normalizeKey, getHostNoWww } from './normalize.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+const MAX_ACTIONS = 20;
+
+/**
+ * Build KV key for a feedback aggregate.
+ * @param {string} gl - Country code
+ * @param {string} hotelName - Query hotel name
+ * @returns {string}
+ */
+export function feedbackKey(gl, hotelName) {
+    return `feedback:${gl}:${normalizeKey(hotelName)}`;
+}
+
+/**
+ * Add one vote to an aggregate (pure). A voter already counted for this token + verdict is ignored.
+ * @param {Object|null} record - Stored aggregate
+ * @param {Object} vote
+ * @param {Object} vote.identity - { hotelName, officialDomain, bookingSlug, gl }
+ * @param {string} vote.propertyToken - Token voted on
+ * @param {string|null} vote.name - Property name, when known
+ * @param {"positive"|"negative"} vote.verdict - Vote direction
+ * @param {string} vote.voter - Hashed client identity
+ * @param {boolean} [vote.keyed] - Voter authenticated with an API key (counts toward cache effects)
+ * @param {number} [vote.now] - Epoch ms
+ * @returns {{ record: Object, counted: boolean, entry: Object }}
+ */
+export function applyFeedbackVote(record, { identity, propertyToken, name, verdict, voter, keyed = false, now = Date.now() }) {
+    const at = new Date(now).toISOString();
+    const out = {
+        identity,
+        firstAt: record?.firstAt || at,
+        lastAt: at,
+        total: record?.total || 0,
+        tokens: { ...(record?.tokens || {}) },
+        actions: record?.actions || [],
+    };
+
+    const prev = {
+        name: null, negative: 0, positive: 0, keyedNegative: 0, keyedPositive: 0, negVoters: [], posVoters: [], lastAt: null,
+        ...out.tokens[propertyToken],
+    };
+    const votersField = verdict === "negative" ? "negVoters" : "posVoters";
+    const keyedField = verdict === "negative" ? "keyedNegative" : "keyedPositive";
+    const counted = !prev[votersField].includes(voter);
+
+    const entry = { ...prev, name: name || prev.name, lastAt: at };
+    if (counted) {
+        entry[verdict] += 1;
+        if (keyed) entry[keyedField] += 1;
+        entry[votersField] = [...prev[votersField], voter].slice(-FEEDBACK_MAX_VOTERS);
+        out.total += 1;
+    }
+    out.tokens[propertyToken] = entry;
+    return { record: out, counted, entry };
+}
+
+/**
+ * Append an action to the aggregate's audit trail (keeps the last MAX_ACTIONS).
+ * @param {Object} record - Aggregate
+ * @param {Object} action - { type, property_token, keys }
+ */
+function logAction(record, action) {
+    record.actions = [...record.actions, { ...action, at: new Date().toISOString() }].slice(-MAX_ACTIONS);
+}
+
+/**
+ * Delete the tok: entries that currently point at a token.
+ * @param {Object} env - Environment bindings
+ * @param {string[]} tokenKeys - Candidate tok: keys for the identity
+ * @param {string} propertyToken - Token to drop
+ * @returns {Promise<string[]>} Deleted keys
+ */
+async function invalidateTokenEntries(env, tokenKeys, propertyToken) {
+    const stored = await Promise.all(tokenKeys.map(k => kvGetJson(env.CACHE_KV, k)));
+    const stale = tokenKeys.filter((k, i) => stored[i]?.property_token === propertyToken);
+    await Promise.all(stale.map(k => env.CACHE_KV.delete(k)));
+    return stale;
+}
+
+/**
+ * Stored candidate record for a token: a tok: entry of the identity, else a property of the
+ * search context the client was shown (ctx:{ctxId}). Both were written from SearchApi results.
+ * @param {Object} env - Environment bindings
+ * @param {Object} tokenKeys - buildTokenKeys() result for the identity
+ * @param {string} propertyToken - Token to look up
+ * @param {string|null} ctxId - Search context ID sent with the feedback
+ * @returns {Promise<Object|null>} { property_token, property_name, city, country, link, source }
+ */
+export async function findFeedbackCandidate(env, tokenKeys, propertyToken, ctxId) {
+    const keys = [tokenKeys.booking, tokenKeys.domain, tokenKeys.name].filter(Boolean);
+    for (const k of keys) {
+        const t = await kvGetJson(env.CACHE_KV, k);
+        if (t?.property_token === propertyToken && t.property_name) {
+            return { property_token: propertyToken, property_name: t.property_name, city: t.city || null, country: t.country || null, link: t.link || null, source: "token" };
+        }
+    }
+
+    if (ctxId) {
+        const ctxData = await kvGetJson(env.CACHE_KV, `ctx:${ctxId}`);
+        const p = Array.isArray(ctxData?.properties) ? ctxData.properties.find(x => x?.property_token === propertyToken) : null;
+        if (p?.name) {
+            return { property_token: propertyToken, property_name: p.name, city: p.city || null, country: p.country || null, link: p.link || null, source: "ctx" };
+        }
+    }
+    return null;
+}
+
+/**
+ * Write a user-confirmed token into the tok: entries, with a confidence boost.
+ * @param {Object} env - Environment bindings
+ * @param {Object} keys - { name, domain, booking } tok: keys (null when absent)
+ * @param {Object} candidate - findFeedbackCandidate() result
+ * @param {string|null} officialDomain - Query official domain
+ * @returns {Promise<string[]>} Written keys
+ */
+async function promoteTokenEntries(env, keys, candidate, officialDomain) {
+    const tokenObj = {
+        property_token: candidate.property_token,
+        property_name: candidate.property_name,
+        city: candidate.city || null,
+        country: candidate.country || null,
+        link: candidate.link || null,
+        linkHost: getHostNoWww(candidate.link || ""),
+        officialDomain: officialDomain || null,
+        feedbackBoost: FEEDBACK_CONFIDENCE_BOOST,
+        feedbackPromotedAt: new Date().toISOString(),
+    };
+    const writes = [
+        [keys.name, TOKEN_TTL_SEC],
+        [keys.domain, TOKEN_TTL_SEC],
+        [keys.booking, TOKEN_TTL_NO_DOMAIN_SEC],
+    ].filter(([k]) => k);
+    await Promise.all(writes.map(([k, ttl]) => kvPutJson(env.CACHE_KV, k, tokenObj, ttl)));
+    return writes.map(([k]) => k);
+}
+
+/**
+ * Record match feedback and apply the cache effects once thresholds are reached.
+ * @param {Object} params
+ * @param {Object} params.env - Environment bindings
+ * @param {Object} params.identity - { hotelName, officialDomain, bookingSlug, gl }
+ * @param {Object} params.tokenKeys - buildTokenKeys() result for the identity
+ * @param {string} params.voter - Hashed client identity
+ * @param {boolean} [params.keyed] - Voter authenticated with an API key
+ * @param {Object|null} params.negative - { property_token, property_name } reported wrong
+ * @param {Object|null} params.positive - findFeedbackCandidate() result confirmed
+ * @returns {Promise<Object>} { counted, negative, positive, invalidated, promoted }
+ */
+export async function recordMatchFeedback({ env, identity, tokenKeys, voter, keyed = false, negative, positive }) {
+    const key = feedbackKey(identity.gl, identity.hotelName);
+    let record = await kvGetJson(env.CACHE_KV, key);
+    const result = { counted: false, negative: null, positive: null, invalidated: [], promoted: [] };
+    const allKeys = [tokenKeys.booking, tokenKeys.domain, tokenKeys.name].filter(Boolean);
+
+    if (negative) {
+        const v = applyFeedbackVote(record, { identity, propertyToken: negative.property_token, name: negative.property_name, verdict: "negative", voter, keyed });
+        record = v.record;
+        result.counted = result.counted || v.counted;
+        result.negative = { property_token: negative.property_token, negative: v.entry.negative, positive: v.entry.positive, keyedNegative: v.entry.keyedNegative };
+
+        if (keyed && v.entry.keyedNegative >= FEEDBACK_NEGATIVE_THRESHOLD && v.entry.keyedNegative > v.entry.keyedPositive) {
+            result.invalidated = await invalidateTokenEntries(env, allKeys, negative.property_token);
+            if (v.counted && result.invalidated.length) {
+                logAction(record, { type: "invalidated", property_token: negative.property_token, keys: result.invalidated });
+            }
+        }
+    }
+
+    if (positive) {
+        const v = applyFeedbackVote(record, { identity, propertyToken: positive.property_token, name: positive.property_name, verdict: "positive", voter, keyed });
+        record = v.record;
+        result.counted = result.counted || v.counted;
+        result.positive = { property_token: positive.property_token, negative: v.entry.negative, positive: v.entry.positive, keyedPositive: v.entry.keyedPositive };
+
+        if (keyed && v.counted && v.entry.keyedPositive >= FEEDBACK_POSITIVE_THRESHOLD && v.entry.keyedPositive > v.entry.keyedNegative) {
+            result.promoted = await promoteTokenEntries(env, tokenKeys, positive, identity.officialDomain);
+            logAction(record, { type: "promoted", property_token: positive.property_token, keys: result.promoted });
+        }
+    }
+
+    if (result.counted) await kvPutJson(env.CACHE_KV, key, record, FEEDBACK_TTL_SEC);
+    return result;
+}
+
+/**
+ * Feedback aggregates for review, most disputed first.
+ * Voter hashes are dropped from the output.
+ * @param {KVNamespace} kv - KV namespace binding
+ * @param {number} max - Stop after this many aggregates
+ * @returns {Promise<{ feedback: Object[], truncated: boolean }>}
+ */
+export async function listMatchFeedback(kv, max) {
+    const { keys, truncated } = await kvListKeys(kv, "feedback:", max);
+    const records = (await mapWithConcurrency(keys, 8, k => kvGetJson(kv, k))).filter(Boolean);
+
+    const feedback = records.map(r => {
+        const tokens = Object.fromEntries(Object.entries(r.tokens || {}).map(([t, e]) => [t, {
+            name: e.name,
+            negative: e.negative,
+            positive: e.positive,
+            keyedNegative: e.keyedNegative || 0,
+            keyedPositive: e.keyedPositive || 0,
+            lastAt: e.lastAt,
+        }]));
+        const maxNegative = Math.max(0, ...Object.values(tokens).map(e => e.negative));
+        return { ...r, tokens, maxNegative };
+    });
+    feedback.sort((a, b) => b.maxNegative - a.maxNegative || String(b.lastAt).localeCompare(String(a.lastAt)));
+    return { feedback, truncated };
+}
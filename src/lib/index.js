@@ -11,27 +11,80 @@ export * from './constants.js';
 // HTTP utilities
 export { jsonResponse, fetchWithTimeout, fetchWithTimeoutSimple, safeJson, isHtmlResponse, domainMatchesList } from './http.js';
 
+// Server-Sent Events
+export { wantsEventStream, createEventStream } from './sse.js';
+
+// Concurrency
+export { mapWithConcurrency } from './concurrency.js';
+
 // KV cache
-export { kvGetJson, kvPutJson } from './kvCache.js';
+export { kvGetJson, kvPutJson, kvListKeys } from './kvCache.js';
 
 // CORS
-export { normalizeOrigin, parseAllowedOriginsCsv, getCompareAllowedOrigins, buildCompareCors, buildPublicCors } from './cors.js';
+export { normalizeOrigin, parseAllowedOriginsCsv, getCompareAllowedOrigins, buildCompareCors, compareCorsRejection, buildPublicCors } from './cors.js';
 
 // Rate limiting
-export { getClientIp, rateLimitCompare, rateLimitPrefetch } from './rateLimit.js';
+export { getClientIp, getClientIdentity, rateLimitHeaders, rateLimitedResponse, takeRateLimit, getCompareRateLimitState, chargeCompareRateLimit, rateLimitCompare, rateLimitPrefetch, rateLimitRegister, rateLimitFeedback, rateLimitExplain, rateLimitWatches, rateLimitHealth, rateLimitConfig } from './rateLimit.js';
+export { refillBucket, takeFromBucket, RateLimiter } from './rateLimitDO.js';
+
+// SearchApi budget + circuit breaker
+export { budgetConfig, budgetPeriod, readBudgetUsage, getBudgetState, isBudgetExhausted, budgetRejectResponse, recordSearchApiSpend } from './budget.js';
+export { addCalls, BudgetCounter } from './budgetDO.js';
+export { BREAKER_SCOPE, isBreakerFailure, breakerAllows, recordBreakerResult, breakerSnapshot, resetBreakers } from './circuitBreaker.js';
 
 // Normalization
-export { isIsoDate, normalizeCurrencyParam, nightsBetweenIso, normalizeHl, normalizeTravelHl, normalizeKey, parseMoneyToNumber, getHostNoWww } from './normalize.js';
+export { isIsoDate, normalizeCurrencyParam, normalizeGl, nightsBetweenIso, todayIso, addDaysIso, parseOccupancy, parseGeo, occupancyKeySuffix, normalizeHl, normalizeTravelHl, normalizeKey, legacyNormalizeKey, parseMoneyToNumber, getHostNoWww } from './normalize.js';
 
 // Matching
-export { tokenizeName, normalizeForIncludes, extractStrictBrands, extractKeyTokens, stripTrailingLocationSuffix, hasAnyOverlap, scoreNameMatchDetailed, scoreNameMatch, domainsEquivalent, computeDomainBoost, computeConfidence, validateCachedToken, pickBestProperty } from './matching.js';
+export { transliterate } from './transliterate.js';
+export { tokenizeName, normalizeForIncludes, extractStrictBrands, compileBrandTaxonomy, DEFAULT_BRAND_TAXONOMY, extractBrandPaths, compareBrandPaths, extractKeyTokens, stripTrailingLocationSuffix, hasAnyOverlap, scoreNameMatchDetailed, scoreNameMatch, domainsEquivalent, computeDomainBoost, haversineKm, geoMatch, computeConfidence, validateCachedToken, pickBestProperty } from './matching.js';
+
+// Brand taxonomy (KV extension)
+export { parseBrandTaxonomy, mergeBrandTaxonomy, loadBrandTaxonomy } from './brands.js';
+
+// Matcher evaluation (offline, labeled fixtures)
+export { EVAL_RULES, parseEvalFixture, runMatchEval, diffEvalReports } from './matchEval.js';
 
 // SearchApi
-export { searchApiErrorText, isHlParamError, searchApiCall } from './searchApi.js';
+export { searchApiErrorText, isHlParamError, occupancyParams, searchApiCall, normalizeSearchApiProperty, searchApiProvider } from './searchApi.js';
+
+// SerpApi
+export { serpApiCall, serpApiProvider } from './serpApi.js';
+
+// Hotel data providers
+export { providerOrder, hasHotelProvider, isFailoverError, searchProperties, getPropertyOffers } from './providers.js';
 
 // Offers
 export { extractBadges, extractBadgesFromUrl, simplifyRoom, simplifyRooms, simplifyOffer, normalizeOtaKey, buildOtaAliasesFromHost, findOfferForHost, computeCtxId } from './offers.js';
 
+// Price history
+export { historyKey, buildPriceSnapshot, appendPriceSnapshot, recordPriceSnapshot, computeHistoryStats } from './priceHistory.js';
+
+// Currency rates
+export { loadRates, parseRatesResponse, refreshRates, getRate, convertAmount, detectPriceCurrency, applyDisplayCurrency } from './rates.js';
+export { FALLBACK_RATES } from './ratesFallback.js';
+
+// Tax normalization
+export { observedTaxRatio, resolveTaxRatio, normalizeOfferTaxes, sortOffersByNormalizedTotal, sortPayloadByNormalizedTotal } from './taxes.js';
+
+// Price watches
+export { watchKey, watchClientKey, watchOwnerKey, watchOwner, getOwnerWatches, putOwnerWatches, verifyWatchClient, registerWatchClient, isValidClientId, watchExpiration, isWatchExpired, putWatch, getWatch, deleteWatch, listWatchKeys, listWatchKeyPage, evaluateWatchPrice } from './watches.js';
+
+// API keys
+export { apiKeyRecordKey, apiKeyUsageKey, apiKeyIssuerUsageKey, apiKeyIssuer, randomHex, sha256Hex, timingSafeEqual, parseApiKey, readBearerToken, createApiKey, revokeApiKey, publicApiKey, authenticateApiKey, getApiKeyUsage, apiKeyQuotaResponse, recordApiKeyUsage, isAdminRequest } from './apiKeys.js';
+
+// Match overrides
+export { overrideKey, parseOverrideTarget, buildOverrideRecord, putOverride, listOverrides, overrideKeysFor, findOverrides } from './overrides.js';
+
+// Match feedback
+export { feedbackKey, applyFeedbackVote, findFeedbackCandidate, recordMatchFeedback, listMatchFeedback } from './feedback.js';
+
+// Request logging
+export { requestIdFor, createRequestLog } from './requestLog.js';
+
+// Request signing
+export { canonicalQuery, canonicalRequestString, hmacSha256Hex, signRequestHeaders, verifyRequestSignature } from './signing.js';
+
 // Fallback search
 export { cleanSearchResultUrl, dedupeUrls, getBraveApiKey, getGoogleCseKey, getGoogleCseCx, braveSearchUrlsDetailed, googleCseUrlsDetailed, preferredFallbackProvider, fallbackSearchUrls } from './fallbackSearch.js';
 
@@ -30,3 +30,24 @@ export async function kvGetJson(kv, key) {
 export async function kvPutJson(kv, key, obj, ttlSec) {
     await kv.put(key, JSON.stringify(obj), { expirationTtl: ttlSec });
 }
+
+/**
+ * List key names under a prefix, following KV cursors.
+ * @param {KVNamespace} kv - KV namespace binding
+ * @param {string} prefix - Key prefix
+ * @param {number} max - Stop after this many keys
+ * @returns {Promise<{ keys: string[], truncated: boolean }>}
+ */
+export async function kvListKeys(kv, prefix, max) {
+    const keys = [];
+    let cursor;
+    do {
+        const page = await kv.list({ prefix, cursor });
+        for (const k of page.keys) {
+            if (keys.length >= max) return { keys, truncated: true };
+            keys.push(k.name);
+        }
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return { keys, truncated: false };
+}
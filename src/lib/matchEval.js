@@ -0,0 +1,274 @@
+/**
+ * Offline matcher evaluation.
+ * Runs pickBestProperty over labeled fixtures the way /compare does and reports precision,
+ * recall and false-accept rate at the /compare confidence thresholds, plus how much each
+ * scoring rule separates the expected candidate from the best wrong one.
+ *
+ * Fixture format (JSON):
+ *   { name, cases: [{ id, query: { hotelName, officialUrl | officialDomain, bookingUrl, lat, lng },
+ *                     properties: [google_hotels properties, raw],
+ *                     expected: property_token | null (no match), note? }] }
+ *
+ * Outcomes per threshold: a case is "accepted" when a property is picked with confidence >= t.
+ *   tp: accepted, expected token          fp: accepted, wrong token or expected no match
+ *   fn: not accepted, a token expected    tn: not accepted, no match expected
+ * precision = tp / (tp + fp), recall = tp / cases with a token, falseAcceptRate = fp / cases.
+ *
+ * @module lib/matchEval
+ */
+
+import { MATCH_EVAL_THRESHOLDS, GEO_MATCH_RADIUS_KM } from './constants.js';
+import { pickBestProperty } from './matching.js';
+import { normalizeSearchApiProperty } from './searchApi.js';
+import { getHostNoWww, parseBookingHotelSlug } from './normalize.js';
+
+// Score components read from pickBestProperty candidates (values before clamping)
+export const EVAL_RULES = [
+    "coverage", "containsBoost", "keyGroupBoost", "brandBoost", "typeBoost",
+    "typePenalty", "geoEffect", "altLift", "domainBoost",
+];
+
+/**
+ * Round for report output.
+ * @param {number|null} n - Value
+ * @returns {number|null}
+ */
+function round4(n) {
+    return n == null || !Number.isFinite(n) ? null : Math.round(n * 10000) / 10000;
+}
+
+/**
+ * Validate a fixture file.
+ * @param {Object} data - Parsed JSON
+ * @returns {{ name: string, cases: Object[] }|{ error: string }}
+ */
+export function parseEvalFixture(data) {
+    if (!Array.isArray(data?.cases)) return { error: "cases must be an array" };
+
+    const ids = new Set();
+    for (const [i, c] of data.cases.entries()) {
+        const where = `cases[${i}]`;
+        if (!c?.id || typeof c.id !== "string") return { error: `${where}.id is required` };
+        if (ids.has(c.id)) return { error: `${where}.id "${c.id}" is duplicated` };
+        ids.add(c.id);
+        if (!c.query?.hotelName) return { error: `${where}.query.hotelName is required` };
+        if (!Array.isArray(c.properties)) return { error: `${where}.properties must be an array` };
+        if (c.expected !== null && typeof c.expected !== "string") {
+            return { error: `${where}.expected must be a property_token or null (no match)` };
+        }
+    }
+    return { name: String(data.name || "fixture"), cases: data.cases };
+}
+
+/**
+ * Score components of one pickBestProperty candidate.
+ * @param {Object} cand - allCandidates entry (not skipped)
+ * @returns {Object} rule -> contribution
+ */
+function ruleContributions(cand) {
+    const d = cand.details || {};
+    return {
+        coverage: d.coverage || 0,
+        containsBoost: d.containsBoost || 0,
+        keyGroupBoost: d.keyGroupBoost || 0,
+        brandBoost: d.brandBoost || 0,
+        typeBoost: d.typeBoost || 0,
+        typePenalty: -(d.typePenalty || 0),
+        geoEffect: d.geoEffect || 0,
+        altLift: cand.altUsed ? cand.altBaseScore - cand.mainBaseScore : 0,
+        domainBoost: cand.domainBoost || 0,
+    };
+}
+
+/**
+ * Outcome of a case at one threshold.
+ * @param {string|null} expected - Expected token
+ * @param {string|null} predicted - Picked token
+ * @param {number} confidence - Pick confidence
+ * @param {number} threshold - Acceptance threshold
+ * @returns {"tp"|"fp"|"fn"|"tn"}
+ */
+function outcomeAt(expected, predicted, confidence, threshold) {
+    const accepted = Boolean(predicted) && confidence >= threshold;
+    if (expected) return accepted ? (predicted === expected ? "tp" : "fp") : "fn";
+    return accepted ? "fp" : "tn";
+}
+
+/**
+ * Run one case through pickBestProperty with the same inputs /compare derives.
+ * @param {Object} c - Fixture case
+ * @param {Object} opts - { thresholds, brandTaxonomy, geoRadiusKm }
+ * @returns {{ result: Object, expectedCand: Object|null, impostor: Object|null, skipped: Object[] }}
+ */
+function evalCase(c, opts) {
+    const q = c.query;
+    const officialDomain = getHostNoWww(q.officialDomain || q.officialUrl || "") || null;
+    const bookingSlug = q.bookingUrl ? (parseBookingHotelSlug(q.bookingUrl)?.slug || "") : "";
+    const lat = Number(q.lat);
+    const lng = Number(q.lng ?? q.lon);
+    const geo = q.lat != null && Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+
+    const properties = c.properties.map(normalizeSearchApiProperty);
+    const picked = pickBestProperty(properties, q.hotelName, officialDomain, {
+        altQuery: bookingSlug ? bookingSlug.replace(/-/g, " ") : "",
+        geo,
+        geoRadiusKm: opts.geoRadiusKm,
+        brandTaxonomy: opts.brandTaxonomy,
+    });
+
+    const candidates = (picked?.allCandidates || []).map((cand, i) => ({ ...cand, property_token: properties[i].property_token }));
+    const predicted = picked?.best?.property_token || null;
+    const confidence = picked?.confidence || 0;
+
+    const expectedCand = c.expected ? candidates.find(cand => cand.property_token === c.expected) || null : null;
+    const ranked = candidates.filter(cand => !cand.skipped).sort((a, b) => b.finalScore - a.finalScore);
+    const impostor = ranked.find(cand => cand.property_token !== c.expected) || null;
+
+    const result = {
+        id: c.id,
+        expected: c.expected,
+        predicted,
+        predictedName: picked?.best?.name || null,
+        confidence: round4(confidence),
+        expectedRank: expectedCand && !expectedCand.skipped ? ranked.indexOf(expectedCand) + 1 : null,
+        expectedRejected: expectedCand?.skipped ? expectedCand.reason : null,
+        outcomes: Object.fromEntries(opts.thresholds.map(t => [String(t), outcomeAt(c.expected, predicted, confidence, t)])),
+    };
+    return {
+        result,
+        expectedCand: expectedCand && !expectedCand.skipped ? expectedCand : null,
+        impostor,
+        skipped: candidates.filter(cand => cand.skipped),
+    };
+}
+
+/**
+ * Evaluate fixtures.
+ * @param {Object[]} fixtures - parseEvalFixture() results
+ * @param {Object} [opts]
+ * @param {number[]} [opts.thresholds] - Confidence thresholds (default MATCH_EVAL_THRESHOLDS)
+ * @param {Object} [opts.brandTaxonomy] - compileBrandTaxonomy() result (default: built-in)
+ * @param {number} [opts.geoRadiusKm] - Geo hard-mismatch radius
+ * @returns {Object} Report: { cases, positives, thresholds, rules, rejects, results }
+ */
+export function runMatchEval(fixtures, opts = {}) {
+    const runOpts = {
+        thresholds: opts.thresholds || MATCH_EVAL_THRESHOLDS,
+        brandTaxonomy: opts.brandTaxonomy,
+        geoRadiusKm: opts.geoRadiusKm ?? GEO_MATCH_RADIUS_KM,
+    };
+
+    const results = [];
+    const sums = Object.fromEntries(EVAL_RULES.map(r => [r, { expected: 0, impostor: 0 }]));
+    let expectedN = 0;
+    let impostorN = 0;
+    const rejects = {};
+
+    for (const fixture of fixtures) {
+        for (const c of fixture.cases) {
+            const { result, expectedCand, impostor, skipped } = evalCase(c, runOpts);
+            results.push({ fixture: fixture.name, ...result });
+
+            if (expectedCand) {
+                expectedN++;
+                const contrib = ruleContributions(expectedCand);
+                for (const r of EVAL_RULES) sums[r].expected += contrib[r];
+            }
+            if (impostor) {
+                impostorN++;
+                const contrib = ruleContributions(impostor);
+                for (const r of EVAL_RULES) sums[r].impostor += contrib[r];
+            }
+            for (const cand of skipped) {
+                const entry = rejects[cand.reason] ||= { expected: 0, others: 0 };
+                if (cand.property_token === c.expected) entry.expected++;
+                else entry.others++;
+            }
+        }
+    }
+
+    const positives = results.filter(r => r.expected).length;
+    const thresholds = {};
+    for (const t of runOpts.thresholds) {
+        const counts = { tp: 0, fp: 0, fn: 0, tn: 0 };
+        for (const r of results) counts[r.outcomes[String(t)]]++;
+        thresholds[String(t)] = {
+            ...counts,
+            precision: counts.tp + counts.fp ? round4(counts.tp / (counts.tp + counts.fp)) : null,
+            recall: positives ? round4(counts.tp / positives) : null,
+            falseAcceptRate: results.length ? round4(counts.fp / results.length) : null,
+        };
+    }
+
+    // Mean contribution on the expected candidate vs the best-scoring wrong one; margin = separation
+    const rules = Object.fromEntries(EVAL_RULES.map(r => {
+        const expectedMean = expectedN ? sums[r].expected / expectedN : null;
+        const impostorMean = impostorN ? sums[r].impostor / impostorN : null;
+        return [r, {
+            expectedMean: round4(expectedMean),
+            impostorMean: round4(impostorMean),
+            margin: expectedMean != null && impostorMean != null ? round4(expectedMean - impostorMean) : null,
+        }];
+    }));
+
+    return { cases: results.length, positives, thresholds, rules, rejects, results };
+}
+
+/**
+ * Difference between two reports (after - before).
+ * @param {Object} before - runMatchEval() report (e.g. a saved baseline)
+ * @param {Object} after - runMatchEval() report
+ * @returns {{ thresholds: Object, rules: Object, rejects: Object, changed: Object[] }}
+ */
+export function diffEvalReports(before, after) {
+    const delta = (a, b) => (a == null || b == null ? null : round4(b - a));
+
+    const thresholds = {};
+    for (const [t, m] of Object.entries(after.thresholds)) {
+        const prev = before.thresholds?.[t] || {};
+        thresholds[t] = {
+            precision: delta(prev.precision, m.precision),
+            recall: delta(prev.recall, m.recall),
+            falseAcceptRate: delta(prev.falseAcceptRate, m.falseAcceptRate),
+        };
+    }
+
+    const rules = {};
+    for (const [r, m] of Object.entries(after.rules)) {
+        const prev = before.rules?.[r] || {};
+        rules[r] = {
+            expectedMean: delta(prev.expectedMean, m.expectedMean),
+            impostorMean: delta(prev.impostorMean, m.impostorMean),
+            margin: delta(prev.margin, m.margin),
+        };
+    }
+
+    const rejects = {};
+    for (const reason of new Set([...Object.keys(before.rejects || {}), ...Object.keys(after.rejects || {})])) {
+        const a = before.rejects?.[reason] || { expected: 0, others: 0 };
+        const b = after.rejects?.[reason] || { expected: 0, others: 0 };
+        rejects[reason] = { expected: b.expected - a.expected, others: b.others - a.others };
+    }
+
+    // Cases whose pick or outcome moved
+    const prevById = new Map((before.results || []).map(r => [`${r.fixture}/${r.id}`, r]));
+    const changed = [];
+    for (const r of after.results) {
+        const prev = prevById.get(`${r.fixture}/${r.id}`);
+        if (!prev) continue;
+        const outcomes = Object.fromEntries(Object.entries(r.outcomes)
+            .filter(([t, o]) => prev.outcomes?.[t] !== o)
+            .map(([t, o]) => [t, `${prev.outcomes?.[t] ?? "-"} -> ${o}`]));
+        if (prev.predicted !== r.predicted || Object.keys(outcomes).length) {
+            changed.push({
+                fixture: r.fixture,
+                id: r.id,
+                predicted: prev.predicted === r.predicted ? r.predicted : `${prev.predicted} -> ${r.predicted}`,
+                confidence: delta(prev.confidence, r.confidence),
+                outcomes,
+            });
+        }
+    }
+
+    return { thresholds, rules, rejects, changed };
+}
@@ -7,6 +7,8 @@
 
 import {
     STRICT_BRAND_RULES,
+    BRAND_TAXONOMY,
+    BRAND_SUB_MATCH_BOOST,
     KEY_GROUP_RULES,
     KEY_GROUP_BOOST_STRONG,
     KEY_GROUP_BOOST_WEAK,
@@ -18,8 +20,17 @@ import {
     TYPE_MISMATCH_PENALTY_STRONG,
     TYPE_MISMATCH_PENALTY_WEAK,
     TYPE_EFFECT_CAP,
+    FEEDBACK_CONFIDENCE_BOOST,
+    GEO_MATCH_RADIUS_KM,
+    GEO_NEAR_KM,
+    GEO_NEAR_BOOST,
+    GEO_CLOSE_KM,
+    GEO_CLOSE_BOOST,
+    GEO_FAR_KM,
+    GEO_FAR_PENALTY_MAX,
 } from './constants.js';
 import { getHostNoWww } from './normalize.js';
+import { transliterate } from './transliterate.js';
 
 // Stop words for name tokenization
 const NAME_STOP_WORDS = new Set([
@@ -39,19 +50,34 @@ export function stripDiacritics(s) {
         .replace(/[\u0300-\u036f]/g, "");
 }
 
+const HAN_TOKEN_RE = /^\p{Script=Han}{3,}$/u;
+
+/**
+ * Split Han runs into overlapping bigrams ("王府井希尔顿" -> 王府, 府井, ...).
+ * Chinese/Japanese names have no word breaks, so a whole run would only ever match itself.
+ * @param {string[]} tokens - Tokens
+ * @returns {string[]}
+ */
+function expandHanTokens(tokens) {
+    return tokens.flatMap((t) => {
+        if (!HAN_TOKEN_RE.test(t)) return [t];
+        const chars = [...t];
+        return chars.slice(0, -1).map((c, i) => c + chars[i + 1]);
+    });
+}
+
 /**
  * Tokenize a hotel name for matching.
- * Unicode-aware: handles international characters (í, ó, ñ, ü, etc.)
+ * Unicode-aware: diacritics stripped, non-Latin scripts transliterated (see lib/transliterate).
  * @param {string} s - Name to tokenize
  * @returns {string[]}
  */
 export function tokenizeName(s) {
-    return stripDiacritics(s)
-        .toLowerCase()
+    return expandHanTokens(transliterate(s)
         .replace(/[^\p{L}\p{N}]+/gu, " ")
         .split(/\s+/)
         .map((t) => t.trim())
-        .filter(Boolean)
+        .filter(Boolean))
         .filter((t) => t.length > 1 && !NAME_STOP_WORDS.has(t));
 }
 
@@ -62,24 +88,22 @@ export function tokenizeName(s) {
  * @returns {string[]}
  */
 export function tokenizeRaw(s) {
-    return stripDiacritics(s)
-        .toLowerCase()
+    return expandHanTokens(transliterate(s)
         .replace(/[^\p{L}\p{N}]+/gu, " ")
         .split(/\s+/)
         .map((t) => t.trim())
-        .filter(Boolean)
+        .filter(Boolean))
         .filter((t) => t.length > 1);
 }
 
 /**
  * Normalize string for includes-based matching.
- * Unicode-aware: handles international characters.
+ * Unicode-aware: diacritics stripped, non-Latin scripts transliterated.
  * @param {string} s - String to normalize
  * @returns {string}
  */
 export function normalizeForIncludes(s) {
-    return stripDiacritics(s)
-        .toLowerCase()
+    return transliterate(s)
         .replace(/[^\p{L}\p{N}]+/gu, " ")
         .trim();
 }
@@ -135,6 +159,80 @@ export function extractStrictBrands(name) {
     return out;
 }
 
+// ---------- Brand taxonomy (parent -> brand -> sub-brand) ----------
+
+/**
+ * Compile a brand taxonomy into regex matchers.
+ * @param {Object[]} parents - BRAND_TAXONOMY-shaped list: { id, brands: [{ id, patterns, subBrands?: [{ id, patterns }] }] }
+ * @param {Object} [meta] - Extra fields kept on the result (source, updatedAt)
+ * @returns {{ parents: Object[], subMatchers: Object[], brandMatchers: Object[] }}
+ */
+export function compileBrandTaxonomy(parents, meta = {}) {
+    const subMatchers = [];
+    const brandMatchers = [];
+    for (const parent of parents) {
+        for (const brand of parent.brands || []) {
+            brandMatchers.push({ parent: parent.id, brand: brand.id, res: (brand.patterns || []).map(patternToRegex) });
+            for (const sub of brand.subBrands || []) {
+                subMatchers.push({ parent: parent.id, brand: brand.id, sub: sub.id, res: (sub.patterns || []).map(patternToRegex) });
+            }
+        }
+    }
+    return { ...meta, parents, subMatchers, brandMatchers };
+}
+
+// Built-in taxonomy, used when no KV extension is loaded (see lib/brands.js)
+export const DEFAULT_BRAND_TAXONOMY = compileBrandTaxonomy(BRAND_TAXONOMY, { source: "static", updatedAt: null });
+
+/**
+ * Extract brand paths from a name. A brand whose sub-brand matched is not also reported bare.
+ * @param {string} name - Hotel name
+ * @param {Object} [taxonomy] - compileBrandTaxonomy() result
+ * @returns {Array<{ parent: string, brand: string, sub: string|null }>} Sub-brand paths first
+ */
+export function extractBrandPaths(name, taxonomy = DEFAULT_BRAND_TAXONOMY) {
+    const n = normalizeForIncludes(name);
+    const paths = [];
+    const brandsWithSub = new Set();
+
+    for (const m of taxonomy.subMatchers) {
+        if (m.res.some(re => re.test(n))) {
+            paths.push({ parent: m.parent, brand: m.brand, sub: m.sub });
+            brandsWithSub.add(`${m.parent}/${m.brand}`);
+        }
+    }
+    for (const m of taxonomy.brandMatchers) {
+        if (brandsWithSub.has(`${m.parent}/${m.brand}`)) continue;
+        if (m.res.some(re => re.test(n))) paths.push({ parent: m.parent, brand: m.brand, sub: null });
+    }
+    return paths;
+}
+
+/**
+ * Compare sub-brands of two names.
+ * Mismatch: both sides name sub-brands of the same parent and share none.
+ * @param {Object[]} qPaths - extractBrandPaths() for the query
+ * @param {Object[]} cPaths - extractBrandPaths() for the candidate
+ * @returns {{ subBrandMatch: boolean, subBrandMismatch: boolean }}
+ */
+export function compareBrandPaths(qPaths, cPaths) {
+    const qSubs = qPaths.filter(p => p.sub);
+    const cSubs = cPaths.filter(p => p.sub);
+    const subBrandMatch = qSubs.some(q => cSubs.some(c => c.parent === q.parent && c.sub === q.sub));
+    const subBrandMismatch = !subBrandMatch && qSubs.some(q => cSubs.some(c => c.parent === q.parent));
+    return { subBrandMatch, subBrandMismatch };
+}
+
+/**
+ * Brand path as a list of ids ([parent, brand] or [parent, brand, sub]).
+ * @param {Object|undefined} path - extractBrandPaths() entry
+ * @returns {string[]|null}
+ */
+function brandPathIds(path) {
+    if (!path) return null;
+    return path.sub ? [path.parent, path.brand, path.sub] : [path.parent, path.brand];
+}
+
 // ---------- Synonym-aware key group matching ----------
 
 // Precompile key group matchers once at module load
@@ -325,20 +423,31 @@ export function hasAnyOverlap(setA, setB) {
  * @param {Object} [opts] - Options
  * @param {string} [opts.city] - Candidate city for core token extraction
  * @param {string} [opts.country] - Candidate country for core token extraction
+ * @param {Object} [opts.brandTaxonomy] - compileBrandTaxonomy() result (default: built-in)
  * @returns {Object}
  */
 export function scoreNameMatchDetailed(query, candidate, opts = {}) {
     const qNorm = normalizeForIncludes(query);
     const cNorm = normalizeForIncludes(candidate);
 
-    // Strict brand check
+    // Strict brand check (flat rules + taxonomy brands, so a bare sub-brand implies its brand)
+    const taxonomy = opts.brandTaxonomy || DEFAULT_BRAND_TAXONOMY;
+    const qPaths = extractBrandPaths(qNorm, taxonomy);
+    const cPaths = extractBrandPaths(cNorm, taxonomy);
     const qBrands = extractStrictBrands(qNorm);
     const cBrands = extractStrictBrands(cNorm);
+    for (const p of qPaths) qBrands.add(p.brand);
+    for (const p of cPaths) cBrands.add(p.brand);
     let brandMismatch = false;
     if (qBrands.size > 0) {
         brandMismatch = !hasAnyOverlap(qBrands, cBrands);
     }
 
+    // Sub-brands of the same parent: different ones are a hard mismatch, the same one earns a bump
+    const { subBrandMatch, subBrandMismatch } = compareBrandPaths(qPaths, cPaths);
+    if (subBrandMismatch) brandMismatch = true;
+    const brandBoost = subBrandMatch ? BRAND_SUB_MATCH_BOOST : 0;
+
     // Key group extraction (synonym-aware)
     const qKey = extractKeySignals(qNorm);
     const cKey = extractKeySignals(cNorm);
@@ -420,7 +529,7 @@ export function scoreNameMatchDetailed(query, candidate, opts = {}) {
     typeBoost = Math.min(TYPE_EFFECT_CAP, Math.max(0, typeBoost));
     typePenalty = Math.min(TYPE_EFFECT_CAP, Math.max(0, typePenalty));
 
-    let baseScore = coverage + containsBoost + keyGroupBoost + typeBoost - typePenalty;
+    let baseScore = coverage + containsBoost + keyGroupBoost + brandBoost + typeBoost - typePenalty;
     baseScore = Math.max(0, baseScore); // Don't go negative
 
     const hardMismatch = brandMismatch || keyConflict;
@@ -431,6 +540,11 @@ export function scoreNameMatchDetailed(query, candidate, opts = {}) {
         keyConflict,
         qBrands: [...qBrands],
         cBrands: [...cBrands],
+        qBrandPath: brandPathIds(qPaths[0]),
+        cBrandPath: brandPathIds(cPaths[0]),
+        subBrandMismatch,
+        subBrandMatch,
+        brandBoost,
         qKeyStrong: [...qKey.strong],
         qKeyWeak: [...qKey.weak],
         cKeyStrong: [...cKey.strong],
@@ -491,6 +605,44 @@ export function computeDomainBoost(domainMatch, baseScore) {
     return Math.min(0.7, 0.9 * baseScore);
 }
 
+/**
+ * Great-circle distance between two points.
+ * @param {{ lat: number, lng: number }} a - Point A
+ * @param {{ lat: number, lng: number }} b - Point B
+ * @returns {number} Kilometres
+ */
+export function haversineKm(a, b) {
+    const rad = (d) => d * Math.PI / 180;
+    const dLat = rad(b.lat - a.lat);
+    const dLng = rad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Distance signal between the query coordinates and a candidate's GPS.
+ * Boost when very close, penalty ramping from GEO_FAR_KM to the radius, hard mismatch beyond it.
+ * @param {{ lat: number, lng: number }|null} queryGeo - Query coordinates
+ * @param {{ lat: number, lng: number }|null} candidateGps - Candidate coordinates
+ * @param {number} [radiusKm] - Hard-mismatch radius
+ * @returns {{ distanceKm: number|null, effect: number, hardMismatch: boolean }}
+ */
+export function geoMatch(queryGeo, candidateGps, radiusKm = GEO_MATCH_RADIUS_KM) {
+    if (!queryGeo || !Number.isFinite(candidateGps?.lat) || !Number.isFinite(candidateGps?.lng)) {
+        return { distanceKm: null, effect: 0, hardMismatch: false };
+    }
+    const d = haversineKm(queryGeo, candidateGps);
+    const distanceKm = Math.round(d * 100) / 100;
+
+    if (d > radiusKm) return { distanceKm, effect: 0, hardMismatch: true };
+    if (d <= GEO_NEAR_KM) return { distanceKm, effect: GEO_NEAR_BOOST, hardMismatch: false };
+    if (d <= GEO_CLOSE_KM) return { distanceKm, effect: GEO_CLOSE_BOOST, hardMismatch: false };
+    if (d <= GEO_FAR_KM) return { distanceKm, effect: 0, hardMismatch: false };
+
+    const ramp = radiusKm > GEO_FAR_KM ? Math.min(1, (d - GEO_FAR_KM) / (radiusKm - GEO_FAR_KM)) : 1;
+    return { distanceKm, effect: -Math.round(GEO_FAR_PENALTY_MAX * ramp * 1000) / 1000, hardMismatch: false };
+}
+
 /**
  * Compute match confidence.
  * @param {boolean} domainMatch - Domain match status
@@ -514,9 +666,12 @@ export function computeConfidence(domainMatch, baseScore, hardMismatch) {
  * @param {string} params.officialDomain - Current official domain (if any)
  * @param {Object} params.tokenObj - Cached token object from KV
  * @param {string} params.source - Cache source ("hit-domain", "hit-name", "ctx-hit")
+ * @param {Object|null} [params.geo] - Query coordinates { lat, lng }
+ * @param {number} [params.geoRadiusKm] - Hard-mismatch radius for geo
+ * @param {Object} [params.brandTaxonomy] - compileBrandTaxonomy() result (default: built-in)
  * @returns {Object} Validation result with ok, reason, updates, confidence, etc.
  */
-export function validateCachedToken({ hotelName, officialDomain, tokenObj, source }) {
+export function validateCachedToken({ hotelName, officialDomain, tokenObj, source, geo = null, geoRadiusKm = GEO_MATCH_RADIUS_KM, brandTaxonomy }) {
     const candidateName = tokenObj?.property_name || "";
     if (!candidateName) {
         return { ok: false, reason: "missing_property_name" };
@@ -533,25 +688,41 @@ export function validateCachedToken({ hotelName, officialDomain, tokenObj, sourc
     // Pass city/country for core identity token extraction
     const details = scoreNameMatchDetailed(queryForScore, candidateName, {
         city: tokenObj?.city,
-        country: tokenObj?.country
+        country: tokenObj?.country,
+        brandTaxonomy,
     });
     details.queryOriginal = hotelName;
     details.queryForScore = queryForScore;
     details.locationSuffixStripped = locationStrip.wasStripped;
 
-    const baseScore = details.baseScore;
+    // Cached tokens written before GPS was stored have no gps: no geo signal
+    const geoSignal = geoMatch(geo, tokenObj?.gps, geoRadiusKm);
+    details.distanceKm = geoSignal.distanceKm;
+    details.geoEffect = geoSignal.effect;
+    if (geoSignal.hardMismatch) {
+        details.geoMismatch = true;
+        details.hardMismatch = true;
+    }
+
+    const baseScore = geoSignal.effect
+        ? Math.max(0, Math.min(1, details.baseScore + geoSignal.effect))
+        : details.baseScore;
     const coreOverlapAny = details.coreOverlapAny ?? true; // Default true for backwards compat
 
     // Confidence uses identity-gated domain match
     const domainMatchForConfidence = domainMatch && coreOverlapAny;
-    const confidence = computeConfidence(domainMatchForConfidence, baseScore, details.hardMismatch);
+    let confidence = computeConfidence(domainMatchForConfidence, baseScore, details.hardMismatch);
+
+    // Tokens promoted by user feedback keep their boost across re-scoring (never past a hard mismatch)
+    const feedbackBoost = Math.min(FEEDBACK_CONFIDENCE_BOOST, Math.max(0, Number(tokenObj?.feedbackBoost) || 0));
+    if (feedbackBoost && !details.hardMismatch) confidence = Math.min(0.95, confidence + feedbackBoost);
 
     // Validation thresholds:
     // - Always reject hardMismatch
     if (details.hardMismatch) {
         return {
             ok: false,
-            reason: "hard_mismatch",
+            reason: details.geoMismatch ? "geo_mismatch" : "hard_mismatch",
             details,
             confidence,
             baseScore,
@@ -633,12 +804,18 @@ export function validateCachedToken({ hotelName, officialDomain, tokenObj, sourc
  * @param {string} officialDomain - Official domain for boost
  * @param {Object} [opts] - Options
  * @param {string} [opts.altQuery] - Alternative query for score boosting (e.g., from Booking slug)
+ * @param {Object|null} [opts.geo] - Query coordinates { lat, lng } (distance boost/penalty, hard mismatch beyond the radius)
+ * @param {number} [opts.geoRadiusKm] - Hard-mismatch radius for geo
+ * @param {Object} [opts.brandTaxonomy] - compileBrandTaxonomy() result (default: built-in)
  * @returns {Object|null}
  */
 export function pickBestProperty(properties, hotelName, officialDomain, opts = {}) {
     if (!Array.isArray(properties) || properties.length === 0) return null;
 
     const altQuery = String(opts.altQuery || "").trim();
+    const geo = opts.geo || null;
+    const geoRadiusKm = opts.geoRadiusKm ?? GEO_MATCH_RADIUS_KM;
+    const brandTaxonomy = opts.brandTaxonomy;
 
     let best = null;
     let bestScore = -1;
@@ -654,7 +831,7 @@ export function pickBestProperty(properties, hotelName, officialDomain, opts = {
         const locationStrip = stripTrailingLocationSuffix(hotelName, p?.city, p?.country);
         const queryForScore = locationStrip.stripped;
 
-        const matchDetails = scoreNameMatchDetailed(queryForScore, p?.name || "", { city: p?.city, country: p?.country });
+        const matchDetails = scoreNameMatchDetailed(queryForScore, p?.name || "", { city: p?.city, country: p?.country, brandTaxonomy });
 
         // Add location stripping metadata to match details
         matchDetails.queryOriginal = hotelName;
@@ -665,13 +842,25 @@ export function pickBestProperty(properties, hotelName, officialDomain, opts = {
         const linkHost = getHostNoWww(p?.link || "");
         const domainMatch = officialDomain ? domainsEquivalent(linkHost, officialDomain) : false;
 
+        const geoSignal = geoMatch(geo, p?.gps, geoRadiusKm);
+        matchDetails.distanceKm = geoSignal.distanceKm;
+        matchDetails.geoEffect = geoSignal.effect;
+        if (geoSignal.hardMismatch) {
+            matchDetails.geoMismatch = true;
+            matchDetails.hardMismatch = true;
+        }
+
         // Skip hard mismatches (main query determines this, not altQuery)
         if (matchDetails.hardMismatch) {
             allCandidates.push({
                 name: p?.name,
                 city: p?.city,
                 skipped: true,
-                reason: matchDetails.brandMismatch ? "brand_mismatch" : matchDetails.keyConflict ? "key_conflict" : "hard_mismatch",
+                reason: matchDetails.subBrandMismatch ? "sub_brand_mismatch"
+                    : matchDetails.brandMismatch ? "brand_mismatch"
+                    : matchDetails.keyConflict ? "key_conflict"
+                    : matchDetails.geoMismatch ? "geo_mismatch"
+                    : "hard_mismatch",
                 details: matchDetails,
             });
             continue;
@@ -683,7 +872,7 @@ export function pickBestProperty(properties, hotelName, officialDomain, opts = {
         let altBaseScore = null;
 
         if (altQuery) {
-            const alt = scoreNameMatchDetailed(altQuery, p?.name || "", { city: p?.city, country: p?.country });
+            const alt = scoreNameMatchDetailed(altQuery, p?.name || "", { city: p?.city, country: p?.country, brandTaxonomy });
             altBaseScore = alt.baseScore;
             // Only use alt if it improves score AND doesn't have its own hardMismatch
             if (!alt.hardMismatch && alt.baseScore > baseScore) {
@@ -692,6 +881,9 @@ export function pickBestProperty(properties, hotelName, officialDomain, opts = {
             }
         }
 
+        // Distance boost/penalty applies after altQuery, so it also moves confidence
+        if (geoSignal.effect) baseScore = Math.max(0, Math.min(1, baseScore + geoSignal.effect));
+
         matchDetails.altQuery = altQuery || null;
         matchDetails.altUsed = altUsed;
         matchDetails.altBaseScore = altBaseScore;
@@ -723,6 +915,7 @@ export function pickBestProperty(properties, hotelName, officialDomain, opts = {
             domainBoost,
             finalScore,
             confidence,
+            distanceKm: geoSignal.distanceKm,
             locationSuffixStripped: matchDetails.locationSuffixStripped,
             details: matchDetails,
         });
@@ -5,7 +5,8 @@
  * @module lib/normalize
  */
 
-import { SYMBOL_TO_ISO, SUPPORTED_TRAVEL_HL } from './constants.js';
+import { SYMBOL_TO_ISO, SUPPORTED_TRAVEL_HL, MAX_ADULTS, MAX_CHILDREN, MAX_CHILD_AGE, MAX_ROOMS } from './constants.js';
+import { transliterate } from './transliterate.js';
 
 /**
  * Check if string is ISO date format (YYYY-MM-DD).
@@ -35,6 +36,18 @@ export function normalizeCurrencyParam(raw) {
     return null;
 }
 
+/**
+ * Normalize the `gl` country param (two-letter code, lowercase; "us" when empty).
+ * It ends up in cache and history keys, so anything else is rejected.
+ * @param {string} raw - Raw param
+ * @returns {string|null} null when invalid
+ */
+export function normalizeGl(raw) {
+    const s = String(raw || "").trim().toLowerCase();
+    if (!s) return "us";
+    return /^[a-z]{2}$/.test(s) ? s : null;
+}
+
 /**
  * Calculate nights between two ISO dates.
  * @param {string} checkIn - Check-in date (YYYY-MM-DD)
@@ -49,6 +62,124 @@ export function nightsBetweenIso(checkIn, checkOut) {
     return diff;
 }
 
+/**
+ * Today's date (UTC) as YYYY-MM-DD.
+ * @returns {string}
+ */
+export function todayIso() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Add days to an ISO date (UTC).
+ * @param {string} iso - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string|null}
+ */
+export function addDaysIso(iso, days) {
+    const t = Date.parse(`${iso}T00:00:00Z`);
+    if (!Number.isFinite(t)) return null;
+    return new Date(t + days * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse and validate party occupancy (adults, children + ages, rooms).
+ * Adults keep the historical lenient clamp (1-10, default 2); children, ages and
+ * rooms are validated strictly and reported in `invalid` / `reasons`.
+ *
+ * Accepted params: adults, children, childAges (or children_ages, comma-separated), rooms.
+ * @param {URLSearchParams} sp - Query params
+ * @returns {{ occupancy: { adults: number, children: number, childAges: number[], rooms: number }, invalid: string[], reasons: Object }}
+ */
+export function parseOccupancy(sp) {
+    const invalid = [];
+    const reasons = {};
+    const fail = (field, reason) => {
+        if (!invalid.includes(field)) invalid.push(field);
+        reasons[field] = reason;
+    };
+
+    const adultsRaw = sp.get("adults");
+    const adults = Math.min(MAX_ADULTS, Math.max(1, parseInt(adultsRaw || "2", 10) || 2));
+
+    const agesRaw = (sp.get("childAges") || sp.get("children_ages") || "").trim();
+    const childAges = [];
+    if (agesRaw) {
+        for (const part of agesRaw.split(",")) {
+            const t = part.trim();
+            const age = /^\d{1,2}$/.test(t) ? parseInt(t, 10) : NaN;
+            if (!Number.isFinite(age) || age > MAX_CHILD_AGE) {
+                fail("childAges", `each age must be an integer 0-${MAX_CHILD_AGE}`);
+                break;
+            }
+            childAges.push(age);
+        }
+    }
+
+    const childrenRaw = (sp.get("children") || "").trim();
+    let children = childAges.length;
+    if (childrenRaw) {
+        children = /^\d+$/.test(childrenRaw) ? parseInt(childrenRaw, 10) : NaN;
+        if (!Number.isFinite(children) || children > MAX_CHILDREN) {
+            fail("children", `must be an integer 0-${MAX_CHILDREN}`);
+            children = 0;
+        } else if (!invalid.includes("childAges") && childAges.length !== children) {
+            fail("childAges", `expected ${children} age(s), got ${childAges.length}`);
+        }
+    } else if (childAges.length > MAX_CHILDREN) {
+        fail("childAges", `at most ${MAX_CHILDREN} children`);
+    }
+
+    const roomsRaw = (sp.get("rooms") || "").trim();
+    let rooms = 1;
+    if (roomsRaw) {
+        rooms = /^\d+$/.test(roomsRaw) ? parseInt(roomsRaw, 10) : NaN;
+        if (!Number.isFinite(rooms) || rooms < 1 || rooms > MAX_ROOMS) {
+            fail("rooms", `must be an integer 1-${MAX_ROOMS}`);
+            rooms = 1;
+        } else if (rooms > adults) {
+            fail("rooms", "each room needs at least one adult");
+        }
+    }
+
+    return {
+        occupancy: { adults, children: invalid.length ? 0 : children, childAges: invalid.length ? [] : childAges, rooms },
+        invalid,
+        reasons,
+    };
+}
+
+/**
+ * Parse optional query coordinates (lat + lng, or lon). Both or neither.
+ * @param {URLSearchParams} sp - Query params
+ * @returns {{ geo: { lat: number, lng: number }|null, invalid: string[] }}
+ */
+export function parseGeo(sp) {
+    const latRaw = (sp.get("lat") || "").trim();
+    const lngRaw = (sp.get("lng") || sp.get("lon") || "").trim();
+    if (!latRaw && !lngRaw) return { geo: null, invalid: [] };
+
+    const lat = Number(latRaw);
+    const lng = Number(lngRaw);
+    const invalid = [];
+    if (!latRaw || !Number.isFinite(lat) || Math.abs(lat) > 90) invalid.push("lat");
+    if (!lngRaw || !Number.isFinite(lng) || Math.abs(lng) > 180) invalid.push("lng");
+    return invalid.length ? { geo: null, invalid } : { geo: { lat, lng }, invalid };
+}
+
+/**
+ * Cache-key suffix for non-default occupancy ("" for no children and one room,
+ * so keys written before children/rooms support stay valid).
+ * @param {{ children?: number, childAges?: number[], rooms?: number }} occ - Occupancy
+ * @returns {string}
+ */
+export function occupancyKeySuffix(occ) {
+    let out = "";
+    if (occ?.children > 0) out += `:c${(occ.childAges || []).join(".")}`;
+    if (occ?.rooms > 1) out += `:rm${occ.rooms}`;
+    return out;
+}
+
 /**
  * Normalize host language code.
  * @param {string} hl - Language code
@@ -103,10 +234,26 @@ export function normalizeTravelHl(rawHl) {
 
 /**
  * Normalize string for cache key usage.
+ * Transliterated first, so non-Latin names get distinct keys ("Отель Москва" -> "hotel-moskva");
+ * letters of scripts without a romanization (Han, Thai, ...) are kept as-is.
  * @param {string} s - String to normalize
  * @returns {string}
  */
 export function normalizeKey(s) {
+    return transliterate(s)
+        .replace(/[^\p{L}\p{N}]+/gu, " ")
+        .trim()
+        .replace(/\s+/g, "-")
+        .slice(0, 120);
+}
+
+/**
+ * normalizeKey() as it was before transliteration: ASCII letters and digits only ("Hôtel" -> "h-tel").
+ * Kept to find records without a TTL (override:n:*) that were written under the old key.
+ * @param {string} s - String to normalize
+ * @returns {string}
+ */
+export function legacyNormalizeKey(s) {
     return String(s || "")
         .toLowerCase()
         .replace(/[^a-z0-9]+/g, " ")
@@ -6,7 +6,7 @@
  */
 
 import { MAX_ROOMS_PER_OFFER } from './constants.js';
-import { parseMoneyToNumber, normalizeKey } from './normalize.js';
+import { parseMoneyToNumber, normalizeKey, occupancyKeySuffix } from './normalize.js';
 
 /**
  * Extract badges from raw offer data.
@@ -342,10 +342,11 @@ export function findOfferForHost(offers, host) {
  * @param {string} checkOut - Check-out date
  * @param {number} adults - Number of adults
  * @param {string} currency - Currency code
+ * @param {{ children?: number, childAges?: number[], rooms?: number }} [occupancy] - Children/rooms (default party adds nothing, keeping old IDs stable)
  * @returns {string}
  */
-export function computeCtxId(gl, hlKey, q, checkIn, checkOut, adults, currency) {
-    const normalized = [
+export function computeCtxId(gl, hlKey, q, checkIn, checkOut, adults, currency, occupancy = {}) {
+    const parts = [
         (gl || "us").toLowerCase(),
         (hlKey || "default").toLowerCase(),
         normalizeKey(q || ""),
@@ -353,7 +354,10 @@ export function computeCtxId(gl, hlKey, q, checkIn, checkOut, adults, currency)
         checkOut || "",
         String(adults || 2),
         (currency || "USD").toUpperCase(),
-    ].join("|");
+    ];
+    const partySuffix = occupancyKeySuffix(occupancy);
+    if (partySuffix) parts.push(partySuffix);
+    const normalized = parts.join("|");
 
     // Simple string hash (djb2)
     let hash = 5381;
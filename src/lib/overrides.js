@@ -0,0 +1,160 @@
+/**
+ * Manual match overrides (operator-maintained, no TTL).
+ * KV `override:{kind}:{id}` with kind d (official domain), b (Booking slug) or n (normalizeKey(hotelName)):
+ *   { kind, id, pin: { property_token, property_name, city, country, link }|null, block: string[], note, updatedAt }
+ *
+ * A pin replaces automatic matching entirely (booking -> domain -> name, first pin wins);
+ * blocked property_tokens are dropped from cache hits, ctx candidates and search results.
+ * Overrides are not gl-scoped: a property_token identifies the same property everywhere.
+ *
+ * @module lib/overrides
+ */
+
+import { kvGetJson, kvListKeys } from './kvCache.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { normalizeKey, legacyNormalizeKey, getHostNoWww, parseBookingHotelSlug } from './normalize.js';
+
+const OVERRIDE_KINDS = { booking: "b", domain: "d", name: "n" };
+
+/**
+ * Build KV key for an override.
+ * @param {string} kind - "booking" | "domain" | "name"
+ * @param {string} id - Booking slug, domain or normalized name
+ * @returns {string}
+ */
+export function overrideKey(kind, id) {
+    return `override:${OVERRIDE_KINDS[kind]}:${id}`;
+}
+
+/**
+ * Override target from loose params: exactly one of bookingUrl/bookingSlug, officialDomain/officialUrl, hotelName.
+ * @param {Object} params - Query params or JSON body
+ * @returns {{ kind: string, id: string, key: string }|{ error: string }}
+ */
+export function parseOverrideTarget(params) {
+    const targets = [];
+
+    const bookingSlug = params.bookingSlug
+        ? String(params.bookingSlug).trim().toLowerCase()
+        : (parseBookingHotelSlug(params.bookingUrl || "")?.slug || "");
+    if (bookingSlug) targets.push({ kind: "booking", id: bookingSlug });
+    else if (params.bookingUrl) return { error: "bookingUrl is not a Booking.com hotel URL" };
+
+    const domain = getHostNoWww(params.officialDomain || params.officialUrl || "");
+    if (domain) targets.push({ kind: "domain", id: domain });
+
+    const name = params.hotelName ? normalizeKey(params.hotelName) : "";
+    if (name) targets.push({ kind: "name", id: name });
+
+    if (targets.length !== 1) {
+        return { error: "Give exactly one of bookingUrl|bookingSlug, officialDomain|officialUrl, hotelName" };
+    }
+    const { kind, id } = targets[0];
+    return { kind, id, key: overrideKey(kind, id) };
+}
+
+/**
+ * Validate an override body and build the stored record.
+ * @param {{ kind: string, id: string }} target - parseOverrideTarget() result
+ * @param {Object} body - { pin?: { property_token, property_name, city, country, link }, block?: string[], note? }
+ * @returns {{ record: Object }|{ error: string }}
+ */
+export function buildOverrideRecord(target, body) {
+    let pin = null;
+    if (body.pin != null) {
+        const propertyToken = String(body.pin.property_token || "").trim();
+        if (!propertyToken) return { error: "pin.property_token is required" };
+        pin = {
+            property_token: propertyToken,
+            property_name: body.pin.property_name ? String(body.pin.property_name) : null,
+            city: body.pin.city || null,
+            country: body.pin.country || null,
+            link: body.pin.link || null,
+        };
+    }
+
+    if (body.block != null && !Array.isArray(body.block)) return { error: "block must be an array of property_tokens" };
+    const block = [...new Set((body.block || []).map(t => String(t || "").trim()).filter(Boolean))];
+
+    if (!pin && !block.length) return { error: "Give a pin, a block list, or both" };
+    if (pin && block.includes(pin.property_token)) return { error: "pin.property_token is also blocked" };
+
+    return {
+        record: {
+            kind: target.kind,
+            id: target.id,
+            pin,
+            block,
+            note: body.note ? String(body.note).slice(0, 500) : null,
+            updatedAt: new Date().toISOString(),
+        },
+    };
+}
+
+/**
+ * Persist an override (no expiration).
+ * @param {KVNamespace} kv - KV namespace binding
+ * @param {Object} record - buildOverrideRecord() record
+ * @returns {Promise<void>}
+ */
+export async function putOverride(kv, record) {
+    await kv.put(overrideKey(record.kind, record.id), JSON.stringify(record));
+}
+
+/**
+ * List stored overrides.
+ * @param {KVNamespace} kv - KV namespace binding
+ * @param {number} max - Stop after this many keys
+ * @returns {Promise<{ overrides: Object[], truncated: boolean }>}
+ */
+export async function listOverrides(kv, max) {
+    const { keys, truncated } = await kvListKeys(kv, "override:", max);
+    const records = await mapWithConcurrency(keys, 8, key => kvGetJson(kv, key));
+    return { overrides: records.filter(Boolean), truncated };
+}
+
+/**
+ * Override keys for a query identity, in precedence order.
+ * Name overrides saved before names were transliterated live under the legacy key; it is read after
+ * the current one, so re-saving an override by hotelName supersedes it.
+ * @param {Object} params
+ * @param {string} params.hotelName - Hotel name
+ * @param {string} [params.officialDomain] - Official domain
+ * @param {string} [params.bookingSlug] - Booking slug
+ * @returns {string[]}
+ */
+export function overrideKeysFor({ hotelName, officialDomain, bookingSlug }) {
+    const name = hotelName ? normalizeKey(hotelName) : "";
+    const legacyName = hotelName ? legacyNormalizeKey(hotelName) : "";
+    return [
+        bookingSlug ? overrideKey("booking", bookingSlug) : null,
+        officialDomain ? overrideKey("domain", officialDomain) : null,
+        name ? overrideKey("name", name) : null,
+        legacyName && legacyName !== name ? overrideKey("name", legacyName) : null,
+    ].filter(Boolean);
+}
+
+/**
+ * Look up the overrides that apply to a query.
+ * @param {Object} env - Environment bindings
+ * @param {Object} identity - { hotelName, officialDomain, bookingSlug }
+ * @returns {Promise<{ pin: Object|null, pinKey: string|null, blocked: Set<string>, keys: string[] }>}
+ */
+export async function findOverrides(env, identity) {
+    const keys = overrideKeysFor(identity);
+    const out = { pin: null, pinKey: null, blocked: new Set(), keys: [] };
+    if (!env.CACHE_KV || !keys.length) return out;
+
+    const records = await Promise.all(keys.map(key => kvGetJson(env.CACHE_KV, key)));
+
+    records.forEach((rec, i) => {
+        if (!rec) return;
+        out.keys.push(keys[i]);
+        if (rec.pin?.property_token && !out.pin) {
+            out.pin = rec.pin;
+            out.pinKey = keys[i];
+        }
+        for (const t of rec.block || []) out.blocked.add(t);
+    });
+    return out;
+}
@@ -0,0 +1,139 @@
+/**
+ * Price history store.
+ * Appends a compact snapshot per property_token + stay (dates, party, gl) on every offers fetch,
+ * and computes trend stats for /history. Currencies share a series; /history filters them.
+ *
+ * @module lib/priceHistory
+ */
+
+import { HISTORY_TTL_SEC, HISTORY_MAX_SNAPSHOTS } from './constants.js';
+import { kvGetJson, kvPutJson } from './kvCache.js';
+import { normalizeOtaKey } from './offers.js';
+import { occupancyKeySuffix } from './normalize.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build history key for a property + stay.
+ * Party and gl are part of the key (as in the offers key): prices for 2 adults and for a
+ * family of four, or from two markets, aren't one series.
+ * @param {string} propertyToken - SearchApi property_token
+ * @param {Object} stay - { checkIn, checkOut, adults, gl, children?, childAges?, rooms? }
+ * @returns {string}
+ */
+export function historyKey(propertyToken, stay) {
+    const { checkIn, checkOut, adults, gl } = stay;
+    return `hist:${propertyToken}:${checkIn}:${checkOut}:${adults}:${gl}${occupancyKeySuffix(stay)}`;
+}
+
+/**
+ * Build a compact snapshot from simplified offers (sorted by total).
+ * @param {Object[]} simplified - Offers from simplifyOffer()
+ * @param {Object} meta - { currency, adults, ts? }
+ * @returns {Object|null} Null when no offer has a total
+ */
+export function buildPriceSnapshot(simplified, { currency, adults, ts = Date.now() }) {
+    const byOta = {};
+    let cheapest = null;
+    let cheapestOfficial = null;
+
+    for (const o of Array.isArray(simplified) ? simplified : []) {
+        if (o?.total == null) continue;
+        if (cheapest == null || o.total < cheapest) cheapest = o.total;
+        if (o.isOfficial && (cheapestOfficial == null || o.total < cheapestOfficial)) cheapestOfficial = o.total;
+
+        const k = normalizeOtaKey(o.source);
+        if (k && (byOta[k] == null || o.total < byOta[k])) byOta[k] = o.total;
+    }
+
+    if (cheapest == null) return null;
+
+    return { ts, currency, adults, cheapest, cheapestOfficial, byOta };
+}
+
+/**
+ * Append a snapshot to the history store (best-effort, not atomic).
+ * @param {KVNamespace} kv - KV namespace binding
+ * @param {string} key - Key from historyKey()
+ * @param {Object} snapshot - Snapshot from buildPriceSnapshot()
+ * @returns {Promise<void>}
+ */
+export async function appendPriceSnapshot(kv, key, snapshot) {
+    if (!snapshot) return;
+    const existing = await kvGetJson(kv, key);
+    const snapshots = Array.isArray(existing?.snapshots) ? existing.snapshots : [];
+    snapshots.push(snapshot);
+    await kvPutJson(kv, key, { snapshots: snapshots.slice(-HISTORY_MAX_SNAPSHOTS) }, HISTORY_TTL_SEC);
+}
+
+/**
+ * Record a snapshot for a freshly fetched offer set via ctx.waitUntil.
+ * @param {Object} params
+ * @param {Object} params.env - Environment bindings
+ * @param {Object} params.ctx - Execution context
+ * @param {string} params.propertyToken - SearchApi property_token
+ * @param {Object} params.query - Parsed compare query (stay fields of historyKey() + currency)
+ * @param {Object[]} params.simplified - Offers from simplifyOffer()
+ */
+export function recordPriceSnapshot({ env, ctx, propertyToken, query, simplified }) {
+    const snapshot = buildPriceSnapshot(simplified, { currency: query.currency, adults: query.adults });
+    if (!snapshot) return;
+    ctx.waitUntil(appendPriceSnapshot(env.CACHE_KV, historyKey(propertyToken, query), snapshot));
+}
+
+/**
+ * Median of a numeric array.
+ * @param {number[]} xs
+ * @returns {number|null}
+ */
+function median(xs) {
+    if (!xs.length) return null;
+    const s = [...xs].sort((a, b) => a - b);
+    const mid = Math.floor(s.length / 2);
+    return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+/**
+ * Percent change from `from` to `to`, rounded to 0.1.
+ * @param {number|null} from
+ * @param {number|null} to
+ * @returns {number|null}
+ */
+function pctChange(from, to) {
+    if (from == null || to == null || from === 0) return null;
+    return Math.round(((to - from) / from) * 1000) / 10;
+}
+
+/**
+ * Compute trend stats over a snapshot series (oldest first).
+ * @param {Object[]} snapshots - Snapshots from buildPriceSnapshot()
+ * @returns {Object}
+ */
+export function computeHistoryStats(snapshots) {
+    const series = (Array.isArray(snapshots) ? snapshots : []).filter(s => s?.cheapest != null);
+    if (series.length === 0) {
+        return { count: 0, min: null, max: null, median: null, first: null, latest: null, changePct: null, changePct24h: null };
+    }
+
+    const values = series.map(s => s.cheapest);
+    const latest = series[series.length - 1];
+
+    // Baseline for "since yesterday": newest snapshot at least 24h older than latest, else the oldest
+    let dayAgo = series[0];
+    for (const s of series) {
+        if (latest.ts - s.ts >= DAY_MS) dayAgo = s;
+    }
+
+    const previous = series.length > 1 ? series[series.length - 2] : null;
+
+    return {
+        count: series.length,
+        min: Math.min(...values),
+        max: Math.max(...values),
+        median: median(values),
+        first: series[0].cheapest,
+        latest: latest.cheapest,
+        changePct: pctChange(previous?.cheapest ?? null, latest.cheapest),
+        changePct24h: latest.ts - dayAgo.ts >= DAY_MS ? pctChange(dayAgo.cheapest, latest.cheapest) : null,
+    };
+}
@@ -0,0 +1,164 @@
+/**
+ * Hotel data provider layer.
+ * Routes call searchProperties / getPropertyOffers here instead of a specific API.
+ *
+ * Provider interface:
+ *  - id: string
+ *  - isConfigured(env): boolean
+ *  - supports(params): boolean (optional) - false when the API would silently drop part of the
+ *    request (e.g. SerpApi has no rooms param); such a provider is skipped, never failed over to
+ *  - searchProperties(env, params)  -> result with data: { properties: [{ name, property_token, link, city, country, type, gps }] }
+ *  - getPropertyOffers(env, params) -> result with data: { property: { name, address, phone, link, featured_offers, all_offers } | null }
+ *
+ * Results: { ok, provider, status, data, error, fetchError, requestUrl, hlFallback, firstError, firstFetchError }.
+ * Offers use the SearchApi offer shape that simplifyOffer() consumes.
+ *
+ * Selection: env.HOTEL_PROVIDER (default "searchapi"); env.HOTEL_PROVIDER_FAILOVER is a
+ * comma-separated list tried in order when the primary fails with a retryable error.
+ *
+ * Guards (no upstream call is made, `blocked` is set to the error code):
+ *  - PROVIDER_UNSUPPORTED : no configured provider supports the request (422)
+ *  - BUDGET_EXHAUSTED     : SearchApi credit budget spent (lib/budget.js) (503)
+ *  - UPSTREAM_UNAVAILABLE : every configured provider's circuit breaker is open (lib/circuitBreaker.js) (503)
+ *
+ * @module lib/providers
+ */
+
+import { searchApiProvider } from './searchApi.js';
+import { serpApiProvider } from './serpApi.js';
+import { isBudgetExhausted } from './budget.js';
+import { breakerAllows, recordBreakerResult } from './circuitBreaker.js';
+
+const PROVIDERS = {
+    [searchApiProvider.id]: searchApiProvider,
+    [serpApiProvider.id]: serpApiProvider,
+};
+
+/**
+ * Configured providers in call order (primary first, then failover list).
+ * @param {Object} env - Environment bindings
+ * @returns {Object[]}
+ */
+export function providerOrder(env) {
+    const primary = String(env.HOTEL_PROVIDER || "searchapi").trim().toLowerCase();
+    const failover = String(env.HOTEL_PROVIDER_FAILOVER || "")
+        .split(",")
+        .map((s) => s.trim().toLowerCase())
+        .filter(Boolean);
+
+    const out = [];
+    for (const id of [primary, ...failover]) {
+        const p = PROVIDERS[id];
+        if (p && p.isConfigured(env) && !out.includes(p)) out.push(p);
+    }
+    return out;
+}
+
+/**
+ * Whether at least one provider has credentials.
+ * @param {Object} env - Environment bindings
+ * @returns {boolean}
+ */
+export function hasHotelProvider(env) {
+    return providerOrder(env).length > 0;
+}
+
+/**
+ * Whether a failed result should be retried on the next provider.
+ * Network errors, auth/quota (401/402/403/429) and 5xx fail over; other 4xx are the
+ * request's fault and would fail everywhere.
+ * @param {Object} result - Provider result
+ * @returns {boolean}
+ */
+export function isFailoverError(result) {
+    const s = result?.status ?? 0;
+    if (s === 0 || s >= 500) return true;
+    if (s === 401 || s === 402 || s === 403 || s === 429) return true;
+    // 200 with an error body (e.g. out of credits)
+    return s >= 200 && s < 300;
+}
+
+/**
+ * Result for a call that was never sent upstream.
+ * @param {string} code - PROVIDER_UNSUPPORTED | BUDGET_EXHAUSTED | UPSTREAM_UNAVAILABLE
+ * @param {string} error - Message
+ * @param {number} [status] - HTTP status routes answer with
+ * @returns {Object}
+ */
+function blockedResult(code, error, status = 503) {
+    return { ok: false, provider: null, status, blocked: code, data: null, error, fetchError: null, requestUrl: null, hlFallback: false };
+}
+
+/**
+ * Run one provider operation with failover.
+ * Every attempt is counted in usage.searchapi_calls[engine] (upstream calls, whichever provider);
+ * providers with an open circuit breaker are skipped without an attempt.
+ * Attempts are also timed into the request log (lib/requestLog.js) when one is passed.
+ * @param {Object} env - Environment bindings
+ * @param {string} op - "searchProperties" | "getPropertyOffers"
+ * @param {string} engine - Usage counter name
+ * @param {Object} params - Provider-neutral params
+ * @param {Object|null} usage - Usage counters (incremented in place)
+ * @param {Object|null} [log] - Request log
+ * @returns {Promise<Object>} Provider result (+ failoverFrom / primaryError when a fallback answered)
+ */
+async function callWithFailover(env, op, engine, params, usage, log = null) {
+    const configured = providerOrder(env);
+    if (!configured.length) {
+        return { ok: false, provider: null, status: 0, data: null, error: "No hotel data provider configured", fetchError: null, requestUrl: null, hlFallback: false };
+    }
+
+    // A provider that would drop part of the request answers for a different stay: never use it
+    const order = configured.filter(p => !p.supports || p.supports(params));
+    if (!order.length) {
+        return blockedResult("PROVIDER_UNSUPPORTED", `No configured hotel provider supports this request (${configured.map(p => p.id).join(", ")})`, 422);
+    }
+
+    if (await isBudgetExhausted(env)) {
+        return blockedResult("BUDGET_EXHAUSTED", "SearchApi budget exhausted");
+    }
+
+    let primary = null;
+    for (const provider of order) {
+        if (!breakerAllows(provider.id)) continue;
+        if (usage) usage.searchapi_calls[engine] = (usage.searchapi_calls[engine] || 0) + 1;
+
+        const startedAt = Date.now();
+        const result = await provider[op](env, params);
+        if (log) log.upstream(engine, { ms: Date.now() - startedAt, ok: result.ok });
+        recordBreakerResult(provider.id, result);
+        if (result.ok) {
+            return primary ? { ...result, failoverFrom: primary.provider, primaryError: primary.error, primaryStatus: primary.status } : result;
+        }
+
+        if (!primary) primary = result;
+        if (!isFailoverError(result)) break;
+    }
+    return primary || blockedResult("UPSTREAM_UNAVAILABLE", "Hotel data provider unavailable (circuit open)");
+}
+
+/**
+ * Search hotels by free-text query.
+ * @param {Object} env - Environment bindings
+ * @param {Object} params - { q, checkIn, checkOut, adults, children, childAges, rooms, currency, gl, hl }
+ * @param {Object} [opts]
+ * @param {Object} [opts.usage] - Usage counters (google_hotels)
+ * @param {Object} [opts.log] - Request log (call count + latency)
+ * @returns {Promise<Object>}
+ */
+export function searchProperties(env, params, { usage = null, log = null } = {}) {
+    return callWithFailover(env, "searchProperties", "google_hotels", params, usage, log);
+}
+
+/**
+ * Fetch offers for one property.
+ * @param {Object} env - Environment bindings
+ * @param {Object} params - { propertyToken, q?, checkIn, checkOut, adults, children, childAges, rooms, currency, gl, hl }
+ * @param {Object} [opts]
+ * @param {Object} [opts.usage] - Usage counters (google_hotels_property)
+ * @param {Object} [opts.log] - Request log (call count + latency)
+ * @returns {Promise<Object>}
+ */
+export function getPropertyOffers(env, params, { usage = null, log = null } = {}) {
+    return callWithFailover(env, "getPropertyOffers", "google_hotels_property", params, usage, log);
+}
@@ -1,12 +1,65 @@
 /**
  * Rate limiting utilities.
- * 
+ * Token buckets in the RateLimiter Durable Object (env.RATE_LIMITER) when bound,
+ * otherwise the hourly KV window (non-atomic, per-colo) as a fallback.
+ *
  * @module lib/rateLimit
  */
 
-import { COMPARE_RATE_LIMIT, COMPARE_WINDOW_SEC, CTX_RATE_LIMIT, CTX_WINDOW_SEC } from './constants.js';
+import {
+    COMPARE_RATE_LIMIT,
+    COMPARE_WINDOW_SEC,
+    COMPARE_BURST,
+    CTX_RATE_LIMIT,
+    CTX_WINDOW_SEC,
+    CTX_BURST,
+    API_KEY_REGISTER_LIMIT,
+    FEEDBACK_RATE_LIMIT,
+    FEEDBACK_BURST,
+    EXPLAIN_RATE_LIMIT,
+    EXPLAIN_BURST,
+    WATCH_RATE_LIMIT,
+    WATCH_BURST,
+    HEALTH_RATE_LIMIT,
+    HEALTH_BURST,
+} from './constants.js';
 import { jsonResponse } from './http.js';
 
+// Per-route limits: `limit` per `windowSec` sustained (KV window size), `burst` bucket capacity (DO)
+const SCOPES = {
+    compare: { limit: COMPARE_RATE_LIMIT, windowSec: COMPARE_WINDOW_SEC, burst: COMPARE_BURST },
+    prefetch: { limit: CTX_RATE_LIMIT, windowSec: CTX_WINDOW_SEC, burst: CTX_BURST },
+    register: { limit: API_KEY_REGISTER_LIMIT, windowSec: 3600, burst: API_KEY_REGISTER_LIMIT },
+    feedback: { limit: FEEDBACK_RATE_LIMIT, windowSec: 3600, burst: FEEDBACK_BURST },
+    explain: { limit: EXPLAIN_RATE_LIMIT, windowSec: 3600, burst: EXPLAIN_BURST },
+    watches: { limit: WATCH_RATE_LIMIT, windowSec: 3600, burst: WATCH_BURST },
+    health: { limit: HEALTH_RATE_LIMIT, windowSec: 3600, burst: HEALTH_BURST },
+};
+
+/**
+ * Limits for a scope, with the API key's hourly quota replacing the /compare limit.
+ * @param {string} scope - Key of SCOPES
+ * @param {Object|null} apiKey - Authenticated key record
+ * @returns {{ limit: number, windowSec: number, burst: number }}
+ */
+function scopeConfig(scope, apiKey) {
+    const cfg = SCOPES[scope];
+    const hourly = apiKey?.quotas?.hourlyRequests;
+    if (scope !== "compare" || !hourly) return cfg;
+    return { limit: hourly, windowSec: 3600, burst: Math.min(hourly, cfg.burst) };
+}
+
+/**
+ * Configured limits per scope and the backing store (health/diagnostics).
+ * @param {Object} env - Environment bindings
+ * @returns {{ backend: "do"|"kv", scopes: Object }}
+ */
+export function rateLimitConfig(env) {
+    const scopes = {};
+    for (const [scope, cfg] of Object.entries(SCOPES)) scopes[scope] = { ...cfg };
+    return { backend: env.RATE_LIMITER ? "do" : "kv", scopes };
+}
+
 /**
  * Get client IP from request headers.
  * @param {Request} request - Incoming request
@@ -22,86 +75,246 @@ export function getClientIp(request) {
 }
 
 /**
- * Rate limit for /compare route.
- * Returns a Response if blocked, or null if allowed.
+ * Client identity used as the rate-limit key: the key's issuer when authenticated (every key
+ * registered from one IP shares a bucket; per key ID for records without one), else IP.
  * @param {Request} request - Incoming request
- * @param {Object} env - Environment bindings
+ * @param {Object|null} [apiKey] - Authenticated key record
+ * @returns {string}
+ */
+export function getClientIdentity(request, apiKey = null) {
+    if (apiKey) return apiKey.issuer ? `issuer:${apiKey.issuer}` : `key:${apiKey.id}`;
+    return `ip:${getClientIp(request)}`;
+}
+
+/**
+ * X-RateLimit-* headers for a limiter state.
+ * Reset is in seconds (until the bucket/window is full again).
+ * @param {{ limit: number, remaining: number, reset: number }|null} state - Limiter state
+ * @returns {Object}
+ */
+export function rateLimitHeaders(state) {
+    if (!state) return {};
+    return {
+        "X-RateLimit-Limit": String(state.limit),
+        "X-RateLimit-Remaining": String(Math.max(0, state.remaining)),
+        "X-RateLimit-Reset": String(state.reset),
+    };
+}
+
+/**
+ * Build a 429 response for an exhausted rate limit.
+ * @param {number} retryAfter - Seconds until the client may retry
  * @param {Object} corsHeaders - CORS headers to include
- * @returns {Promise<Response|null>}
+ * @returns {Response}
  */
-export async function rateLimitCompare(request, env, corsHeaders) {
-    if (!env.CACHE_KV) {
-        return jsonResponse({ error: "Missing CACHE_KV binding" }, 500, corsHeaders);
-    }
+export function rateLimitedResponse(retryAfter, corsHeaders) {
+    return new Response(JSON.stringify({ error: "Rate limit exceeded", error_code: "RATE_LIMIT" }), {
+        status: 429,
+        headers: {
+            "Content-Type": "application/json",
+            "Retry-After": String(retryAfter),
+            ...corsHeaders,
+        },
+    });
+}
 
-    const ip = getClientIp(request);
+/**
+ * Take tokens from the Durable Object bucket for this scope + identity.
+ * @param {Object} env - Environment bindings
+ * @param {string} scope - Key of SCOPES
+ * @param {Object} cfg - From scopeConfig()
+ * @param {string} identity - Client identity
+ * @param {number} cost - Tokens to take (0 = peek)
+ * @param {boolean} allowDebt - Charge even past empty
+ * @returns {Promise<Object>}
+ */
+async function takeDurable(env, scope, cfg, identity, cost, allowDebt) {
+    const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(`${scope}:${identity}`));
+    const out = await stub.take({ cost, capacity: cfg.burst, refillPerSec: cfg.limit / cfg.windowSec, allowDebt });
+    return { ...out, backend: "do" };
+}
+
+/**
+ * Hourly KV window fallback (same non-atomic get-then-put as before the DO limiter).
+ * @param {Object} env - Environment bindings
+ * @param {string} scope - Key of SCOPES
+ * @param {Object} cfg - From scopeConfig()
+ * @param {string} identity - Client identity
+ * @param {number} cost - Units to charge (0 = peek)
+ * @param {boolean} allowDebt - Charge even past the limit
+ * @returns {Promise<Object>}
+ */
+async function takeKv(env, scope, cfg, identity, cost, allowDebt) {
     const now = Date.now();
-    const hourBucket = Math.floor(now / 3600000); // changes once per hour
-    const key = `rl:compare:${hourBucket}:${ip}`;
+    const windowMs = cfg.windowSec * 1000;
+    const bucket = Math.floor(now / windowMs);
+    const key = `rl:${scope}:${bucket}:${identity}`;
 
     const currentRaw = await env.CACHE_KV.get(key);
     const current = currentRaw ? parseInt(currentRaw, 10) : 0;
+    const reset = cfg.windowSec - Math.floor((now % windowMs) / 1000);
+
+    // A peek (cost 0) reports whether one more unit fits
+    const allowed = allowDebt || current + Math.max(cost, 1) <= cfg.limit;
+    const next = allowed ? current + cost : current;
 
-    if (current >= COMPARE_RATE_LIMIT) {
-        const secondsIntoHour = Math.floor((now % 3600000) / 1000);
-        const retryAfter = COMPARE_WINDOW_SEC - secondsIntoHour;
-
-        return new Response(JSON.stringify({ error: "Rate limit exceeded", error_code: "RATE_LIMIT" }), {
-            status: 429,
-            headers: {
-                "Content-Type": "application/json",
-                "Retry-After": String(retryAfter),
-                ...corsHeaders,
-            },
-        });
+    if (allowed && cost > 0) {
+        await env.CACHE_KV.put(key, String(next), { expirationTtl: cfg.windowSec + 60 });
     }
 
-    // Minimum defense (not perfectly atomic, but enough to stop casual abuse)
-    await env.CACHE_KV.put(key, String(current + 1), {
-        expirationTtl: COMPARE_WINDOW_SEC + 60,
-    });
+    return {
+        allowed,
+        limit: cfg.limit,
+        remaining: Math.max(0, cfg.limit - next),
+        reset,
+        retryAfter: current + Math.max(cost, 1) <= cfg.limit ? 0 : reset,
+        backend: "kv",
+    };
+}
 
-    return null;
+/**
+ * Take `cost` units for a client in a scope.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings
+ * @param {string} scope - "compare" | "prefetch" | "register" | "feedback" | "explain"
+ * @param {number} cost - Units to take (0 = read state only)
+ * @param {Object} [opts]
+ * @param {boolean} [opts.allowDebt] - Always charge (for costs known only after the work)
+ * @param {Object|null} [opts.apiKey] - Authenticated key record (keys the limit by key instead of IP)
+ * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, reset: number, retryAfter: number, backend: string, scope: string, identity: string }>}
+ */
+export async function takeRateLimit(request, env, scope, cost, { allowDebt = false, apiKey = null } = {}) {
+    const identity = getClientIdentity(request, apiKey);
+    const cfg = scopeConfig(scope, apiKey);
+    const take = env.RATE_LIMITER ? takeDurable : takeKv;
+    const state = await take(env, scope, cfg, identity, cost, allowDebt);
+    return { ...state, scope, identity, cfg };
 }
 
 /**
- * Rate limit for /prefetchCtx route.
- * Returns a Response if blocked, or null if allowed.
+ * Read the current /compare limiter state for the client without charging.
+ * Used by /compare/batch and /compare/calendar, which charge per SearchApi call instead of per request.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings
+ * @param {Object|null} [apiKey] - Authenticated key record
+ * @returns {Promise<Object>} State from takeRateLimit() (remaining, retryAfter, ...)
+ */
+export async function getCompareRateLimitState(request, env, apiKey = null) {
+    return takeRateLimit(request, env, "compare", 0, { apiKey });
+}
+
+/**
+ * Charge `cost` units against a state read by getCompareRateLimitState().
+ * @param {Object} env - Environment bindings
+ * @param {Object} state - State from getCompareRateLimitState()
+ * @param {number} cost - Units to charge
+ * @returns {Promise<Object>} Updated state
+ */
+export async function chargeCompareRateLimit(env, state, cost) {
+    if (!(cost > 0)) return state;
+    const take = env.RATE_LIMITER ? takeDurable : takeKv;
+    const next = await take(env, state.scope, state.cfg, state.identity, cost, true);
+    return { ...next, scope: state.scope, identity: state.identity, cfg: state.cfg };
+}
+
+/**
+ * Rate limit for /compare route (1 unit per request).
  * @param {Request} request - Incoming request
  * @param {Object} env - Environment bindings
  * @param {Object} corsHeaders - CORS headers to include
- * @returns {Promise<Response|null>}
+ * @param {Object|null} [apiKey] - Authenticated key record
+ * @returns {Promise<{ blocked: Response|null, headers: Object }>} `blocked` is the response to send when limited
  */
-export async function rateLimitPrefetch(request, env, corsHeaders) {
-    if (!env.CACHE_KV) {
-        return jsonResponse({ error: "Missing CACHE_KV binding" }, 500, corsHeaders);
-    }
+export async function rateLimitCompare(request, env, corsHeaders, apiKey = null) {
+    return rateLimitRequest(request, env, corsHeaders, "compare", apiKey);
+}
 
-    const ip = getClientIp(request);
-    const now = Date.now();
-    const hourBucket = Math.floor(now / 3600000);
-    const key = `rl:prefetch:${hourBucket}:${ip}`;
+/**
+ * Rate limit for /prefetchCtx route (1 unit per uncached request).
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings
+ * @param {Object} corsHeaders - CORS headers to include
+ * @param {Object|null} [apiKey] - Authenticated key record
+ * @returns {Promise<{ blocked: Response|null, headers: Object }>}
+ */
+export async function rateLimitPrefetch(request, env, corsHeaders, apiKey = null) {
+    return rateLimitRequest(request, env, corsHeaders, "prefetch", apiKey);
+}
 
-    const currentRaw = await env.CACHE_KV.get(key);
-    const current = currentRaw ? parseInt(currentRaw, 10) : 0;
+/**
+ * Rate limit for POST /keys (per IP, so one client can't farm keys).
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings
+ * @param {Object} corsHeaders - CORS headers to include
+ * @returns {Promise<{ blocked: Response|null, headers: Object }>}
+ */
+export async function rateLimitRegister(request, env, corsHeaders) {
+    return rateLimitRequest(request, env, corsHeaders, "register", null);
+}
+
+/**
+ * Rate limit for POST /feedback/match (per IP).
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings
+ * @param {Object} corsHeaders - CORS headers to include
+ * @returns {Promise<{ blocked: Response|null, headers: Object }>}
+ */
+export async function rateLimitFeedback(request, env, corsHeaders) {
+    return rateLimitRequest(request, env, corsHeaders, "feedback", null);
+}
+
+/**
+ * Rate limit for /watches (per IP).
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings
+ * @param {Object} corsHeaders - CORS headers to include
+ * @returns {Promise<{ blocked: Response|null, headers: Object }>}
+ */
+export async function rateLimitWatches(request, env, corsHeaders) {
+    return rateLimitRequest(request, env, corsHeaders, "watches", null);
+}
 
-    if (current >= CTX_RATE_LIMIT) {
-        const secondsIntoHour = Math.floor((now % 3600000) / 1000);
-        const retryAfter = CTX_WINDOW_SEC - secondsIntoHour;
-
-        return new Response(JSON.stringify({ error: "Rate limit exceeded", error_code: "RATE_LIMIT" }), {
-            status: 429,
-            headers: {
-                "Content-Type": "application/json",
-                "Retry-After": String(retryAfter),
-                ...corsHeaders,
-            },
-        });
+/**
+ * Rate limit for anonymous /__health checks (per IP).
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings
+ * @param {Object} corsHeaders - CORS headers to include
+ * @returns {Promise<{ blocked: Response|null, headers: Object }>}
+ */
+export async function rateLimitHealth(request, env, corsHeaders) {
+    return rateLimitRequest(request, env, corsHeaders, "health", null);
+}
+
+/**
+ * Rate limit for POST /match/explain (per IP).
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings
+ * @param {Object} corsHeaders - CORS headers to include
+ * @returns {Promise<{ blocked: Response|null, headers: Object }>}
+ */
+export async function rateLimitExplain(request, env, corsHeaders) {
+    return rateLimitRequest(request, env, corsHeaders, "explain", null);
+}
+
+/**
+ * Charge one unit and build the blocked response / headers.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings
+ * @param {Object} corsHeaders - CORS headers to include
+ * @param {string} scope - Key of SCOPES
+ * @param {Object|null} apiKey - Authenticated key record
+ * @returns {Promise<{ blocked: Response|null, headers: Object }>}
+ */
+async function rateLimitRequest(request, env, corsHeaders, scope, apiKey) {
+    if (!env.RATE_LIMITER && !env.CACHE_KV) {
+        return { blocked: jsonResponse({ error: "Missing CACHE_KV binding" }, 500, corsHeaders), headers: {} };
     }
 
-    await env.CACHE_KV.put(key, String(current + 1), {
-        expirationTtl: CTX_WINDOW_SEC + 60,
-    });
+    const state = await takeRateLimit(request, env, scope, 1, { apiKey });
+    const headers = rateLimitHeaders(state);
 
-    return null;
+    if (!state.allowed) {
+        return { blocked: rateLimitedResponse(state.retryAfter, { ...corsHeaders, ...headers }), headers };
+    }
+    return { blocked: null, headers };
 }
@@ -0,0 +1,75 @@
+/**
+ * Token-bucket rate limiter Durable Object.
+ * One instance per scope + client identity (see lib/rateLimit.js), so every
+ * take() for a client is serialized and atomic across colos.
+ *
+ * @module lib/rateLimitDO
+ */
+
+import { DurableObject } from "cloudflare:workers";
+
+/**
+ * Refill a bucket to `now`.
+ * @param {{ tokens: number, updatedAt: number }|null} bucket - Stored bucket
+ * @param {number} capacity - Burst size
+ * @param {number} refillPerSec - Sustained rate
+ * @param {number} now - Epoch ms
+ * @returns {{ tokens: number, updatedAt: number }}
+ */
+export function refillBucket(bucket, capacity, refillPerSec, now) {
+    if (!bucket) return { tokens: capacity, updatedAt: now };
+    const elapsedSec = Math.max(0, (now - bucket.updatedAt) / 1000);
+    return { tokens: Math.min(capacity, bucket.tokens + elapsedSec * refillPerSec), updatedAt: now };
+}
+
+/**
+ * Take `cost` tokens from a refilled bucket (pure; shared with tests).
+ * @param {{ tokens: number, updatedAt: number }} bucket - Refilled bucket
+ * @param {Object} opts
+ * @param {number} opts.cost - Tokens to take (0 = peek)
+ * @param {number} opts.capacity - Burst size
+ * @param {number} opts.refillPerSec - Sustained rate
+ * @param {boolean} [opts.allowDebt] - Charge even when it drives the bucket negative (post-hoc charges)
+ * @returns {{ bucket: Object, allowed: boolean, limit: number, remaining: number, reset: number, retryAfter: number }}
+ */
+export function takeFromBucket(bucket, { cost, capacity, refillPerSec, allowDebt = false }) {
+    // A peek (cost 0) reports whether one more token could be taken
+    const need = Math.max(cost, 1);
+    const allowed = allowDebt || bucket.tokens >= need;
+    const tokens = allowed ? bucket.tokens - cost : bucket.tokens;
+
+    return {
+        bucket: { tokens, updatedAt: bucket.updatedAt },
+        allowed,
+        limit: capacity,
+        remaining: Math.max(0, Math.floor(tokens)),
+        // Seconds until the bucket is full again
+        reset: Math.max(0, Math.ceil((capacity - tokens) / refillPerSec)),
+        // Seconds until `cost` (at least one) tokens are available
+        retryAfter: tokens >= need ? 0 : Math.max(1, Math.ceil((need - tokens) / refillPerSec)),
+    };
+}
+
+export class RateLimiter extends DurableObject {
+    /**
+     * Refill, then take `cost` tokens.
+     * @param {Object} opts - See takeFromBucket()
+     * @returns {Promise<Object>} { allowed, limit, remaining, reset, retryAfter }
+     */
+    async take(opts) {
+        const now = Date.now();
+        const stored = await this.ctx.storage.get("bucket");
+        const refilled = refillBucket(stored || null, opts.capacity, opts.refillPerSec, now);
+        const { bucket, ...result } = takeFromBucket(refilled, opts);
+
+        await this.ctx.storage.put("bucket", bucket);
+        // Forget idle clients once their bucket would be full again
+        await this.ctx.storage.setAlarm(now + (result.reset + 60) * 1000);
+
+        return result;
+    }
+
+    async alarm() {
+        await this.ctx.storage.deleteAll();
+    }
+}
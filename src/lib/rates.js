@@ -0,0 +1,191 @@
+/**
+ * Currency rates + display-currency conversion.
+ * Rates come from a KV table (refreshed by cron from RATES_ENDPOINT / env.FX_RATES_URL)
+ * and fall back to the static table in ratesFallback.js.
+ *
+ * Tables are `{ base, rates: { ISO: unitsPerBase }, asOf, source }`.
+ *
+ * @module lib/rates
+ */
+
+import {
+    RATES_ENDPOINT,
+    RATES_KV_KEY,
+    RATES_REFRESH_SEC,
+    RATES_KV_TTL_SEC,
+    RATES_TIMEOUT_MS,
+    SYMBOL_TO_ISO,
+} from './constants.js';
+import { fetchWithTimeout, safeJson } from './http.js';
+import { kvGetJson, kvPutJson } from './kvCache.js';
+import { FALLBACK_RATES } from './ratesFallback.js';
+
+/**
+ * Load the current rates table (KV first, then the static fallback).
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{ base: string, rates: Object, asOf: string, source: string }>}
+ */
+export async function loadRates(env) {
+    const stored = env.CACHE_KV ? await kvGetJson(env.CACHE_KV, RATES_KV_KEY) : null;
+    if (stored?.rates && stored?.base) return { ...stored, source: "kv" };
+    return { ...FALLBACK_RATES, source: "static" };
+}
+
+/**
+ * Parse a rates API response. Accepts open.er-api.com (`base_code`,
+ * `time_last_update_unix`) and plain `{ base, rates, date }` shapes.
+ * @param {Object} data - Response JSON
+ * @returns {{ base: string, rates: Object, asOf: string }|null}
+ */
+export function parseRatesResponse(data) {
+    if (!data || typeof data !== "object" || data.result === "error") return null;
+
+    const base = String(data.base_code || data.base || "").toUpperCase();
+    const rates = data.rates || data.conversion_rates;
+    if (!/^[A-Z]{3}$/.test(base) || !rates || typeof rates !== "object") return null;
+
+    const clean = {};
+    for (const [k, v] of Object.entries(rates)) {
+        if (/^[A-Z]{3}$/.test(k) && typeof v === "number" && Number.isFinite(v) && v > 0) clean[k] = v;
+    }
+    if (!Object.keys(clean).length) return null;
+    clean[base] = 1;
+
+    const asOf = data.time_last_update_unix
+        ? new Date(data.time_last_update_unix * 1000).toISOString()
+        : (data.date ? new Date(`${data.date}T00:00:00Z`).toISOString() : new Date().toISOString());
+
+    return { base, rates: clean, asOf };
+}
+
+/**
+ * Refetch the KV rates table when it is older than RATES_REFRESH_SEC (cron).
+ * @param {Object} env - Environment bindings
+ * @param {Object} [opts]
+ * @param {boolean} [opts.force] - Refetch regardless of age
+ * @returns {Promise<Object>} Outcome summary
+ */
+export async function refreshRates(env, { force = false } = {}) {
+    if (!env.CACHE_KV) return { ok: false, reason: "missing_bindings" };
+
+    const stored = await kvGetJson(env.CACHE_KV, RATES_KV_KEY);
+    const ageSec = stored?.fetchedAt ? (Date.now() - stored.fetchedAt) / 1000 : Infinity;
+    if (!force && ageSec < RATES_REFRESH_SEC) return { ok: true, refreshed: false, ageSec: Math.round(ageSec) };
+
+    const res = await fetchWithTimeout(env.FX_RATES_URL || RATES_ENDPOINT, { headers: { accept: "application/json" } }, RATES_TIMEOUT_MS);
+    const parsed = res?.ok ? parseRatesResponse(await safeJson(res)) : null;
+    if (!parsed) return { ok: false, reason: "fetch_failed", status: res?.status ?? 0 };
+
+    await kvPutJson(env.CACHE_KV, RATES_KV_KEY, { ...parsed, fetchedAt: Date.now() }, RATES_KV_TTL_SEC);
+    return { ok: true, refreshed: true, base: parsed.base, count: Object.keys(parsed.rates).length };
+}
+
+/**
+ * Cross rate between two currencies via the table base.
+ * @param {Object} table - Rates table
+ * @param {string} from - ISO code
+ * @param {string} to - ISO code
+ * @returns {number|null} Units of `to` per 1 `from`
+ */
+export function getRate(table, from, to) {
+    if (!from || !to) return null;
+    if (from === to) return 1;
+    const f = table?.rates?.[from];
+    const t = table?.rates?.[to];
+    if (!f || !t) return null;
+    return t / f;
+}
+
+/**
+ * Convert an amount, rounded to 2 decimals.
+ * @param {number|null} amount - Amount in `from`
+ * @param {number|null} rate - From getRate()
+ * @returns {number|null}
+ */
+export function convertAmount(amount, rate) {
+    if (amount == null || rate == null || !Number.isFinite(amount)) return null;
+    return Math.round(amount * rate * 100) / 100;
+}
+
+/**
+ * Detect the currency a price string is written in.
+ * "$" is ambiguous (USD, CAD, AUD, ...), so it only overrides the expected
+ * currency when that isn't a dollar currency itself.
+ * @param {string|null} text - Price text (e.g. "€1,234", "CHF 250")
+ * @param {string} expected - Requested ISO currency
+ * @returns {string} ISO code
+ */
+export function detectPriceCurrency(text, expected) {
+    const s = String(text || "");
+    if (!s) return expected;
+
+    const iso = s.match(/\b([A-Z]{3})\b/);
+    if (iso) return iso[1];
+
+    for (const [sym, code] of Object.entries(SYMBOL_TO_ISO)) {
+        if (!s.includes(sym)) continue;
+        if (sym === "$" && /D$/.test(expected || "")) return expected;
+        return code;
+    }
+    return expected;
+}
+
+/**
+ * Add totalDisplay / perNightDisplay to one offer (returns a copy).
+ * @param {Object|null} offer - Simplified offer
+ * @param {string} currency - Requested currency
+ * @param {string} displayCurrency - Target currency
+ * @param {Object} table - Rates table
+ * @param {Object} usedRates - Sink: { [fromCurrency]: rate }
+ * @returns {Object|null}
+ */
+function convertOffer(offer, currency, displayCurrency, table, usedRates) {
+    if (!offer) return offer;
+
+    const from = detectPriceCurrency(offer.totalText || offer.perNightText, currency);
+    const rate = getRate(table, from, displayCurrency);
+    usedRates[from] = rate;
+
+    const out = {
+        ...offer,
+        totalDisplay: convertAmount(offer.total, rate),
+        perNightDisplay: convertAmount(offer.perNight, rate),
+    };
+    if (offer.totalNormalized != null) out.totalNormalizedDisplay = convertAmount(offer.totalNormalized, rate);
+    if (from !== currency) out.priceCurrency = from;
+    return out;
+}
+
+/**
+ * Add display-currency fields to every offer in a /compare payload (returns a copy).
+ * @param {Object} body - /compare payload (offers, cheapestOverall, ...)
+ * @param {Object} params
+ * @param {string} params.currency - Requested currency
+ * @param {string} params.displayCurrency - Target currency
+ * @param {Object} params.table - Rates table from loadRates()
+ * @returns {Object}
+ */
+export function applyDisplayCurrency(body, { currency, displayCurrency, table }) {
+    const usedRates = {};
+    const conv = (o) => convertOffer(o, currency, displayCurrency, table, usedRates);
+
+    const rate = getRate(table, currency, displayCurrency);
+
+    return {
+        ...body,
+        offers: Array.isArray(body.offers) ? body.offers.map(conv) : body.offers,
+        cheapestOverall: conv(body.cheapestOverall),
+        cheapestOfficial: conv(body.cheapestOfficial),
+        currentOtaOffer: conv(body.currentOtaOffer),
+        bookingOffer: conv(body.bookingOffer),
+        displayCurrency: {
+            currency: displayCurrency,
+            from: currency,
+            rate,
+            rateSource: table.source,
+            rateAsOf: table.asOf || null,
+            // Offers priced in another currency than requested convert with their own rate
+            rates: { ...usedRates, [currency]: rate },
+        },
+    };
+}
@@ -0,0 +1,58 @@
+/**
+ * Static exchange-rate table (units per 1 USD).
+ * Used when the KV rates table is missing; refresh by hand now and then.
+ *
+ * @module lib/ratesFallback
+ */
+
+export const FALLBACK_RATES = {
+    base: "USD",
+    asOf: "2026-10-01T00:00:00Z",
+    rates: {
+        USD: 1,
+        EUR: 0.92,
+        GBP: 0.79,
+        CHF: 0.88,
+        SEK: 10.6,
+        NOK: 10.9,
+        DKK: 6.86,
+        PLN: 3.98,
+        CZK: 23.1,
+        HUF: 362,
+        RON: 4.58,
+        BGN: 1.8,
+        ISK: 138,
+        TRY: 34.3,
+        RUB: 96,
+        UAH: 41.3,
+        ILS: 3.75,
+        AED: 3.6725,
+        SAR: 3.75,
+        EGP: 48.6,
+        ZAR: 18.1,
+        MAD: 9.9,
+        CAD: 1.37,
+        MXN: 19.6,
+        BRL: 5.55,
+        ARS: 970,
+        CLP: 930,
+        COP: 4200,
+        PEN: 3.75,
+        AUD: 1.49,
+        NZD: 1.64,
+        JPY: 148,
+        CNY: 7.1,
+        HKD: 7.78,
+        TWD: 32.2,
+        KRW: 1360,
+        SGD: 1.3,
+        MYR: 4.3,
+        THB: 33.5,
+        IDR: 15600,
+        PHP: 57,
+        VND: 24900,
+        INR: 83.8,
+        LKR: 300,
+        NPR: 134,
+    },
+};
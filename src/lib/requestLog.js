@@ -0,0 +1,151 @@
+/**
+ * Request-scoped structured logging.
+ * Every request gets an id (client X-Request-Id when well-formed, else a UUID) returned in the
+ * X-Request-Id header, and ends with one JSON log line:
+ *
+ *   { type: "request", requestId, ts, method, route, status, durationMs, colo,
+ *     apiKeyId, tokenCache, offersCache, confidence, matchUncertain, errorCode,
+ *     upstream: { calls, ms, byEngine: { google_hotels: { calls, ms, failed } } }, ...route fields }
+ *
+ * Analytics Engine (optional, env.REQUEST_METRICS binding), one data point per request:
+ *   indexes: [route]
+ *   blobs:   [route, status, tokenCache, offersCache, errorCode]
+ *   doubles: [durationMs, upstream calls, upstream ms, confidence (-1 when nothing was matched)]
+ *
+ * @module lib/requestLog
+ */
+
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{8,100}$/;
+
+/**
+ * Request id: the client's X-Request-Id when well-formed, else a new UUID.
+ * @param {Request} request - Incoming request
+ * @returns {string}
+ */
+export function requestIdFor(request) {
+    const incoming = (request.headers.get("X-Request-Id") || "").trim();
+    return REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+/**
+ * error_code of a JSON error response (null for successes, streams and non-JSON bodies).
+ * @param {Response} response - Outgoing response
+ * @returns {Promise<string|null>}
+ */
+async function responseErrorCode(response) {
+    if (response.status < 400 || !(response.headers.get("Content-Type") || "").includes("application/json")) return null;
+    try {
+        const body = await response.clone().json();
+        return typeof body?.error_code === "string" ? body.error_code : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Start the log for a request.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings
+ * @param {string} route - Route name (bounded set, used as the metrics index)
+ * @returns {Object} Log handle: { requestId, route, set, upstream, hold, finish }
+ */
+export function createRequestLog(request, env, route) {
+    const startedAt = Date.now();
+    const requestId = requestIdFor(request);
+    const fields = {};
+    const upstream = { calls: 0, ms: 0, byEngine: {} };
+    const held = [];
+
+    /**
+     * Write the log line and metrics data point.
+     * @param {number} status - Response status
+     */
+    const emit = (status) => {
+        const line = {
+            type: "request",
+            requestId,
+            ts: new Date(startedAt).toISOString(),
+            method: request.method,
+            route,
+            status,
+            durationMs: Date.now() - startedAt,
+            colo: request.cf?.colo || null,
+            apiKeyId: null,
+            tokenCache: null,
+            offersCache: null,
+            confidence: null,
+            matchUncertain: null,
+            errorCode: null,
+            ...fields,
+            upstream,
+        };
+        console.log(JSON.stringify(line));
+
+        if (env.REQUEST_METRICS) {
+            try {
+                env.REQUEST_METRICS.writeDataPoint({
+                    indexes: [route],
+                    blobs: [route, String(status), line.tokenCache || "", line.offersCache || "", line.errorCode || ""],
+                    doubles: [line.durationMs, upstream.calls, upstream.ms, Number.isFinite(line.confidence) ? line.confidence : -1],
+                });
+            } catch {
+                // Metrics are best effort
+            }
+        }
+    };
+
+    return {
+        requestId,
+        route,
+
+        /**
+         * Add fields to the log line (later values win; undefined is ignored).
+         * @param {Object} values - Fields
+         */
+        set(values) {
+            for (const [k, v] of Object.entries(values || {})) {
+                if (v !== undefined) fields[k] = v;
+            }
+        },
+
+        /**
+         * Count one upstream provider call.
+         * @param {string} engine - "google_hotels" | "google_hotels_property"
+         * @param {{ ms: number, ok: boolean }} call - Latency and outcome
+         */
+        upstream(engine, { ms, ok }) {
+            const e = upstream.byEngine[engine] ||= { calls: 0, ms: 0, failed: 0 };
+            e.calls++;
+            e.ms += ms;
+            if (!ok) e.failed++;
+            upstream.calls++;
+            upstream.ms += ms;
+        },
+
+        /**
+         * Delay the log line until work that outlives the response (a streamed body) settles.
+         * @param {Promise} promise - Pending work
+         */
+        hold(promise) {
+            held.push(promise);
+        },
+
+        /**
+         * Tag the response with X-Request-Id and write the log line (after held work, if any).
+         * @param {Response} response - Outgoing response
+         * @param {Object} ctx - Execution context
+         * @returns {Promise<Response>}
+         */
+        async finish(response, ctx) {
+            const errorCode = await responseErrorCode(response);
+            if (errorCode && !fields.errorCode) fields.errorCode = errorCode;
+
+            const tagged = new Response(response.body, response);
+            tagged.headers.set("X-Request-Id", requestId);
+
+            if (held.length) ctx.waitUntil(Promise.allSettled(held).then(() => emit(response.status)));
+            else emit(response.status);
+            return tagged;
+        },
+    };
+}
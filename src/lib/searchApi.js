@@ -1,5 +1,6 @@
 /**
  * SearchApi wrapper for Google Hotels calls.
+ * Also exposes the SearchApi hotel provider adapter (routes go through lib/providers.js).
  * 
  * @module lib/searchApi
  */
@@ -30,15 +31,30 @@ export function isHlParamError(data) {
     return msg.includes("hl") && (msg.includes("unsupported") || msg.includes("invalid") || msg.includes("parameter"));
 }
 
+/**
+ * SearchApi params for children/rooms.
+ * Omitted for the default party so requests (and cached results) stay unchanged.
+ * @param {{ children?: number, childAges?: number[], rooms?: number }} occ - Occupancy
+ * @returns {Object}
+ */
+export function occupancyParams(occ) {
+    return {
+        children: occ?.children > 0 ? occ.children : undefined,
+        children_ages: occ?.children > 0 ? (occ.childAges || []).join(",") : undefined,
+        rooms: occ?.rooms > 1 ? occ.rooms : undefined,
+    };
+}
+
 /**
  * Call SearchApi with automatic HL fallback.
+ * env.SEARCHAPI_ENDPOINT replaces the endpoint (local mock server, see scripts/mock-searchapi.mjs).
  * @param {Object} env - Environment bindings
  * @param {Object} params - API parameters
  * @returns {Promise<Object>}
  */
 export async function searchApiCall(env, params) {
     const doCall = async (p) => {
-        const u = new URL(SEARCHAPI_ENDPOINT);
+        const u = new URL(env.SEARCHAPI_ENDPOINT || SEARCHAPI_ENDPOINT);
         for (const [k, v] of Object.entries(p)) {
             if (v === undefined || v === null || v === "") continue;
             u.searchParams.set(k, String(v));
@@ -76,3 +92,99 @@ export async function searchApiCall(env, params) {
 
     return { ...out, hlFallback: false };
 }
+
+/**
+ * Normalize a SearchApi google_hotels property into the provider-neutral shape.
+ * @param {Object} p - Raw property
+ * @returns {Object}
+ */
+export function normalizeSearchApiProperty(p) {
+    const gps = p?.gps_coordinates;
+    return {
+        name: p?.name || null,
+        property_token: p?.property_token || null,
+        link: p?.link || null,
+        city: p?.city || null,
+        country: p?.country || null,
+        type: p?.type || null,
+        gps: gps?.latitude != null && gps?.longitude != null ? { lat: gps.latitude, lng: gps.longitude } : null,
+    };
+}
+
+/**
+ * Wrap a searchApiCall() result in the provider result shape.
+ * @param {Object} call - searchApiCall() result
+ * @param {Function} mapData - Maps the OK response body to normalized data
+ * @returns {Object}
+ */
+function toProviderResult(call, mapData) {
+    const { res, data } = call;
+    const ok = Boolean(res?.ok) && !data?.error;
+    return {
+        ok,
+        provider: "searchapi",
+        status: res?.status ?? 0,
+        data: ok ? mapData(data) : null,
+        error: ok ? null : (data?.error || data || null),
+        fetchError: call.fetchError || null,
+        requestUrl: call.requestUrl,
+        hlFallback: call.hlFallback,
+        firstError: call.firstError || null,
+        firstFetchError: call.firstFetchError || null,
+    };
+}
+
+/**
+ * SearchApi adapter for the hotel provider interface (see lib/providers.js).
+ * SearchApi offers already use the internal offer shape consumed by simplifyOffer().
+ */
+export const searchApiProvider = {
+    id: "searchapi",
+
+    isConfigured: (env) => Boolean(env.SEARCHAPI_KEY),
+
+    async searchProperties(env, p) {
+        const call = await searchApiCall(env, {
+            engine: "google_hotels",
+            q: p.q,
+            check_in_date: p.checkIn,
+            check_out_date: p.checkOut,
+            adults: p.adults,
+            ...occupancyParams(p),
+            currency: p.currency,
+            hl: p.hl,
+            gl: p.gl,
+        });
+        return toProviderResult(call, (data) => ({
+            properties: (Array.isArray(data?.properties) ? data.properties : []).map(normalizeSearchApiProperty),
+        }));
+    },
+
+    async getPropertyOffers(env, p) {
+        const call = await searchApiCall(env, {
+            engine: "google_hotels_property",
+            property_token: p.propertyToken,
+            check_in_date: p.checkIn,
+            check_out_date: p.checkOut,
+            adults: p.adults,
+            ...occupancyParams(p),
+            currency: p.currency,
+            hl: p.hl,
+            gl: p.gl,
+        });
+        return toProviderResult(call, (data) => {
+            const prop = data?.property;
+            if (!prop) return { property: null, raw: data };
+            return {
+                property: {
+                    name: prop.name || null,
+                    address: prop.address || null,
+                    phone: prop.phone || null,
+                    link: prop.link || null,
+                    featured_offers: Array.isArray(prop.featured_offers) ? prop.featured_offers : [],
+                    all_offers: Array.isArray(prop.all_offers) ? prop.all_offers : [],
+                },
+            };
+        });
+    },
+};
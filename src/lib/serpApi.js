@@ -0,0 +1,188 @@
+/**
+ * SerpApi wrapper for Google Hotels calls + hotel provider adapter.
+ * Responses are mapped onto the same internal shapes as the SearchApi adapter
+ * (SearchApi-style offers with total_price / price_per_night).
+ *
+ * Both providers scrape Google Hotels, so property_token values are interchangeable.
+ *
+ * @module lib/serpApi
+ */
+
+import { SERPAPI_ENDPOINT, SERPAPI_TIMEOUT_MS } from './constants.js';
+import { fetchWithTimeout, safeJson } from './http.js';
+
+/**
+ * Call SerpApi (api_key is sent as a query param and redacted from requestUrl).
+ * @param {Object} env - Environment bindings
+ * @param {Object} params - API parameters
+ * @returns {Promise<Object>} { res, data, requestUrl, fetchError }
+ */
+export async function serpApiCall(env, params) {
+    const u = new URL(SERPAPI_ENDPOINT);
+    for (const [k, v] of Object.entries(params)) {
+        if (v === undefined || v === null || v === "") continue;
+        u.searchParams.set(k, String(v));
+    }
+    const requestUrl = u.toString();
+    u.searchParams.set("api_key", env.SERPAPI_KEY || "");
+
+    const res = await fetchWithTimeout(u.toString(), { headers: { "Accept": "application/json" } }, SERPAPI_TIMEOUT_MS);
+    if (!res) return { res: null, data: null, requestUrl, fetchError: "timeout_or_network_error" };
+
+    const data = await safeJson(res);
+    return { res, data, requestUrl, fetchError: null };
+}
+
+/**
+ * SerpApi occupancy params (no multi-room support upstream).
+ * @param {{ children?: number, childAges?: number[] }} p - Occupancy
+ * @returns {Object}
+ */
+function serpOccupancyParams(p) {
+    return {
+        children: p?.children > 0 ? p.children : undefined,
+        children_ages: p?.children > 0 ? (p.childAges || []).join(",") : undefined,
+    };
+}
+
+/**
+ * Map a SerpApi rate object ({ lowest, extracted_lowest, before_taxes_fees, ... }) to SearchApi's price shape.
+ * @param {Object|null} rate - SerpApi rate_per_night / total_rate
+ * @returns {Object|null}
+ */
+function toPriceObj(rate) {
+    if (!rate) return null;
+    return {
+        price: rate.lowest ?? null,
+        extracted_price: rate.extracted_lowest ?? null,
+        price_before_taxes: rate.before_taxes_fees ?? null,
+        extracted_price_before_taxes: rate.extracted_before_taxes_fees ?? null,
+    };
+}
+
+/**
+ * Map a SerpApi price entry (featured_prices / prices) to the internal offer shape.
+ * @param {Object} o - SerpApi price entry
+ * @returns {Object}
+ */
+function normalizeSerpOffer(o) {
+    return {
+        source: o?.source || null,
+        is_official: o?.official === true,
+        link: o?.link || null,
+        num_guests: o?.num_guests ?? null,
+        total_price: toPriceObj(o?.total_rate),
+        price_per_night: toPriceObj(o?.rate_per_night),
+        rooms: Array.isArray(o?.rooms)
+            ? o.rooms.map((r) => ({
+                name: r?.name || null,
+                num_guests: r?.num_guests ?? null,
+                link: r?.link || null,
+                total_price: toPriceObj(r?.total_rate),
+                price_per_night: toPriceObj(r?.rate_per_night),
+            }))
+            : undefined,
+    };
+}
+
+/**
+ * Normalize a SerpApi property into the provider-neutral shape.
+ * @param {Object} p - Raw property
+ * @returns {Object}
+ */
+function normalizeSerpProperty(p) {
+    const gps = p?.gps_coordinates;
+    return {
+        name: p?.name || null,
+        property_token: p?.property_token || null,
+        link: p?.link || null,
+        city: p?.city || null,
+        country: p?.country || null,
+        type: p?.type || null,
+        gps: gps?.latitude != null && gps?.longitude != null ? { lat: gps.latitude, lng: gps.longitude } : null,
+    };
+}
+
+/**
+ * Wrap a serpApiCall() result in the provider result shape.
+ * @param {Object} call - serpApiCall() result
+ * @param {Function} mapData - Maps the OK response body to normalized data
+ * @returns {Object}
+ */
+function toProviderResult(call, mapData) {
+    const { res, data } = call;
+    const ok = Boolean(res?.ok) && !data?.error;
+    return {
+        ok,
+        provider: "serpapi",
+        status: res?.status ?? 0,
+        data: ok ? mapData(data) : null,
+        error: ok ? null : (data?.error || data || null),
+        fetchError: call.fetchError || null,
+        requestUrl: call.requestUrl,
+        hlFallback: false,
+        firstError: null,
+        firstFetchError: null,
+    };
+}
+
+/**
+ * SerpApi adapter for the hotel provider interface (see lib/providers.js).
+ */
+export const serpApiProvider = {
+    id: "serpapi",
+
+    isConfigured: (env) => Boolean(env.SERPAPI_KEY),
+
+    // No rooms param upstream: a multi-room request would come back priced for one room
+    supports: (p) => !(p?.rooms > 1),
+
+    async searchProperties(env, p) {
+        const call = await serpApiCall(env, {
+            engine: "google_hotels",
+            q: p.q,
+            check_in_date: p.checkIn,
+            check_out_date: p.checkOut,
+            adults: p.adults,
+            ...serpOccupancyParams(p),
+            currency: p.currency,
+            hl: p.hl,
+            gl: p.gl,
+        });
+        return toProviderResult(call, (data) => {
+            // A query that resolves to one hotel returns that property at the top level
+            const raw = Array.isArray(data?.properties) ? data.properties : (data?.property_token ? [data] : []);
+            return { properties: raw.map(normalizeSerpProperty) };
+        });
+    },
+
+    async getPropertyOffers(env, p) {
+        const call = await serpApiCall(env, {
+            engine: "google_hotels",
+            q: p.q || p.propertyToken,
+            property_token: p.propertyToken,
+            check_in_date: p.checkIn,
+            check_out_date: p.checkOut,
+            adults: p.adults,
+            ...serpOccupancyParams(p),
+            currency: p.currency,
+            hl: p.hl,
+            gl: p.gl,
+        });
+        return toProviderResult(call, (data) => {
+            if (!data?.name && !Array.isArray(data?.prices) && !Array.isArray(data?.featured_prices)) {
+                return { property: null, raw: data };
+            }
+            return {
+                property: {
+                    name: data.name || null,
+                    address: data.address || null,
+                    phone: data.phone || null,
+                    link: data.link || null,
+                    featured_offers: (Array.isArray(data.featured_prices) ? data.featured_prices : []).map(normalizeSerpOffer),
+                    all_offers: (Array.isArray(data.prices) ? data.prices : []).map(normalizeSerpOffer),
+                },
+            };
+        });
+    },
+};
@@ -0,0 +1,162 @@
+/**
+ * HMAC request signing for locked routes.
+ *
+ * Clients send:
+ *  - X-Signature-Timestamp : unix seconds
+ *  - X-Signature-Nonce     : 16-128 chars [A-Za-z0-9_-], single use
+ *  - X-Signature           : hex HMAC-SHA256(env.REQUEST_SIGNING_SECRET, canonical string)
+ *
+ * Canonical string (newline-separated):
+ *   METHOD, pathname, canonical query (sorted, RFC 3986 encoded), timestamp, nonce, hex SHA-256 of the body
+ *
+ * Signatures are optional unless env.REQUIRE_SIGNED_ORIGINLESS=1, which makes them
+ * mandatory for requests without an Origin header (curl / server-to-server).
+ *
+ * @module lib/signing
+ */
+
+import { SIGNATURE_MAX_SKEW_SEC, SIGNATURE_NONCE_TTL_SEC } from './constants.js';
+import { sha256Hex, timingSafeEqual } from './apiKeys.js';
+
+/**
+ * RFC 3986 percent-encoding (encodeURIComponent leaves !'()* alone).
+ * @param {string} s - Raw component
+ * @returns {string}
+ */
+function rfc3986(s) {
+    return encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Canonical query string: pairs sorted by key, then value.
+ * @param {URLSearchParams} params - Query params
+ * @returns {string}
+ */
+export function canonicalQuery(params) {
+    const cmp = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    return [...params.entries()]
+        .map(([k, v]) => [rfc3986(k), rfc3986(v)])
+        .sort((a, b) => cmp(a[0], b[0]) || cmp(a[1], b[1]))
+        .map(([k, v]) => `${k}=${v}`)
+        .join("&");
+}
+
+/**
+ * Build the string that gets signed.
+ * @param {Object} parts
+ * @param {string} parts.method - HTTP method
+ * @param {string} parts.pathname - URL path
+ * @param {URLSearchParams} parts.params - Query params
+ * @param {string|number} parts.timestamp - Unix seconds
+ * @param {string} parts.nonce - Nonce
+ * @param {string} parts.bodyHash - Hex SHA-256 of the body ("" body for GET)
+ * @returns {string}
+ */
+export function canonicalRequestString({ method, pathname, params, timestamp, nonce, bodyHash }) {
+    return [String(method).toUpperCase(), pathname, canonicalQuery(params), String(timestamp), nonce, bodyHash].join("\n");
+}
+
+/**
+ * Hex HMAC-SHA256.
+ * @param {string} secret - Shared secret
+ * @param {string} message - Message
+ * @returns {Promise<string>}
+ */
+export async function hmacSha256Hex(secret, message) {
+    const enc = new TextEncoder();
+    const key = await crypto.subtle.importKey("raw", enc.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+    const sig = await crypto.subtle.sign("HMAC", key, enc.encode(message));
+    return Array.from(new Uint8Array(sig), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Sign a request (client side; used by tests and tooling).
+ * @param {string} secret - Shared secret
+ * @param {Object} parts - See canonicalRequestString(); `body` (string) replaces bodyHash
+ * @returns {Promise<Object>} Headers to send
+ */
+export async function signRequestHeaders(secret, { method, url, body = "", timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomUUID() }) {
+    const u = new URL(url);
+    const signature = await hmacSha256Hex(secret, canonicalRequestString({
+        method,
+        pathname: u.pathname,
+        params: u.searchParams,
+        timestamp,
+        nonce,
+        bodyHash: await sha256Hex(body),
+    }));
+    return {
+        "X-Signature-Timestamp": String(timestamp),
+        "X-Signature-Nonce": nonce,
+        "X-Signature": signature,
+    };
+}
+
+/**
+ * Signature failure.
+ * @param {number} status - HTTP status
+ * @param {string} error - Message
+ * @param {string} errorCode - Machine-readable code
+ * @returns {{ ok: false, error: { status: number, body: Object } }}
+ */
+function signatureError(status, error, errorCode) {
+    return { ok: false, error: { status, body: { error, error_code: errorCode } } };
+}
+
+/**
+ * Verify a request's signature headers.
+ * Unsigned requests pass unless env.REQUIRE_SIGNED_ORIGINLESS=1 and there is no Origin header.
+ * A valid nonce is stored in KV so the same signature can't be replayed.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings
+ * @param {number} [now] - Epoch ms
+ * @returns {Promise<{ ok: boolean, signed: boolean, error?: { status: number, body: Object } }>}
+ */
+export async function verifyRequestSignature(request, env, now = Date.now()) {
+    const signature = request.headers.get("X-Signature");
+    const timestampRaw = request.headers.get("X-Signature-Timestamp");
+    const nonce = request.headers.get("X-Signature-Nonce");
+    const secret = env.REQUEST_SIGNING_SECRET;
+
+    if (!signature && !timestampRaw && !nonce) {
+        const required = String(env.REQUIRE_SIGNED_ORIGINLESS || "") === "1" && !request.headers.get("Origin");
+        if (!required) return { ok: true, signed: false };
+        if (!secret) return signatureError(500, "Request signing not configured", "SIGNING_NOT_CONFIGURED");
+        return signatureError(401, "Signature required", "SIGNATURE_REQUIRED");
+    }
+
+    if (!secret) return signatureError(500, "Request signing not configured", "SIGNING_NOT_CONFIGURED");
+    if (!signature || !/^\d{1,12}$/.test(timestampRaw || "") || !/^[A-Za-z0-9_-]{16,128}$/.test(nonce || "")) {
+        return signatureError(401, "Invalid signature", "INVALID_SIGNATURE");
+    }
+
+    const timestamp = parseInt(timestampRaw, 10);
+    if (Math.abs(now / 1000 - timestamp) > SIGNATURE_MAX_SKEW_SEC) {
+        return signatureError(401, "Signature expired", "SIGNATURE_EXPIRED");
+    }
+
+    const url = new URL(request.url);
+    const body = request.method === "GET" || request.method === "HEAD" ? "" : await request.clone().text();
+    const expected = await hmacSha256Hex(secret, canonicalRequestString({
+        method: request.method,
+        pathname: url.pathname,
+        params: url.searchParams,
+        timestamp,
+        nonce,
+        bodyHash: await sha256Hex(body),
+    }));
+    if (!timingSafeEqual(expected, signature.toLowerCase())) {
+        return signatureError(401, "Invalid signature", "INVALID_SIGNATURE");
+    }
+
+    // Replay check (KV get-then-put: best effort across colos)
+    if (env.CACHE_KV) {
+        const nonceKey = `nonce:${nonce}`;
+        if (await env.CACHE_KV.get(nonceKey)) {
+            return signatureError(401, "Signature already used", "SIGNATURE_REPLAYED");
+        }
+        await env.CACHE_KV.put(nonceKey, String(timestamp), { expirationTtl: SIGNATURE_NONCE_TTL_SEC });
+    }
+
+    return { ok: true, signed: true };
+}
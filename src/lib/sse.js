@@ -0,0 +1,54 @@
+/**
+ * Server-Sent Events helpers.
+ *
+ * @module lib/sse
+ */
+
+/**
+ * Check whether the client asked for an event stream.
+ * @param {Request} request - Incoming request
+ * @returns {boolean}
+ */
+export function wantsEventStream(request) {
+    return (request.headers.get("Accept") || "").toLowerCase().includes("text/event-stream");
+}
+
+/**
+ * Open an SSE response backed by a TransformStream.
+ * Writes are serialized; send() after close() is a no-op.
+ * @param {Object} corsHeaders - CORS headers
+ * @returns {{ response: Response, send: (event: string, data: Object) => Promise<void>, close: () => Promise<void> }}
+ */
+export function createEventStream(corsHeaders) {
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+    let closed = false;
+
+    const send = async (event, data) => {
+        if (closed) return;
+        try {
+            await writer.write(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        } catch {
+            // Client went away; keep the pipeline running so caches still fill
+            closed = true;
+        }
+    };
+
+    const close = async () => {
+        if (closed) return;
+        closed = true;
+        try { await writer.close(); } catch { }
+    };
+
+    const response = new Response(readable, {
+        status: 200,
+        headers: {
+            "Content-Type": "text/event-stream; charset=utf-8",
+            "Cache-Control": "no-cache",
+            ...corsHeaders,
+        },
+    });
+
+    return { response, send, close };
+}
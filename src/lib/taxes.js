@@ -0,0 +1,113 @@
+/**
+ * Tax/fee normalization for offers.
+ * Estimates an all-in total for offers that only show a before-tax price, so
+ * OTAs quoting before tax don't look cheaper than all-in official prices.
+ *
+ * @module lib/taxes
+ */
+
+import { TAX_RATES_BY_COUNTRY, TAX_RATIO_MAX } from './constants.js';
+
+/**
+ * Round to 2 decimal places.
+ * @param {number} x
+ * @returns {number}
+ */
+function round2(x) {
+    return Math.round(x * 100) / 100;
+}
+
+/**
+ * Median after/before-tax ratio across offers that show both prices.
+ * @param {Object[]} offers - Simplified offers
+ * @returns {{ ratio: number|null, samples: number }}
+ */
+export function observedTaxRatio(offers) {
+    const ratios = [];
+    for (const o of Array.isArray(offers) ? offers : []) {
+        if (o?.totalIsBeforeTax || o?.total == null || !o?.beforeTax) continue;
+        const r = o.total / o.beforeTax;
+        if (r >= 1 && r <= TAX_RATIO_MAX) ratios.push(r);
+    }
+    if (!ratios.length) return { ratio: null, samples: 0 };
+
+    ratios.sort((a, b) => a - b);
+    const mid = Math.floor(ratios.length / 2);
+    const ratio = ratios.length % 2 ? ratios[mid] : (ratios[mid - 1] + ratios[mid]) / 2;
+    return { ratio: Math.round(ratio * 10000) / 10000, samples: ratios.length };
+}
+
+/**
+ * Pick the ratio used for before-tax offers: observed for this property, else the country table.
+ * @param {Object[]} offers - Simplified offers
+ * @param {string} [country] - gl country code
+ * @returns {{ ratio: number|null, source: "observed"|"country"|null, samples: number }}
+ */
+export function resolveTaxRatio(offers, country) {
+    const observed = observedTaxRatio(offers);
+    if (observed.ratio != null) return { ratio: observed.ratio, source: "observed", samples: observed.samples };
+
+    const rate = TAX_RATES_BY_COUNTRY[String(country || "").toLowerCase()];
+    if (rate != null) return { ratio: 1 + rate, source: "country", samples: 0 };
+
+    return { ratio: null, source: null, samples: 0 };
+}
+
+/**
+ * Add `totalNormalized` + `estimated` to each offer (mutates, returns the tax basis).
+ * All-in offers keep their total; before-tax offers are scaled by the resolved ratio.
+ * `estimated` is true whenever the normalized total isn't a price the OTA showed.
+ * @param {Object[]} offers - Simplified offers
+ * @param {Object} [opts]
+ * @param {string} [opts.country] - gl country code for the fallback table
+ * @returns {{ ratio: number|null, source: string|null, samples: number }}
+ */
+export function normalizeOfferTaxes(offers, { country } = {}) {
+    const basis = resolveTaxRatio(offers, country);
+
+    for (const o of Array.isArray(offers) ? offers : []) {
+        if (!o || o.total == null) continue;
+        if (!o.totalIsBeforeTax) {
+            o.totalNormalized = o.total;
+            o.estimated = false;
+        } else {
+            o.totalNormalized = basis.ratio != null ? round2(o.total * basis.ratio) : o.total;
+            o.estimated = true;
+        }
+    }
+
+    return basis;
+}
+
+/**
+ * Offers sorted by normalized total (returns a copy).
+ * Offers without `totalNormalized` (older cache entries) fall back to `total`.
+ * @param {Object[]} offers - Simplified offers
+ * @returns {Object[]}
+ */
+export function sortOffersByNormalizedTotal(offers) {
+    const key = (o) => o?.totalNormalized ?? o?.total ?? 1e18;
+    return Array.isArray(offers) ? [...offers].sort((a, b) => key(a) - key(b)) : [];
+}
+
+/**
+ * Re-sort a /compare payload by normalized total and re-pick the cheapest offers (returns a copy).
+ * Uses `offersByNormalizedTotal` (the top of the full offer list, see buildOffersPayload) when the
+ * payload has it, so offers cut from the raw-sorted slice still compete; older cache entries
+ * re-sort their `offers`.
+ * @param {Object} body - /compare payload
+ * @returns {Object}
+ */
+export function sortPayloadByNormalizedTotal(body) {
+    const { offersByNormalizedTotal, ...rest } = body;
+    const offers = Array.isArray(offersByNormalizedTotal) ? offersByNormalizedTotal : sortOffersByNormalizedTotal(body.offers);
+
+    return {
+        ...rest,
+        offers,
+        cheapestOverall: offers[0] || null,
+        // The official offer may sit beyond the returned slice; keep the stored one then
+        cheapestOfficial: offers.find((o) => o.isOfficial) || body.cheapestOfficial || null,
+        sortedBy: "totalNormalized",
+    };
+}
@@ -0,0 +1,174 @@
+/**
+ * Transliteration of non-Latin hotel names.
+ * Romanizes Cyrillic, Greek, Arabic, Japanese kana and Hangul so names written in those
+ * scripts tokenize and key the same way as their Latin spellings ("Отель Москва" -> "hotel moskva").
+ *
+ * Han ideographs have no dictionary-free romanization: they are kept as-is, set apart from
+ * neighbouring text so the matcher can split them into bigrams.
+ *
+ * @module lib/transliterate
+ */
+
+import { TRANSLIT_CJK_WORDS, TRANSLIT_WORD_ALIASES } from './constants.js';
+
+// Per-character romanization (lowercase input). Cyrillic follows BGN/PCGN, Greek ELOT 743.
+const CHAR_MAP = {
+    // Cyrillic (Russian, Ukrainian, Serbian/Macedonian extras)
+    "а": "a", "б": "b", "в": "v", "г": "g", "д": "d", "е": "e", "ё": "e", "ж": "zh",
+    "з": "z", "и": "i", "й": "y", "к": "k", "л": "l", "м": "m", "н": "n", "о": "o",
+    "п": "p", "р": "r", "с": "s", "т": "t", "у": "u", "ф": "f", "х": "kh", "ц": "ts",
+    "ч": "ch", "ш": "sh", "щ": "shch", "ъ": "", "ы": "y", "ь": "", "э": "e", "ю": "yu",
+    "я": "ya", "і": "i", "ї": "yi", "є": "ye", "ґ": "g", "ђ": "dj", "ј": "j", "љ": "lj",
+    "њ": "nj", "ћ": "c", "џ": "dz", "ѓ": "gj", "ќ": "kj", "ѕ": "dz", "ў": "u",
+
+    // Greek (accented vowels listed since mapping runs before diacritics are stripped)
+    "α": "a", "ά": "a", "β": "v", "γ": "g", "δ": "d", "ε": "e", "έ": "e", "ζ": "z",
+    "η": "i", "ή": "i", "θ": "th", "ι": "i", "ί": "i", "ϊ": "i", "ΐ": "i", "κ": "k",
+    "λ": "l", "μ": "m", "ν": "n", "ξ": "x", "ο": "o", "ό": "o", "π": "p", "ρ": "r",
+    "σ": "s", "ς": "s", "τ": "t", "υ": "y", "ύ": "y", "ϋ": "y", "ΰ": "y", "φ": "f",
+    "χ": "ch", "ψ": "ps", "ω": "o", "ώ": "o",
+
+    // Arabic / Persian consonants (short vowels are not written, so none are produced)
+    "ا": "a", "أ": "a", "إ": "i", "آ": "a", "ب": "b", "ت": "t", "ث": "th", "ج": "j",
+    "ح": "h", "خ": "kh", "د": "d", "ذ": "dh", "ر": "r", "ز": "z", "س": "s", "ش": "sh",
+    "ص": "s", "ض": "d", "ط": "t", "ظ": "z", "ع": "", "غ": "gh", "ف": "f", "ق": "q",
+    "ك": "k", "ل": "l", "م": "m", "ن": "n", "ه": "h", "و": "w", "ي": "y", "ى": "a",
+    "ة": "a", "ء": "", "ئ": "", "ؤ": "", "پ": "p", "چ": "ch", "ژ": "zh", "گ": "g",
+    "ک": "k", "ی": "y", "٠": "0", "١": "1", "٢": "2", "٣": "3", "٤": "4", "٥": "5",
+    "٦": "6", "٧": "7", "٨": "8", "٩": "9",
+
+    // Latin letters that do not decompose under NFD
+    "ø": "o", "æ": "ae", "œ": "oe", "ß": "ss", "ł": "l", "đ": "d", "ð": "d", "þ": "th", "ı": "i",
+};
+
+const CHAR_RE = new RegExp(`[${Object.keys(CHAR_MAP).join("")}]`, "gu");
+
+// Greek vowel digraphs, applied before CHAR_MAP
+const GREEK_DIGRAPHS = [[/ο[υύ]/g, "ou"], [/α[υύ]/g, "av"], [/ε[υύ]/g, "ev"], [/γγ/g, "ng"]];
+
+// Arabic harakat (vowel marks, shadda, sukun) and tatweel
+const ARABIC_MARKS_RE = /[\u064b-\u0652\u0670\u0640]/g;
+
+// Hiragana -> Hepburn (katakana is shifted onto hiragana first)
+const KANA = {
+    "あ": "a", "い": "i", "う": "u", "え": "e", "お": "o",
+    "か": "ka", "き": "ki", "く": "ku", "け": "ke", "こ": "ko",
+    "さ": "sa", "し": "shi", "す": "su", "せ": "se", "そ": "so",
+    "た": "ta", "ち": "chi", "つ": "tsu", "て": "te", "と": "to",
+    "な": "na", "に": "ni", "ぬ": "nu", "ね": "ne", "の": "no",
+    "は": "ha", "ひ": "hi", "ふ": "fu", "へ": "he", "ほ": "ho",
+    "ま": "ma", "み": "mi", "む": "mu", "め": "me", "も": "mo",
+    "や": "ya", "ゆ": "yu", "よ": "yo",
+    "ら": "ra", "り": "ri", "る": "ru", "れ": "re", "ろ": "ro",
+    "わ": "wa", "ゐ": "i", "ゑ": "e", "を": "o", "ん": "n",
+    "が": "ga", "ぎ": "gi", "ぐ": "gu", "げ": "ge", "ご": "go",
+    "ざ": "za", "じ": "ji", "ず": "zu", "ぜ": "ze", "ぞ": "zo",
+    "だ": "da", "ぢ": "ji", "づ": "zu", "で": "de", "ど": "do",
+    "ば": "ba", "び": "bi", "ぶ": "bu", "べ": "be", "ぼ": "bo",
+    "ぱ": "pa", "ぴ": "pi", "ぷ": "pu", "ぺ": "pe", "ぽ": "po",
+    "ぁ": "a", "ぃ": "i", "ぅ": "u", "ぇ": "e", "ぉ": "o",
+    "ゃ": "ya", "ゅ": "yu", "ょ": "yo", "ゔ": "vu",
+};
+const KANA_SMALL_Y = { "ゃ": "a", "ゅ": "u", "ょ": "o" };
+const KANA_SMALL_VOWEL = { "ぁ": "a", "ぃ": "i", "ぅ": "u", "ぇ": "e", "ぉ": "o" };
+const KANA_RE = /[ぁ-ゖァ-ー]/;
+
+// Hangul syllable jamo -> Revised Romanization
+const HANGUL_INITIALS = ["g", "kk", "n", "d", "tt", "r", "m", "b", "pp", "s", "ss", "", "j", "jj", "ch", "k", "t", "p", "h"];
+const HANGUL_MEDIALS = ["a", "ae", "ya", "yae", "eo", "e", "yeo", "ye", "o", "wa", "wae", "oe", "yo", "u", "wo", "we", "wi", "yu", "eu", "ui", "i"];
+const HANGUL_FINALS = ["", "k", "k", "k", "n", "n", "n", "t", "l", "k", "m", "l", "l", "l", "p", "l", "m", "p", "p", "t", "t", "ng", "t", "t", "k", "t", "p", "t"];
+const HANGUL_RE = /[가-힣]/g;
+
+const HAN_RUN_RE = /\p{Script=Han}+/gu;
+const NON_ASCII_RE = /[^\x00-\x7f]/;
+
+/**
+ * Romanize hiragana/katakana runs (Hepburn; long-vowel marks dropped).
+ * @param {string} s - Lowercased string
+ * @returns {string}
+ */
+function romanizeKana(s) {
+    if (!KANA_RE.test(s)) return s;
+
+    let out = "";
+    let prevKana = false;
+    let sokuon = false; // small tsu: double the next consonant
+
+    for (const c of s) {
+        const code = c.codePointAt(0);
+        const ch = code >= 0x30a1 && code <= 0x30f6 ? String.fromCodePoint(code - 0x60) : c;
+
+        if (ch === "っ") { sokuon = true; prevKana = true; continue; }
+        if (ch === "ー") { prevKana = true; continue; }
+
+        // Yoon: きゃ -> kya, しゃ -> sha
+        if (prevKana && KANA_SMALL_Y[ch] && out.endsWith("i")) {
+            const base = out.slice(0, -1);
+            out = /(sh|ch|j)$/.test(base) ? base + KANA_SMALL_Y[ch] : `${base}y${KANA_SMALL_Y[ch]}`;
+            continue;
+        }
+        // Katakana extensions: ティ -> ti, ファ -> fa
+        if (prevKana && KANA_SMALL_VOWEL[ch] && /[aeiou]$/.test(out)) {
+            out = out.slice(0, -1) + KANA_SMALL_VOWEL[ch];
+            continue;
+        }
+
+        let r = KANA[ch];
+        if (r == null) {
+            out += c;
+            prevKana = false;
+            sokuon = false;
+            continue;
+        }
+        if (sokuon) {
+            r = (r.startsWith("ch") ? "t" : r[0]) + r;
+            sokuon = false;
+        }
+        out += r;
+        prevKana = true;
+    }
+    return out;
+}
+
+/**
+ * Romanize Hangul syllables (Revised Romanization, no sound-change rules).
+ * @param {string} s - String
+ * @returns {string}
+ */
+function romanizeHangul(s) {
+    return s.replace(HANGUL_RE, (c) => {
+        const idx = c.codePointAt(0) - 0xac00;
+        const initial = Math.floor(idx / 588);
+        const medial = Math.floor((idx % 588) / 28);
+        const final = idx % 28;
+        return HANGUL_INITIALS[initial] + HANGUL_MEDIALS[medial] + HANGUL_FINALS[final];
+    });
+}
+
+/**
+ * Transliterate a name to lowercase Latin (Han ideographs kept, space-separated).
+ * Latin input is only lowercased and stripped of diacritics; romanized words for
+ * "hotel"/"hostel" are mapped to English (TRANSLIT_WORD_ALIASES).
+ * @param {string} s - Name
+ * @returns {string}
+ */
+export function transliterate(s) {
+    let out = String(s || "").normalize("NFC").toLowerCase();
+
+    if (NON_ASCII_RE.test(out)) {
+        for (const [word, latin] of TRANSLIT_CJK_WORDS) {
+            if (out.includes(word)) out = out.split(word).join(` ${latin} `);
+        }
+        out = romanizeHangul(romanizeKana(out)).replace(ARABIC_MARKS_RE, "");
+        for (const [re, latin] of GREEK_DIGRAPHS) out = out.replace(re, latin);
+        out = out
+            .replace(CHAR_RE, (c) => CHAR_MAP[c])
+            .normalize("NFD")
+            .replace(/[\u0300-\u036f]/g, "")
+            .replace(HAN_RUN_RE, (run) => ` ${run} `)
+            .replace(/\s+/g, " ")
+            .trim();
+    }
+
+    return out.replace(/[a-z0-9]+/g, (w) => (Object.hasOwn(TRANSLIT_WORD_ALIASES, w) ? TRANSLIT_WORD_ALIASES[w] : w));
+}
@@ -0,0 +1,251 @@
+/**
+ * Price-drop watch store.
+ * Watches live in KV under `watch:{clientId}:{id}` and expire the day after check-in.
+ * `nextCheckAt` is mirrored into KV metadata so the cron can skip watches that
+ * aren't due without reading them.
+ *
+ * A client's watches are guarded by a server-issued secret: `watchclient:{clientId}` holds its
+ * SHA-256 and lives as long as the client's latest watch. The first watch a client creates
+ * returns the secret once; every later request for that clientId must send it.
+ *
+ * clientIds are chosen by the caller, so the watch count is also capped per owner (a hash of
+ * the API key identity or client IP, see watchOwner): `watchowner:{owner}` lists the owner's
+ * live watch keys with their expirations. Like the other KV counters it is get-then-put, so
+ * concurrent creates can briefly exceed the cap.
+ *
+ * @module lib/watches
+ */
+
+import { kvGetJson } from './kvCache.js';
+import { randomHex, sha256Hex, timingSafeEqual } from './apiKeys.js';
+import { getClientIdentity } from './rateLimit.js';
+
+const DAY_SEC = 24 * 60 * 60;
+
+/**
+ * Build KV key for a watch.
+ * @param {string} clientId - Owning client
+ * @param {string} id - Watch ID
+ * @returns {string}
+ */
+export function watchKey(clientId, id) {
+    return `watch:${clientId}:${id}`;
+}
+
+/**
+ * Build KV key for a client's secret record.
+ * @param {string} clientId - Owning client
+ * @returns {string}
+ */
+export function watchClientKey(clientId) {
+    return `watchclient:${clientId}`;
+}
+
+/**
+ * Build KV key for an owner's watch index.
+ * @param {string} owner - watchOwner() hash
+ * @returns {string}
+ */
+export function watchOwnerKey(owner) {
+    return `watchowner:${owner}`;
+}
+
+/**
+ * Owner of the watches a request creates: its API key identity (issuer) when one is sent, else its IP.
+ * @param {Request} request - Incoming request
+ * @param {Object|null} apiKey - Authenticated key record
+ * @returns {Promise<string>} Hash (the raw IP is not stored)
+ */
+export async function watchOwner(request, apiKey) {
+    return (await sha256Hex(getClientIdentity(request, apiKey))).slice(0, 16);
+}
+
+/**
+ * An owner's live watches.
+ * @param {KVNamespace} kv - KV namespace binding
+ * @param {string} owner - watchOwner() hash
+ * @param {number} [now] - Epoch ms
+ * @returns {Promise<Array<{ key: string, expiration: number }>>}
+ */
+export async function getOwnerWatches(kv, owner, now = Date.now()) {
+    const stored = await kvGetJson(kv, watchOwnerKey(owner));
+    return (Array.isArray(stored?.watches) ? stored.watches : []).filter(w => w.expiration * 1000 > now);
+}
+
+/**
+ * Store an owner's watch list; the record lives as long as its latest watch.
+ * @param {KVNamespace} kv - KV namespace binding
+ * @param {string} owner - watchOwner() hash
+ * @param {Array<{ key: string, expiration: number }>} watches - Live watches
+ * @returns {Promise<void>}
+ */
+export async function putOwnerWatches(kv, owner, watches) {
+    if (!watches.length) {
+        await kv.delete(watchOwnerKey(owner));
+        return;
+    }
+    const expiration = Math.max(...watches.map(w => w.expiration));
+    await kv.put(watchOwnerKey(owner), JSON.stringify({ watches }), { expiration });
+}
+
+/**
+ * Check a presented client secret.
+ * Unknown clients (no record yet) pass with `client: null` so their first watch can be created.
+ * @param {KVNamespace} kv - KV namespace binding
+ * @param {string} clientId - Owning client
+ * @param {string|null} secret - X-Client-Secret header
+ * @returns {Promise<{ client: Object|null, error: "CLIENT_SECRET_REQUIRED"|"FORBIDDEN"|null }>}
+ */
+export async function verifyWatchClient(kv, clientId, secret) {
+    const client = await kvGetJson(kv, watchClientKey(clientId));
+    if (!client) return { client: null, error: null };
+    if (!secret) return { client, error: "CLIENT_SECRET_REQUIRED" };
+    return { client, error: timingSafeEqual(client.secretHash, await sha256Hex(secret)) ? null : "FORBIDDEN" };
+}
+
+/**
+ * Create a client's secret record, or extend it to cover a new watch.
+ * @param {KVNamespace} kv - KV namespace binding
+ * @param {string} clientId - Owning client
+ * @param {Object|null} client - Existing record (verifyWatchClient)
+ * @param {number} expiration - Unix seconds the record must outlive (watchExpiration of the new watch)
+ * @returns {Promise<string|null>} The new secret (only when the record was created)
+ */
+export async function registerWatchClient(kv, clientId, client, expiration) {
+    const secret = client ? null : randomHex(24);
+    const record = {
+        secretHash: client?.secretHash || await sha256Hex(secret),
+        createdAt: client?.createdAt || new Date().toISOString(),
+        expiration: Math.max(client?.expiration || 0, expiration),
+    };
+    await kv.put(watchClientKey(clientId), JSON.stringify(record), { expiration: record.expiration });
+    return secret;
+}
+
+/**
+ * Check that a client ID is safe to embed in a KV key.
+ * @param {string} clientId - Client identifier
+ * @returns {boolean}
+ */
+export function isValidClientId(clientId) {
+    return typeof clientId === "string" && /^[A-Za-z0-9_-]{8,64}$/.test(clientId);
+}
+
+/**
+ * Unix seconds at which a watch should disappear (day after check-in, UTC).
+ * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+ * @returns {number}
+ */
+export function watchExpiration(checkIn) {
+    return Math.floor(Date.parse(`${checkIn}T00:00:00Z`) / 1000) + DAY_SEC;
+}
+
+/**
+ * Whether the watch's check-in date has passed.
+ * @param {Object} watch - Watch object
+ * @param {number} [now] - Epoch ms
+ * @returns {boolean}
+ */
+export function isWatchExpired(watch, now = Date.now()) {
+    return watchExpiration(watch.checkIn) * 1000 <= now;
+}
+
+/**
+ * Persist a watch (value + nextCheckAt metadata).
+ * @param {KVNamespace} kv - KV namespace binding
+ * @param {Object} watch - Watch object
+ * @returns {Promise<void>}
+ */
+export async function putWatch(kv, watch) {
+    await kv.put(watchKey(watch.clientId, watch.id), JSON.stringify(watch), {
+        expiration: watchExpiration(watch.checkIn),
+        metadata: { nextCheckAt: watch.nextCheckAt },
+    });
+}
+
+/**
+ * Load a watch.
+ * @param {KVNamespace} kv - KV namespace binding
+ * @param {string} clientId - Owning client
+ * @param {string} id - Watch ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getWatch(kv, clientId, id) {
+    return kvGetJson(kv, watchKey(clientId, id));
+}
+
+/**
+ * Delete a watch (and its entry in the owner's list).
+ * @param {KVNamespace} kv - KV namespace binding
+ * @param {Object} watch - Stored watch
+ * @returns {Promise<void>}
+ */
+export async function deleteWatch(kv, watch) {
+    const key = watchKey(watch.clientId, watch.id);
+    await kv.delete(key);
+    if (watch.owner) {
+        const owned = await getOwnerWatches(kv, watch.owner);
+        await putOwnerWatches(kv, watch.owner, owned.filter(w => w.key !== key));
+    }
+}
+
+/**
+ * List watch keys (with metadata) under a prefix, following KV cursors.
+ * @param {KVNamespace} kv - KV namespace binding
+ * @param {string} prefix - Key prefix ("watch:" or "watch:{clientId}:")
+ * @param {number} [max] - Stop after this many keys
+ * @returns {Promise<Array<{ name: string, metadata: Object|null }>>}
+ */
+export async function listWatchKeys(kv, prefix, max = 1000) {
+    const out = [];
+    let cursor;
+    do {
+        const page = await kv.list({ prefix, cursor });
+        for (const k of page.keys) {
+            out.push({ name: k.name, metadata: k.metadata || null });
+            if (out.length >= max) return out;
+        }
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return out;
+}
+
+/**
+ * List one page of watch keys (with metadata).
+ * @param {KVNamespace} kv - KV namespace binding
+ * @param {string} prefix - Key prefix
+ * @param {string|null} cursor - Cursor from the previous page (null = first page)
+ * @param {number} limit - Page size (KV caps it at 1000)
+ * @returns {Promise<{ keys: Array<{ name: string, metadata: Object|null }>, cursor: string|null }>} cursor is null on the last page
+ */
+export async function listWatchKeyPage(kv, prefix, cursor, limit) {
+    const page = await kv.list({ prefix, limit, ...(cursor ? { cursor } : {}) });
+    return {
+        keys: page.keys.map(k => ({ name: k.name, metadata: k.metadata || null })),
+        cursor: page.list_complete ? null : page.cursor,
+    };
+}
+
+/**
+ * Decide whether a freshly checked price should trigger a notification.
+ * - below_target: price <= targetPrice and lower than the last notified price
+ * - dropped: price fell at least dropPct % below the reference price
+ * @param {Object} watch - Watch object
+ * @param {number} price - Current cheapest total
+ * @returns {{ notify: boolean, reason: string|null, referencePrice: number|null, dropPct: number|null }}
+ */
+export function evaluateWatchPrice(watch, price) {
+    const referencePrice = watch.referencePrice ?? null;
+    const dropPct = referencePrice ? Math.round(((referencePrice - price) / referencePrice) * 1000) / 10 : null;
+    const lastNotified = watch.lastNotifiedPrice ?? null;
+
+    if (watch.targetPrice != null && price <= watch.targetPrice && (lastNotified == null || price < lastNotified)) {
+        return { notify: true, reason: "below_target", referencePrice, dropPct };
+    }
+
+    if (watch.dropPct != null && dropPct != null && dropPct >= watch.dropPct) {
+        return { notify: true, reason: "dropped", referencePrice, dropPct };
+    }
+
+    return { notify: false, reason: null, referencePrice, dropPct };
+}
@@ -0,0 +1,489 @@
+/**
+ * /admin route handler (operator-only, Authorization: Bearer env.ADMIN_TOKEN).
+ *
+ *  - GET    /admin/budget : SearchApi credit counters, limits and circuit-breaker state (this isolate's)
+ *  - GET    /admin/tokens : cached property_token entries for a hotel identity, and which one wins
+ *  - PUT    /admin/tokens : overwrite them with a known-good property_token (JSON body)
+ *  - DELETE /admin/tokens : delete them (kind=all|name|domain|booking)
+ *  - GET    /admin/cache  : list offers:/ctx: entries by propertyToken or prefix (dry run)
+ *  - DELETE /admin/cache  : purge them
+ *  - GET    /admin/overrides : list manual match overrides, or one by target
+ *  - PUT    /admin/overrides : create/replace an override (JSON body: target + pin and/or block)
+ *  - DELETE /admin/overrides : remove one
+ *  - GET    /admin/feedback  : aggregated user match feedback, most disputed first
+ *  - GET    /admin/brands    : effective brand taxonomy (built-in + KV extension); ?name= shows its brand paths
+ *  - PUT    /admin/brands    : store the KV extension (JSON body: { parents: [...] })
+ *  - DELETE /admin/brands    : drop the extension (back to the built-in taxonomy)
+ *
+ * Override target: exactly one of bookingUrl | bookingSlug, officialDomain | officialUrl, hotelName.
+ *
+ * Token identity params (query string, or JSON body for PUT):
+ * hotelName, officialUrl | officialDomain, bookingUrl, gl (default "us").
+ *
+ * No CORS headers: these routes are for curl / dashboards, not the extension.
+ *
+ * @module routes/admin
+ */
+
+import {
+    TOKEN_TTL_SEC,
+    TOKEN_TTL_NO_DOMAIN_SEC,
+    ADMIN_PURGE_MAX_KEYS,
+    ADMIN_CTX_SCAN_MAX,
+    BRAND_TAXONOMY_KV_KEY,
+} from '../lib/constants.js';
+import { jsonResponse } from '../lib/http.js';
+import { kvGetJson, kvPutJson, kvListKeys } from '../lib/kvCache.js';
+import { getHostNoWww } from '../lib/normalize.js';
+import { validateCachedToken, extractBrandPaths } from '../lib/matching.js';
+import { isAdminRequest } from '../lib/apiKeys.js';
+import { getBudgetState } from '../lib/budget.js';
+import { breakerSnapshot, BREAKER_SCOPE } from '../lib/circuitBreaker.js';
+import { providerOrder } from '../lib/providers.js';
+import { mapWithConcurrency } from '../lib/concurrency.js';
+import { parseOverrideTarget, buildOverrideRecord, putOverride, listOverrides } from '../lib/overrides.js';
+import { listMatchFeedback } from '../lib/feedback.js';
+import { parseBrandTaxonomy, loadBrandTaxonomy } from '../lib/brands.js';
+import { buildTokenKeys } from './compare.js';
+
+// Same order as resolvePropertyToken; the first valid entry wins
+const TOKEN_KINDS = ["booking", "domain", "name"];
+const TOKEN_SOURCES = { booking: "hit-booking", domain: "hit-domain", name: "hit-name" };
+
+// Prefixes /admin/cache may touch
+const PURGEABLE_PREFIXES = ["offers:", "ctx:"];
+
+/**
+ * 405 helper.
+ * @param {string[]} allowed - Allowed methods
+ * @returns {Response}
+ */
+function methodNotAllowed(allowed) {
+    return jsonResponse({ error: "Method not allowed", allowed }, 405, {});
+}
+
+/**
+ * GET /admin/budget
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Response>}
+ */
+async function handleBudget(env) {
+    const budget = await getBudgetState(env, { fresh: true });
+    return jsonResponse({
+        ok: true,
+        budget,
+        providers: providerOrder(env).map(p => p.id),
+        breakers: breakerSnapshot(),
+        breakerScope: BREAKER_SCOPE,
+        counterBackend: env.BUDGET_COUNTER ? "do" : "kv",
+    }, 200, {});
+}
+
+/**
+ * Hotel identity + token keys from admin params.
+ * @param {Object} params - Query params or JSON body
+ * @returns {{ identity: Object, keys: Object }|null} null when hotelName is missing
+ */
+function parseTokenIdentity(params) {
+    const hotelName = String(params.hotelName || "").trim();
+    if (!hotelName) return null;
+
+    const officialDomain = getHostNoWww(params.officialDomain || params.officialUrl || "");
+    const bookingUrl = String(params.bookingUrl || "");
+    const gl = String(params.gl || "us").toLowerCase();
+
+    const keys = buildTokenKeys({ hotelName, officialDomain, bookingUrl, gl });
+    return {
+        identity: { hotelName, officialDomain: officialDomain || null, bookingSlug: keys.bookingSlug || null, gl },
+        keys,
+    };
+}
+
+/**
+ * Token kinds selected by a kind param, limited to the keys this identity has.
+ * @param {string} kindRaw - "all" (default) | "name" | "domain" | "booking"
+ * @param {Object} keys - buildTokenKeys() result
+ * @returns {string[]|null} null for an unknown kind
+ */
+function selectTokenKinds(kindRaw, keys) {
+    const kind = String(kindRaw || "all").toLowerCase();
+    if (kind !== "all" && !TOKEN_KINDS.includes(kind)) return null;
+    return TOKEN_KINDS.filter(k => keys[k] && (kind === "all" || kind === k));
+}
+
+/**
+ * Compact validateCachedToken() result for admin output.
+ * @param {Object} v - Validation result
+ * @param {boolean} withDetails - Include the full matchDetails
+ * @returns {Object}
+ */
+function summarizeValidation(v, withDetails) {
+    return {
+        ok: v.ok,
+        reason: v.reason ?? null,
+        confidence: v.confidence ?? null,
+        baseScore: v.baseScore ?? null,
+        domainMatch: v.domainMatch ?? null,
+        coreOverlapAny: v.coreOverlapAny ?? null,
+        ...(withDetails ? { details: v.details ?? null } : {}),
+    };
+}
+
+/**
+ * Read and validate every token entry for an identity.
+ * @param {Object} env - Environment bindings
+ * @param {Object} identity - parseTokenIdentity().identity
+ * @param {Object} keys - buildTokenKeys() result
+ * @param {boolean} withDetails - Include matchDetails per entry
+ * @returns {Promise<{ entries: Object[], winner: Object|null }>}
+ */
+async function inspectTokenEntries(env, identity, keys, withDetails) {
+    const kinds = TOKEN_KINDS.filter(k => keys[k]);
+    const stored = await Promise.all(kinds.map(k => kvGetJson(env.CACHE_KV, keys[k])));
+    const brandTaxonomy = await loadBrandTaxonomy(env);
+
+    let winner = null;
+    const entries = kinds.map((kind, i) => {
+        const tokenObj = stored[i];
+        const entry = { kind, key: keys[kind], exists: Boolean(tokenObj?.property_token), tokenObj: tokenObj || null, validation: null };
+        if (!entry.exists) return entry;
+
+        const v = validateCachedToken({
+            hotelName: identity.hotelName,
+            officialDomain: identity.officialDomain,
+            tokenObj: { ...tokenObj },
+            source: TOKEN_SOURCES[kind],
+            brandTaxonomy,
+        });
+        entry.validation = summarizeValidation(v, withDetails);
+        if (v.ok && !winner) {
+            winner = { kind, key: keys[kind], property_token: tokenObj.property_token, property_name: tokenObj.property_name || null };
+        }
+        return entry;
+    });
+    return { entries, winner };
+}
+
+/**
+ * Explain the lookup outcome in one line.
+ * @param {Object[]} entries - inspectTokenEntries() entries
+ * @param {Object|null} winner - Winning entry
+ * @returns {string}
+ */
+function explainWinner(entries, winner) {
+    const rejected = entries.filter(e => e.exists && !e.validation.ok).map(e => `${e.kind}:${e.validation.reason}`);
+    if (winner) {
+        const skipped = rejected.length ? ` (skipped ${rejected.join(", ")})` : "";
+        return `${winner.kind} key is the first valid entry in booking -> domain -> name order${skipped}`;
+    }
+    if (rejected.length) return `no valid entry, a live request would search again (rejected ${rejected.join(", ")})`;
+    return "no cached entry, a live request would search again";
+}
+
+/**
+ * /admin/tokens
+ * @param {Object} params
+ * @param {Request} params.request - Incoming request
+ * @param {Object} params.env - Environment bindings
+ * @param {URL} params.url - Parsed URL
+ * @returns {Promise<Response>}
+ */
+async function handleTokens({ request, env, url }) {
+    const method = request.method;
+    if (method !== "GET" && method !== "HEAD" && method !== "PUT" && method !== "DELETE") {
+        return methodNotAllowed(["GET", "PUT", "DELETE"]);
+    }
+
+    let params = Object.fromEntries(url.searchParams);
+    if (method === "PUT") {
+        try {
+            params = await request.json();
+        } catch {
+            return jsonResponse({ error: "Body must be JSON", error_code: "INVALID_PARAMS" }, 400, {});
+        }
+    }
+
+    const parsed = parseTokenIdentity(params || {});
+    if (!parsed) {
+        return jsonResponse({ error: "Missing params", error_code: "INVALID_PARAMS", missing: ["hotelName"] }, 400, {});
+    }
+    const { identity, keys } = parsed;
+
+    if (method === "GET" || method === "HEAD") {
+        const withDetails = params.debug === "1";
+        const { entries, winner } = await inspectTokenEntries(env, identity, keys, withDetails);
+        return jsonResponse({ ok: true, identity, entries, winner, reason: explainWinner(entries, winner) }, 200, {});
+    }
+
+    const kinds = selectTokenKinds(params.kind, keys);
+    if (!kinds) {
+        return jsonResponse({ error: "Invalid params", error_code: "INVALID_PARAMS", invalid: ["kind"] }, 400, {});
+    }
+
+    if (method === "DELETE") {
+        await Promise.all(kinds.map(k => env.CACHE_KV.delete(keys[k])));
+        return jsonResponse({ ok: true, identity, deleted: kinds.map(k => keys[k]) }, 200, {});
+    }
+
+    // PUT: overwrite with a known-good property
+    const token = params.token || {};
+    const propertyToken = String(token.property_token || "").trim();
+    const propertyName = String(token.property_name || "").trim();
+    if (!propertyToken || !propertyName) {
+        const missing = [!propertyToken && "token.property_token", !propertyName && "token.property_name"].filter(Boolean);
+        return jsonResponse({ error: "Missing params", error_code: "INVALID_PARAMS", missing }, 400, {});
+    }
+
+    const link = token.link || null;
+    const tokenObj = {
+        property_token: propertyToken,
+        property_name: propertyName,
+        city: token.city || null,
+        country: token.country || null,
+        link,
+        linkHost: getHostNoWww(link || ""),
+        officialDomain: identity.officialDomain,
+        adminOverwrite: true,
+        updatedAt: new Date().toISOString(),
+    };
+
+    await Promise.all(kinds.map(k =>
+        kvPutJson(env.CACHE_KV, keys[k], tokenObj, k === "domain" ? TOKEN_TTL_SEC : TOKEN_TTL_NO_DOMAIN_SEC)
+    ));
+
+    // Live lookups still re-validate the entry: surface rejections now rather than on the next miss
+    const brandTaxonomy = await loadBrandTaxonomy(env);
+    const validation = Object.fromEntries(kinds.map(k => [k, summarizeValidation(validateCachedToken({
+        hotelName: identity.hotelName,
+        officialDomain: identity.officialDomain,
+        tokenObj: { ...tokenObj },
+        source: TOKEN_SOURCES[k],
+        brandTaxonomy,
+    }), false)]));
+
+    return jsonResponse({ ok: true, identity, written: kinds.map(k => keys[k]), tokenObj, validation }, 200, {});
+}
+
+/**
+ * ctx: keys whose candidate list contains a property_token.
+ * @param {Object} env - Environment bindings
+ * @param {string} propertyToken - SearchApi property_token
+ * @returns {Promise<{ keys: string[], scanned: number, truncated: boolean }>}
+ */
+async function findCtxKeysForToken(env, propertyToken) {
+    const listed = await kvListKeys(env.CACHE_KV, "ctx:", ADMIN_CTX_SCAN_MAX);
+    const hits = await mapWithConcurrency(listed.keys, 8, async (key) => {
+        const ctxData = await kvGetJson(env.CACHE_KV, key);
+        const props = Array.isArray(ctxData?.properties) ? ctxData.properties : [];
+        return props.some(p => p?.property_token === propertyToken) ? key : null;
+    });
+    return { keys: hits.filter(Boolean), scanned: listed.keys.length, truncated: listed.truncated };
+}
+
+/**
+ * /admin/cache?propertyToken= | ?prefix=
+ * GET lists matching keys; DELETE removes them (at most ADMIN_PURGE_MAX_KEYS per call,
+ * repeat while `truncated` is true).
+ * @param {Object} params
+ * @param {Request} params.request - Incoming request
+ * @param {Object} params.env - Environment bindings
+ * @param {URL} params.url - Parsed URL
+ * @returns {Promise<Response>}
+ */
+async function handleCache({ request, env, url }) {
+    const method = request.method;
+    if (method !== "GET" && method !== "HEAD" && method !== "DELETE") {
+        return methodNotAllowed(["GET", "DELETE"]);
+    }
+
+    const sp = url.searchParams;
+    const propertyToken = (sp.get("propertyToken") || sp.get("property_token") || "").trim();
+    const prefix = (sp.get("prefix") || "").trim();
+
+    if (!propertyToken && !prefix) {
+        return jsonResponse({ error: "Missing params", error_code: "INVALID_PARAMS", missing: ["propertyToken|prefix"] }, 400, {});
+    }
+    if (prefix && !PURGEABLE_PREFIXES.some(p => prefix.startsWith(p))) {
+        return jsonResponse({
+            error: "prefix must start with offers: or ctx:",
+            error_code: "INVALID_PARAMS",
+            invalid: ["prefix"],
+        }, 400, {});
+    }
+
+    let keys = [];
+    let truncated = false;
+    let ctxScanned = null;
+
+    if (prefix) {
+        ({ keys, truncated } = await kvListKeys(env.CACHE_KV, prefix, ADMIN_PURGE_MAX_KEYS));
+    } else {
+        const offers = await kvListKeys(env.CACHE_KV, `offers:${propertyToken}:`, ADMIN_PURGE_MAX_KEYS);
+        const ctxHits = await findCtxKeysForToken(env, propertyToken);
+        keys = [...offers.keys, ...ctxHits.keys].slice(0, ADMIN_PURGE_MAX_KEYS);
+        truncated = offers.truncated || ctxHits.truncated || offers.keys.length + ctxHits.keys.length > keys.length;
+        ctxScanned = ctxHits.scanned;
+    }
+
+    const dryRun = method !== "DELETE";
+    if (!dryRun) {
+        await mapWithConcurrency(keys, 8, key => env.CACHE_KV.delete(key));
+    }
+
+    return jsonResponse({
+        ok: true,
+        dryRun,
+        propertyToken: propertyToken || null,
+        prefix: prefix || null,
+        count: keys.length,
+        keys,
+        truncated,
+        ...(ctxScanned != null ? { ctxScanned } : {}),
+    }, 200, {});
+}
+
+/**
+ * /admin/overrides
+ * @param {Object} params
+ * @param {Request} params.request - Incoming request
+ * @param {Object} params.env - Environment bindings
+ * @param {URL} params.url - Parsed URL
+ * @returns {Promise<Response>}
+ */
+async function handleOverrides({ request, env, url }) {
+    const method = request.method;
+    if (method !== "GET" && method !== "HEAD" && method !== "PUT" && method !== "DELETE") {
+        return methodNotAllowed(["GET", "PUT", "DELETE"]);
+    }
+
+    let params = Object.fromEntries(url.searchParams);
+    if (method === "PUT") {
+        try {
+            params = await request.json();
+        } catch {
+            return jsonResponse({ error: "Body must be JSON", error_code: "INVALID_PARAMS" }, 400, {});
+        }
+        params = params || {};
+    }
+
+    if (method !== "PUT" && !url.searchParams.size) {
+        const { overrides, truncated } = await listOverrides(env.CACHE_KV, ADMIN_PURGE_MAX_KEYS);
+        return jsonResponse({ ok: true, count: overrides.length, overrides, truncated }, 200, {});
+    }
+
+    const target = parseOverrideTarget(params);
+    if (target.error) {
+        return jsonResponse({ error: target.error, error_code: "INVALID_PARAMS" }, 400, {});
+    }
+
+    if (method === "PUT") {
+        const built = buildOverrideRecord(target, params);
+        if (built.error) {
+            return jsonResponse({ error: built.error, error_code: "INVALID_PARAMS" }, 400, {});
+        }
+        await putOverride(env.CACHE_KV, built.record);
+        return jsonResponse({ ok: true, key: target.key, override: built.record }, 200, {});
+    }
+
+    const existing = await kvGetJson(env.CACHE_KV, target.key);
+    if (!existing) {
+        return jsonResponse({ error: "Override not found", error_code: "NOT_FOUND", key: target.key }, 404, {});
+    }
+    if (method === "DELETE") await env.CACHE_KV.delete(target.key);
+    return jsonResponse({ ok: true, key: target.key, override: existing, ...(method === "DELETE" ? { deleted: true } : {}) }, 200, {});
+}
+
+/**
+ * GET /admin/feedback
+ * @param {Object} params
+ * @param {Request} params.request - Incoming request
+ * @param {Object} params.env - Environment bindings
+ * @returns {Promise<Response>}
+ */
+async function handleFeedbackReview({ request, env }) {
+    if (request.method !== "GET" && request.method !== "HEAD") return methodNotAllowed(["GET"]);
+    const { feedback, truncated } = await listMatchFeedback(env.CACHE_KV, ADMIN_PURGE_MAX_KEYS);
+    return jsonResponse({ ok: true, count: feedback.length, feedback, truncated }, 200, {});
+}
+
+/**
+ * /admin/brands
+ * @param {Object} params
+ * @param {Request} params.request - Incoming request
+ * @param {Object} params.env - Environment bindings
+ * @param {URL} params.url - Parsed URL
+ * @returns {Promise<Response>}
+ */
+async function handleBrands({ request, env, url }) {
+    const method = request.method;
+    if (method !== "GET" && method !== "HEAD" && method !== "PUT" && method !== "DELETE") {
+        return methodNotAllowed(["GET", "PUT", "DELETE"]);
+    }
+
+    if (method === "PUT") {
+        let body = null;
+        try {
+            body = await request.json();
+        } catch {
+            return jsonResponse({ error: "Body must be JSON", error_code: "INVALID_PARAMS" }, 400, {});
+        }
+        const parsed = parseBrandTaxonomy(body);
+        if (parsed.error) {
+            return jsonResponse({ error: parsed.error, error_code: "INVALID_PARAMS" }, 400, {});
+        }
+        await env.CACHE_KV.put(BRAND_TAXONOMY_KV_KEY, JSON.stringify({ parents: parsed.parents, updatedAt: new Date().toISOString() }));
+    } else if (method === "DELETE") {
+        await env.CACHE_KV.delete(BRAND_TAXONOMY_KV_KEY);
+    }
+
+    // Other isolates pick the change up within BRAND_TAXONOMY_CACHE_MS
+    const taxonomy = await loadBrandTaxonomy(env, { fresh: true });
+    const out = {
+        ok: true,
+        source: taxonomy.source,
+        updatedAt: taxonomy.updatedAt,
+        parents: taxonomy.parents,
+    };
+
+    const name = url.searchParams.get("name");
+    if (name && (method === "GET" || method === "HEAD")) out.brandPaths = extractBrandPaths(name, taxonomy);
+
+    return jsonResponse(out, 200, {});
+}
+
+/**
+ * Handle /admin/* request.
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Response>}
+ */
+export async function handleAdmin({ request, env, url }) {
+    if (!env.ADMIN_TOKEN) {
+        return jsonResponse({ error: "Admin API not configured", hint: "Set ADMIN_TOKEN" }, 500, {});
+    }
+    if (!isAdminRequest(request, env)) {
+        return jsonResponse({ error: "Forbidden", error_code: "FORBIDDEN" }, 403, {});
+    }
+
+    const path = url.pathname.replace(/\/+$/, "");
+
+    if (path === "/admin/budget") {
+        if (request.method !== "GET" && request.method !== "HEAD") {
+            return methodNotAllowed(["GET"]);
+        }
+        return handleBudget(env);
+    }
+
+    const kvRoutes = {
+        "/admin/tokens": handleTokens,
+        "/admin/cache": handleCache,
+        "/admin/overrides": handleOverrides,
+        "/admin/feedback": handleFeedbackReview,
+        "/admin/brands": handleBrands,
+    };
+    if (kvRoutes[path]) {
+        if (!env.CACHE_KV) return jsonResponse({ error: "Missing CACHE_KV binding" }, 500, {});
+        return kvRoutes[path]({ request, env, url });
+    }
+
+    return jsonResponse({ error: "Not found", error_code: "NOT_FOUND" }, 404, {});
+}
@@ -1,6 +1,7 @@
 /**
  * /compare route handler.
- * SearchApi-based hotel offer comparison with KV caching.
+ * Google Hotels offer comparison (via lib/providers.js) with KV caching.
+ * Sends Server-Sent Events instead of JSON when the client accepts text/event-stream.
  *
  * @module routes/compare
  */
@@ -9,22 +10,41 @@ import {
     TOKEN_TTL_SEC,
     TOKEN_TTL_NO_DOMAIN_SEC,
     OFFERS_TTL_SEC,
+    OFFERS_STALE_MAX_SEC,
+    OFFERS_REFRESH_LOCK_SEC,
     MAX_OFFERS_RETURNED,
+    GEO_MATCH_RADIUS_KM,
+    MATCH_MIN_ACCEPT_CONF,
+    CTX_MIN_CONF,
+    MATCH_CERTAIN_CONF,
+    TOKEN_CACHE_BOOKING_MIN_CONF,
+    TOKEN_CACHE_DOMAIN_MIN_CONF,
+    TOKEN_LONG_TTL_MIN_CONF,
 } from '../lib/constants.js';
 import { jsonResponse } from '../lib/http.js';
+import { compareCorsRejection } from '../lib/cors.js';
 import { kvGetJson, kvPutJson } from '../lib/kvCache.js';
 import { rateLimitCompare } from '../lib/rateLimit.js';
+import { wantsEventStream, createEventStream } from '../lib/sse.js';
+import { apiKeyQuotaResponse, recordApiKeyUsage } from '../lib/apiKeys.js';
+import { recordSearchApiSpend } from '../lib/budget.js';
 import {
     isIsoDate,
     normalizeCurrencyParam,
+    normalizeGl,
     normalizeTravelHl,
     normalizeKey,
     nightsBetweenIso,
     getHostNoWww,
     parseBookingHotelSlug,
+    parseOccupancy,
+    parseGeo,
+    occupancyKeySuffix,
 } from '../lib/normalize.js';
 import { pickBestProperty, validateCachedToken } from '../lib/matching.js';
-import { searchApiCall } from '../lib/searchApi.js';
+import { loadBrandTaxonomy } from '../lib/brands.js';
+import { findOverrides } from '../lib/overrides.js';
+import { hasHotelProvider, searchProperties, getPropertyOffers } from '../lib/providers.js';
 import {
     extractBadges,
     extractBadgesFromUrl,
@@ -34,6 +54,9 @@ import {
     findOfferForHost,
     computeCtxId,
 } from '../lib/offers.js';
+import { recordPriceSnapshot } from '../lib/priceHistory.js';
+import { loadRates, applyDisplayCurrency } from '../lib/rates.js';
+import { normalizeOfferTaxes, sortOffersByNormalizedTotal, sortPayloadByNormalizedTotal } from '../lib/taxes.js';
 
 /**
  * Round to 3 decimal places for compact summaries.
@@ -80,6 +103,7 @@ function summarizeCandidates(allCandidates, limit = 3) {
         finalScore: round3(c?.finalScore),
         baseScore: round3(c?.baseScore),
         domainMatch: !!c?.domainMatch,
+        ...(c?.distanceKm != null ? { distanceKm: c.distanceKm } : {}),
     }));
 
     return {
@@ -90,120 +114,284 @@ function summarizeCandidates(allCandidates, limit = 3) {
 }
 
 /**
- * Handle /compare request.
- * @param {Object} ctx - Request context
- * @returns {Promise<Response>}
+ * Parse and validate /compare query params.
+ * Shared by /compare and /compare/batch so both accept the same aliases.
+ * @param {URLSearchParams} sp - Query params
+ * @returns {{ query: Object }|{ error: { status: number, body: Object } }}
  */
-export async function handleCompare({ request, env, ctx, url, corsHeaders, compareCors }) {
-    // CORS lock: only allow your extension / explicit allowlist
-    if (!compareCors?.configured) {
-        return jsonResponse(
-            {
-                error: "Compare CORS not configured",
-                hint: "Set CHROME_EXTENSION_ID or COMPARE_ALLOWED_ORIGINS in your Worker environment variables.",
-            },
-            500,
-            corsHeaders
-        );
-    }
-
-    if (!compareCors?.allowed) {
-        return jsonResponse(
-            { error: "Forbidden", reason: "Origin not allowed for /compare", origin: compareCors?.origin || null },
-            403,
-            corsHeaders
-        );
-    }
-
-    const rl = await rateLimitCompare(request, env, corsHeaders);
-    if (rl) return rl;
-
-    if (!env.SEARCHAPI_KEY) return jsonResponse({ error: "Missing SEARCHAPI_KEY" }, 500, corsHeaders);
-    if (!env.CACHE_KV) return jsonResponse({ error: "Missing CACHE_KV binding" }, 500, corsHeaders);
-
-    const debug = url.searchParams.get("debug") === "1";
-    const refresh = url.searchParams.get("refresh") === "1";
-    const includeRooms = url.searchParams.get("includeRooms") === "1";
+export function parseCompareQuery(sp) {
+    const debug = sp.get("debug") === "1";
+    const refresh = sp.get("refresh") === "1";
+    const includeRooms = sp.get("includeRooms") === "1";
+    const normalizeTaxes = sp.get("normalizeTaxes") === "1";
 
     // Smart matching: Booking URL slug
-    const smartRaw = url.searchParams.get("smart");
+    const smartRaw = sp.get("smart");
     const smart = smartRaw === "1" || smartRaw === "true";
-    const bookingUrlRaw = url.searchParams.get("bookingUrl") || "";
+    const bookingUrlRaw = sp.get("bookingUrl") || "";
 
     const hotelName =
-        url.searchParams.get("hotelName") ||
-        url.searchParams.get("hotel") ||
-        url.searchParams.get("q") ||
-        url.searchParams.get("query");
+        sp.get("hotelName") ||
+        sp.get("hotel") ||
+        sp.get("q") ||
+        sp.get("query");
 
     const checkIn =
-        url.searchParams.get("checkIn") ||
-        url.searchParams.get("check_in_date") ||
-        url.searchParams.get("check_in");
+        sp.get("checkIn") ||
+        sp.get("check_in_date") ||
+        sp.get("check_in");
 
     const checkOut =
-        url.searchParams.get("checkOut") ||
-        url.searchParams.get("check_out_date") ||
-        url.searchParams.get("check_out");
+        sp.get("checkOut") ||
+        sp.get("check_out_date") ||
+        sp.get("check_out");
+
+    const { occupancy, invalid: invalidOccupancy, reasons: occupancyReasons } = parseOccupancy(sp);
+    const { adults, children, childAges, rooms } = occupancy;
 
-    const adultsRaw = url.searchParams.get("adults");
-    const adults = Math.min(10, Math.max(1, parseInt(adultsRaw || "2", 10) || 2));
+    // Optional property coordinates from the OTA page (geo-aware matching)
+    const { geo, invalid: invalidGeo } = parseGeo(sp);
 
-    const currencyRaw = url.searchParams.get("currency");
+    const currencyRaw = sp.get("currency");
     const currency = normalizeCurrencyParam(currencyRaw) || "USD";
-    const gl = (url.searchParams.get("gl") || "us").toLowerCase();
+    const displayCurrencyRaw = sp.get("displayCurrency") || "";
+    const displayCurrency = normalizeCurrencyParam(displayCurrencyRaw);
+    const glRaw = sp.get("gl") || "";
+    const gl = normalizeGl(glRaw);
 
     const officialUrl =
-        url.searchParams.get("officialUrl") ||
-        url.searchParams.get("official") ||
-        url.searchParams.get("website") ||
-        url.searchParams.get("site") ||
+        sp.get("officialUrl") ||
+        sp.get("official") ||
+        sp.get("website") ||
+        sp.get("site") ||
         "";
 
     const officialDomain = getHostNoWww(officialUrl);
 
     const currentHost =
-        url.searchParams.get("currentHost") ||
-        url.searchParams.get("host") ||
-        url.searchParams.get("otaHost") ||
+        sp.get("currentHost") ||
+        sp.get("host") ||
+        sp.get("otaHost") ||
         "";
 
-    const hlRaw = url.searchParams.get("hl");
-    const { hlNormalized, hlSent, hlKey } = normalizeTravelHl(hlRaw);
+    const hlRaw = sp.get("hl");
+    const { hlNormalized, hlSent } = normalizeTravelHl(hlRaw);
     const hlToSend = hlSent;
 
+    const ctxParam = sp.get("ctx") || "";
+
+    // Max seconds past soft expiry the client accepts cached offers (0 = never serve stale)
+    const maxStaleRaw = (sp.get("maxStale") || "").trim();
+    const maxStale = maxStaleRaw ? (/^\d+$/.test(maxStaleRaw) ? parseInt(maxStaleRaw, 10) : NaN) : null;
+
     const missing = [];
     if (!hotelName) missing.push("hotelName");
     if (!checkIn) missing.push("checkIn");
     if (!checkOut) missing.push("checkOut");
-    if (missing.length) return jsonResponse({ error: "Missing required params", error_code: "INVALID_PARAMS", missing }, 400, corsHeaders);
+    if (missing.length) {
+        return { error: { status: 400, body: { error: "Missing required params", error_code: "INVALID_PARAMS", missing } } };
+    }
 
     if (!isIsoDate(checkIn) || !isIsoDate(checkOut)) {
-        return jsonResponse({ error: "Dates must be YYYY-MM-DD", error_code: "INVALID_PARAMS", checkIn, checkOut }, 400, corsHeaders);
+        return { error: { status: 400, body: { error: "Dates must be YYYY-MM-DD", error_code: "INVALID_PARAMS", checkIn, checkOut } } };
     }
 
     const nights = nightsBetweenIso(checkIn, checkOut);
     if (!nights || nights <= 0) {
-        return jsonResponse({ error: "Invalid date range", error_code: "INVALID_PARAMS", checkIn, checkOut }, 400, corsHeaders);
+        return { error: { status: 400, body: { error: "Invalid date range", error_code: "INVALID_PARAMS", checkIn, checkOut } } };
     }
 
-    // ---- 1) Resolve property_token (cached) ----
-    const nameIdentity = `n:${normalizeKey(hotelName)}`;
-    const domainIdentity = officialDomain ? `d:${officialDomain}` : null;
+    if (Number.isNaN(maxStale)) {
+        return { error: { status: 400, body: { error: "maxStale must be a non-negative integer (seconds)", error_code: "INVALID_PARAMS", maxStale: maxStaleRaw } } };
+    }
 
-    const tokenKeyName = `tok:${gl}:${nameIdentity}`;
-    const tokenKeyDomain = domainIdentity ? `tok:${gl}:${domainIdentity}` : null;
-    const tokenKey = tokenKeyDomain || tokenKeyName;
+    if (displayCurrencyRaw && !displayCurrency) {
+        return { error: { status: 400, body: { error: "Invalid displayCurrency", error_code: "INVALID_PARAMS", displayCurrency: displayCurrencyRaw } } };
+    }
 
+    if (!gl) {
+        return { error: { status: 400, body: { error: "gl must be a two-letter country code", error_code: "INVALID_PARAMS", gl: glRaw } } };
+    }
+
+    if (invalidOccupancy.length) {
+        return {
+            error: {
+                status: 400,
+                body: { error: "Invalid occupancy", error_code: "INVALID_PARAMS", invalid: invalidOccupancy, reasons: occupancyReasons },
+            },
+        };
+    }
+
+    if (invalidGeo.length) {
+        return { error: { status: 400, body: { error: "lat/lng must be given together as decimal degrees", error_code: "INVALID_PARAMS", invalid: invalidGeo } } };
+    }
+
+    return {
+        query: {
+            debug,
+            refresh,
+            includeRooms,
+            normalizeTaxes,
+            smart,
+            bookingUrlRaw,
+            hotelName,
+            checkIn,
+            checkOut,
+            nights,
+            adults,
+            children,
+            childAges,
+            rooms,
+            currency,
+            displayCurrency,
+            gl,
+            officialUrl,
+            officialDomain,
+            currentHost,
+            hlRaw,
+            hlNormalized,
+            hlSent,
+            hlToSend,
+            ctxParam,
+            maxStale,
+            geo,
+        },
+    };
+}
+
+/**
+ * Provider-neutral search params for a parsed query (see lib/providers.js).
+ * @param {Object} query - Parsed compare query
+ * @param {string} q - Free-text hotel query
+ * @returns {Object}
+ */
+export function providerParams(query, q) {
+    return {
+        q,
+        checkIn: query.checkIn,
+        checkOut: query.checkOut,
+        adults: query.adults,
+        children: query.children,
+        childAges: query.childAges,
+        rooms: query.rooms,
+        currency: query.currency,
+        gl: query.gl,
+        hl: query.hlToSend,
+    };
+}
+
+/**
+ * Build the offers cache key for a property + stay.
+ * @param {string} propertyToken - SearchApi property_token
+ * @param {Object} query - Parsed compare query (see parseCompareQuery)
+ * @returns {string}
+ */
+export function buildOffersKey(propertyToken, query) {
+    const { checkIn, checkOut, adults, currency, gl, hlToSend, includeRooms } = query;
+    const hlCacheKey = hlToSend || "nohl";
+    const partyCacheKey = occupancyKeySuffix(query);
+    const roomsCacheKey = includeRooms ? ":r1" : "";
+    return `offers:${propertyToken}:${checkIn}:${checkOut}:${adults}:${currency}:${gl}:${hlCacheKey}${partyCacheKey}${roomsCacheKey}`;
+}
+
+/**
+ * Geo hard-mismatch radius (env GEO_MATCH_RADIUS_KM, else the default).
+ * @param {Object} env - Environment bindings
+ * @returns {number} Kilometres
+ */
+export function geoRadiusKm(env) {
+    const n = parseFloat(String(env?.GEO_MATCH_RADIUS_KM ?? ""));
+    return Number.isFinite(n) && n > 0 ? n : GEO_MATCH_RADIUS_KM;
+}
+
+/**
+ * Build the property_token cache keys for a hotel identity.
+ * Lookup order in resolvePropertyToken is booking -> domain -> name.
+ * @param {Object} params
+ * @param {string} params.hotelName - Hotel name as queried
+ * @param {string} [params.officialDomain] - Official site host (no www)
+ * @param {string} [params.bookingUrl] - Booking.com hotel URL (only used in smart mode)
+ * @param {string} params.gl - Country code
+ * @returns {{ name: string, domain: string|null, booking: string|null, bookingSlug: string }}
+ */
+export function buildTokenKeys({ hotelName, officialDomain, bookingUrl, gl }) {
     // Booking slug identity (stable across name variations)
-    const bookingParsed = smart ? parseBookingHotelSlug(bookingUrlRaw) : null;
-    const bookingSlug = bookingParsed?.slug || "";
-    const bookingIdentity = bookingSlug ? `b:${bookingSlug}` : null;
-    const tokenKeyBooking = bookingIdentity ? `tok:${gl}:${bookingIdentity}` : null;
+    const bookingSlug = bookingUrl ? (parseBookingHotelSlug(bookingUrl)?.slug || "") : "";
+    return {
+        name: `tok:${gl}:n:${normalizeKey(hotelName)}`,
+        domain: officialDomain ? `tok:${gl}:d:${officialDomain}` : null,
+        booking: bookingSlug ? `tok:${gl}:b:${bookingSlug}` : null,
+        bookingSlug,
+    };
+}
+
+/**
+ * Decide whether a ctx pick is used as the property_token.
+ * Accepted when confident (>= MATCH_CERTAIN_CONF), or at medium confidence (>= CTX_MIN_CONF)
+ * with a strong signal: a contains relationship between the names, or the official domain matching.
+ * @param {Object|null} picked - pickBestProperty() result
+ * @returns {{ accept: boolean, hasStrongSignal: boolean, rejectedReason: string|null }}
+ */
+export function ctxAcceptance(picked) {
+    const hasStrongSignal =
+        (picked?.matchDetails?.containsBoost > 0) ||
+        (picked?.bestDomainMatch === true);
+
+    if (!picked?.best?.property_token) return { accept: false, hasStrongSignal, rejectedReason: "no_matching_property" };
+
+    let rejectedReason = null;
+    if (picked.matchDetails?.hardMismatch) {
+        rejectedReason = "hard_mismatch";
+    } else if (picked.confidence < CTX_MIN_CONF) {
+        rejectedReason = `confidence_too_low:${picked.confidence?.toFixed(3)}`;
+    } else if (picked.confidence < MATCH_CERTAIN_CONF && !hasStrongSignal) {
+        rejectedReason = `medium_confidence_no_strong_signal:${picked.confidence?.toFixed(3)}`;
+    }
+    return { accept: !rejectedReason, hasStrongSignal, rejectedReason };
+}
+
+/**
+ * Resolve property_token for a query: override pin -> ctx -> booking/domain/name cache -> google_hotels search.
+ * Also runs the verify lookup for uncertain cached tokens that lack a candidateSummary.
+ * Increments `usage` counters and fills `debugSearch` in place.
+ * @param {Object} params
+ * @param {Object} params.env - Environment bindings
+ * @param {Object} params.ctx - Execution context
+ * @param {Object} params.query - Parsed compare query (see parseCompareQuery)
+ * @param {Object} params.usage - Usage counters ({ searchapi_calls: {...} })
+ * @param {Object|null} params.debugSearch - Debug sink for SearchApi calls
+ * @param {Object|null} [params.log] - Request log (lib/requestLog.js)
+ * @returns {Promise<Object>} Resolution state, or { error: { status, body } }
+ */
+export async function resolvePropertyToken({ env, ctx, query, usage, debugSearch, log = null }) {
+    const {
+        debug,
+        refresh,
+        smart,
+        bookingUrlRaw,
+        hotelName,
+        gl,
+        officialDomain,
+        hlRaw,
+        hlNormalized,
+        hlSent,
+        hlToSend,
+        ctxParam,
+        geo,
+    } = query;
+    // Options shared by every pickBestProperty / validateCachedToken call below
+    const matchOpts = { geo, geoRadiusKm: geoRadiusKm(env), brandTaxonomy: await loadBrandTaxonomy(env) };
+
+    const {
+        name: tokenKeyName,
+        domain: tokenKeyDomain,
+        booking: tokenKeyBooking,
+        bookingSlug,
+    } = buildTokenKeys({ hotelName, officialDomain, bookingUrl: smart ? bookingUrlRaw : "", gl });
+    const tokenKey = tokenKeyDomain || tokenKeyName;
 
     let tokenCacheDetail = "miss";
 
-    const ctxParam = url.searchParams.get("ctx") || "";
     const ctxKey = ctxParam ? `ctx:${ctxParam}` : null;
 
     let ctxDebug = {
@@ -213,9 +401,32 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
         ctxRejectedReason: null,
     };
 
+    // 0) Manual overrides: a pin beats every cache and the matcher, blocked tokens are never picked
+    const overrides = await findOverrides(env, { hotelName, officialDomain, bookingSlug });
+    const isBlocked = (propertyToken) => overrides.blocked.has(propertyToken);
+    const unblocked = (props) => overrides.blocked.size ? props.filter(p => !isBlocked(p?.property_token)) : props;
+
     let tokenObj = null;
     let tokenValidation = null; // Debug info for cache validation
-    if (!refresh) {
+
+    if (overrides.pin) {
+        const pin = overrides.pin;
+        tokenObj = {
+            property_token: pin.property_token,
+            property_name: pin.property_name || null,
+            city: pin.city || null,
+            country: pin.country || null,
+            link: pin.link || null,
+            linkHost: getHostNoWww(pin.link || ""),
+            confidence: 0.95, // Operator-verified
+            domainMatch: null,
+            officialDomain: officialDomain || null,
+            overrideKey: overrides.pinKey,
+        };
+        tokenCacheDetail = "override";
+    }
+
+    if (!refresh && !tokenObj) {
         // 1) Try search context first (from /prefetchCtx)
         if (ctxKey) {
             const ctxData = await kvGetJson(env.CACHE_KV, ctxKey);
@@ -227,37 +438,21 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
             } else {
                 // Derive altQuery from booking slug for improved matching
                 const altQuery = bookingSlug ? bookingSlug.replace(/-/g, " ") : "";
-                const picked = pickBestProperty(ctxData.properties, hotelName, officialDomain, { altQuery });
+                const picked = pickBestProperty(unblocked(ctxData.properties), hotelName, officialDomain, { altQuery, ...matchOpts });
 
                 // Capture candidate summary for uncertain match explanation
                 const ctxCandidateSummary = summarizeCandidates(picked?.allCandidates, 3);
                 ctxDebug.ctxCandidateSummary = ctxCandidateSummary;
 
-                const CTX_MIN_CONFIDENCE = 0.55;
-                const CTX_STRONG_CONFIDENCE = 0.65;
-
-                // Accept ctx if:
-                // 1. High confidence (>= 0.65), OR
-                // 2. Medium confidence (0.55-0.65) WITH a strong signal:
-                //    - containsBoost > 0 (query/candidate contains relationship), OR
-                //    - domainMatch (official domain matches)
-                const hasStrongSignal =
-                    (picked.matchDetails?.containsBoost > 0) ||
-                    (picked.bestDomainMatch === true);
-
-                const confidenceOk = picked.confidence >= CTX_STRONG_CONFIDENCE ||
-                    (picked.confidence >= CTX_MIN_CONFIDENCE && hasStrongSignal);
-
-                const acceptCtx = picked?.best?.property_token &&
-                    confidenceOk &&
-                    !picked.matchDetails?.hardMismatch;
+                // Accept ctx when confident, or at medium confidence with a strong signal
+                const acceptance = ctxAcceptance(picked);
 
                 ctxDebug.ctxNameScore = picked?.bestNameScore ?? null;
                 ctxDebug.ctxConfidence = picked?.confidence ?? null;
                 ctxDebug.ctxMatchedProperty = picked?.best?.name || null;
                 ctxDebug.ctxMatchDetails = picked?.matchDetails || null;
 
-                if (acceptCtx) {
+                if (acceptance.accept) {
                     tokenObj = {
                         property_token: picked.best.property_token,
                         property_name: picked.best.name || null,
@@ -265,6 +460,7 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
                         country: picked.best.country || null,
                         link: picked.best.link || null,
                         linkHost: getHostNoWww(picked.best.link || ""),
+                        gps: picked.best.gps || null,
                         score: picked.bestScore,
                         nameScore: picked.bestNameScore,
                         confidence: picked.confidence,
@@ -278,7 +474,7 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
                     tokenCacheDetail = "ctx-hit";
                     ctxDebug.ctxHit = true;
 
-                    const shouldBackfill = picked.confidence >= 0.75;
+                    const shouldBackfill = picked.confidence >= TOKEN_CACHE_DOMAIN_MIN_CONF;
                     if (shouldBackfill) {
                         ctx.waitUntil(kvPutJson(env.CACHE_KV, tokenKeyName, tokenObj, TOKEN_TTL_NO_DOMAIN_SEC));
                         if (tokenKeyDomain) {
@@ -288,20 +484,9 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
                             ctx.waitUntil(kvPutJson(env.CACHE_KV, tokenKeyBooking, tokenObj, TOKEN_TTL_NO_DOMAIN_SEC));
                         }
                     }
-                } else if (picked?.best?.property_token) {
-                    tokenCacheDetail = "ctx-nomatch";
-                    // Explain rejection reason based on new conditional logic
-                    if (picked.matchDetails?.hardMismatch) {
-                        ctxDebug.ctxRejectedReason = "hard_mismatch";
-                    } else if (picked.confidence < CTX_MIN_CONFIDENCE) {
-                        ctxDebug.ctxRejectedReason = `confidence_too_low:${picked.confidence?.toFixed(3)}`;
-                    } else if (picked.confidence < CTX_STRONG_CONFIDENCE && !hasStrongSignal) {
-                        ctxDebug.ctxRejectedReason = `medium_confidence_no_strong_signal:${picked.confidence?.toFixed(3)}`;
-                    } else {
-                        ctxDebug.ctxRejectedReason = "unknown";
-                    }
                 } else {
-                    ctxDebug.ctxRejectedReason = "no_matching_property";
+                    if (picked?.best?.property_token) tokenCacheDetail = "ctx-nomatch";
+                    ctxDebug.ctxRejectedReason = acceptance.rejectedReason;
                 }
             }
         }
@@ -311,7 +496,9 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
             tokenObj = await kvGetJson(env.CACHE_KV, tokenKeyBooking);
             if (tokenObj?.property_token) {
                 // Validate like hit-name (same thresholds)
-                const v = validateCachedToken({ hotelName, officialDomain, tokenObj, source: "hit-booking" });
+                const v = isBlocked(tokenObj.property_token)
+                    ? { ok: false, reason: "blocked_by_override" }
+                    : validateCachedToken({ hotelName, officialDomain, tokenObj, source: "hit-booking", ...matchOpts });
                 tokenValidation = { source: "hit-booking", ...v };
                 if (!v.ok) {
                     tokenObj = null;
@@ -328,7 +515,9 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
             tokenObj = await kvGetJson(env.CACHE_KV, tokenKeyDomain);
             if (tokenObj?.property_token) {
                 // Validate cached token against current query
-                const v = validateCachedToken({ hotelName, officialDomain, tokenObj, source: "hit-domain" });
+                const v = isBlocked(tokenObj.property_token)
+                    ? { ok: false, reason: "blocked_by_override" }
+                    : validateCachedToken({ hotelName, officialDomain, tokenObj, source: "hit-domain", ...matchOpts });
                 tokenValidation = { source: "hit-domain", ...v };
                 if (!v.ok) {
                     tokenObj = null;
@@ -345,7 +534,9 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
             tokenObj = await kvGetJson(env.CACHE_KV, tokenKeyName);
             if (tokenObj?.property_token) {
                 // Validate cached token against current query
-                const v = validateCachedToken({ hotelName, officialDomain, tokenObj, source: "hit-name" });
+                const v = isBlocked(tokenObj.property_token)
+                    ? { ok: false, reason: "blocked_by_override" }
+                    : validateCachedToken({ hotelName, officialDomain, tokenObj, source: "hit-name", ...matchOpts });
                 tokenValidation = { source: "hit-name", ...v };
                 if (!v.ok) {
                     tokenObj = null;
@@ -365,29 +556,17 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
     }
 
     let candidatesDebug = null;
-    let debugSearch = debug ? {} : null;
     let searchCandidateSummary = null;
 
-    const usage = { searchapi_calls: { google_hotels: 0, google_hotels_property: 0 } };
-
     if (!tokenObj?.property_token) {
         tokenCacheDetail = "miss";
 
-        usage.searchapi_calls.google_hotels++;
-
-        const firstCall = await searchApiCall(env, {
-            engine: "google_hotels",
-            q: hotelName,
-            check_in_date: checkIn,
-            check_out_date: checkOut,
-            adults,
-            currency,
-            hl: hlToSend,
-            gl,
-        });
+        const firstCall = await searchProperties(env, providerParams(query, hotelName), { usage, log });
 
         if (debugSearch) {
             debugSearch.google_hotels = {
+                provider: firstCall.provider,
+                failoverFrom: firstCall.failoverFrom || null,
                 requestUrl: firstCall.requestUrl,
                 hlRaw,
                 hlNormalized,
@@ -397,61 +576,70 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
                 firstError: firstCall.firstError || null,
                 fetchError: firstCall.fetchError || null,
                 firstFetchError: firstCall.firstFetchError || null,
-                status: firstCall?.res?.status ?? 0,
+                status: firstCall.status,
             };
         }
 
-        const { res, data } = firstCall;
-
-        if (!res || !res.ok || data?.error) {
-            return jsonResponse(
-                {
-                    error: "SearchApi google_hotels failed",
-                    error_code: "SEARCH_FAILED",
-                    status: res?.status ?? 0,
-                    details: data?.error || data || null,
-                    fetchError: firstCall.fetchError || null,
-                    debug: debugSearch,
+        if (!firstCall.ok) {
+            return {
+                error: {
+                    status: firstCall.blocked ? firstCall.status : 502,
+                    body: {
+                        error: firstCall.blocked ? firstCall.error : "Hotel search (google_hotels) failed",
+                        error_code: firstCall.blocked || "SEARCH_FAILED",
+                        provider: firstCall.provider,
+                        status: firstCall.status,
+                        details: firstCall.error,
+                        fetchError: firstCall.fetchError || null,
+                        debug: debugSearch,
+                    },
                 },
-                502,
-                corsHeaders
-            );
+            };
         }
 
-        const props = data?.properties || [];
+        const props = unblocked(firstCall.data.properties);
 
         // Derive altQuery from booking slug for improved matching
         const altQuery = bookingSlug ? bookingSlug.replace(/-/g, " ") : "";
-        const picked = pickBestProperty(props, hotelName, officialDomain, { altQuery });
+        const picked = pickBestProperty(props, hotelName, officialDomain, { altQuery, ...matchOpts });
 
         if (!picked?.best?.property_token) {
-            return jsonResponse({
-                ok: false,
-                error: "No property_token found for hotel",
-                error_code: "NO_PROPERTY_FOUND",
-                hotelName,
-                officialDomain: officialDomain || null,
-                ctxDebug,
-                debug: debugSearch
-            }, 404, corsHeaders);
+            return {
+                error: {
+                    status: 404,
+                    body: {
+                        ok: false,
+                        error: "No property_token found for hotel",
+                        error_code: "NO_PROPERTY_FOUND",
+                        hotelName,
+                        officialDomain: officialDomain || null,
+                        ctxDebug,
+                        debug: debugSearch
+                    },
+                },
+            };
         }
 
         // Guard: Reject very low confidence matches as "no confident match"
         // This prevents garbage inputs (e.g., "Availability") from returning random hotels
-        const MIN_CONFIDENCE_TO_ACCEPT = 0.25;
-        if ((picked?.confidence ?? 0) < MIN_CONFIDENCE_TO_ACCEPT) {
+        if ((picked?.confidence ?? 0) < MATCH_MIN_ACCEPT_CONF) {
             const lowConfidenceSummary = summarizeCandidates(picked?.allCandidates, 5);
-            return jsonResponse({
-                ok: false,
-                error: "No confident match found",
-                error_code: "LOW_CONFIDENCE_MATCH",
-                hotelName,
-                officialDomain: officialDomain || null,
-                confidence: picked?.confidence ?? 0,
-                candidateSummary: lowConfidenceSummary,
-                ctxDebug,
-                debug: debugSearch
-            }, 404, corsHeaders);
+            return {
+                error: {
+                    status: 404,
+                    body: {
+                        ok: false,
+                        error: "No confident match found",
+                        error_code: "LOW_CONFIDENCE_MATCH",
+                        hotelName,
+                        officialDomain: officialDomain || null,
+                        confidence: picked?.confidence ?? 0,
+                        candidateSummary: lowConfidenceSummary,
+                        ctxDebug,
+                        debug: debugSearch
+                    },
+                },
+            };
         }
 
         // Capture candidate summary for uncertain match explanation
@@ -464,6 +652,7 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
             country: picked.best.country || null,
             link: picked.best.link || null,
             linkHost: getHostNoWww(picked.best.link || ""),
+            gps: picked.best.gps || null,
             score: picked.bestScore,
             nameScore: picked.bestNameScore,
             confidence: picked.confidence,
@@ -477,19 +666,19 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
             candidatesDebug = picked.allCandidates || [];
         }
 
-        const shouldCache = picked.confidence >= 0.65;
+        const shouldCache = picked.confidence >= MATCH_CERTAIN_CONF;
 
         if (shouldCache) {
-            const nameTtl = picked.confidence >= 0.80 ? TOKEN_TTL_SEC : TOKEN_TTL_NO_DOMAIN_SEC;
+            const nameTtl = picked.confidence >= TOKEN_LONG_TTL_MIN_CONF ? TOKEN_TTL_SEC : TOKEN_TTL_NO_DOMAIN_SEC;
 
             ctx.waitUntil(kvPutJson(env.CACHE_KV, tokenKeyName, tokenObj, nameTtl));
 
-            if (tokenKeyDomain && picked.confidence >= 0.75) {
+            if (tokenKeyDomain && picked.confidence >= TOKEN_CACHE_DOMAIN_MIN_CONF) {
                 ctx.waitUntil(kvPutJson(env.CACHE_KV, tokenKeyDomain, tokenObj, TOKEN_TTL_SEC));
             }
 
             // Cache under booking slug key with slightly lower threshold
-            if (tokenKeyBooking && picked.confidence >= 0.70) {
+            if (tokenKeyBooking && picked.confidence >= TOKEN_CACHE_BOOKING_MIN_CONF) {
                 ctx.waitUntil(kvPutJson(env.CACHE_KV, tokenKeyBooking, tokenObj, TOKEN_TTL_NO_DOMAIN_SEC));
             }
         }
@@ -499,7 +688,7 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
     // When we have a cached token that's uncertain but missing candidateSummary (old cache entries),
     // make a single google_hotels call to compute the summary and backfill it.
     const earlyMatchConfidence = tokenObj?.confidence ?? tokenObj?.nameScore ?? 0;
-    const earlyMatchUncertain = earlyMatchConfidence < 0.65;
+    const earlyMatchUncertain = earlyMatchConfidence < MATCH_CERTAIN_CONF;
     const hasCachedToken = tokenCacheDetail.startsWith("hit-") || tokenCacheDetail === "ctx-hit";
     const needsVerifyLookup = earlyMatchUncertain &&
         !tokenObj?.candidateSummary &&
@@ -509,32 +698,22 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
         hasCachedToken;
 
     if (needsVerifyLookup) {
-        usage.searchapi_calls.google_hotels++;
-
-        const verifyCall = await searchApiCall(env, {
-            engine: "google_hotels",
-            q: hotelName,
-            check_in_date: checkIn,
-            check_out_date: checkOut,
-            adults,
-            currency,
-            hl: hlToSend,
-            gl,
-        });
+        const verifyCall = await searchProperties(env, providerParams(query, hotelName), { usage, log });
 
         if (debugSearch) {
             debugSearch.google_hotels_verify = {
+                provider: verifyCall.provider,
                 requestUrl: verifyCall.requestUrl,
                 reason: "verify_lookup_for_uncertain_cached_token",
                 tokenCacheDetail,
-                status: verifyCall?.res?.status ?? 0,
+                status: verifyCall.status,
             };
         }
 
-        if (verifyCall?.res?.ok && !verifyCall?.data?.error) {
-            const verifyProps = verifyCall.data?.properties || [];
+        if (verifyCall.ok) {
+            const verifyProps = unblocked(verifyCall.data.properties);
             const altQuery = bookingSlug ? bookingSlug.replace(/-/g, " ") : "";
-            const verifyPicked = pickBestProperty(verifyProps, hotelName, officialDomain, { altQuery });
+            const verifyPicked = pickBestProperty(verifyProps, hotelName, officialDomain, { altQuery, ...matchOpts });
 
             if (verifyPicked?.allCandidates?.length > 0) {
                 const verifySummary = summarizeCandidates(verifyPicked.allCandidates, 3);
@@ -557,109 +736,45 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
         }
     }
 
-    const propertyToken = tokenObj.property_token;
-
-    // ---- 2) Offers cache ----
-    const hlCacheKey = hlToSend || "nohl";
-    const roomsCacheKey = includeRooms ? ":r1" : "";
-    const offersKey = `offers:${propertyToken}:${checkIn}:${checkOut}:${adults}:${currency}:${gl}:${hlCacheKey}${roomsCacheKey}`;
-    const cached = (!refresh && !debug) ? await kvGetJson(env.CACHE_KV, offersKey) : null;
-
-    if (cached) {
-        const servedAt = new Date().toISOString();
-
-        const hydrated = {
-            ...cached,
-            cache: "hit",
-            servedAt,
-            query: {
-                hotelName,
-                checkIn,
-                checkOut,
-                adults,
-                currency,
-                gl,
-                hl: hlSent || null,
-                hlSentToApi: hlToSend || null,
-                officialDomain: officialDomain || null,
-                currentHost: currentHost || null,
-            },
-            match: (() => {
-                const matchConfidence = tokenObj?.confidence ?? tokenObj?.nameScore ?? 0;
-                const matchUncertain = matchConfidence < 0.65;
-
-                // Select candidate summary source in priority order
-                let candidateSummary = null;
-                let candidateSummarySource = null;
-                if (matchUncertain) {
-                    if (ctxDebug?.ctxCandidateSummary) {
-                        candidateSummary = ctxDebug.ctxCandidateSummary;
-                        candidateSummarySource = "ctx";
-                    } else if (tokenObj?.candidateSummary) {
-                        candidateSummary = tokenObj.candidateSummary;
-                        candidateSummarySource = "token";
-                    }
-                }
-
-                return {
-                    cacheDetail: { token: tokenCacheDetail, offers: "hit" },
-                    tokenCacheKey: tokenKey,
-                    tokenKeyName,
-                    tokenKeyDomain: tokenKeyDomain || null,
-                    matchedBy: tokenObj?.domainMatch ? "officialDomain" : "name",
-                    confidence: matchConfidence,
-                    matchedHotelName: tokenObj?.property_name || null,
-                    nameScore: tokenObj?.nameScore ?? null,
-                    domainMatch: tokenObj?.domainMatch ?? null,
-                    linkHost: tokenObj?.linkHost || null,
-                    matchDetails: tokenObj?.matchDetails || null,
-                    ...ctxDebug,
-                    ...(matchUncertain ? { candidateSummary, candidateSummarySource } : {}),
-                };
-            })(),
-            matchUncertain: (tokenObj?.confidence ?? tokenObj?.nameScore ?? 0) < 0.65,
-            usage: { searchapi_calls: { google_hotels: 0, google_hotels_property: 0 } },
-        };
-
-        if (debug) {
-            hydrated.debug = {
-                tokenCacheKey: tokenKey,
-                offersCacheKey: offersKey,
-                tokenObj,
-                tokenValidation,
-                candidates: candidatesDebug,
-                officialUrl: officialUrl || null,
-                officialDomain: officialDomain || null,
-                currentHost: currentHost || null,
-                hlRaw,
-                hlNormalized,
-                hlSent,
-                hlToSend,
-                searchApi: debugSearch,
-                cacheHydrated: true,
-                badgeDebug: { note: "Raw offers unavailable (served from cache)." },
-            };
-        }
-
-        return jsonResponse(hydrated, 200, corsHeaders);
-    }
+    return {
+        tokenObj,
+        tokenCacheDetail,
+        tokenValidation,
+        tokenKey,
+        tokenKeyName,
+        tokenKeyDomain,
+        tokenKeyBooking,
+        bookingSlug,
+        ctxDebug,
+        candidatesDebug,
+        searchCandidateSummary,
+        overrides: overrides.keys.length
+            ? { keys: overrides.keys, pinKey: overrides.pinKey, blocked: [...overrides.blocked] }
+            : null,
+    };
+}
 
-    // ---- 3) Fetch property offers ----
-    usage.searchapi_calls.google_hotels_property++;
+/**
+ * Fetch and simplify offers for a property (google_hotels_property, via the provider layer).
+ * Offers are deduped, stripped of total-less entries and sorted by total.
+ * @param {Object} params
+ * @param {Object} params.env - Environment bindings
+ * @param {string} params.propertyToken - SearchApi property_token
+ * @param {Object} params.query - Parsed compare query (see parseCompareQuery)
+ * @param {Object} params.usage - Usage counters (incremented in place)
+ * @param {Object|null} [params.debugSearch] - Debug sink for SearchApi calls
+ * @param {Object|null} [params.log] - Request log (lib/requestLog.js)
+ * @returns {Promise<Object>} { prop, combined, simplified, taxBasis, ...counts }, or { error: { status, body } }
+ */
+export async function fetchPropertyOffers({ env, propertyToken, query, usage, debugSearch = null, log = null }) {
+    const { nights, gl, includeRooms, hlRaw, hlNormalized, hlSent, hlToSend } = query;
 
-    const propCall = await searchApiCall(env, {
-        engine: "google_hotels_property",
-        property_token: propertyToken,
-        check_in_date: checkIn,
-        check_out_date: checkOut,
-        adults,
-        currency,
-        hl: hlToSend,
-        gl,
-    });
+    const propCall = await getPropertyOffers(env, { ...providerParams(query, query.hotelName), propertyToken }, { usage, log });
 
     if (debugSearch) {
         debugSearch.google_hotels_property = {
+            provider: propCall.provider,
+            failoverFrom: propCall.failoverFrom || null,
             requestUrl: propCall.requestUrl,
             hlRaw,
             hlNormalized,
@@ -669,29 +784,35 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
             firstError: propCall.firstError || null,
             fetchError: propCall.fetchError || null,
             firstFetchError: propCall.firstFetchError || null,
-            status: propCall?.res?.status ?? 0,
+            status: propCall.status,
         };
     }
 
-    const { res: propRes, data: propData } = propCall;
-
-    if (!propRes || !propRes.ok || propData?.error) {
-        return jsonResponse(
-            {
-                error: "SearchApi google_hotels_property failed",
-                status: propRes?.status ?? 0,
-                details: propData?.error || propData || null,
-                fetchError: propCall.fetchError || null,
-                debug: debugSearch,
+    if (!propCall.ok) {
+        return {
+            error: {
+                status: propCall.blocked ? propCall.status : 502,
+                body: {
+                    error: propCall.blocked ? propCall.error : "Hotel offers (google_hotels_property) failed",
+                    error_code: propCall.blocked || "OFFERS_FAILED",
+                    provider: propCall.provider,
+                    status: propCall.status,
+                    details: propCall.error,
+                    fetchError: propCall.fetchError || null,
+                    debug: debugSearch,
+                },
             },
-            502,
-            corsHeaders
-        );
+        };
     }
 
-    const prop = propData?.property;
+    const prop = propCall.data.property;
     if (!prop) {
-        return jsonResponse({ error: "Missing property in response", details: propData, debug: debugSearch }, 502, corsHeaders);
+        return {
+            error: {
+                status: 502,
+                body: { error: "Missing property in response", error_code: "OFFERS_FAILED", provider: propCall.provider, details: propCall.data.raw ?? null, debug: debugSearch },
+            },
+        };
     }
 
     const rawFeaturedCount = prop.featured_offers?.length || 0;
@@ -701,14 +822,6 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
         ...(Array.isArray(prop.featured_offers) ? prop.featured_offers : []),
         ...(Array.isArray(prop.all_offers) ? prop.all_offers : []),
     ];
-    const combinedCount = combined.length;
-
-    const firstRawOffer = combined[0];
-    const firstOfferLink = firstRawOffer?.link || firstRawOffer?.tracking_link || null;
-    const badgeDebugInfo = debug && firstRawOffer ? {
-        labelExtraction: extractBadges(firstRawOffer, true),
-        urlExtraction: extractBadgesFromUrl(firstOfferLink, true),
-    } : null;
 
     const seen = new Set();
     const simplified = [];
@@ -736,31 +849,34 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
 
     simplified.sort((a, b) => (a.total ?? 1e18) - (b.total ?? 1e18));
 
-    const rawCountsDebug = debug ? {
-        rawFeaturedCount,
-        rawAllCount,
-        combinedCount,
-        kept: simplified.length,
-        droppedNoTotal,
-        droppedDedup,
-    } : null;
-
-    const sampleRawOfferDebug = debug && combined[0] ? {
-        source: combined[0].source,
-        total_price: combined[0].total_price,
-        price_per_night: combined[0].price_per_night,
-        link: combined[0].link,
-        tracking_link: combined[0].tracking_link,
-    } : null;
+    // Estimated all-in totals for before-tax offers (sorting by them is opt-in, see normalizeTaxes)
+    const taxBasis = normalizeOfferTaxes(simplified, { country: gl });
 
-    const sampleRooms = Array.isArray(combined[0]?.rooms) ? combined[0].rooms : [];
-    const sampleRoomsDebug = debug ? {
-        roomsLen: sampleRooms.length,
-        roomKeys: sampleRooms[0] ? Object.keys(sampleRooms[0]).slice(0, 60) : [],
-        sampleRoom: sampleRooms[0] || null,
-    } : null;
+    return { prop, combined, simplified, taxBasis, rawFeaturedCount, rawAllCount, droppedNoTotal, droppedDedup };
+}
 
-    const propKeysDebug = debug ? Object.keys(prop).slice(0, 60) : null;
+/**
+ * Build the /compare success payload for freshly fetched offers (cache: "miss").
+ * @param {Object} params
+ * @param {Object} params.query - Parsed compare query (see parseCompareQuery)
+ * @param {Object} params.resolved - Result of resolvePropertyToken()
+ * @param {Object} params.prop - Normalized provider property (see lib/providers.js)
+ * @param {Object[]} params.simplified - Sorted simplified offers
+ * @param {Object|null} [params.taxBasis] - Tax ratio used for totalNormalized (from fetchPropertyOffers)
+ * @param {Object} params.usage - Usage counters
+ * @returns {Object}
+ */
+export function buildOffersPayload({ query, resolved, prop, simplified, taxBasis = null, usage }) {
+    const { hotelName, checkIn, checkOut, nights, adults, currency, gl, hlSent, hlToSend, officialDomain, currentHost } = query;
+    const {
+        tokenObj,
+        tokenCacheDetail,
+        tokenKey,
+        tokenKeyName,
+        tokenKeyDomain,
+        ctxDebug,
+        searchCandidateSummary,
+    } = resolved;
 
     const cheapestOverall = simplified[0] || null;
     const cheapestOfficial = simplified.find((o) => o.isOfficial) || null;
@@ -768,7 +884,7 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
     const bookingOffer = findOfferForHost(simplified, "booking.com");
     const currentOtaOffer = currentHost ? findOfferForHost(simplified, currentHost) : null;
 
-    const payload = {
+    return {
         ok: true,
         cache: "miss",
         fetchedAt: new Date().toISOString(),
@@ -777,17 +893,21 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
             checkIn,
             checkOut,
             adults,
+            children: query.children,
+            childAges: query.childAges,
+            rooms: query.rooms,
             currency,
             gl,
             hl: hlSent || null,
             hlSentToApi: hlToSend || null,
             officialDomain: officialDomain || null,
             currentHost: currentHost || null,
+            geo: query.geo || null,
         },
         nights,
         match: (() => {
             const matchConfidence = tokenObj.confidence ?? tokenObj.nameScore ?? 0;
-            const matchUncertain = matchConfidence < 0.65;
+            const matchUncertain = matchConfidence < MATCH_CERTAIN_CONF;
 
             // Select candidate summary source in priority order
             let candidateSummary = null;
@@ -823,23 +943,359 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
                 ...(matchUncertain ? { candidateSummary, candidateSummarySource } : {}),
             };
         })(),
-        matchUncertain: (tokenObj.confidence ?? tokenObj.nameScore ?? 0) < 0.65,
+        matchUncertain: (tokenObj.confidence ?? tokenObj.nameScore ?? 0) < MATCH_CERTAIN_CONF,
         property: {
             name: prop.name || tokenObj.property_name || hotelName,
             address: prop.address || null,
             phone: prop.phone || null,
             link: prop.link || tokenObj.link || null,
-            property_token: propertyToken,
+            property_token: tokenObj.property_token,
         },
         offersCount: simplified.length,
         offers: simplified.slice(0, MAX_OFFERS_RETURNED),
+        // Cached for normalizeTaxes requests (finalizeComparePayload): sorted before slicing, so an
+        // offer with a high raw but low normalized total isn't lost to the raw-sorted slice
+        offersByNormalizedTotal: sortOffersByNormalizedTotal(simplified).slice(0, MAX_OFFERS_RETURNED),
         cheapestOverall,
         cheapestOfficial,
         currentOtaOffer,
         bookingOffer,
+        taxBasis,
         usage,
         debug: null,
     };
+}
+
+/**
+ * Write an offers payload to the offers cache (never stores debug payloads).
+ * @param {Object} params
+ * @param {Object} params.env - Environment bindings
+ * @param {Object} params.ctx - Execution context
+ * @param {string} params.offersKey - Key from buildOffersKey()
+ * @param {Object} params.payload - Payload from buildOffersPayload()
+ */
+export function storeOffersPayload({ env, ctx, offersKey, payload }) {
+    const toCache = { ...payload, softExpiresAt: Date.now() + OFFERS_TTL_SEC * 1000 };
+    delete toCache.cache;
+    delete toCache.debug;
+    // KV keeps the entry past soft expiry so it can be served stale while revalidating
+    ctx.waitUntil(kvPutJson(env.CACHE_KV, offersKey, toCache, OFFERS_TTL_SEC + OFFERS_STALE_MAX_SEC));
+}
+
+/**
+ * Classify a cached offers payload against its soft expiry.
+ * Entries written before soft expiry existed fall back to fetchedAt + OFFERS_TTL_SEC.
+ * @param {Object} cached - Cached offers payload
+ * @param {number|null} [maxStale] - Client limit in seconds past soft expiry (null = OFFERS_STALE_MAX_SEC)
+ * @param {number} [now] - Epoch ms
+ * @returns {{ state: "fresh"|"stale"|"expired", ageSec: number }}
+ */
+export function offersCacheState(cached, maxStale = null, now = Date.now()) {
+    const fetchedAtMs = Date.parse(cached?.fetchedAt || "") || 0;
+    const softExpiresAt = cached?.softExpiresAt ?? fetchedAtMs + OFFERS_TTL_SEC * 1000;
+    const ageSec = Math.max(0, Math.round((now - fetchedAtMs) / 1000));
+
+    if (now < softExpiresAt) return { state: "fresh", ageSec };
+
+    const staleSec = (now - softExpiresAt) / 1000;
+    return { state: staleSec <= (maxStale ?? OFFERS_STALE_MAX_SEC) ? "stale" : "expired", ageSec };
+}
+
+// Offers keys being revalidated by this isolate (KV lock reads aren't instant enough on their own)
+const revalidatingKeys = new Set();
+
+/**
+ * Background refresh for a stale offers entry (run via ctx.waitUntil).
+ * A short-lived KV lock (plus an in-isolate set) keeps concurrent stale hits from
+ * refetching the same key (not perfectly atomic across isolates, but collapses the common burst).
+ * @param {Object} params
+ * @param {Object} params.env - Environment bindings
+ * @param {Object} params.ctx - Execution context
+ * @param {Object} params.query - Parsed compare query
+ * @param {Object} params.resolved - Result of resolvePropertyToken()
+ * @param {string} params.offersKey - Key from buildOffersKey()
+ * @returns {Promise<string>} Outcome
+ */
+export async function revalidateOffers({ env, ctx, query, resolved, offersKey }) {
+    if (revalidatingKeys.has(offersKey)) return "locked";
+    revalidatingKeys.add(offersKey);
+
+    try {
+        const lockKey = `lock:${offersKey}`;
+        if (await env.CACHE_KV.get(lockKey)) return "locked";
+        await env.CACHE_KV.put(lockKey, "1", { expirationTtl: OFFERS_REFRESH_LOCK_SEC });
+
+        const propertyToken = resolved.tokenObj.property_token;
+        const usage = { searchapi_calls: { google_hotels: 0, google_hotels_property: 0 } };
+        const fetched = await fetchPropertyOffers({ env, propertyToken, query, usage });
+        recordSearchApiSpend({ env, ctx, usage });
+        if (fetched.error) return "error";
+
+        const payload = buildOffersPayload({ query, resolved, prop: fetched.prop, simplified: fetched.simplified, taxBasis: fetched.taxBasis, usage });
+        storeOffersPayload({ env, ctx, offersKey, payload });
+        recordPriceSnapshot({ env, ctx, propertyToken, query, simplified: fetched.simplified });
+        return "refreshed";
+    } finally {
+        revalidatingKeys.delete(offersKey);
+    }
+}
+
+/**
+ * Apply per-request presentation options to a /compare payload after caching,
+ * so cached payloads stay raw-sorted and in the requested currency:
+ *  - normalizeTaxes: offersByNormalizedTotal becomes `offers`, cheapestOverall re-picked
+ *    (without it, that cached-only field is dropped)
+ *  - displayCurrency: add converted display prices
+ * @param {Object} env - Environment bindings
+ * @param {Object} query - Parsed compare query
+ * @param {Object} body - /compare payload
+ * @returns {Promise<Object>}
+ */
+export async function finalizeComparePayload(env, query, body) {
+    let out = body;
+    if (query.normalizeTaxes) {
+        out = sortPayloadByNormalizedTotal(out);
+    } else if (out.offersByNormalizedTotal) {
+        const { offersByNormalizedTotal: _byNormalized, ...rest } = out;
+        out = rest;
+    }
+    if (query.displayCurrency) {
+        const table = await loadRates(env);
+        out = applyDisplayCurrency(out, { currency: query.currency, displayCurrency: query.displayCurrency, table });
+    }
+    return out;
+}
+
+/**
+ * Early match summary for streaming clients (sent before offers are fetched).
+ * @param {Object} resolved - Result of resolvePropertyToken()
+ * @param {Object} query - Parsed compare query
+ * @returns {Object}
+ */
+export function buildMatchSummary(resolved, query) {
+    const { tokenObj, tokenCacheDetail, ctxDebug, searchCandidateSummary } = resolved;
+    const confidence = tokenObj.confidence ?? tokenObj.nameScore ?? 0;
+    const matchUncertain = confidence < MATCH_CERTAIN_CONF;
+
+    let candidateSummary = null;
+    if (matchUncertain) {
+        candidateSummary = searchCandidateSummary || ctxDebug?.ctxCandidateSummary || tokenObj.candidateSummary || null;
+        if (candidateSummary?._fromVerify) {
+            const { _fromVerify, ...rest } = candidateSummary;
+            candidateSummary = rest;
+        }
+    }
+
+    return {
+        property: {
+            name: tokenObj.property_name || query.hotelName,
+            property_token: tokenObj.property_token,
+        },
+        cacheDetail: { token: tokenCacheDetail },
+        matchedBy: tokenObj.domainMatch ? "officialDomain" : "name",
+        confidence,
+        matchedHotelName: tokenObj.property_name || null,
+        matchUncertain,
+        ...(matchUncertain ? { candidateSummary } : {}),
+    };
+}
+
+/**
+ * Run the full compare pipeline (token resolution + offers) for a parsed query.
+ * Transport-agnostic: returns status + body instead of a Response so that
+ * /compare and /compare/batch can share it.
+ * @param {Object} params
+ * @param {Object} params.env - Environment bindings
+ * @param {Object} params.ctx - Execution context
+ * @param {Object} params.query - Parsed compare query (see parseCompareQuery)
+ * @param {Function|null} [params.onMatch] - Awaited with buildMatchSummary() once the token is resolved
+ * @param {Object|null} [params.log] - Request log (lib/requestLog.js)
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+export async function runCompare({ env, ctx, query, onMatch = null, log = null }) {
+    const {
+        debug,
+        refresh,
+        smart,
+        bookingUrlRaw,
+        hotelName,
+        checkIn,
+        checkOut,
+        adults,
+        currency,
+        gl,
+        officialUrl,
+        officialDomain,
+        currentHost,
+        hlRaw,
+        hlNormalized,
+        hlSent,
+        hlToSend,
+    } = query;
+
+    const debugSearch = debug ? {} : null;
+    const usage = { searchapi_calls: { google_hotels: 0, google_hotels_property: 0 } };
+
+    // ---- 1) Resolve property_token (cached) ----
+    const resolved = await resolvePropertyToken({ env, ctx, query, usage, debugSearch, log });
+    if (resolved.error) return { ...resolved.error, usage };
+
+    if (onMatch) await onMatch(buildMatchSummary(resolved, query));
+
+    const {
+        tokenObj,
+        tokenCacheDetail,
+        tokenValidation,
+        tokenKey,
+        tokenKeyName,
+        tokenKeyDomain,
+        tokenKeyBooking,
+        bookingSlug,
+        ctxDebug,
+        candidatesDebug,
+        overrides,
+    } = resolved;
+
+    const propertyToken = tokenObj.property_token;
+
+    // ---- 2) Offers cache ----
+    const offersKey = buildOffersKey(propertyToken, query);
+    const cachedRaw = (!refresh && !debug) ? await kvGetJson(env.CACHE_KV, offersKey) : null;
+    const cacheState = cachedRaw ? offersCacheState(cachedRaw, query.maxStale) : null;
+    const cached = cacheState && cacheState.state !== "expired" ? cachedRaw : null;
+
+    if (cached) {
+        const servedAt = new Date().toISOString();
+        const stale = cacheState.state === "stale";
+        const offersCacheDetail = stale ? "stale" : "hit";
+
+        // Serve stale immediately; refresh for the next caller
+        if (stale) ctx.waitUntil(revalidateOffers({ env, ctx, query, resolved, offersKey }).catch(() => "error"));
+
+        // softExpiresAt is cache bookkeeping: hits look like misses plus cache/ageSec/servedAt
+        const { softExpiresAt: _softExpiresAt, ...cachedPayload } = cached;
+        const hydrated = {
+            ...cachedPayload,
+            cache: offersCacheDetail,
+            ageSec: cacheState.ageSec,
+            servedAt,
+            query: {
+                hotelName,
+                checkIn,
+                checkOut,
+                adults,
+                children: query.children,
+                childAges: query.childAges,
+                rooms: query.rooms,
+                currency,
+                gl,
+                hl: hlSent || null,
+                hlSentToApi: hlToSend || null,
+                officialDomain: officialDomain || null,
+                currentHost: currentHost || null,
+                geo: query.geo || null,
+            },
+            match: (() => {
+                const matchConfidence = tokenObj?.confidence ?? tokenObj?.nameScore ?? 0;
+                const matchUncertain = matchConfidence < MATCH_CERTAIN_CONF;
+
+                // Select candidate summary source in priority order
+                let candidateSummary = null;
+                let candidateSummarySource = null;
+                if (matchUncertain) {
+                    if (ctxDebug?.ctxCandidateSummary) {
+                        candidateSummary = ctxDebug.ctxCandidateSummary;
+                        candidateSummarySource = "ctx";
+                    } else if (tokenObj?.candidateSummary) {
+                        candidateSummary = tokenObj.candidateSummary;
+                        candidateSummarySource = "token";
+                    }
+                }
+
+                return {
+                    cacheDetail: { token: tokenCacheDetail, offers: offersCacheDetail },
+                    tokenCacheKey: tokenKey,
+                    tokenKeyName,
+                    tokenKeyDomain: tokenKeyDomain || null,
+                    matchedBy: tokenObj?.domainMatch ? "officialDomain" : "name",
+                    confidence: matchConfidence,
+                    matchedHotelName: tokenObj?.property_name || null,
+                    nameScore: tokenObj?.nameScore ?? null,
+                    domainMatch: tokenObj?.domainMatch ?? null,
+                    linkHost: tokenObj?.linkHost || null,
+                    matchDetails: tokenObj?.matchDetails || null,
+                    ...ctxDebug,
+                    ...(matchUncertain ? { candidateSummary, candidateSummarySource } : {}),
+                };
+            })(),
+            matchUncertain: (tokenObj?.confidence ?? tokenObj?.nameScore ?? 0) < MATCH_CERTAIN_CONF,
+            usage,
+        };
+
+        if (debug) {
+            hydrated.debug = {
+                tokenCacheKey: tokenKey,
+                offersCacheKey: offersKey,
+                tokenObj,
+                tokenValidation,
+                overrides,
+                candidates: candidatesDebug,
+                officialUrl: officialUrl || null,
+                officialDomain: officialDomain || null,
+                currentHost: currentHost || null,
+                hlRaw,
+                hlNormalized,
+                hlSent,
+                hlToSend,
+                searchApi: debugSearch,
+                cacheHydrated: true,
+                badgeDebug: { note: "Raw offers unavailable (served from cache)." },
+            };
+        }
+
+        return { status: 200, body: await finalizeComparePayload(env, query, hydrated), usage };
+    }
+
+    // ---- 3) Fetch property offers ----
+    const fetched = await fetchPropertyOffers({ env, propertyToken, query, usage, debugSearch, log });
+    if (fetched.error) return { ...fetched.error, usage };
+
+    const { prop, combined, simplified } = fetched;
+
+    const firstRawOffer = combined[0];
+    const firstOfferLink = firstRawOffer?.link || firstRawOffer?.tracking_link || null;
+    const badgeDebugInfo = debug && firstRawOffer ? {
+        labelExtraction: extractBadges(firstRawOffer, true),
+        urlExtraction: extractBadgesFromUrl(firstOfferLink, true),
+    } : null;
+
+    const rawCountsDebug = debug ? {
+        rawFeaturedCount: fetched.rawFeaturedCount,
+        rawAllCount: fetched.rawAllCount,
+        combinedCount: combined.length,
+        kept: simplified.length,
+        droppedNoTotal: fetched.droppedNoTotal,
+        droppedDedup: fetched.droppedDedup,
+    } : null;
+
+    const sampleRawOfferDebug = debug && combined[0] ? {
+        source: combined[0].source,
+        total_price: combined[0].total_price,
+        price_per_night: combined[0].price_per_night,
+        link: combined[0].link,
+        tracking_link: combined[0].tracking_link,
+    } : null;
+
+    const sampleRooms = Array.isArray(combined[0]?.rooms) ? combined[0].rooms : [];
+    const sampleRoomsDebug = debug ? {
+        roomsLen: sampleRooms.length,
+        roomKeys: sampleRooms[0] ? Object.keys(sampleRooms[0]).slice(0, 60) : [],
+        sampleRoom: sampleRooms[0] || null,
+    } : null;
+
+    const propKeysDebug = debug ? Object.keys(prop).slice(0, 60) : null;
+
+    const payload = buildOffersPayload({ query, resolved, prop, simplified, taxBasis: fetched.taxBasis, usage });
 
     if (debug) {
         payload.debug = {
@@ -847,6 +1303,7 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
             offersCacheKey: offersKey,
             tokenObj,
             tokenValidation,
+            overrides,
             candidates: candidatesDebug,
             officialUrl: officialUrl || null,
             officialDomain: officialDomain || null,
@@ -869,11 +1326,106 @@ export async function handleCompare({ request, env, ctx, url, corsHeaders, compa
         };
     }
 
-    // Cache: never store debug payloads
-    const toCache = { ...payload };
-    delete toCache.cache;
-    delete toCache.debug;
-    ctx.waitUntil(kvPutJson(env.CACHE_KV, offersKey, toCache, OFFERS_TTL_SEC));
+    storeOffersPayload({ env, ctx, offersKey, payload });
+    recordPriceSnapshot({ env, ctx, propertyToken, query, simplified });
+
+    return { status: 200, body: await finalizeComparePayload(env, query, payload), usage };
+}
+
+/**
+ * Request log fields of a compare result: cache outcomes, match confidence and error code.
+ * @param {Object} body - runCompare() body
+ * @returns {Object} { tokenCache, offersCache, confidence, matchUncertain, errorCode }
+ */
+export function compareLogFields(body) {
+    return {
+        tokenCache: body?.match?.cacheDetail?.token ?? null,
+        offersCache: body?.match?.cacheDetail?.offers ?? null,
+        confidence: body?.match?.confidence ?? null,
+        matchUncertain: typeof body?.matchUncertain === "boolean" ? body.matchUncertain : null,
+        errorCode: body?.error_code ?? null,
+    };
+}
+
+/**
+ * Handle /compare request.
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Response>}
+ */
+export async function handleCompare({ request, env, ctx, url, corsHeaders, compareCors, apiKey = null, log = null }) {
+    // CORS lock: only allow your extension / explicit allowlist
+    const rejected = compareCorsRejection(compareCors, "/compare");
+    if (rejected) return rejected;
+
+    const rl = await rateLimitCompare(request, env, corsHeaders, apiKey);
+    if (rl.blocked) return rl.blocked;
+    // Every later response carries the X-RateLimit-* headers
+    corsHeaders = { ...corsHeaders, ...rl.headers };
+
+    const overQuota = await apiKeyQuotaResponse(env, apiKey, corsHeaders);
+    if (overQuota) return overQuota;
+
+    if (!hasHotelProvider(env)) return jsonResponse({ error: "Missing hotel provider key", hint: "Set SEARCHAPI_KEY or SERPAPI_KEY" }, 500, corsHeaders);
+    if (!env.CACHE_KV) return jsonResponse({ error: "Missing CACHE_KV binding" }, 500, corsHeaders);
+
+    const parsed = parseCompareQuery(url.searchParams);
+    if (parsed.error) return jsonResponse(parsed.error.body, parsed.error.status, corsHeaders);
+
+    if (wantsEventStream(request)) {
+        return streamCompare({ env, ctx, query: parsed.query, corsHeaders, apiKey, log });
+    }
+
+    const { status, body, usage } = await runCompare({ env, ctx, query: parsed.query, log });
+    log?.set(compareLogFields(body));
+    recordApiKeyUsage({ env, ctx, apiKey, usage: usage || body?.usage });
+    recordSearchApiSpend({ env, ctx, usage: usage || body?.usage });
+    return jsonResponse(body, status, corsHeaders);
+}
+
+/**
+ * Stream /compare as Server-Sent Events:
+ *  - match  : token resolved (buildMatchSummary)
+ *  - offers : the full /compare body, identical to the JSON response
+ *  - error  : { ...body, status } instead of offers when the pipeline fails (status is the HTTP
+ *             status the JSON response would have had, not a provider status from the body)
+ *  - done   : { status, usage }
+ * @param {Object} params
+ * @param {Object} params.env - Environment bindings
+ * @param {Object} params.ctx - Execution context
+ * @param {Object} params.query - Parsed compare query
+ * @param {Object} params.corsHeaders - CORS headers
+ * @param {Object|null} [params.apiKey] - Authenticated key record (usage is recorded against it)
+ * @param {Object|null} [params.log] - Request log, written once the stream closes
+ * @returns {Response}
+ */
+function streamCompare({ env, ctx, query, corsHeaders, apiKey = null, log = null }) {
+    const stream = createEventStream(corsHeaders);
+
+    const pipeline = (async () => {
+        try {
+            const { status, body, usage } = await runCompare({
+                env,
+                ctx,
+                query,
+                onMatch: (summary) => stream.send("match", summary),
+                log,
+            });
+            log?.set({ streamStatus: status, ...compareLogFields(body) });
+            recordApiKeyUsage({ env, ctx, apiKey, usage: usage || body?.usage });
+            recordSearchApiSpend({ env, ctx, usage: usage || body?.usage });
+            if (status === 200) await stream.send("offers", body);
+            else await stream.send("error", { ...body, status });
+            await stream.send("done", { status, usage: usage || body?.usage || null });
+        } catch (e) {
+            log?.set({ streamStatus: 500, errorCode: "INTERNAL_ERROR" });
+            await stream.send("error", { status: 500, error: "Internal error", error_code: "INTERNAL_ERROR", details: String(e?.message || e) });
+            await stream.send("done", { status: 500, usage: null });
+        } finally {
+            await stream.close();
+        }
+    })();
 
-    return jsonResponse(payload, 200, corsHeaders);
+    ctx.waitUntil(pipeline);
+    log?.hold(pipeline);
+    return stream.response;
 }
@@ -0,0 +1,191 @@
+/**
+ * /compare/batch route handler.
+ * Compares many hotels sharing one stay in a single request.
+ *
+ * Body (JSON):
+ *  {
+ *    checkIn, checkOut, adults?, children?, childAges?, rooms?, currency?, displayCurrency?, gl?, hl?, ctx?, smart?, includeRooms?, normalizeTaxes?, maxStale?, refresh?,
+ *    items: [{ id?, hotelName, officialUrl?, bookingUrl?, currentHost? }, ...]
+ *  }
+ *
+ * Each item runs through the same pipeline as GET /compare (runCompare).
+ * Rate limiting charges the SearchApi calls actually made, not the HTTP request.
+ *
+ * @module routes/compareBatch
+ */
+
+import { COMPARE_BATCH_MAX_ITEMS, COMPARE_BATCH_CONCURRENCY, COMPARE_ITEM_MAX_CALLS } from '../lib/constants.js';
+import { jsonResponse } from '../lib/http.js';
+import { compareCorsRejection } from '../lib/cors.js';
+import { hasHotelProvider } from '../lib/providers.js';
+import { getCompareRateLimitState, chargeCompareRateLimit, rateLimitedResponse, rateLimitHeaders } from '../lib/rateLimit.js';
+import { mapWithConcurrency } from '../lib/concurrency.js';
+import { apiKeyQuotaResponse, getApiKeyUsage, recordApiKeyUsage } from '../lib/apiKeys.js';
+import { recordSearchApiSpend } from '../lib/budget.js';
+import { parseCompareQuery, runCompare } from './compare.js';
+
+// Fields shared by every item (the stay + locale)
+const SHARED_FIELDS = ["checkIn", "checkOut", "adults", "children", "childAges", "rooms", "currency", "displayCurrency", "gl", "hl", "ctx", "smart", "includeRooms", "normalizeTaxes", "maxStale", "refresh"];
+
+// Fields that describe one hotel
+const ITEM_FIELDS = ["hotelName", "officialUrl", "bookingUrl", "currentHost"];
+
+/**
+ * Build /compare-style query params for one batch item.
+ * @param {Object} shared - Shared batch fields
+ * @param {Object} item - Hotel descriptor
+ * @returns {URLSearchParams}
+ */
+function buildItemParams(shared, item) {
+    const sp = new URLSearchParams();
+    for (const k of SHARED_FIELDS) {
+        const v = shared?.[k];
+        if (v === undefined || v === null || v === "") continue;
+        // Arrays (childAges) use the comma-separated query form
+        sp.set(k, typeof v === "boolean" ? (v ? "1" : "0") : Array.isArray(v) ? v.join(",") : String(v));
+    }
+    for (const k of ITEM_FIELDS) {
+        const v = item?.[k];
+        if (v === undefined || v === null || v === "") continue;
+        sp.set(k, String(v));
+    }
+    return sp;
+}
+
+/**
+ * Total SearchApi calls recorded in a usage object.
+ * @param {Object} usage - { searchapi_calls: { engine: count } }
+ * @returns {number}
+ */
+function countCalls(usage) {
+    let n = 0;
+    for (const v of Object.values(usage?.searchapi_calls || {})) n += v || 0;
+    return n;
+}
+
+/**
+ * Handle POST /compare/batch request.
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Response>}
+ */
+export async function handleCompareBatch({ request, env, ctx, corsHeaders, compareCors, apiKey = null, log = null }) {
+    // CORS lock: same policy as /compare
+    const rejected = compareCorsRejection(compareCors, "/compare/batch");
+    if (rejected) return rejected;
+
+    if (request.method !== "POST") {
+        return jsonResponse({ error: "Method not allowed", allowed: ["POST"] }, 405, { ...corsHeaders, "Allow": "POST, OPTIONS" });
+    }
+
+    if (!hasHotelProvider(env)) return jsonResponse({ error: "Missing hotel provider key", hint: "Set SEARCHAPI_KEY or SERPAPI_KEY" }, 500, corsHeaders);
+    if (!env.CACHE_KV) return jsonResponse({ error: "Missing CACHE_KV binding" }, 500, corsHeaders);
+
+    let body = null;
+    try {
+        body = await request.json();
+    } catch {
+        return jsonResponse({ error: "Body must be JSON", error_code: "INVALID_PARAMS" }, 400, corsHeaders);
+    }
+
+    const items = body?.items;
+    if (!Array.isArray(items) || items.length === 0) {
+        return jsonResponse({ error: "Missing required params", error_code: "INVALID_PARAMS", missing: ["items"] }, 400, corsHeaders);
+    }
+    if (items.length > COMPARE_BATCH_MAX_ITEMS) {
+        return jsonResponse(
+            { error: "Too many items", error_code: "INVALID_PARAMS", maxItems: COMPARE_BATCH_MAX_ITEMS, count: items.length },
+            400,
+            corsHeaders
+        );
+    }
+
+    // Rate limit: block up front only if the window is already spent
+    const rl = await getCompareRateLimitState(request, env, apiKey);
+    if (rl.remaining <= 0) {
+        return rateLimitedResponse(rl.retryAfter, { ...corsHeaders, ...rateLimitHeaders(rl) });
+    }
+
+    const keyUsage = apiKey ? await getApiKeyUsage(env, apiKey) : null;
+    const overQuota = await apiKeyQuotaResponse(env, apiKey, corsHeaders, keyUsage);
+    if (overQuota) return overQuota;
+
+    // The fan-out may spend neither more than the window has left nor more than the key's daily credits
+    const quotaCapped = keyUsage ? keyUsage.remainingCredits < rl.remaining : false;
+    const allowance = quotaCapped ? keyUsage.remainingCredits : rl.remaining;
+
+    const usage = { searchapi_calls: { google_hotels: 0, google_hotels_property: 0 } };
+    let spent = 0;
+    let inFlight = 0;
+
+    const results = await mapWithConcurrency(items, COMPARE_BATCH_CONCURRENCY, async (item, index) => {
+        const id = item?.id ?? null;
+
+        const parsed = parseCompareQuery(buildItemParams(body, item));
+        if (parsed.error) {
+            return { index, id, ok: false, status: parsed.error.status, error_code: parsed.error.body.error_code, result: parsed.error.body };
+        }
+
+        // Each in-flight item reserves its worst case so parallel cold items can't overshoot the allowance
+        if (spent + COMPARE_ITEM_MAX_CALLS * inFlight >= allowance) {
+            const result = quotaCapped
+                ? { error: "Daily quota exceeded", error_code: "QUOTA_EXCEEDED", day: keyUsage.day }
+                : { error: "Rate limit exceeded", error_code: "RATE_LIMIT", retryAfter: rl.retryAfter };
+            return { index, id, ok: false, status: 429, error_code: result.error_code, result };
+        }
+
+        // Batch responses never carry debug payloads
+        parsed.query.debug = false;
+
+        inFlight++;
+        let out;
+        try {
+            out = await runCompare({ env, ctx, query: parsed.query, log });
+        } catch (e) {
+            out = { status: 500, body: { error: "Internal error", error_code: "INTERNAL_ERROR", details: String(e?.message || e) } };
+        } finally {
+            inFlight--;
+        }
+
+        for (const [engine, n] of Object.entries(out.usage?.searchapi_calls || {})) {
+            usage.searchapi_calls[engine] = (usage.searchapi_calls[engine] || 0) + (n || 0);
+        }
+        spent += countCalls(out.usage);
+
+        const ok = out.status === 200;
+        return {
+            index,
+            id,
+            ok,
+            status: out.status,
+            error_code: ok ? null : (out.body?.error_code || "UPSTREAM_ERROR"),
+            result: out.body,
+        };
+    });
+
+    // Charge what we actually spent (at least 1, like a single /compare)
+    const charged = Math.max(1, spent);
+    const after = await chargeCompareRateLimit(env, rl, charged);
+    recordApiKeyUsage({ env, ctx, apiKey, usage });
+    recordSearchApiSpend({ env, ctx, usage });
+
+    // Per-item cache outcomes, e.g. { "hit-domain": 3, miss: 1 }
+    const tokenCache = {};
+    for (const r of results) {
+        const outcome = r.result?.match?.cacheDetail?.token;
+        if (outcome) tokenCache[outcome] = (tokenCache[outcome] || 0) + 1;
+    }
+    log?.set({ batch: { count: results.length, okCount: results.filter(r => r.ok).length, tokenCache } });
+
+    return jsonResponse({
+        ok: true,
+        count: results.length,
+        okCount: results.filter(r => r.ok).length,
+        results,
+        usage,
+        rateLimit: {
+            charged,
+            remaining: after.remaining,
+            resetSec: after.reset,
+        },
+    }, 200, { ...corsHeaders, ...rateLimitHeaders(after) });
+}
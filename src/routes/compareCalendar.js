@@ -0,0 +1,274 @@
+/**
+ * /compare/calendar route handler.
+ * Flexible-date price grid for one property.
+ *
+ * Params: same as /compare (hotelName, officialUrl, bookingUrl, ctx, adults, currency, gl, hl, ...) plus
+ *  - from (or checkIn) : first candidate check-in date (clamped to today, UTC)
+ *  - to                : last candidate check-in date (default: from + 6 days)
+ *  - nights            : stay length (default: checkOut - checkIn, else 1)
+ *  - budget            : max google_hotels_property calls for uncached dates
+ *
+ * Each cell is read from / written to the regular `offers:` cache, so /compare
+ * and the calendar share fetched results. `maxStale` applies per cell like /compare.
+ *
+ * @module routes/compareCalendar
+ */
+
+import {
+    CALENDAR_MAX_DATES,
+    CALENDAR_MAX_NIGHTS,
+    CALENDAR_DEFAULT_BUDGET,
+    CALENDAR_MAX_BUDGET,
+    COMPARE_BATCH_CONCURRENCY,
+    MATCH_CERTAIN_CONF,
+} from '../lib/constants.js';
+import { jsonResponse } from '../lib/http.js';
+import { compareCorsRejection } from '../lib/cors.js';
+import { hasHotelProvider } from '../lib/providers.js';
+import { kvGetJson } from '../lib/kvCache.js';
+import { getCompareRateLimitState, chargeCompareRateLimit, rateLimitedResponse, rateLimitHeaders } from '../lib/rateLimit.js';
+import { isIsoDate, nightsBetweenIso, todayIso, addDaysIso } from '../lib/normalize.js';
+import { findOfferForHost } from '../lib/offers.js';
+import { mapWithConcurrency } from '../lib/concurrency.js';
+import { apiKeyQuotaResponse, getApiKeyUsage, recordApiKeyUsage } from '../lib/apiKeys.js';
+import { recordSearchApiSpend } from '../lib/budget.js';
+import { recordPriceSnapshot } from '../lib/priceHistory.js';
+import {
+    parseCompareQuery,
+    resolvePropertyToken,
+    buildOffersKey,
+    fetchPropertyOffers,
+    buildOffersPayload,
+    storeOffersPayload,
+    offersCacheState,
+} from './compare.js';
+
+/**
+ * Reduce an offers payload (fresh or cached) to one calendar cell.
+ * @param {Object} q - Per-date query
+ * @param {Object} payload - Offers payload
+ * @param {string} cache - "hit" | "stale" | "miss"
+ * @returns {Object}
+ */
+function toCell(q, payload, cache) {
+    const offers = Array.isArray(payload?.offers) ? payload.offers : [];
+    return {
+        checkIn: q.checkIn,
+        checkOut: q.checkOut,
+        status: "ok",
+        cache,
+        offersCount: payload?.offersCount ?? offers.length,
+        cheapestOverall: payload?.cheapestOverall || null,
+        cheapestOfficial: payload?.cheapestOfficial || null,
+        // Cached payloads carry the currentHost of whoever fetched them; recompute for this caller
+        currentOtaOffer: q.currentHost ? findOfferForHost(offers, q.currentHost) : null,
+    };
+}
+
+/**
+ * Handle /compare/calendar request.
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Response>}
+ */
+export async function handleCompareCalendar({ request, env, ctx, url, corsHeaders, compareCors, apiKey = null, log = null }) {
+    // CORS lock: same policy as /compare
+    const rejected = compareCorsRejection(compareCors, "/compare/calendar");
+    if (rejected) return rejected;
+
+    if (!hasHotelProvider(env)) return jsonResponse({ error: "Missing hotel provider key", hint: "Set SEARCHAPI_KEY or SERPAPI_KEY" }, 500, corsHeaders);
+    if (!env.CACHE_KV) return jsonResponse({ error: "Missing CACHE_KV binding" }, 500, corsHeaders);
+
+    const sp = url.searchParams;
+
+    // ---- Window ----
+    const fromRaw = sp.get("from") || sp.get("checkIn") || "";
+    const toRaw = sp.get("to") || "";
+    const checkOutRaw = sp.get("checkOut") || "";
+
+    if (!isIsoDate(fromRaw)) {
+        return jsonResponse({ error: "from must be YYYY-MM-DD", error_code: "INVALID_PARAMS", from: fromRaw || null }, 400, corsHeaders);
+    }
+    if (toRaw && !isIsoDate(toRaw)) {
+        return jsonResponse({ error: "to must be YYYY-MM-DD", error_code: "INVALID_PARAMS", to: toRaw }, 400, corsHeaders);
+    }
+
+    const impliedNights = isIsoDate(checkOutRaw) ? nightsBetweenIso(fromRaw, checkOutRaw) : null;
+    const nights = parseInt(sp.get("nights") || "", 10) || impliedNights || 1;
+    if (nights < 1 || nights > CALENDAR_MAX_NIGHTS) {
+        return jsonResponse({ error: "Invalid stay length", error_code: "INVALID_PARAMS", nights, maxNights: CALENDAR_MAX_NIGHTS }, 400, corsHeaders);
+    }
+
+    const to = toRaw || addDaysIso(fromRaw, 6);
+    if (nightsBetweenIso(fromRaw, to) < 0) {
+        return jsonResponse({ error: "Invalid date window", error_code: "INVALID_PARAMS", from: fromRaw, to }, 400, corsHeaders);
+    }
+
+    // Past check-ins have no offers: start the window today, and refuse one that has already ended
+    const today = todayIso();
+    if (to < today) {
+        return jsonResponse({ error: "Date window is in the past", error_code: "INVALID_PARAMS", from: fromRaw, to, today }, 400, corsHeaders);
+    }
+    const from = fromRaw < today ? today : fromRaw;
+    const span = nightsBetweenIso(from, to);
+    if (span + 1 > CALENDAR_MAX_DATES) {
+        return jsonResponse({ error: "Date window too wide", error_code: "INVALID_PARAMS", from, to, maxDates: CALENDAR_MAX_DATES }, 400, corsHeaders);
+    }
+
+    const budgetRaw = parseInt(sp.get("budget") || "", 10);
+    const budgetRequested = Math.min(CALENDAR_MAX_BUDGET, Math.max(0, Number.isFinite(budgetRaw) ? budgetRaw : CALENDAR_DEFAULT_BUDGET));
+
+    // ---- Base query (first date) for token resolution ----
+    const baseParams = new URLSearchParams(sp);
+    baseParams.set("checkIn", from);
+    baseParams.set("checkOut", addDaysIso(from, nights));
+    // Calendar cells are room-less, non-debug entries so they share keys with plain /compare
+    baseParams.delete("includeRooms");
+    baseParams.delete("debug");
+
+    const parsed = parseCompareQuery(baseParams);
+    if (parsed.error) return jsonResponse(parsed.error.body, parsed.error.status, corsHeaders);
+    const baseQuery = parsed.query;
+
+    // Rate limit: charge SearchApi calls actually made (like /compare/batch)
+    const rl = await getCompareRateLimitState(request, env, apiKey);
+    if (rl.remaining <= 0) {
+        return rateLimitedResponse(rl.retryAfter, { ...corsHeaders, ...rateLimitHeaders(rl) });
+    }
+
+    const keyUsage = apiKey ? await getApiKeyUsage(env, apiKey) : null;
+    const overQuota = await apiKeyQuotaResponse(env, apiKey, corsHeaders, keyUsage);
+    if (overQuota) return overQuota;
+    // Calls this request may make: the window's remainder, capped by the key's daily credits
+    const allowance = keyUsage ? Math.min(rl.remaining, keyUsage.remainingCredits) : rl.remaining;
+
+    const usage = { searchapi_calls: { google_hotels: 0, google_hotels_property: 0 } };
+
+    const resolved = await resolvePropertyToken({ env, ctx, query: baseQuery, usage, debugSearch: null, log });
+    if (resolved.error) {
+        const after = await chargeCompareRateLimit(env, rl, Math.max(1, usage.searchapi_calls.google_hotels));
+        recordApiKeyUsage({ env, ctx, apiKey, usage });
+        recordSearchApiSpend({ env, ctx, usage });
+        return jsonResponse({ ...resolved.error.body, usage }, resolved.error.status, { ...corsHeaders, ...rateLimitHeaders(after) });
+    }
+
+    const { tokenObj, tokenCacheDetail } = resolved;
+    const propertyToken = tokenObj.property_token;
+
+    const tokenCalls = usage.searchapi_calls.google_hotels;
+    const budget = Math.max(0, Math.min(budgetRequested, allowance - tokenCalls));
+
+    // ---- 1) Read every date from the offers cache ----
+    const dateQueries = [];
+    for (let i = 0; i <= span; i++) {
+        const checkIn = addDaysIso(from, i);
+        dateQueries.push({ ...baseQuery, checkIn, checkOut: addDaysIso(checkIn, nights), nights });
+    }
+
+    const refresh = baseQuery.refresh;
+    const cells = await Promise.all(dateQueries.map(async (q) => {
+        const offersKey = buildOffersKey(propertyToken, q);
+        const cached = refresh ? null : await kvGetJson(env.CACHE_KV, offersKey);
+        if (!cached) return null;
+        // Stale cells are served as-is (no background refresh: the budget is for uncached dates)
+        const { state, ageSec } = offersCacheState(cached, q.maxStale);
+        if (state === "expired") return null;
+        return { ...toCell(q, cached, state === "fresh" ? "hit" : "stale"), ageSec };
+    }));
+
+    // ---- 2) Fetch misses in date order until the budget runs out ----
+    const misses = [];
+    cells.forEach((c, i) => { if (!c) misses.push(i); });
+    const toFetch = misses.slice(0, budget);
+
+    for (const i of misses.slice(budget)) {
+        const q = dateQueries[i];
+        cells[i] = { checkIn: q.checkIn, checkOut: q.checkOut, status: "skipped", reason: "budget_exhausted" };
+    }
+
+    await mapWithConcurrency(toFetch, COMPARE_BATCH_CONCURRENCY, async (i) => {
+        const q = dateQueries[i];
+        const cellUsage = { searchapi_calls: { google_hotels: 0, google_hotels_property: 0 } };
+        const fetched = await fetchPropertyOffers({ env, propertyToken, query: q, usage: cellUsage, log });
+        usage.searchapi_calls.google_hotels_property += cellUsage.searchapi_calls.google_hotels_property;
+
+        if (fetched.error) {
+            cells[i] = {
+                checkIn: q.checkIn,
+                checkOut: q.checkOut,
+                status: "error",
+                error_code: fetched.error.body?.error_code || "OFFERS_FAILED",
+            };
+            return;
+        }
+
+        const payload = buildOffersPayload({ query: q, resolved, prop: fetched.prop, simplified: fetched.simplified, taxBasis: fetched.taxBasis, usage: cellUsage });
+        storeOffersPayload({ env, ctx, offersKey: buildOffersKey(propertyToken, q), payload });
+        recordPriceSnapshot({ env, ctx, propertyToken, query: q, simplified: fetched.simplified });
+        cells[i] = toCell(q, payload, "miss");
+    });
+
+    const spent = usage.searchapi_calls.google_hotels + usage.searchapi_calls.google_hotels_property;
+    const after = await chargeCompareRateLimit(env, rl, Math.max(1, spent));
+    recordApiKeyUsage({ env, ctx, apiKey, usage });
+    recordSearchApiSpend({ env, ctx, usage });
+
+    let cheapestDate = null;
+    for (const c of cells) {
+        const total = c?.cheapestOverall?.total;
+        if (total == null) continue;
+        if (!cheapestDate || total < cheapestDate.total) {
+            cheapestDate = { checkIn: c.checkIn, checkOut: c.checkOut, total, source: c.cheapestOverall.source || null };
+        }
+    }
+
+    const matchConfidence = tokenObj.confidence ?? tokenObj.nameScore ?? 0;
+
+    // Cell outcomes, e.g. { hit: 5, miss: 2 }
+    const cellStatus = {};
+    for (const c of cells) cellStatus[c.status] = (cellStatus[c.status] || 0) + 1;
+    log?.set({
+        tokenCache: tokenCacheDetail,
+        confidence: matchConfidence,
+        matchUncertain: matchConfidence < MATCH_CERTAIN_CONF,
+        calendar: { dates: cells.length, cells: cellStatus },
+    });
+
+    return jsonResponse({
+        ok: true,
+        query: {
+            hotelName: baseQuery.hotelName,
+            from,
+            ...(from !== fromRaw ? { fromRequested: fromRaw } : {}),
+            to,
+            nights,
+            adults: baseQuery.adults,
+            children: baseQuery.children,
+            childAges: baseQuery.childAges,
+            rooms: baseQuery.rooms,
+            currency: baseQuery.currency,
+            gl: baseQuery.gl,
+            hl: baseQuery.hlSent || null,
+            officialDomain: baseQuery.officialDomain || null,
+            currentHost: baseQuery.currentHost || null,
+        },
+        property: {
+            name: tokenObj.property_name || baseQuery.hotelName,
+            property_token: propertyToken,
+        },
+        match: {
+            cacheDetail: { token: tokenCacheDetail },
+            confidence: matchConfidence,
+            matchedHotelName: tokenObj.property_name || null,
+        },
+        matchUncertain: matchConfidence < MATCH_CERTAIN_CONF,
+        dates: cells,
+        cheapestDate,
+        budget: {
+            requested: budgetRequested,
+            allowed: budget,
+            used: toFetch.length,
+            skipped: misses.length - toFetch.length,
+        },
+        usage,
+    }, 200, { ...corsHeaders, ...rateLimitHeaders(after) });
+}
@@ -0,0 +1,137 @@
+/**
+ * /feedback/match route handler.
+ * Lets the extension report a wrong match or confirm one (see lib/feedback.js for aggregation).
+ *
+ *  - POST /feedback/match : JSON body
+ *      { hotelName, officialUrl | officialDomain, bookingUrl, gl, ctx?,
+ *        servedToken, servedName?, verdict?: "wrong" | "correct",
+ *        selected?: { property_token } }
+ *
+ * A selected candidate other than the served one counts as "wrong" for the served token and
+ * "correct" for the selection; without a selection, verdict is required.
+ *
+ * A token voted "correct" must be a stored candidate for the hotel: its current tok: entry, or a
+ * property of the search context `ctx` (400 UNKNOWN_CANDIDATE otherwise). Votes without an
+ * API key are recorded but never change the token cache.
+ *
+ * @module routes/feedback
+ */
+
+import { jsonResponse } from '../lib/http.js';
+import { compareCorsRejection } from '../lib/cors.js';
+import { rateLimitFeedback, getClientIdentity } from '../lib/rateLimit.js';
+import { sha256Hex } from '../lib/apiKeys.js';
+import { getHostNoWww } from '../lib/normalize.js';
+import { findFeedbackCandidate, recordMatchFeedback } from '../lib/feedback.js';
+import { buildTokenKeys } from './compare.js';
+
+/**
+ * Trim an optional string field.
+ * @param {*} v - Raw value
+ * @param {number} max - Max length
+ * @returns {string|null}
+ */
+function optionalString(v, max) {
+    const s = typeof v === "string" ? v.trim() : "";
+    return s ? s.slice(0, max) : null;
+}
+
+/**
+ * Validate the feedback body into negative/positive votes.
+ * @param {Object} body - Request body
+ * @returns {{ identity: Object, tokenKeys: Object, ctxId: string|null, negative: Object|null, positive: Object|null }|{ error: Object }}
+ */
+function parseFeedbackBody(body) {
+    const hotelName = optionalString(body?.hotelName, 300);
+    const servedToken = optionalString(body?.servedToken, 500);
+    const missing = [!hotelName && "hotelName", !servedToken && "servedToken"].filter(Boolean);
+    if (missing.length) return { error: { error: "Missing required params", error_code: "INVALID_PARAMS", missing } };
+
+    const selectedToken = optionalString(body.selected?.property_token, 500);
+    if (body.selected != null && !selectedToken) {
+        return { error: { error: "selected.property_token is required", error_code: "INVALID_PARAMS", invalid: ["selected"] } };
+    }
+
+    const verdict = body.verdict == null ? null : String(body.verdict).toLowerCase();
+    if (verdict != null && verdict !== "wrong" && verdict !== "correct") {
+        return { error: { error: "verdict must be wrong or correct", error_code: "INVALID_PARAMS", invalid: ["verdict"] } };
+    }
+    if (!verdict && !selectedToken) {
+        return { error: { error: "Give a verdict or a selected candidate", error_code: "INVALID_PARAMS", missing: ["verdict|selected"] } };
+    }
+
+    const served = { property_token: servedToken, property_name: optionalString(body.servedName, 300) };
+    let negative = null;
+    let positive = null;
+
+    if (selectedToken && selectedToken !== servedToken) {
+        negative = served;
+        positive = { property_token: selectedToken };
+    } else if (selectedToken || verdict === "correct") {
+        positive = served;
+    } else {
+        negative = served;
+    }
+
+    const officialDomain = getHostNoWww(body.officialDomain || body.officialUrl || "") || null;
+    const gl = String(body.gl || "us").toLowerCase();
+    const tokenKeys = buildTokenKeys({ hotelName, officialDomain, bookingUrl: optionalString(body.bookingUrl, 2000), gl });
+
+    return {
+        identity: { hotelName, officialDomain, bookingSlug: tokenKeys.bookingSlug || null, gl },
+        tokenKeys,
+        ctxId: optionalString(body.ctx, 200),
+        negative,
+        positive,
+    };
+}
+
+/**
+ * Handle /feedback/match request.
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Response>}
+ */
+export async function handleFeedback({ request, env, corsHeaders, compareCors, apiKey = null }) {
+    // CORS lock: same policy as /compare
+    const rejected = compareCorsRejection(compareCors, "/feedback/match");
+    if (rejected) return rejected;
+
+    if (request.method !== "POST") {
+        return jsonResponse({ error: "Method not allowed", allowed: ["POST"] }, 405, corsHeaders);
+    }
+    if (!env.CACHE_KV) return jsonResponse({ error: "Missing CACHE_KV binding" }, 500, corsHeaders);
+
+    const rl = await rateLimitFeedback(request, env, corsHeaders);
+    if (rl.blocked) return rl.blocked;
+    const headers = { ...corsHeaders, ...rl.headers };
+
+    let body = null;
+    try {
+        body = await request.json();
+    } catch {
+        return jsonResponse({ error: "Body must be JSON", error_code: "INVALID_PARAMS" }, 400, headers);
+    }
+
+    const { ctxId, positive, ...parsed } = parseFeedbackBody(body || {});
+    if (parsed.error) return jsonResponse(parsed.error, 400, headers);
+
+    // Name/link of a confirmed token come from what SearchApi returned, not from the body
+    let candidate = null;
+    if (positive) {
+        candidate = await findFeedbackCandidate(env, parsed.tokenKeys, positive.property_token, ctxId);
+        if (!candidate) {
+            return jsonResponse({
+                error: "Token is not a known candidate for this hotel",
+                error_code: "UNKNOWN_CANDIDATE",
+                hint: "Send the ctx the candidate was listed in",
+                property_token: positive.property_token,
+            }, 400, headers);
+        }
+    }
+
+    // One vote per client per token and verdict; only a hash of the API key ID / IP is stored
+    const voter = (await sha256Hex(getClientIdentity(request, apiKey))).slice(0, 16);
+    const result = await recordMatchFeedback({ env, voter, keyed: Boolean(apiKey), ...parsed, positive: candidate });
+
+    return jsonResponse({ ok: true, cacheEffects: Boolean(apiKey), ...result }, 200, headers);
+}
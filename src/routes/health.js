@@ -0,0 +1,342 @@
+/**
+ * /__health route handler.
+ * Anonymous callers (rate-limited per IP) get only { ok, status, kv } from read-only checks.
+ * With Authorization: Bearer ADMIN_TOKEN the full dependency report for on-call: bindings,
+ * configured secrets (presence only), a KV write/read/delete round trip, circuit-breaker state
+ * (of the answering isolate), budget state and effective config (which includes the allowed
+ * extension origins, so it must not be public).
+ *
+ * Upstream probes are opt-in (?probe=searchapi,places or ?probe=all) because each one is a
+ * real, billed search for HEALTH_PROBE_QUERY; they also require the admin token.
+ * Probes: searchapi, serpapi (google_hotels search), places (Google Places text search),
+ * brave, cse (fallback web search).
+ *
+ * Status: "down" (503) when KV is unusable, "degraded" (200) when a dependency is missing,
+ * a breaker is open, the budget is spent or a probe failed, else "ok". `problems` says which.
+ *
+ * @module routes/health
+ */
+
+import {
+    BUILD_TAG,
+    HEALTH_PROBES,
+    HEALTH_PROBE_QUERY,
+    HEALTH_PROBE_TIMEOUT_MS,
+    HEALTH_KV_PROBE_TTL_SEC,
+    HEALTH_KV_READ_KEY,
+    BRAVE_SEARCH_ENDPOINT,
+    GOOGLE_CSE_ENDPOINT,
+    BREAKER_FAILURE_THRESHOLD,
+    BREAKER_COOLDOWN_MS,
+    TOKEN_TTL_SEC,
+    TOKEN_TTL_NO_DOMAIN_SEC,
+    OFFERS_TTL_SEC,
+    OFFERS_STALE_MAX_SEC,
+    CTX_TTL_SEC,
+    HISTORY_TTL_SEC,
+    SEARCHAPI_TIMEOUT_MS,
+    SERPAPI_TIMEOUT_MS,
+    FALLBACK_SEARCH_TIMEOUT_MS,
+    API_KEY_DAILY_CREDITS,
+    API_KEY_HOURLY_REQUESTS,
+} from '../lib/constants.js';
+import { jsonResponse, fetchWithTimeout } from '../lib/http.js';
+import { addDaysIso } from '../lib/normalize.js';
+import { isAdminRequest } from '../lib/apiKeys.js';
+import { getCompareAllowedOrigins } from '../lib/cors.js';
+import { rateLimitConfig, rateLimitHealth } from '../lib/rateLimit.js';
+import { budgetConfig, getBudgetState, recordSearchApiSpend } from '../lib/budget.js';
+import { breakerSnapshot, BREAKER_SCOPE } from '../lib/circuitBreaker.js';
+import { providerOrder } from '../lib/providers.js';
+import { searchApiProvider } from '../lib/searchApi.js';
+import { serpApiProvider } from '../lib/serpApi.js';
+import { getBraveApiKey, getGoogleCseKey, getGoogleCseCx } from '../lib/fallbackSearch.js';
+import { geoRadiusKm } from './compare.js';
+
+/**
+ * Which bindings and secrets are set (never their values).
+ * @param {Object} env - Environment bindings
+ * @returns {{ bindings: Object, secrets: Object }}
+ */
+function dependencyPresence(env) {
+    return {
+        bindings: {
+            CACHE_KV: Boolean(env.CACHE_KV),
+            RATE_LIMITER: Boolean(env.RATE_LIMITER),
+            BUDGET_COUNTER: Boolean(env.BUDGET_COUNTER),
+            REQUEST_METRICS: Boolean(env.REQUEST_METRICS),
+        },
+        secrets: {
+            SEARCHAPI_KEY: Boolean(env.SEARCHAPI_KEY),
+            SERPAPI_KEY: Boolean(env.SERPAPI_KEY),
+            GOOGLE_API_KEY: Boolean(env.GOOGLE_API_KEY),
+            BRAVE_API_KEY: Boolean(getBraveApiKey(env)),
+            GOOGLE_CSE: Boolean(getGoogleCseKey(env) && getGoogleCseCx(env)),
+            ADMIN_TOKEN: Boolean(env.ADMIN_TOKEN),
+            REQUEST_SIGNING_SECRET: Boolean(env.REQUEST_SIGNING_SECRET),
+        },
+    };
+}
+
+/**
+ * Write, read back and delete a short-lived KV key.
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{ ok: boolean, ms: number|null, error: string|null }>}
+ */
+async function kvRoundTrip(env) {
+    if (!env.CACHE_KV) return { ok: false, ms: null, error: "CACHE_KV not bound" };
+
+    const key = `health:${crypto.randomUUID()}`;
+    const value = String(Date.now());
+    const startedAt = Date.now();
+    try {
+        await env.CACHE_KV.put(key, value, { expirationTtl: HEALTH_KV_PROBE_TTL_SEC });
+        const read = await env.CACHE_KV.get(key);
+        await env.CACHE_KV.delete(key);
+        const ms = Date.now() - startedAt;
+        return read === value ? { ok: true, ms, error: null } : { ok: false, ms, error: "read back a different value" };
+    } catch (e) {
+        return { ok: false, ms: Date.now() - startedAt, error: String(e?.message || e) };
+    }
+}
+
+/**
+ * Read a key that is never written: checks KV without spending a write (anonymous callers).
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{ ok: boolean, ms: number|null, error: string|null }>}
+ */
+async function kvReadCheck(env) {
+    if (!env.CACHE_KV) return { ok: false, ms: null, error: "CACHE_KV not bound" };
+
+    const startedAt = Date.now();
+    try {
+        await env.CACHE_KV.get(HEALTH_KV_READ_KEY);
+        return { ok: true, ms: Date.now() - startedAt, error: null };
+    } catch (e) {
+        return { ok: false, ms: Date.now() - startedAt, error: String(e?.message || e) };
+    }
+}
+
+/**
+ * Effective limits, TTLs and timeouts.
+ * @param {Object} env - Environment bindings
+ * @returns {Object}
+ */
+function effectiveConfig(env) {
+    return {
+        providers: providerOrder(env).map(p => p.id),
+        rateLimits: rateLimitConfig(env),
+        apiKeys: {
+            required: String(env.REQUIRE_API_KEY || "") === "1",
+            dailyCredits: API_KEY_DAILY_CREDITS,
+            hourlyRequests: API_KEY_HOURLY_REQUESTS,
+        },
+        budget: budgetConfig(env),
+        ttlSec: {
+            token: TOKEN_TTL_SEC,
+            tokenNoDomain: TOKEN_TTL_NO_DOMAIN_SEC,
+            offers: OFFERS_TTL_SEC,
+            offersStaleMax: OFFERS_STALE_MAX_SEC,
+            ctx: CTX_TTL_SEC,
+            history: HISTORY_TTL_SEC,
+        },
+        timeoutsMs: {
+            searchapi: SEARCHAPI_TIMEOUT_MS,
+            serpapi: SERPAPI_TIMEOUT_MS,
+            fallbackSearch: FALLBACK_SEARCH_TIMEOUT_MS,
+            probe: HEALTH_PROBE_TIMEOUT_MS,
+        },
+        breaker: { failureThreshold: BREAKER_FAILURE_THRESHOLD, cooldownMs: BREAKER_COOLDOWN_MS },
+        geoMatchRadiusKm: geoRadiusKm(env),
+        compareOrigins: [...getCompareAllowedOrigins(env)],
+        requireSignedOriginless: String(env.REQUIRE_SIGNED_ORIGINLESS || "") === "1",
+    };
+}
+
+/**
+ * Requested probe names from ?probe= (comma-separated, "all" for every probe).
+ * @param {URLSearchParams} sp - Query params
+ * @returns {{ probes: string[], unknown: string[] }}
+ */
+export function parseHealthProbes(sp) {
+    const raw = String(sp.get("probe") || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+    if (raw.includes("all")) return { probes: [...HEALTH_PROBES], unknown: [] };
+    return {
+        probes: HEALTH_PROBES.filter(p => raw.includes(p)),
+        unknown: raw.filter(p => !HEALTH_PROBES.includes(p)),
+    };
+}
+
+/**
+ * Probe a hotel provider with one google_hotels search.
+ * @param {Object} env - Environment bindings
+ * @param {Object} provider - searchApiProvider | serpApiProvider
+ * @returns {Promise<Object>}
+ */
+async function probeHotelProvider(env, provider) {
+    if (!provider.isConfigured(env)) return { skipped: "not_configured" };
+
+    const checkIn = addDaysIso(new Date().toISOString().slice(0, 10), 30);
+    const result = await provider.searchProperties(env, {
+        q: HEALTH_PROBE_QUERY,
+        checkIn,
+        checkOut: addDaysIso(checkIn, 1),
+        adults: 2,
+        currency: "USD",
+        gl: "us",
+    });
+    return {
+        ok: result.ok,
+        status: result.status,
+        results: result.ok ? result.data.properties.length : null,
+        error: result.ok ? null : (result.fetchError || (typeof result.error === "string" ? result.error : JSON.stringify(result.error))),
+    };
+}
+
+/**
+ * Probe an HTTP API with one request.
+ * @param {string} url - Request URL
+ * @param {RequestInit} init - Fetch options
+ * @param {Function} countResults - Maps the JSON body to a result count
+ * @returns {Promise<Object>}
+ */
+async function probeHttp(url, init, countResults) {
+    const res = await fetchWithTimeout(url, init, HEALTH_PROBE_TIMEOUT_MS);
+    if (!res) return { ok: false, status: 0, results: null, error: "timeout_or_network_error" };
+
+    const body = await res.json().catch(() => null);
+    return {
+        ok: res.ok,
+        status: res.status,
+        results: res.ok ? countResults(body) : null,
+        error: res.ok ? null : (body?.error?.message || (typeof body?.error === "string" ? body.error : null) || `HTTP ${res.status}`),
+    };
+}
+
+// Probe name -> runner; every runner resolves (never throws) to { ok, status, results, error } or { skipped }
+const PROBE_RUNNERS = {
+    searchapi: (env) => probeHotelProvider(env, searchApiProvider),
+    serpapi: (env) => probeHotelProvider(env, serpApiProvider),
+    places: (env) => {
+        if (!env.GOOGLE_API_KEY) return { skipped: "not_configured" };
+        return probeHttp("https://places.googleapis.com/v1/places:searchText", {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "X-Goog-Api-Key": env.GOOGLE_API_KEY,
+                "X-Goog-FieldMask": "places.name",
+            },
+            body: JSON.stringify({ textQuery: HEALTH_PROBE_QUERY, maxResultCount: 1 }),
+        }, (body) => body?.places?.length ?? 0);
+    },
+    brave: (env) => {
+        const key = getBraveApiKey(env);
+        if (!key) return { skipped: "not_configured" };
+        const u = new URL(BRAVE_SEARCH_ENDPOINT);
+        u.searchParams.set("q", HEALTH_PROBE_QUERY);
+        u.searchParams.set("count", "1");
+        return probeHttp(u.toString(), { headers: { "Accept": "application/json", "X-Subscription-Token": key } }, (body) => body?.web?.results?.length ?? 0);
+    },
+    cse: (env) => {
+        const key = getGoogleCseKey(env);
+        const cx = getGoogleCseCx(env);
+        if (!key || !cx) return { skipped: "not_configured" };
+        const u = new URL(GOOGLE_CSE_ENDPOINT);
+        u.searchParams.set("key", key);
+        u.searchParams.set("cx", cx);
+        u.searchParams.set("q", HEALTH_PROBE_QUERY);
+        u.searchParams.set("num", "1");
+        return probeHttp(u.toString(), { headers: { "Accept": "application/json" } }, (body) => body?.items?.length ?? 0);
+    },
+};
+
+/**
+ * Run the requested probes in parallel, timing each one.
+ * @param {Object} env - Environment bindings
+ * @param {string[]} probes - Probe names
+ * @returns {Promise<Object>} { [name]: { ok, status, ms, results, error } | { skipped } }
+ */
+async function runProbes(env, probes) {
+    const entries = await Promise.all(probes.map(async (name) => {
+        const startedAt = Date.now();
+        const out = await PROBE_RUNNERS[name](env);
+        return [name, out.skipped ? out : { ...out, ms: Date.now() - startedAt }];
+    }));
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Handle /__health request.
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Response>}
+ */
+export async function handleHealth({ request, env, ctx, url, corsHeaders }) {
+    const headers = { ...corsHeaders, "Cache-Control": "no-store" };
+
+    if (request.method !== "GET" && request.method !== "HEAD") {
+        return jsonResponse({ error: "Method not allowed", allowed: ["GET"] }, 405, headers);
+    }
+
+    const { probes, unknown } = parseHealthProbes(url.searchParams);
+    if (unknown.length) {
+        return jsonResponse({ error: "Unknown probe", error_code: "INVALID_PARAMS", unknown, probes: HEALTH_PROBES }, 400, headers);
+    }
+    const admin = isAdminRequest(request, env);
+    if (probes.length && !admin) {
+        return jsonResponse({ error: "Upstream probes require Authorization: Bearer ADMIN_TOKEN", error_code: "FORBIDDEN" }, 403, headers);
+    }
+
+    // Anonymous checks are limited per IP; without any limiter backend the report below says why
+    let rlHeaders = {};
+    if (!admin && (env.RATE_LIMITER || env.CACHE_KV)) {
+        const rl = await rateLimitHealth(request, env, headers);
+        if (rl.blocked) return rl.blocked;
+        rlHeaders = rl.headers;
+    }
+
+    const { bindings, secrets } = dependencyPresence(env);
+    const [kv, budget, probeResults] = await Promise.all([
+        admin ? kvRoundTrip(env) : kvReadCheck(env),
+        getBudgetState(env).catch(e => ({ error: String(e?.message || e) })),
+        probes.length ? runProbes(env, probes) : null,
+    ]);
+
+    // Billed hotel searches count against the SearchApi budget like any other call
+    const hotelProbeCalls = ["searchapi", "serpapi"].filter(p => probeResults?.[p] && !probeResults[p].skipped).length;
+    recordSearchApiSpend({ env, ctx, usage: { searchapi_calls: { google_hotels: hotelProbeCalls } } });
+
+    // Per-isolate: only reflects calls this isolate has made
+    const breakers = breakerSnapshot();
+
+    const problems = [];
+    if (!kv.ok) problems.push(`kv: ${kv.error}`);
+    if (!providerOrder(env).length) problems.push("no hotel provider configured (SEARCHAPI_KEY / SERPAPI_KEY)");
+    if (!secrets.GOOGLE_API_KEY) problems.push("GOOGLE_API_KEY missing (contact lookup)");
+    for (const [id, b] of Object.entries(breakers)) {
+        if (b.state !== "closed") problems.push(`breaker ${id} ${b.state} (this isolate)`);
+    }
+    if (budget.error) problems.push(`budget: ${budget.error}`);
+    else if (budget.exhausted) problems.push(`budget exhausted (${budget.exhaustedBy})`);
+    for (const [name, r] of Object.entries(probeResults || {})) {
+        if (!r.skipped && !r.ok) problems.push(`probe ${name}: ${r.error || r.status}`);
+    }
+
+    const status = !kv.ok ? "down" : (problems.length ? "degraded" : "ok");
+    const httpStatus = status === "down" ? 503 : 200;
+    if (!admin) {
+        return jsonResponse({ ok: status !== "down", status, kv }, httpStatus, { ...headers, ...rlHeaders });
+    }
+    return jsonResponse({
+        ok: status !== "down",
+        status,
+        problems,
+        bindings,
+        secrets,
+        kv,
+        breakers,
+        breakerScope: BREAKER_SCOPE,
+        budget,
+        config: effectiveConfig(env),
+        probes: probeResults,
+    }, httpStatus, headers);
+}
@@ -0,0 +1,68 @@
+/**
+ * /history route handler.
+ * Price time series + trend stats for a property and stay dates.
+ * Reads only from KV (0 SearchApi credits).
+ *
+ * @module routes/history
+ */
+
+import { jsonResponse } from '../lib/http.js';
+import { compareCorsRejection } from '../lib/cors.js';
+import { kvGetJson } from '../lib/kvCache.js';
+import { isIsoDate, normalizeCurrencyParam, parseOccupancy } from '../lib/normalize.js';
+import { historyKey, computeHistoryStats } from '../lib/priceHistory.js';
+
+/**
+ * Handle /history request.
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Response>}
+ */
+export async function handleHistory({ env, url, corsHeaders, compareCors }) {
+    // CORS lock: same policy as /compare
+    const rejected = compareCorsRejection(compareCors, "/history");
+    if (rejected) return rejected;
+
+    if (!env.CACHE_KV) return jsonResponse({ error: "Missing CACHE_KV binding" }, 500, corsHeaders);
+
+    const propertyToken = url.searchParams.get("propertyToken") || url.searchParams.get("property_token") || "";
+    const checkIn = url.searchParams.get("checkIn") || "";
+    const checkOut = url.searchParams.get("checkOut") || "";
+    const currencyFilter = normalizeCurrencyParam(url.searchParams.get("currency") || "");
+    const gl = (url.searchParams.get("gl") || "us").toLowerCase();
+    // Same party defaults as /compare (2 adults), so the series matches what /compare recorded
+    const { occupancy, invalid: invalidOccupancy, reasons: occupancyReasons } = parseOccupancy(url.searchParams);
+
+    const missing = [];
+    if (!propertyToken) missing.push("propertyToken");
+    if (!checkIn) missing.push("checkIn");
+    if (!checkOut) missing.push("checkOut");
+    if (missing.length) {
+        return jsonResponse({ error: "Missing required params", error_code: "INVALID_PARAMS", missing }, 400, corsHeaders);
+    }
+
+    if (!isIsoDate(checkIn) || !isIsoDate(checkOut)) {
+        return jsonResponse({ error: "Dates must be YYYY-MM-DD", error_code: "INVALID_PARAMS", checkIn, checkOut }, 400, corsHeaders);
+    }
+    if (invalidOccupancy.length) {
+        return jsonResponse({ error: "Invalid occupancy", error_code: "INVALID_PARAMS", invalid: invalidOccupancy, reasons: occupancyReasons }, 400, corsHeaders);
+    }
+
+    const stored = await kvGetJson(env.CACHE_KV, historyKey(propertyToken, { checkIn, checkOut, gl, ...occupancy }));
+    const all = Array.isArray(stored?.snapshots) ? stored.snapshots : [];
+
+    // Mixed currencies can't be compared; default to the most recent snapshot's currency
+    const currency = currencyFilter || all[all.length - 1]?.currency || null;
+    const series = all.filter(s => !currency || s.currency === currency);
+
+    return jsonResponse({
+        ok: true,
+        propertyToken,
+        checkIn,
+        checkOut,
+        currency,
+        gl,
+        ...occupancy,
+        series: series.map(s => ({ ...s, at: new Date(s.ts).toISOString() })),
+        stats: computeHistoryStats(series),
+    }, 200, corsHeaders);
+}
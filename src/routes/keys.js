@@ -0,0 +1,129 @@
+/**
+ * /keys route handler.
+ * Per-install API keys for the extension (see lib/apiKeys.js).
+ *
+ *  - POST   /keys           : register an install, returns { key } once (JSON body: { installId?, label? })
+ *  - GET    /keys/me/usage  : today's usage + quotas for the Authorization key (credits and the
+ *                            /compare rate limit are shared with keys registered from the same IP)
+ *  - DELETE /keys/me        : revoke the Authorization key
+ *  - DELETE /keys/{id}      : revoke any key (Authorization: Bearer env.ADMIN_TOKEN)
+ *
+ * @module routes/keys
+ */
+
+import { jsonResponse } from '../lib/http.js';
+import { compareCorsRejection } from '../lib/cors.js';
+import { rateLimitRegister, getCompareRateLimitState, rateLimitHeaders } from '../lib/rateLimit.js';
+import {
+    apiKeyIssuer,
+    createApiKey,
+    revokeApiKey,
+    publicApiKey,
+    authenticateApiKey,
+    getApiKeyUsage,
+    isAdminRequest,
+} from '../lib/apiKeys.js';
+
+/**
+ * Trim an optional string field.
+ * @param {*} v - Raw value
+ * @param {number} max - Max length
+ * @returns {string|null}
+ */
+function optionalString(v, max) {
+    const s = typeof v === "string" ? v.trim() : "";
+    return s ? s.slice(0, max) : null;
+}
+
+/**
+ * Register a new key.
+ * @param {Object} params - Route context
+ * @returns {Promise<Response>}
+ */
+async function registerKey({ request, env, corsHeaders }) {
+    const rl = await rateLimitRegister(request, env, corsHeaders);
+    if (rl.blocked) return rl.blocked;
+
+    // Body is optional
+    let body = {};
+    const text = await request.text();
+    if (text.trim()) {
+        try {
+            body = JSON.parse(text);
+        } catch {
+            return jsonResponse({ error: "Body must be JSON", error_code: "INVALID_PARAMS" }, 400, corsHeaders);
+        }
+    }
+
+    const { key, record } = await createApiKey(env, {
+        issuer: await apiKeyIssuer(request),
+        installId: optionalString(body?.installId, 64),
+        label: optionalString(body?.label, 100),
+    });
+
+    return jsonResponse({ ok: true, key, apiKey: publicApiKey(record) }, 201, corsHeaders);
+}
+
+/**
+ * Handle /keys request.
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Response>}
+ */
+export async function handleKeys({ request, env, url, corsHeaders, compareCors }) {
+    // CORS lock: same policy as /compare
+    const rejected = compareCorsRejection(compareCors, "/keys");
+    if (rejected) return rejected;
+
+    if (!env.CACHE_KV) return jsonResponse({ error: "Missing CACHE_KV binding" }, 500, corsHeaders);
+
+    const path = url.pathname.replace(/\/+$/, "");
+
+    if (path === "/keys") {
+        if (request.method !== "POST") {
+            return jsonResponse({ error: "Method not allowed", allowed: ["POST"] }, 405, corsHeaders);
+        }
+        return registerKey({ request, env, corsHeaders });
+    }
+
+    if (path === "/keys/me/usage" || path === "/keys/me") {
+        const auth = await authenticateApiKey(request, env);
+        if (auth.error || !auth.apiKey) {
+            const error = auth.error?.body || { error: "API key required", error_code: "API_KEY_REQUIRED" };
+            return jsonResponse(error, 401, corsHeaders);
+        }
+        const apiKey = auth.apiKey;
+
+        if (path === "/keys/me/usage" && (request.method === "GET" || request.method === "HEAD")) {
+            const today = await getApiKeyUsage(env, apiKey);
+            const rl = await getCompareRateLimitState(request, env, apiKey);
+            return jsonResponse({
+                ok: true,
+                apiKey: publicApiKey(apiKey),
+                today,
+                rateLimit: { limit: rl.limit, remaining: rl.remaining, resetSec: rl.reset },
+            }, 200, { ...corsHeaders, ...rateLimitHeaders(rl) });
+        }
+
+        if (path === "/keys/me" && request.method === "DELETE") {
+            const record = await revokeApiKey(env, apiKey.id);
+            return jsonResponse({ ok: true, apiKey: publicApiKey(record) }, 200, corsHeaders);
+        }
+
+        return jsonResponse({ error: "Method not allowed" }, 405, corsHeaders);
+    }
+
+    const m = path.match(/^\/keys\/([0-9a-f]{16})$/);
+    if (m) {
+        if (request.method !== "DELETE") {
+            return jsonResponse({ error: "Method not allowed", allowed: ["DELETE"] }, 405, corsHeaders);
+        }
+        if (!isAdminRequest(request, env)) {
+            return jsonResponse({ error: "Forbidden", error_code: "FORBIDDEN" }, 403, corsHeaders);
+        }
+        const record = await revokeApiKey(env, m[1]);
+        if (!record) return jsonResponse({ error: "Key not found", error_code: "NOT_FOUND" }, 404, corsHeaders);
+        return jsonResponse({ ok: true, apiKey: publicApiKey(record) }, 200, corsHeaders);
+    }
+
+    return jsonResponse({ error: "Not found", error_code: "NOT_FOUND" }, 404, corsHeaders);
+}
@@ -0,0 +1,354 @@
+/**
+ * /match/explain route handler.
+ * Re-runs the /compare matcher on a known candidate list (no SearchApi call) and explains,
+ * per candidate, how the score was built and which /compare confidence gates it clears.
+ *
+ *  - POST /match/explain : JSON body
+ *      { hotelName, officialUrl | officialDomain, bookingUrl, lat, lng,
+ *        candidates: [google_hotels properties, raw or as stored by /prefetchCtx] | ctxId }
+ *
+ * Candidates keep their input order; `rank` orders the scored ones by finalScore.
+ * Override blocks for the hotel identity are applied the way /compare applies them.
+ *
+ * @module routes/matchExplain
+ */
+
+import {
+    EXPLAIN_MAX_CANDIDATES,
+    MIN_SCORE_FOR_DOMAIN_BOOST,
+    MATCH_MIN_ACCEPT_CONF,
+    CTX_MIN_CONF,
+    MATCH_CERTAIN_CONF,
+    TOKEN_CACHE_BOOKING_MIN_CONF,
+    TOKEN_CACHE_DOMAIN_MIN_CONF,
+    TOKEN_LONG_TTL_MIN_CONF,
+} from '../lib/constants.js';
+import { jsonResponse } from '../lib/http.js';
+import { compareCorsRejection } from '../lib/cors.js';
+import { kvGetJson } from '../lib/kvCache.js';
+import { rateLimitExplain } from '../lib/rateLimit.js';
+import { getHostNoWww, parseBookingHotelSlug } from '../lib/normalize.js';
+import { pickBestProperty } from '../lib/matching.js';
+import { loadBrandTaxonomy } from '../lib/brands.js';
+import { findOverrides } from '../lib/overrides.js';
+import { normalizeSearchApiProperty } from '../lib/searchApi.js';
+import { ctxAcceptance, geoRadiusKm } from './compare.js';
+
+const SKIP_REASONS = {
+    sub_brand_mismatch: "different sub-brands of the same parent",
+    brand_mismatch: "query brand not found in the candidate name",
+    key_conflict: "conflicting location keys (strong patterns, no overlap)",
+    geo_mismatch: "outside the geo radius",
+    hard_mismatch: "hard mismatch",
+};
+
+/**
+ * Round for response output.
+ * @param {number|null} n - Value
+ * @returns {number|null}
+ */
+function round3(n) {
+    return n == null || !Number.isFinite(n) ? null : Math.round(n * 1000) / 1000;
+}
+
+/**
+ * Candidate in the shape pickBestProperty reads: raw google_hotels properties
+ * (gps_coordinates) are normalized, ctx-shaped ones (gps) are kept.
+ * @param {Object} p - Input candidate
+ * @returns {Object}
+ */
+function normalizeCandidate(p) {
+    if (p?.gps_coordinates) return normalizeSearchApiProperty(p);
+    const lat = Number(p?.gps?.lat);
+    const lng = Number(p?.gps?.lng);
+    return {
+        name: p?.name || null,
+        property_token: p?.property_token || null,
+        link: p?.link || null,
+        city: p?.city || null,
+        country: p?.country || null,
+        gps: Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null,
+    };
+}
+
+/**
+ * Validate the explain body.
+ * @param {Object} body - Request body
+ * @returns {{ hotelName: string, officialDomain: string|null, bookingUrl: string, geo: Object|null, candidates: Object[]|null, ctxId: string|null }|{ error: Object }}
+ */
+function parseExplainBody(body) {
+    const hotelName = typeof body?.hotelName === "string" ? body.hotelName.trim().slice(0, 300) : "";
+    const ctxId = typeof body?.ctxId === "string" ? body.ctxId.trim().slice(0, 200) : "";
+    const hasCandidates = Array.isArray(body?.candidates);
+
+    const missing = [!hotelName && "hotelName", !ctxId && !hasCandidates && "candidates|ctxId"].filter(Boolean);
+    if (missing.length) return { error: { error: "Missing required params", error_code: "INVALID_PARAMS", missing } };
+
+    if (hasCandidates && (!body.candidates.length || body.candidates.length > EXPLAIN_MAX_CANDIDATES)) {
+        return { error: { error: `candidates must hold 1-${EXPLAIN_MAX_CANDIDATES} properties`, error_code: "INVALID_PARAMS", invalid: ["candidates"] } };
+    }
+
+    // Same optional coordinates as /compare: both or neither
+    let geo = null;
+    if (body.lat != null || body.lng != null) {
+        const lat = Number(body.lat);
+        const lng = Number(body.lng);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return { error: { error: "lat/lng must be valid coordinates", error_code: "INVALID_PARAMS", invalid: ["lat", "lng"] } };
+        }
+        geo = { lat, lng };
+    }
+
+    return {
+        hotelName,
+        officialDomain: getHostNoWww(body.officialDomain || body.officialUrl || "") || null,
+        bookingUrl: typeof body.bookingUrl === "string" ? body.bookingUrl.slice(0, 2000) : "",
+        geo,
+        candidates: hasCandidates ? body.candidates.map(normalizeCandidate) : null,
+        ctxId: hasCandidates ? null : ctxId,
+    };
+}
+
+/**
+ * /compare confidence gates for a confidence value.
+ * @param {number} confidence - Candidate confidence
+ * @param {boolean} hasStrongSignal - Contains relationship or official domain match
+ * @returns {Object} gate -> { threshold, pass }
+ */
+function compareGates(confidence, hasStrongSignal) {
+    const gate = (threshold, pass = confidence >= threshold) => ({ threshold, pass });
+    return {
+        searchAccept: gate(MATCH_MIN_ACCEPT_CONF),
+        ctxAccept: gate(CTX_MIN_CONF, confidence >= MATCH_CERTAIN_CONF || (confidence >= CTX_MIN_CONF && hasStrongSignal)),
+        certain: gate(MATCH_CERTAIN_CONF),
+        cacheBooking: gate(TOKEN_CACHE_BOOKING_MIN_CONF),
+        cacheDomain: gate(TOKEN_CACHE_DOMAIN_MIN_CONF),
+        longTtl: gate(TOKEN_LONG_TTL_MIN_CONF),
+    };
+}
+
+/**
+ * Why the domain boost was or wasn't applied.
+ * @param {Object} cand - allCandidates entry (not skipped)
+ * @param {string|null} officialDomain - Query official domain
+ * @returns {string}
+ */
+function domainBoostStatus(cand, officialDomain) {
+    if (!officialDomain) return "no_official_domain";
+    if (!cand.domainMatch) return "link_host_differs";
+    if (cand.details.domainBoostBlocked) return "blocked_no_core_overlap";
+    if (cand.baseScore < MIN_SCORE_FOR_DOMAIN_BOOST) return "base_score_too_low";
+    return "applied";
+}
+
+/**
+ * Human-readable lines for one candidate.
+ * @param {Object} entry - Explained candidate (without notes)
+ * @param {Object} d - Match details
+ * @returns {string[]}
+ */
+function candidateNotes(entry, d) {
+    const notes = [];
+    if (entry.status === "blocked") return ["Blocked by an operator override: /compare never picks it"];
+
+    if (entry.status === "skipped") {
+        notes.push(`Rejected before scoring: ${SKIP_REASONS[entry.reason] || entry.reason}`);
+        if (d.subBrandMismatch) notes.push(`Sub-brands: ${d.qBrandPath.join(" > ")} vs ${d.cBrandPath.join(" > ")}`);
+        else if (d.brandMismatch) notes.push(`Query brands [${d.qBrands.join(", ")}], candidate brands [${d.cBrands.join(", ") || "none"}]`);
+        if (d.keyConflict) notes.push(`Location keys [${d.qKeyStrong.join(", ")}] vs [${d.cKeyStrong.join(", ")}]`);
+        if (d.geoMismatch) notes.push(`${d.distanceKm} km from the query coordinates`);
+        return notes;
+    }
+
+    const s = entry.score;
+    notes.push(`Coverage ${s.coverage}: share of query name tokens found in the candidate name`);
+    if (d.locationSuffixStripped) notes.push(`Trailing "${d.strippedSuffix}" matches the candidate location and was ignored`);
+    if (s.containsBoost) notes.push(`+${s.containsBoost} one name contains the other`);
+    if (s.keyGroupBoost) notes.push(`+${s.keyGroupBoost} shared location keys [${d.keyOverlapAny.join(", ")}]`);
+    if (s.brandBoost) notes.push(`+${s.brandBoost} same sub-brand (${d.cBrandPath.join(" > ")})`);
+    if (s.typeBoost) notes.push(`+${s.typeBoost} same accommodation type [${d.typeOverlap.join(", ")}]`);
+    if (s.typePenalty) notes.push(`-${s.typePenalty} accommodation type [${d.qTypeGroups.join(", ")}] vs [${d.cTypeGroups.join(", ")}]`);
+    if (d.onlyLocationOverlap) notes.push("Only location tokens overlap: no shared identity token");
+    if (s.altUsed) notes.push(`Booking.com slug scored higher (${s.altBaseScore} vs ${s.mainBaseScore}) and was used`);
+    if (s.geoEffect) notes.push(`${s.geoEffect > 0 ? "+" : ""}${s.geoEffect} distance ${entry.geo.distanceKm} km`);
+
+    const domain = entry.domain;
+    if (domain.status === "applied") notes.push(`+${domain.boost} link host matches the official domain`);
+    else if (domain.status === "blocked_no_core_overlap") notes.push("Link host matches the official domain but no identity token overlaps: boost withheld");
+    else if (domain.status === "base_score_too_low") notes.push(`Link host matches the official domain but base score is below ${MIN_SCORE_FOR_DOMAIN_BOOST}: no boost`);
+
+    const failed = Object.entries(entry.gates).filter(([, g]) => !g.pass).map(([name]) => name);
+    notes.push(failed.length ? `Confidence ${s.confidence} fails: ${failed.join(", ")}` : `Confidence ${s.confidence} clears every /compare gate`);
+    return notes;
+}
+
+/**
+ * Explain one pickBestProperty candidate.
+ * @param {Object} cand - allCandidates entry
+ * @param {Object} p - Property it was scored from
+ * @param {string|null} officialDomain - Query official domain
+ * @returns {Object}
+ */
+function explainCandidate(cand, p, officialDomain) {
+    const d = cand.details;
+    const entry = {
+        property_token: p.property_token,
+        name: p.name,
+        city: p.city,
+        country: p.country,
+        status: cand.skipped ? "skipped" : "scored",
+        reason: cand.skipped ? cand.reason : null,
+        rank: null,
+        brand: {
+            query: d.qBrands,
+            candidate: d.cBrands,
+            queryPath: d.qBrandPath,
+            candidatePath: d.cBrandPath,
+            mismatch: d.brandMismatch,
+            subBrandMismatch: d.subBrandMismatch,
+            subBrandMatch: d.subBrandMatch,
+        },
+        keys: {
+            query: { strong: d.qKeyStrong, weak: d.qKeyWeak },
+            candidate: { strong: d.cKeyStrong, weak: d.cKeyWeak },
+            overlap: d.keyOverlapAny,
+            conflict: d.keyConflict,
+        },
+        geo: { distanceKm: d.distanceKm, effect: d.geoEffect, mismatch: Boolean(d.geoMismatch) },
+    };
+    if (cand.skipped) return { ...entry, notes: candidateNotes(entry, d) };
+
+    const hasStrongSignal = d.containsBoost > 0 || cand.domainMatch === true;
+    const scored = {
+        ...entry,
+        score: {
+            coverage: round3(d.coverage),
+            containsBoost: d.containsBoost,
+            keyGroupBoost: round3(d.keyGroupBoost),
+            brandBoost: d.brandBoost,
+            typeBoost: d.typeBoost,
+            typePenalty: d.typePenalty,
+            mainBaseScore: round3(cand.mainBaseScore),
+            altBaseScore: round3(cand.altBaseScore),
+            altUsed: cand.altUsed,
+            geoEffect: d.geoEffect,
+            baseScore: round3(cand.baseScore),
+            domainBoost: round3(cand.domainBoost),
+            finalScore: round3(cand.finalScore),
+            confidence: round3(cand.confidence),
+        },
+        domain: {
+            linkHost: getHostNoWww(p.link || "") || null,
+            match: cand.domainMatch,
+            boost: round3(cand.domainBoost),
+            status: domainBoostStatus(cand, officialDomain),
+        },
+        hasStrongSignal,
+        gates: compareGates(cand.confidence, hasStrongSignal),
+    };
+    return { ...scored, notes: candidateNotes(scored, d) };
+}
+
+/**
+ * Run the matcher the way /compare does and explain every candidate.
+ * @param {Object} params
+ * @param {Object[]} params.properties - Candidates (pickBestProperty shape)
+ * @param {string} params.hotelName - Query hotel name
+ * @param {string|null} params.officialDomain - Official site host (no www)
+ * @param {string} params.bookingSlug - Booking.com slug (altQuery source)
+ * @param {Object} params.matchOpts - { geo, geoRadiusKm, brandTaxonomy }
+ * @param {Set<string>} params.blocked - Tokens blocked by overrides
+ * @returns {{ picked: Object|null, ctx: Object, candidates: Object[] }}
+ */
+function explainMatch({ properties, hotelName, officialDomain, bookingSlug, matchOpts, blocked }) {
+    const scoredProps = properties.filter(p => !blocked.has(p.property_token));
+    const altQuery = bookingSlug ? bookingSlug.replace(/-/g, " ") : "";
+    const picked = pickBestProperty(scoredProps, hotelName, officialDomain, { altQuery, ...matchOpts });
+
+    const byProp = new Map(scoredProps.map((p, i) => [p, picked?.allCandidates[i]]));
+    const candidates = properties.map(p => {
+        const cand = byProp.get(p);
+        if (!cand) {
+            const entry = { property_token: p.property_token, name: p.name, city: p.city, country: p.country, status: "blocked", reason: "override_block", rank: null };
+            return { ...entry, notes: candidateNotes(entry, {}) };
+        }
+        return explainCandidate(cand, p, officialDomain);
+    });
+
+    const ranked = candidates.filter(c => c.status === "scored").sort((a, b) => b.score.finalScore - a.score.finalScore);
+    ranked.forEach((c, i) => { c.rank = i + 1; });
+    const best = picked?.best ? candidates[properties.indexOf(picked.best)] : null;
+    if (best) best.status = "picked";
+
+    const acceptance = ctxAcceptance(picked);
+    return {
+        picked: best ? {
+            property_token: best.property_token,
+            name: best.name,
+            confidence: best.score.confidence,
+            finalScore: best.score.finalScore,
+            gates: best.gates,
+        } : null,
+        ctx: { accept: acceptance.accept, hasStrongSignal: acceptance.hasStrongSignal, rejectedReason: acceptance.rejectedReason },
+        candidates,
+    };
+}
+
+/**
+ * Handle /match/explain request.
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Response>}
+ */
+export async function handleMatchExplain({ request, env, corsHeaders, compareCors }) {
+    // CORS lock: same policy as /compare
+    const rejected = compareCorsRejection(compareCors, "/match/explain");
+    if (rejected) return rejected;
+
+    if (request.method !== "POST") {
+        return jsonResponse({ error: "Method not allowed", allowed: ["POST"] }, 405, corsHeaders);
+    }
+
+    const rl = await rateLimitExplain(request, env, corsHeaders);
+    if (rl.blocked) return rl.blocked;
+    const headers = { ...corsHeaders, ...rl.headers };
+
+    let body = null;
+    try {
+        body = await request.json();
+    } catch {
+        return jsonResponse({ error: "Body must be JSON", error_code: "INVALID_PARAMS" }, 400, headers);
+    }
+
+    const parsed = parseExplainBody(body || {});
+    if (parsed.error) return jsonResponse(parsed.error, 400, headers);
+
+    let properties = parsed.candidates;
+    if (!properties) {
+        const ctxData = await kvGetJson(env.CACHE_KV, `ctx:${parsed.ctxId}`);
+        if (!Array.isArray(ctxData?.properties) || !ctxData.properties.length) {
+            return jsonResponse({ error: "Search context missing, expired or empty", error_code: "CTX_NOT_FOUND", ctxId: parsed.ctxId }, 404, headers);
+        }
+        properties = ctxData.properties.map(normalizeCandidate);
+    }
+
+    const { hotelName, officialDomain, geo } = parsed;
+    const bookingSlug = parsed.bookingUrl ? (parseBookingHotelSlug(parsed.bookingUrl)?.slug || "") : "";
+    const overrides = await findOverrides(env, { hotelName, officialDomain, bookingSlug });
+    const matchOpts = { geo, geoRadiusKm: geoRadiusKm(env), brandTaxonomy: await loadBrandTaxonomy(env) };
+
+    const explained = explainMatch({ properties, hotelName, officialDomain, bookingSlug, matchOpts, blocked: overrides.blocked });
+
+    return jsonResponse({
+        ok: true,
+        query: {
+            hotelName,
+            officialDomain,
+            altQuery: bookingSlug ? bookingSlug.replace(/-/g, " ") : null,
+            geo,
+            ctxId: parsed.ctxId,
+        },
+        override: overrides.pin ? { key: overrides.pinKey, property_token: overrides.pin.property_token } : null,
+        brandTaxonomy: matchOpts.brandTaxonomy.source,
+        ...explained,
+    }, 200, headers);
+}
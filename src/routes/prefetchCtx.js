@@ -8,10 +8,12 @@
 import { CTX_TTL_SEC } from '../lib/constants.js';
 import { jsonResponse } from '../lib/http.js';
 import { kvGetJson, kvPutJson } from '../lib/kvCache.js';
-import { buildCompareCors } from '../lib/cors.js';
+import { buildCompareCors, compareCorsRejection } from '../lib/cors.js';
 import { rateLimitPrefetch } from '../lib/rateLimit.js';
-import { isIsoDate, normalizeCurrencyParam, normalizeTravelHl } from '../lib/normalize.js';
-import { searchApiCall } from '../lib/searchApi.js';
+import { apiKeyQuotaResponse, recordApiKeyUsage } from '../lib/apiKeys.js';
+import { recordSearchApiSpend } from '../lib/budget.js';
+import { isIsoDate, normalizeCurrencyParam, normalizeTravelHl, parseOccupancy, parseGeo } from '../lib/normalize.js';
+import { hasHotelProvider, searchProperties } from '../lib/providers.js';
 import { computeCtxId } from '../lib/offers.js';
 
 /**
@@ -19,10 +21,10 @@ import { computeCtxId } from '../lib/offers.js';
  * @param {Object} ctx - Request context
  * @returns {Promise<Response>}
  */
-export async function handlePrefetchCtx({ request, env, ctx, url }) {
+export async function handlePrefetchCtx({ request, env, ctx, url, apiKey = null, log = null }) {
     // Build CORS headers (extension-only)
     const prefetchCors = buildCompareCors(request, env);
-    const corsHeaders = prefetchCors.corsHeaders;
+    let corsHeaders = prefetchCors.corsHeaders;
 
     // Handle OPTIONS preflight
     if (request.method === "OPTIONS") {
@@ -35,17 +37,13 @@ export async function handlePrefetchCtx({ request, env, ctx, url }) {
         });
     }
 
-    // CORS check
-    if (!prefetchCors?.configured) {
-        return jsonResponse({ error: "Prefetch CORS not configured" }, 500, corsHeaders);
-    }
-    if (!prefetchCors?.allowed) {
-        return jsonResponse({ error: "Origin not allowed" }, 403, corsHeaders);
-    }
+    // CORS check: same policy and bodies as /compare
+    const rejected = compareCorsRejection(prefetchCors, "/prefetchCtx");
+    if (rejected) return rejected;
 
     // Env checks
-    if (!env.SEARCHAPI_KEY) {
-        return jsonResponse({ error: "Missing SEARCHAPI_KEY binding" }, 500, corsHeaders);
+    if (!hasHotelProvider(env)) {
+        return jsonResponse({ error: "Missing hotel provider key", hint: "Set SEARCHAPI_KEY or SERPAPI_KEY" }, 500, corsHeaders);
     }
     if (!env.CACHE_KV) {
         return jsonResponse({ error: "Missing CACHE_KV binding" }, 500, corsHeaders);
@@ -55,13 +53,15 @@ export async function handlePrefetchCtx({ request, env, ctx, url }) {
     const q = (url.searchParams.get("q") || url.searchParams.get("query") || "").trim();
     const checkIn = url.searchParams.get("checkIn") || "";
     const checkOut = url.searchParams.get("checkOut") || "";
-    const adultsRaw = parseInt(url.searchParams.get("adults") || "2", 10);
-    const adults = Math.max(1, Math.min(10, adultsRaw || 2));
+    const { occupancy, invalid: invalidOccupancy, reasons: occupancyReasons } = parseOccupancy(url.searchParams);
+    const { adults, children, childAges, rooms } = occupancy;
     const currencyRaw = url.searchParams.get("currency") || "";
     const currency = normalizeCurrencyParam(currencyRaw) || "USD";
     const gl = (url.searchParams.get("gl") || "us").toLowerCase();
     const hlRaw = url.searchParams.get("hl") || "";
     const { hlKey, hlSent } = normalizeTravelHl(hlRaw);
+    // Optional page coordinates: kept with the ctx (not part of ctxId, so pages still share it)
+    const { geo, invalid: invalidGeo } = parseGeo(url.searchParams);
 
     // Validate required params
     const missing = [];
@@ -76,8 +76,24 @@ export async function handlePrefetchCtx({ request, env, ctx, url }) {
         return jsonResponse({ error: "Dates must be YYYY-MM-DD", error_code: "INVALID_PARAMS", checkIn, checkOut }, 400, corsHeaders);
     }
 
+    if (invalidOccupancy.length) {
+        return jsonResponse(
+            { error: "Invalid occupancy", error_code: "INVALID_PARAMS", invalid: invalidOccupancy, reasons: occupancyReasons },
+            400,
+            corsHeaders
+        );
+    }
+
+    if (invalidGeo.length) {
+        return jsonResponse(
+            { error: "lat/lng must be given together as decimal degrees", error_code: "INVALID_PARAMS", invalid: invalidGeo },
+            400,
+            corsHeaders
+        );
+    }
+
     // Compute ctxId
-    const ctxId = computeCtxId(gl, hlKey, q, checkIn, checkOut, adults, currency);
+    const ctxId = computeCtxId(gl, hlKey, q, checkIn, checkOut, adults, currency, occupancy);
     const ctxKey = `ctx:${ctxId}`;
 
     // KV-hit-first: check if already cached (0 credits)
@@ -85,6 +101,7 @@ export async function handlePrefetchCtx({ request, env, ctx, url }) {
     if (!refresh) {
         const cached = await kvGetJson(env.CACHE_KV, ctxKey);
         if (cached && Array.isArray(cached.properties)) {
+            log?.set({ ctxCache: "hit" });
             return jsonResponse({
                 ok: true,
                 ctxId,
@@ -95,48 +112,57 @@ export async function handlePrefetchCtx({ request, env, ctx, url }) {
     }
 
     // Rate limit check (only on cache miss)
-    const rateLimited = await rateLimitPrefetch(request, env, corsHeaders);
-    if (rateLimited) return rateLimited;
+    const rl = await rateLimitPrefetch(request, env, corsHeaders, apiKey);
+    if (rl.blocked) return rl.blocked;
+    corsHeaders = { ...corsHeaders, ...rl.headers };
+
+    const overQuota = await apiKeyQuotaResponse(env, apiKey, corsHeaders);
+    if (overQuota) return overQuota;
 
-    // Call SearchApi google_hotels
-    const searchCall = await searchApiCall(env, {
-        engine: "google_hotels",
+    // Search hotels (google_hotels via the provider layer)
+    const usage = { searchapi_calls: { google_hotels: 0, google_hotels_property: 0 } };
+    const searchCall = await searchProperties(env, {
         q,
-        check_in_date: checkIn,
-        check_out_date: checkOut,
+        checkIn,
+        checkOut,
         adults,
+        children,
+        childAges,
+        rooms,
         currency,
-        hl: hlSent,
         gl,
-    });
-
-    const { res, data } = searchCall;
+        hl: hlSent,
+    }, { usage, log });
+    log?.set({ ctxCache: "miss" });
+    recordApiKeyUsage({ env, ctx, apiKey, usage });
+    recordSearchApiSpend({ env, ctx, usage });
 
-    if (!res || !res.ok || data?.error) {
+    if (!searchCall.ok) {
         return jsonResponse({
-            error: "SearchApi google_hotels failed",
-            error_code: "SEARCH_FAILED",
-            status: res?.status ?? 0,
-            details: data?.error || data || null,
+            error: searchCall.blocked ? searchCall.error : "Hotel search (google_hotels) failed",
+            error_code: searchCall.blocked || "SEARCH_FAILED",
+            provider: searchCall.provider,
+            status: searchCall.status,
+            details: searchCall.error,
             fetchError: searchCall.fetchError || null,
-        }, 502, corsHeaders);
+        }, searchCall.blocked ? searchCall.status : 502, corsHeaders);
     }
 
     // Extract minimal property data
-    const rawProperties = data?.properties || [];
-    const minimalProperties = rawProperties.map(p => ({
-        name: p?.name || null,
-        city: p?.city || null,
-        country: p?.country || null,
-        property_token: p?.property_token || null,
-        link: p?.link || null,
+    const minimalProperties = searchCall.data.properties.map(p => ({
+        name: p.name,
+        city: p.city,
+        country: p.country,
+        property_token: p.property_token,
+        link: p.link,
+        gps: p.gps || null, // For geo-aware matching in /compare?ctx=
     })).filter(p => p.property_token);
 
     // Store in KV
     const ctxData = {
         properties: minimalProperties,
         createdAt: new Date().toISOString(),
-        query: { q, checkIn, checkOut, adults, currency, gl, hl: hlSent || null },
+        query: { q, checkIn, checkOut, adults, children, childAges, rooms, currency, gl, hl: hlSent || null, geo },
     };
     ctx.waitUntil(kvPutJson(env.CACHE_KV, ctxKey, ctxData, CTX_TTL_SEC));
 
@@ -0,0 +1,545 @@
+/**
+ * /watches route handler + scheduled re-checks.
+ * Price-drop watches for a property/stay, notified via webhook.
+ *
+ *  - GET    /watches?clientId=          : list a client's watches
+ *  - POST   /watches                    : create a watch (JSON body: clientId, propertyToken, checkIn, checkOut,
+ *                                         callbackUrl, targetPrice?, dropPct?, adults?, children?, childAges?,
+ *                                         rooms?, currency?, gl?, hl?; occupancy and gl as in /compare)
+ *  - DELETE /watches?clientId=&id=      : delete a watch
+ *
+ * The first watch created for a clientId returns a `clientSecret`; every later request for that
+ * clientId (GET, DELETE and further POSTs) must send it as X-Client-Secret. Rate limited per IP.
+ *
+ * Every watch costs a google_hotels_property call per re-check, so creation is bounded: check-in
+ * at most WATCH_MAX_HORIZON_DAYS ahead, WATCH_MAX_PER_CLIENT per clientId and WATCH_MAX_PER_OWNER
+ * per IP / API key (clientIds are free to mint), and the property token is verified with one
+ * offers call (which also sets the reference price; the first re-check follows an interval later).
+ *
+ * Callbacks must be https on the default port with a public DNS name (no IP literals, localhost
+ * or internal suffixes); env.WATCH_CALLBACK_HOSTS (comma-separated) narrows them to an allowlist.
+ * Each watch gets a `signingSecret` (returned once, on create) and every notification carries
+ *   X-Watch-Timestamp: unix seconds
+ *   X-Watch-Signature: hex HMAC-SHA256(signingSecret, `${timestamp}.${body}`)
+ *
+ * handleWatchCron() is invoked from the Worker's scheduled() handler. Each run scans one page of
+ * watch keys from a cursor kept in KV (WATCH_CRON_CURSOR_KEY) and moves to the next page once every
+ * due watch on the current one has been checked, wrapping to the first page after the last.
+ *
+ * @module routes/watches
+ */
+
+import {
+    WATCH_CHECK_INTERVAL_SEC,
+    WATCH_MAX_CHECKS_PER_RUN,
+    WATCH_CRON_PAGE_KEYS,
+    WATCH_CRON_CURSOR_KEY,
+    WATCH_MAX_PER_CLIENT,
+    WATCH_MAX_PER_OWNER,
+    WATCH_MAX_HORIZON_DAYS,
+    WATCH_DEFAULT_DROP_PCT,
+    WATCH_NOTIFY_TIMEOUT_MS,
+    COMPARE_BATCH_CONCURRENCY,
+} from '../lib/constants.js';
+import { jsonResponse, fetchWithTimeout, domainMatchesList } from '../lib/http.js';
+import { compareCorsRejection } from '../lib/cors.js';
+import { kvGetJson } from '../lib/kvCache.js';
+import { isIsoDate, nightsBetweenIso, todayIso, addDaysIso, normalizeCurrencyParam, normalizeGl, normalizeTravelHl, parseOccupancy } from '../lib/normalize.js';
+import { mapWithConcurrency } from '../lib/concurrency.js';
+import { recordPriceSnapshot } from '../lib/priceHistory.js';
+import {
+    isValidClientId,
+    isWatchExpired,
+    watchExpiration,
+    watchKey,
+    watchOwner,
+    getOwnerWatches,
+    putOwnerWatches,
+    verifyWatchClient,
+    registerWatchClient,
+    putWatch,
+    getWatch,
+    deleteWatch,
+    listWatchKeys,
+    listWatchKeyPage,
+    evaluateWatchPrice,
+} from '../lib/watches.js';
+import { hasHotelProvider } from '../lib/providers.js';
+import { rateLimitWatches } from '../lib/rateLimit.js';
+import { randomHex, apiKeyQuotaResponse, recordApiKeyUsage } from '../lib/apiKeys.js';
+import { hmacSha256Hex } from '../lib/signing.js';
+import { recordSearchApiSpend } from '../lib/budget.js';
+import { fetchPropertyOffers } from './compare.js';
+
+/**
+ * Parse an optional positive number.
+ * @param {*} v - Raw value
+ * @returns {number|null|undefined} undefined when invalid
+ */
+function optionalPositive(v) {
+    if (v === undefined || v === null || v === "") return null;
+    const n = Number(v);
+    return Number.isFinite(n) && n > 0 ? n : undefined;
+}
+
+// Hostnames that only resolve inside a network
+const INTERNAL_HOST_SUFFIXES = ["localhost", "local", "internal", "localdomain", "home.arpa"];
+
+/**
+ * Validate a webhook URL: https, default port, no credentials, public DNS name, and on the
+ * WATCH_CALLBACK_HOSTS allowlist when one is set.
+ * @param {string} raw - URL string
+ * @param {Object} env - Environment bindings
+ * @returns {string|null}
+ */
+function normalizeCallbackUrl(raw, env) {
+    let u;
+    try {
+        u = new URL(String(raw || ""));
+    } catch {
+        return null;
+    }
+    if (u.protocol !== "https:" || u.port || u.username || u.password) return null;
+
+    // The URL parser has already canonicalised numeric hosts (0x7f.1, 2130706433) to dotted IPv4
+    const host = u.hostname.toLowerCase().replace(/\.$/, "");
+    if (host.startsWith("[") || /^[\d.]+$/.test(host) || !host.includes(".")) return null;
+    if (domainMatchesList(host, INTERNAL_HOST_SUFFIXES)) return null;
+
+    const allowed = String(env.WATCH_CALLBACK_HOSTS || "")
+        .split(",")
+        .map(h => h.trim().toLowerCase())
+        .filter(Boolean);
+    if (allowed.length && !domainMatchesList(host, allowed)) return null;
+
+    return u.toString();
+}
+
+/**
+ * Occupancy fields of a JSON body in the /compare query form, for parseOccupancy().
+ * @param {Object} body - Request body
+ * @returns {URLSearchParams}
+ */
+function occupancyParams(body) {
+    const sp = new URLSearchParams();
+    for (const k of ["adults", "children", "childAges", "rooms"]) {
+        const v = body?.[k];
+        if (v === undefined || v === null || v === "") continue;
+        // Arrays (childAges) use the comma-separated query form
+        sp.set(k, Array.isArray(v) ? v.join(",") : String(v));
+    }
+    return sp;
+}
+
+/**
+ * Watch as shown to its client (without the signing secret or owner hash).
+ * @param {Object} watch - Stored watch
+ * @returns {Object}
+ */
+function publicWatch(watch) {
+    const { signingSecret, owner, ...rest } = watch;
+    return rest;
+}
+
+/**
+ * The watch's stay as a parsed /compare query, so the offers path can be reused as-is.
+ * @param {Object} watch - Watch object
+ * @returns {Object}
+ */
+function watchQuery(watch) {
+    return {
+        hotelName: watch.hotelName || "",
+        checkIn: watch.checkIn,
+        checkOut: watch.checkOut,
+        nights: nightsBetweenIso(watch.checkIn, watch.checkOut),
+        adults: watch.adults,
+        // Watches created before occupancy was stored are adults-only
+        children: watch.children || 0,
+        childAges: watch.childAges || [],
+        rooms: watch.rooms || 1,
+        currency: watch.currency,
+        gl: watch.gl,
+        hlToSend: watch.hl || undefined,
+        includeRooms: false,
+    };
+}
+
+/**
+ * Whether a failed offers call means the property token itself is bad: the provider answered
+ * 4xx or without a property (not a timeout, 5xx or open breaker, which are worth retrying).
+ * @param {{ status: number, body: Object }} error - fetchPropertyOffers() error
+ * @returns {boolean}
+ */
+function isUnknownPropertyError(error) {
+    const upstream = error.body?.status;
+    return error.status === 502 && !error.body?.fetchError && !(upstream >= 500);
+}
+
+/**
+ * Response for a failed client secret check (verifyWatchClient).
+ * @param {string} error - "CLIENT_SECRET_REQUIRED" | "FORBIDDEN"
+ * @param {Object} corsHeaders - CORS headers
+ * @returns {Response}
+ */
+function clientSecretError(error, corsHeaders) {
+    if (error === "CLIENT_SECRET_REQUIRED") {
+        return jsonResponse({
+            error: "Client secret required",
+            error_code: error,
+            hint: "Send the clientSecret returned when this clientId created its first watch as X-Client-Secret",
+        }, 401, corsHeaders);
+    }
+    return jsonResponse({ error: "Invalid client secret", error_code: error }, 403, corsHeaders);
+}
+
+/**
+ * Create a watch from a JSON body.
+ * @param {Object} params
+ * @param {Request} params.request - Incoming request
+ * @param {Object} params.env - Environment bindings
+ * @param {Object} params.ctx - Execution context
+ * @param {Object} params.body - Request body
+ * @param {Object} params.corsHeaders - CORS headers
+ * @param {Object|null} params.apiKey - Authenticated key record
+ * @returns {Promise<Response>}
+ */
+async function createWatch({ request, env, ctx, body, corsHeaders, apiKey }) {
+    const clientId = body?.clientId;
+    const propertyToken = String(body?.propertyToken || body?.property_token || "").trim();
+    const checkIn = body?.checkIn || "";
+    const checkOut = body?.checkOut || "";
+    const callbackUrl = normalizeCallbackUrl(body?.callbackUrl, env);
+    const targetPrice = optionalPositive(body?.targetPrice);
+    let dropPct = optionalPositive(body?.dropPct);
+    const { occupancy, invalid: invalidOccupancy, reasons: occupancyReasons } = parseOccupancy(occupancyParams(body));
+    const gl = normalizeGl(body?.gl);
+
+    const invalid = [];
+    if (!isValidClientId(clientId)) invalid.push("clientId");
+    if (!propertyToken) invalid.push("propertyToken");
+    if (!isIsoDate(checkIn)) invalid.push("checkIn");
+    if (!isIsoDate(checkOut)) invalid.push("checkOut");
+    if (!callbackUrl) invalid.push("callbackUrl");
+    if (targetPrice === undefined) invalid.push("targetPrice");
+    if (dropPct === undefined || dropPct >= 100) invalid.push("dropPct");
+    if (!gl) invalid.push("gl");
+    invalid.push(...invalidOccupancy);
+    if (invalid.length) {
+        return jsonResponse({
+            error: "Invalid params",
+            error_code: "INVALID_PARAMS",
+            invalid,
+            ...(invalidOccupancy.length ? { reasons: occupancyReasons } : {}),
+        }, 400, corsHeaders);
+    }
+
+    const nights = nightsBetweenIso(checkIn, checkOut);
+    if (!nights || nights <= 0 || checkIn < todayIso()) {
+        return jsonResponse({ error: "Invalid date range", error_code: "INVALID_PARAMS", checkIn, checkOut }, 400, corsHeaders);
+    }
+    const latestCheckIn = addDaysIso(todayIso(), WATCH_MAX_HORIZON_DAYS);
+    if (checkIn > latestCheckIn) {
+        return jsonResponse({ error: "Check-in too far ahead", error_code: "INVALID_PARAMS", checkIn, latestCheckIn }, 400, corsHeaders);
+    }
+
+    const { client, error } = await verifyWatchClient(env.CACHE_KV, clientId, request.headers.get("X-Client-Secret"));
+    if (error) return clientSecretError(error, corsHeaders);
+
+    // Without a target, fall back to a relative drop threshold
+    if (targetPrice == null && dropPct == null) dropPct = WATCH_DEFAULT_DROP_PCT;
+
+    const existing = await listWatchKeys(env.CACHE_KV, `watch:${clientId}:`, WATCH_MAX_PER_CLIENT);
+    if (existing.length >= WATCH_MAX_PER_CLIENT) {
+        return jsonResponse({ error: "Too many watches", error_code: "WATCH_LIMIT", max: WATCH_MAX_PER_CLIENT }, 409, corsHeaders);
+    }
+    const owner = await watchOwner(request, apiKey);
+    const owned = await getOwnerWatches(env.CACHE_KV, owner);
+    if (owned.length >= WATCH_MAX_PER_OWNER) {
+        return jsonResponse({ error: "Too many watches", error_code: "WATCH_LIMIT", max: WATCH_MAX_PER_OWNER, scope: "owner" }, 409, corsHeaders);
+    }
+
+    const overQuota = await apiKeyQuotaResponse(env, apiKey, corsHeaders);
+    if (overQuota) return overQuota;
+
+    const { hlSent } = normalizeTravelHl(body?.hl || "");
+    const now = Date.now();
+
+    const watch = {
+        id: crypto.randomUUID(),
+        clientId,
+        owner,
+        propertyToken,
+        hotelName: body?.hotelName ? String(body.hotelName).slice(0, 200) : null,
+        checkIn,
+        checkOut,
+        ...occupancy,
+        currency: normalizeCurrencyParam(String(body?.currency || "")) || "USD",
+        gl,
+        hl: hlSent || null,
+        targetPrice,
+        dropPct,
+        callbackUrl,
+        signingSecret: randomHex(32),
+        createdAt: new Date(now).toISOString(),
+        nextCheckAt: now + WATCH_CHECK_INTERVAL_SEC * 1000,
+        checks: 1,
+        lastCheckedAt: new Date(now).toISOString(),
+        lastPrice: null,
+        referencePrice: null,
+        lastNotifiedPrice: null,
+        lastNotifiedAt: null,
+        lastError: null,
+    };
+
+    // Verify the token (and take the reference price) before anything is stored
+    const query = watchQuery(watch);
+    const usage = { searchapi_calls: { google_hotels: 0, google_hotels_property: 0 } };
+    const fetched = await fetchPropertyOffers({ env, propertyToken, query, usage });
+    recordSearchApiSpend({ env, ctx, usage });
+    recordApiKeyUsage({ env, ctx, apiKey, usage });
+
+    if (fetched.error) {
+        if (isUnknownPropertyError(fetched.error)) {
+            return jsonResponse({ error: "Unknown property token", error_code: "INVALID_PARAMS", invalid: ["propertyToken"] }, 400, corsHeaders);
+        }
+        return jsonResponse(fetched.error.body, fetched.error.status, corsHeaders);
+    }
+    const cheapest = fetched.simplified[0] || null;
+    if (cheapest) {
+        recordPriceSnapshot({ env, ctx, propertyToken, query, simplified: fetched.simplified });
+        watch.lastPrice = cheapest.total;
+        watch.referencePrice = cheapest.total;
+    } else {
+        watch.lastError = "NO_OFFERS";
+    }
+
+    await putWatch(env.CACHE_KV, watch);
+    await putOwnerWatches(env.CACHE_KV, owner, [...owned, { key: watchKey(clientId, watch.id), expiration: watchExpiration(checkIn) }]);
+    const clientSecret = await registerWatchClient(env.CACHE_KV, clientId, client, watchExpiration(checkIn));
+
+    // clientSecret is only present (and only ever shown) for a clientId's first watch
+    return jsonResponse({
+        ok: true,
+        watch: publicWatch(watch),
+        signingSecret: watch.signingSecret,
+        ...(clientSecret ? { clientSecret } : {}),
+    }, 201, corsHeaders);
+}
+
+/**
+ * Handle /watches request.
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Response>}
+ */
+export async function handleWatches({ request, env, ctx, url, corsHeaders, compareCors, apiKey = null }) {
+    // CORS lock: same policy as /compare
+    const rejected = compareCorsRejection(compareCors, "/watches");
+    if (rejected) return rejected;
+
+    if (!env.CACHE_KV) return jsonResponse({ error: "Missing CACHE_KV binding" }, 500, corsHeaders);
+    if (request.method === "POST" && !hasHotelProvider(env)) {
+        return jsonResponse({ error: "Missing hotel provider key", hint: "Set SEARCHAPI_KEY or SERPAPI_KEY" }, 500, corsHeaders);
+    }
+
+    const rl = await rateLimitWatches(request, env, corsHeaders);
+    if (rl.blocked) return rl.blocked;
+    const headers = { ...corsHeaders, ...rl.headers };
+
+    if (request.method === "POST") {
+        let body = null;
+        try {
+            body = await request.json();
+        } catch {
+            return jsonResponse({ error: "Body must be JSON", error_code: "INVALID_PARAMS" }, 400, headers);
+        }
+        return createWatch({ request, env, ctx, body, corsHeaders: headers, apiKey });
+    }
+
+    const clientId = url.searchParams.get("clientId") || "";
+    if (!isValidClientId(clientId)) {
+        return jsonResponse({ error: "Invalid params", error_code: "INVALID_PARAMS", invalid: ["clientId"] }, 400, headers);
+    }
+
+    // A clientId without a secret record has no watches; require the header anyway so the
+    // answer doesn't reveal which clientIds exist
+    const secret = request.headers.get("X-Client-Secret");
+    const { client, error } = await verifyWatchClient(env.CACHE_KV, clientId, secret);
+    if (error || !client) return clientSecretError(error || (secret ? "FORBIDDEN" : "CLIENT_SECRET_REQUIRED"), headers);
+
+    if (request.method === "GET" || request.method === "HEAD") {
+        const keys = await listWatchKeys(env.CACHE_KV, `watch:${clientId}:`, WATCH_MAX_PER_CLIENT);
+        const watches = (await Promise.all(keys.map(k => kvGetJson(env.CACHE_KV, k.name))))
+            .filter(w => w && !isWatchExpired(w))
+            .map(publicWatch);
+        return jsonResponse({ ok: true, count: watches.length, watches }, 200, headers);
+    }
+
+    if (request.method === "DELETE") {
+        const id = url.searchParams.get("id") || "";
+        const watch = id ? await getWatch(env.CACHE_KV, clientId, id) : null;
+        if (!watch) {
+            return jsonResponse({ error: "Watch not found", error_code: "NOT_FOUND" }, 404, headers);
+        }
+        await deleteWatch(env.CACHE_KV, watch);
+        return jsonResponse({ ok: true, deleted: id }, 200, headers);
+    }
+
+    return jsonResponse({ error: "Method not allowed", allowed: ["GET", "POST", "DELETE"] }, 405, headers);
+}
+
+/**
+ * POST a signed price-drop notification to the watch's callback URL.
+ * The URL is re-validated (the allowlist may have changed) and redirects are not followed.
+ * @param {Object} env - Environment bindings
+ * @param {Object} watch - Watch object
+ * @param {Object} notification - Notification body
+ * @returns {Promise<boolean>} Whether the callback accepted it (2xx)
+ */
+async function sendWatchNotification(env, watch, notification) {
+    const callbackUrl = normalizeCallbackUrl(watch.callbackUrl, env);
+    if (!callbackUrl) return false;
+
+    const body = JSON.stringify(notification);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const res = await fetchWithTimeout(
+        callbackUrl,
+        {
+            method: "POST",
+            redirect: "manual",
+            headers: {
+                "Content-Type": "application/json",
+                "X-Watch-Id": watch.id,
+                "X-Watch-Timestamp": timestamp,
+                "X-Watch-Signature": await hmacSha256Hex(watch.signingSecret, `${timestamp}.${body}`),
+            },
+            body,
+        },
+        WATCH_NOTIFY_TIMEOUT_MS
+    );
+    return !!res?.ok;
+}
+
+/**
+ * Re-check one due watch.
+ * @param {Object} env - Environment bindings
+ * @param {Object} ctx - Execution context
+ * @param {string} key - Watch KV key
+ * @param {number} now - Epoch ms
+ * @returns {Promise<string>} Outcome label
+ */
+async function checkWatch(env, ctx, key, now) {
+    const watch = await kvGetJson(env.CACHE_KV, key);
+    if (!watch) return "missing";
+
+    if (isWatchExpired(watch, now)) {
+        await env.CACHE_KV.delete(key);
+        return "expired";
+    }
+
+    const query = watchQuery(watch);
+    const usage = { searchapi_calls: { google_hotels: 0, google_hotels_property: 0 } };
+
+    const fetched = await fetchPropertyOffers({ env, propertyToken: watch.propertyToken, query, usage });
+    recordSearchApiSpend({ env, ctx, usage });
+
+    watch.checks = (watch.checks || 0) + 1;
+    watch.lastCheckedAt = new Date(now).toISOString();
+    watch.nextCheckAt = now + WATCH_CHECK_INTERVAL_SEC * 1000;
+
+    const cheapest = fetched.error ? null : fetched.simplified[0] || null;
+    if (!cheapest) {
+        watch.lastError = fetched.error?.body?.error_code || "NO_OFFERS";
+        await putWatch(env.CACHE_KV, watch);
+        return "error";
+    }
+
+    recordPriceSnapshot({ env, ctx, propertyToken: watch.propertyToken, query, simplified: fetched.simplified });
+
+    const price = cheapest.total;
+    const verdict = evaluateWatchPrice(watch, price);
+    let outcome = "checked";
+
+    if (verdict.notify) {
+        const sent = await sendWatchNotification(env, watch, {
+            type: "price_drop",
+            reason: verdict.reason,
+            watchId: watch.id,
+            propertyToken: watch.propertyToken,
+            hotelName: watch.hotelName,
+            checkIn: watch.checkIn,
+            checkOut: watch.checkOut,
+            adults: query.adults,
+            children: query.children,
+            childAges: query.childAges,
+            rooms: query.rooms,
+            currency: watch.currency,
+            price,
+            referencePrice: verdict.referencePrice,
+            dropPct: verdict.dropPct,
+            targetPrice: watch.targetPrice,
+            offer: cheapest,
+            checkedAt: watch.lastCheckedAt,
+        });
+
+        if (sent) {
+            watch.lastNotifiedPrice = price;
+            watch.lastNotifiedAt = watch.lastCheckedAt;
+            watch.referencePrice = price; // Next drop is measured from what the user last saw
+            outcome = "notified";
+        } else {
+            outcome = "notify_failed";
+        }
+    }
+
+    if (watch.referencePrice == null) watch.referencePrice = price;
+    watch.lastPrice = price;
+    watch.lastError = outcome === "notify_failed" ? "NOTIFY_FAILED" : null;
+
+    await putWatch(env.CACHE_KV, watch);
+    return outcome;
+}
+
+/**
+ * Scheduled handler: re-check the due watches of one key page, oldest-due first.
+ * @param {Object} params
+ * @param {Object} params.env - Environment bindings
+ * @param {Object} params.ctx - Execution context
+ * @param {number} [params.pageSize] - Watch keys per run
+ * @returns {Promise<Object>} Outcome counts
+ */
+export async function handleWatchCron({ env, ctx, pageSize = WATCH_CRON_PAGE_KEYS }) {
+    if (!env.CACHE_KV || !hasHotelProvider(env)) return { ok: false, reason: "missing_bindings" };
+
+    const now = Date.now();
+    const cursor = await env.CACHE_KV.get(WATCH_CRON_CURSOR_KEY);
+    let page;
+    try {
+        page = await listWatchKeyPage(env.CACHE_KV, "watch:", cursor, pageSize);
+    } catch {
+        // Cursor no longer valid: start over
+        page = await listWatchKeyPage(env.CACHE_KV, "watch:", null, pageSize);
+    }
+
+    const due = page.keys
+        .filter(k => (k.metadata?.nextCheckAt ?? 0) <= now)
+        .sort((a, b) => (a.metadata?.nextCheckAt ?? 0) - (b.metadata?.nextCheckAt ?? 0));
+    const batch = due.slice(0, WATCH_MAX_CHECKS_PER_RUN);
+
+    const outcomes = await mapWithConcurrency(batch, COMPARE_BATCH_CONCURRENCY, async (k) => {
+        try {
+            return await checkWatch(env, ctx, k.name, now);
+        } catch {
+            return "error";
+        }
+    });
+
+    // Stay on this page while it still has unchecked due watches (checked ones are no longer due)
+    const nextCursor = due.length > batch.length ? cursor : page.cursor;
+    if (nextCursor) await env.CACHE_KV.put(WATCH_CRON_CURSOR_KEY, nextCursor, { expirationTtl: WATCH_CHECK_INTERVAL_SEC });
+    else if (cursor) await env.CACHE_KV.delete(WATCH_CRON_CURSOR_KEY);
+
+    const counts = {};
+    for (const o of outcomes) counts[o] = (counts[o] || 0) + 1;
+
+    return { ok: true, scanned: page.keys.length, due: due.length, checked: batch.length, lastPage: !page.cursor, outcomes: counts };
+}
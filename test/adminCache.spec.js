@@ -0,0 +1,112 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src';
+import { buildTokenKeys } from '../src/routes/compare.js';
+
+const adminEnv = { ...env, ADMIN_TOKEN: 'ops' };
+const bookingUrl = 'https://www.booking.com/hotel/fr/le-marais-boutique.en-gb.html';
+const identity = { hotelName: 'Le Marais Boutique Hotel', officialDomain: 'lemaraisboutique.com', bookingUrl, gl: 'fr' };
+
+async function admin(method, path, { body, token = 'ops' } = {}) {
+    const ctx = createExecutionContext();
+    const init = { method, headers: { Authorization: `Bearer ${token}` } };
+    if (body) {
+        init.body = JSON.stringify(body);
+        init.headers['Content-Type'] = 'application/json';
+    }
+    const res = await worker.fetch(new Request(`https://worker.example${path}`, init), adminEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return res;
+}
+
+const qs = (params) => new URLSearchParams(params).toString();
+
+describe('buildTokenKeys', () => {
+    it('builds name, domain and booking keys', () => {
+        expect(buildTokenKeys(identity)).toEqual({
+            name: 'tok:fr:n:le-marais-boutique-hotel',
+            domain: 'tok:fr:d:lemaraisboutique.com',
+            booking: 'tok:fr:b:le-marais-boutique',
+            bookingSlug: 'le-marais-boutique',
+        });
+        expect(buildTokenKeys({ hotelName: 'X', gl: 'us' })).toMatchObject({ domain: null, booking: null, bookingSlug: '' });
+    });
+});
+
+describe('/admin/tokens', () => {
+    const keys = buildTokenKeys(identity);
+    const good = { property_token: 'PT_GOOD', property_name: 'Le Marais Boutique Hotel', city: 'Paris', country: 'France' };
+    const wrong = { property_token: 'PT_WRONG', property_name: 'Grand Hyatt Tokyo', city: 'Tokyo', country: 'Japan' };
+
+    it('requires the admin token', async () => {
+        expect((await admin('GET', `/admin/tokens?${qs(identity)}`, { token: 'nope' })).status).toBe(403);
+    });
+
+    it('shows each entry and skips the invalid one when picking a winner', async () => {
+        await env.CACHE_KV.put(keys.booking, JSON.stringify(wrong));
+        await env.CACHE_KV.put(keys.name, JSON.stringify(good));
+
+        const res = await admin('GET', `/admin/tokens?${qs(identity)}`);
+        expect(res.status).toBe(200);
+        const body = await res.json();
+        expect(body.entries.map(e => [e.kind, e.exists])).toEqual([['booking', true], ['domain', false], ['name', true]]);
+        expect(body.entries[0].validation.ok).toBe(false);
+        expect(body.entries[2].validation.ok).toBe(true);
+        expect(body.winner).toMatchObject({ kind: 'name', property_token: 'PT_GOOD' });
+        expect(body.reason).toContain('skipped booking:');
+    });
+
+    it('overwrites and deletes entries', async () => {
+        const put = await admin('PUT', '/admin/tokens', { body: { ...identity, kind: 'booking', token: good } });
+        expect(put.status).toBe(200);
+        const putBody = await put.json();
+        expect(putBody.written).toEqual([keys.booking]);
+        expect(putBody.validation.booking.ok).toBe(true);
+        expect(JSON.parse(await env.CACHE_KV.get(keys.booking))).toMatchObject({ property_token: 'PT_GOOD', adminOverwrite: true });
+
+        const del = await admin('DELETE', `/admin/tokens?${qs({ ...identity, kind: 'all' })}`);
+        expect((await del.json()).deleted).toEqual([keys.booking, keys.domain, keys.name]);
+        expect(await env.CACHE_KV.get(keys.booking)).toBeNull();
+        expect(await env.CACHE_KV.get(keys.name)).toBeNull();
+    });
+
+    it('rejects missing identity and bad kinds', async () => {
+        expect((await admin('GET', '/admin/tokens')).status).toBe(400);
+        expect((await admin('DELETE', `/admin/tokens?${qs({ ...identity, kind: 'ctx' })}`)).status).toBe(400);
+        expect((await admin('PUT', '/admin/tokens', { body: { ...identity, token: { property_token: 'x' } } })).status).toBe(400);
+    });
+});
+
+describe('/admin/cache', () => {
+    it('lists then purges offers and ctx entries for a property token', async () => {
+        await env.CACHE_KV.put('offers:PT1:2026-11-03:2026-11-05:2:USD:us:nohl', '{}');
+        await env.CACHE_KV.put('offers:PT1:2026-12-01:2026-12-03:2:EUR:fr:nohl', '{}');
+        await env.CACHE_KV.put('offers:PT10:2026-11-03:2026-11-05:2:USD:us:nohl', '{}');
+        await env.CACHE_KV.put('ctx:abc', JSON.stringify({ properties: [{ property_token: 'PT1' }] }));
+        await env.CACHE_KV.put('ctx:def', JSON.stringify({ properties: [{ property_token: 'PT2' }] }));
+
+        const dry = await (await admin('GET', '/admin/cache?propertyToken=PT1')).json();
+        expect(dry).toMatchObject({ dryRun: true, count: 3, truncated: false });
+        expect(dry.keys).toContain('ctx:abc');
+        expect(dry.keys).not.toContain('offers:PT10:2026-11-03:2026-11-05:2:USD:us:nohl');
+        expect(await env.CACHE_KV.get('ctx:abc')).not.toBeNull();
+
+        const purged = await (await admin('DELETE', '/admin/cache?propertyToken=PT1')).json();
+        expect(purged).toMatchObject({ dryRun: false, count: 3 });
+        expect(await env.CACHE_KV.get('ctx:abc')).toBeNull();
+        expect(await env.CACHE_KV.get('ctx:def')).not.toBeNull();
+        expect(await env.CACHE_KV.get('offers:PT10:2026-11-03:2026-11-05:2:USD:us:nohl')).not.toBeNull();
+    });
+
+    it('purges by prefix but only under offers: or ctx:', async () => {
+        expect((await admin('DELETE', '/admin/cache?prefix=apikey:')).status).toBe(400);
+        expect((await admin('DELETE', '/admin/cache')).status).toBe(400);
+
+        await env.CACHE_KV.put('ctx:def', '{}');
+        await env.CACHE_KV.put('offers:PT3:2026-11-03:2026-11-05:2:USD:us:nohl', '{}');
+        const res = await (await admin('DELETE', '/admin/cache?prefix=ctx:')).json();
+        expect(await env.CACHE_KV.get('offers:PT3:2026-11-03:2026-11-05:2:USD:us:nohl')).not.toBeNull();
+        expect(res.keys).toContain('ctx:def');
+        expect(await env.CACHE_KV.get('ctx:def')).toBeNull();
+    });
+});
@@ -0,0 +1,158 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import worker from '../src';
+import { parseApiKey, authenticateApiKey, recordApiKeyUsage, getApiKeyUsage, apiKeyQuotaResponse, apiKeyRecordKey } from '../src/lib/apiKeys.js';
+import { API_KEY_ISSUER_DAILY_CREDITS, COMPARE_BURST } from '../src/lib/constants.js';
+import { getCompareRateLimitState, chargeCompareRateLimit } from '../src/lib/rateLimit.js';
+import harbourView from './fixtures/searchapi/harbour-view.json';
+import { createSearchApiMock, MOCK_SEARCHAPI_ENDPOINT } from './mocks/searchApiMock.js';
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+async function call(path, { method = 'GET', token = null, body = undefined, testEnv = env, ip = '192.0.2.10' } = {}) {
+    const headers = { 'CF-Connecting-IP': ip };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const request = new Request(`https://worker.example${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const ctx = createExecutionContext();
+    const res = await worker.fetch(request, testEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return res;
+}
+
+describe('API keys', () => {
+    it('parses only well-formed keys', () => {
+        expect(parseApiKey(`hk_${'a'.repeat(16)}.${'b'.repeat(64)}`)).toEqual({ id: 'a'.repeat(16), secret: 'b'.repeat(64) });
+        expect(parseApiKey('hk_short.secret')).toBeNull();
+        expect(parseApiKey(null)).toBeNull();
+    });
+
+    it('registers a key, reports usage and revokes it', async () => {
+        const created = await call('/keys', { method: 'POST', body: { installId: 'install-1' } });
+        expect(created.status).toBe(201);
+        const { key, apiKey } = await created.json();
+        expect(key).toMatch(/^hk_[0-9a-f]{16}\.[0-9a-f]{64}$/);
+        expect(apiKey.secretHash).toBeUndefined();
+        expect(apiKey.installId).toBe('install-1');
+
+        const usage = await call('/keys/me/usage', { token: key });
+        expect(usage.status).toBe(200);
+        const usageBody = await usage.json();
+        expect(usageBody.today).toMatchObject({ requests: 0, credits: 0, remainingCredits: 200 });
+        expect(usageBody.rateLimit.limit).toBe(20);
+        expect(usage.headers.get('X-RateLimit-Limit')).toBe('20');
+
+        const revoked = await call('/keys/me', { method: 'DELETE', token: key });
+        expect((await revoked.json()).apiKey.revokedAt).toBeTruthy();
+
+        const after = await call('/keys/me/usage', { token: key });
+        expect(after.status).toBe(401);
+        expect((await after.json()).error_code).toBe('API_KEY_REVOKED');
+    });
+
+    it('rejects unknown keys on /compare and requires one when REQUIRE_API_KEY=1', async () => {
+        const bad = await call('/compare?hotelName=x', { token: `hk_${'0'.repeat(16)}.${'1'.repeat(64)}` });
+        expect(bad.status).toBe(401);
+        expect((await bad.json()).error_code).toBe('INVALID_API_KEY');
+
+        const missing = await call('/compare?hotelName=x', { testEnv: { ...env, REQUIRE_API_KEY: '1' } });
+        expect(missing.status).toBe(401);
+        expect((await missing.json()).error_code).toBe('API_KEY_REQUIRED');
+    });
+
+    it('only lets the admin token revoke keys by id', async () => {
+        const { apiKey } = await (await call('/keys', { method: 'POST' })).json();
+        const adminEnv = { ...env, ADMIN_TOKEN: 'ops-secret' };
+
+        expect((await call(`/keys/${apiKey.id}`, { method: 'DELETE', token: 'nope', testEnv: adminEnv })).status).toBe(403);
+        const res = await call(`/keys/${apiKey.id}`, { method: 'DELETE', token: 'ops-secret', testEnv: adminEnv });
+        expect(res.status).toBe(200);
+        expect((await res.json()).apiKey.revokedAt).toBeTruthy();
+    });
+
+    it('tracks daily credits and blocks once they are spent', async () => {
+        const { key } = await (await call('/keys', { method: 'POST' })).json();
+        const { apiKey } = await authenticateApiKey(new Request('https://x', { headers: { Authorization: `Bearer ${key}` } }), env);
+        const small = { ...apiKey, quotas: { ...apiKey.quotas, dailyCredits: 3 } };
+
+        const ctx = createExecutionContext();
+        recordApiKeyUsage({ env, ctx, apiKey: small, usage: { searchapi_calls: { google_hotels: 1, google_hotels_property: 2 } } });
+        await waitOnExecutionContext(ctx);
+
+        expect(await getApiKeyUsage(env, small)).toMatchObject({ requests: 1, credits: 3, remainingCredits: 0 });
+        const blocked = await apiKeyQuotaResponse(env, small, {});
+        expect(blocked.status).toBe(429);
+        expect((await blocked.json()).error_code).toBe('QUOTA_EXCEEDED');
+        expect(await apiKeyQuotaResponse(env, null, {})).toBeNull();
+    });
+
+    it('gives keys minted from one IP one shared rate limit and credit pool', async () => {
+        const ip = '192.0.2.20';
+        const keys = [];
+        for (let i = 0; i < 3; i++) keys.push((await (await call('/keys', { method: 'POST', ip })).json()).key);
+        const records = await Promise.all(keys.map(async (key) => {
+            return (await authenticateApiKey(new Request('https://x', { headers: { Authorization: `Bearer ${key}` } }), env)).apiKey;
+        }));
+        expect(new Set(records.map(r => r.issuer)).size).toBe(1);
+
+        // Rotating keys: one anonymous burst in total, not one per key
+        const compareRequest = new Request('https://x/compare', { headers: { 'CF-Connecting-IP': '198.51.100.1' } });
+        let accepted = 0;
+        for (let i = 0; i < COMPARE_BURST * keys.length; i++) {
+            const rl = await getCompareRateLimitState(compareRequest, env, records[i % records.length]);
+            if (rl.remaining < 1) break;
+            await chargeCompareRateLimit(env, rl, 1);
+            accepted++;
+        }
+        expect(accepted).toBe(COMPARE_BURST);
+
+        const usage = await (await call('/keys/me/usage', { token: keys[2], ip })).json();
+        expect(usage.rateLimit.remaining).toBe(0);
+
+        // Credits spent with one key are gone for the others
+        const ctx = createExecutionContext();
+        recordApiKeyUsage({ env, ctx, apiKey: records[0], usage: { searchapi_calls: { google_hotels_property: API_KEY_ISSUER_DAILY_CREDITS } } });
+        await waitOnExecutionContext(ctx);
+        expect(await getApiKeyUsage(env, records[1])).toMatchObject({ credits: 0, issuerCredits: API_KEY_ISSUER_DAILY_CREDITS, remainingCredits: 0 });
+        expect((await apiKeyQuotaResponse(env, records[2], {})).status).toBe(429);
+
+        // A key minted from another IP is unaffected
+        const { key: other } = await (await call('/keys', { method: 'POST', ip: '192.0.2.21' })).json();
+        const otherUsage = await (await call('/keys/me/usage', { token: other })).json();
+        expect(otherUsage.today.remainingCredits).toBeGreaterThan(0);
+        expect(otherUsage.rateLimit.remaining).toBe(COMPARE_BURST);
+    });
+
+    it('caps /compare/batch and /compare/calendar fan-out at the key\'s remaining credits', async () => {
+        const searchEnv = { ...env, SEARCHAPI_KEY: 'test-key', SEARCHAPI_ENDPOINT: MOCK_SEARCHAPI_ENDPOINT };
+        const searchApi = createSearchApiMock([harbourView]);
+        vi.stubGlobal('fetch', searchApi.fetch);
+
+        /** New key with `remaining` credits left today */
+        const keyWithCredits = async (remaining) => {
+            const { key, apiKey } = await (await call('/keys', { method: 'POST' })).json();
+            const record = JSON.parse(await env.CACHE_KV.get(apiKeyRecordKey(apiKey.id)));
+            await env.CACHE_KV.put(apiKeyRecordKey(apiKey.id), JSON.stringify({ ...record, quotas: { ...record.quotas, dailyCredits: remaining } }));
+            return key;
+        };
+
+        const calendar = await call('/compare/calendar?hotelName=Harbour+View+Hotel&from=2026-12-01&to=2026-12-07&nights=2&budget=5', {
+            token: await keyWithCredits(3),
+            testEnv: searchEnv,
+        });
+        expect(calendar.status).toBe(200);
+        // One credit resolves the property, two are left for dates
+        expect((await calendar.json()).budget).toMatchObject({ requested: 5, allowed: 2, used: 2, skipped: 5 });
+
+        const batch = await call('/compare/batch', {
+            method: 'POST',
+            token: await keyWithCredits(1),
+            testEnv: searchEnv,
+            body: { checkIn: '2026-12-10', checkOut: '2026-12-12', items: [{ hotelName: 'Harbour View Hotel' }, { hotelName: 'Harbour View Riverside Lisbon' }] },
+        });
+        const { results } = await batch.json();
+        expect(results[0].ok).toBe(true);
+        expect(results[1]).toMatchObject({ ok: false, status: 429, error_code: 'QUOTA_EXCEEDED' });
+    });
+});
@@ -0,0 +1,95 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src';
+import { scoreNameMatchDetailed, pickBestProperty, extractBrandPaths, compileBrandTaxonomy } from '../src/lib/matching.js';
+import { parseBrandTaxonomy, mergeBrandTaxonomy, loadBrandTaxonomy } from '../src/lib/brands.js';
+import { BRAND_TAXONOMY } from '../src/lib/constants.js';
+
+const adminEnv = { ...env, ADMIN_TOKEN: 'ops' };
+
+async function admin(method, path, body) {
+    const ctx = createExecutionContext();
+    const res = await worker.fetch(new Request(`https://worker.example${path}`, {
+        method,
+        headers: { Authorization: 'Bearer ops', 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+    }), adminEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return res;
+}
+
+describe('brand paths', () => {
+    it('resolves sub-brands to their parent and brand', () => {
+        expect(extractBrandPaths('Hampton by Hilton London Waterloo')).toEqual([{ parent: 'hilton-worldwide', brand: 'hilton', sub: 'hampton' }]);
+        expect(extractBrandPaths('DoubleTree Paris Bercy')).toEqual([{ parent: 'hilton-worldwide', brand: 'hilton', sub: 'doubletree' }]);
+        expect(extractBrandPaths('Hilton London Metropole')).toEqual([{ parent: 'hilton-worldwide', brand: 'hilton', sub: null }]);
+        expect(extractBrandPaths('Harbour View Hotel')).toEqual([]);
+    });
+
+    it('hard-mismatches different sub-brands of the same parent', () => {
+        const d = scoreNameMatchDetailed('Courtyard by Marriott Paris', 'Paris Marriott Marquis');
+        expect(d).toMatchObject({ hardMismatch: true, brandMismatch: true, subBrandMismatch: true });
+        expect(d.qBrandPath).toEqual(['marriott-international', 'marriott', 'courtyard']);
+        expect(d.cBrandPath).toEqual(['marriott-international', 'marriott', 'marriott-marquis']);
+
+        expect(scoreNameMatchDetailed('Hampton by Hilton London', 'Hilton Garden Inn London').subBrandMismatch).toBe(true);
+    });
+
+    it('credits the same sub-brand and leaves bare brands alone', () => {
+        const same = scoreNameMatchDetailed('DoubleTree Paris Bercy', 'DoubleTree by Hilton Paris Bercy');
+        expect(same).toMatchObject({ hardMismatch: false, subBrandMatch: true, brandBoost: 0.05 });
+
+        const bare = scoreNameMatchDetailed('Holiday Inn Express Berlin', 'Holiday Inn Berlin City');
+        expect(bare).toMatchObject({ hardMismatch: false, subBrandMatch: false, brandBoost: 0 });
+        expect(bare.cBrandPath).toEqual(['ihg', 'holiday-inn']);
+    });
+
+    it('skips other sub-brands when picking a property', () => {
+        const picked = pickBestProperty([
+            { name: 'Hilton Garden Inn London Heathrow', property_token: 'HGI' },
+            { name: 'Hampton by Hilton London Heathrow', property_token: 'HAMPTON' },
+        ], 'Hampton by Hilton London Heathrow', null);
+        expect(picked.best.property_token).toBe('HAMPTON');
+        expect(picked.allCandidates.find(c => c.name.startsWith('Hilton Garden')).reason).toBe('sub_brand_mismatch');
+    });
+});
+
+describe('taxonomy extension', () => {
+    const extension = {
+        parents: [{
+            id: 'citizenm-group',
+            brands: [{ id: 'citizenm', patterns: ['citizenM'], subBrands: [{ id: 'citizenm-rooftop', patterns: ['citizenM rooftop'] }] }],
+        }],
+    };
+
+    it('validates and merges by parent id', () => {
+        expect(parseBrandTaxonomy({}).error).toBeTruthy();
+        expect(parseBrandTaxonomy({ parents: [{ id: 'Bad Id', brands: [] }] }).error).toMatch(/parents\[0\]\.id/);
+        expect(parseBrandTaxonomy({ parents: [{ id: 'x', brands: [{ id: 'y', patterns: [] }] }] }).error).toMatch(/patterns/);
+        expect(parseBrandTaxonomy(extension).parents[0].brands[0].patterns).toEqual(['citizenm']);
+
+        const replaced = mergeBrandTaxonomy(BRAND_TAXONOMY, [{ id: 'accor', brands: [{ id: 'ibis', patterns: ['ibis'], subBrands: [] }] }]);
+        expect(replaced).toHaveLength(BRAND_TAXONOMY.length);
+        expect(extractBrandPaths('ibis Styles Paris', compileBrandTaxonomy(replaced))).toEqual([{ parent: 'accor', brand: 'ibis', sub: null }]);
+    });
+
+    it('is stored, applied and dropped through /admin/brands', async () => {
+        expect((await admin('PUT', '/admin/brands', { parents: [{ id: 'x' }] })).status).toBe(400);
+
+        const put = await admin('PUT', '/admin/brands', extension);
+        expect(put.status).toBe(200);
+        expect((await put.json()).source).toBe('kv');
+
+        const taxonomy = await loadBrandTaxonomy(adminEnv);
+        expect(scoreNameMatchDetailed('citizenM Rooftop Amsterdam', 'citizenM Amsterdam South', { brandTaxonomy: taxonomy }).cBrandPath)
+            .toEqual(['citizenm-group', 'citizenm']);
+
+        const get = await (await admin('GET', '/admin/brands?name=Hampton%20by%20Hilton%20Paris')).json();
+        expect(get.parents.map(p => p.id)).toContain('citizenm-group');
+        expect(get.brandPaths[0].sub).toBe('hampton');
+
+        const del = await (await admin('DELETE', '/admin/brands')).json();
+        expect(del.source).toBe('static');
+        expect(await env.CACHE_KV.get('brands:taxonomy')).toBeNull();
+    });
+});
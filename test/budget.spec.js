@@ -0,0 +1,123 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import worker from '../src';
+import { addCalls } from '../src/lib/budgetDO.js';
+import { getBudgetState, recordSearchApiSpend, budgetRejectResponse } from '../src/lib/budget.js';
+import { breakerAllows, recordBreakerResult, breakerSnapshot, resetBreakers } from '../src/lib/circuitBreaker.js';
+import { searchProperties } from '../src/lib/providers.js';
+
+const params = { q: 'Hotel Alpha', checkIn: '2026-11-03', checkOut: '2026-11-05', adults: 2, currency: 'USD', gl: 'us' };
+const calls = (google_hotels, google_hotels_property = 0) => ({ searchapi_calls: { google_hotels, google_hotels_property } });
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    resetBreakers();
+});
+
+async function spend(testEnv, usage) {
+    const ctx = createExecutionContext();
+    recordSearchApiSpend({ env: testEnv, ctx, usage });
+    await waitOnExecutionContext(ctx);
+}
+
+describe('budget counters', () => {
+    it('adds calls per engine', () => {
+        expect(addCalls(null, { a: 2, b: 0 })).toEqual({ total: 2, engines: { a: 2 } });
+        expect(addCalls({ total: 2, engines: { a: 2 } }, { a: 1, b: 3 })).toEqual({ total: 6, engines: { a: 3, b: 3 } });
+    });
+
+    it('accumulates spend in the Durable Object and reports exhaustion', async () => {
+        // The DO counter is shared by the whole file, so limits are relative to what is already spent
+        const before = (await getBudgetState(env, { fresh: true })).day.used;
+        const budgetEnv = { ...env, SEARCHAPI_DAILY_BUDGET: String(before + 5) };
+
+        await spend(budgetEnv, calls(1, 2));
+        let state = await getBudgetState(budgetEnv, { fresh: true });
+        expect(state.day.used).toBe(before + 3);
+        expect(state.day.engines.google_hotels_property).toBeGreaterThanOrEqual(2);
+        expect(state.exhausted).toBe(false);
+
+        await spend(budgetEnv, calls(2));
+        state = await getBudgetState(budgetEnv, { fresh: true });
+        expect(state).toMatchObject({ exhausted: true, exhaustedBy: 'daily' });
+        expect(state.day.remaining).toBe(0);
+        expect(state.month.limit).toBeNull();
+    });
+
+    it('blocks upstream calls once spent, and rejects outright in reject mode', async () => {
+        const fetchMock = vi.fn();
+        vi.stubGlobal('fetch', fetchMock);
+
+        const used = (await getBudgetState(env, { fresh: true })).day.used;
+        const spentEnv = { ...env, SEARCHAPI_KEY: 'k', SEARCHAPI_DAILY_BUDGET: String(Math.max(1, used)) };
+        await spend(spentEnv, calls(1));
+        await getBudgetState(spentEnv, { fresh: true });
+
+        const usage = calls(0);
+        const res = await searchProperties(spentEnv, params, { usage });
+        expect(res).toMatchObject({ ok: false, status: 503, blocked: 'BUDGET_EXHAUSTED' });
+        expect(usage.searchapi_calls.google_hotels).toBe(0);
+        expect(fetchMock).not.toHaveBeenCalled();
+
+        expect(await budgetRejectResponse(spentEnv, {})).toBeNull();
+        const rejected = await budgetRejectResponse({ ...spentEnv, SEARCHAPI_BUDGET_MODE: 'reject' }, {});
+        expect(rejected.status).toBe(503);
+        expect((await rejected.json()).error_code).toBe('BUDGET_EXHAUSTED');
+    });
+});
+
+describe('circuit breaker', () => {
+    it('opens after consecutive failures and half-opens after the cooldown', () => {
+        const t0 = 1_000_000;
+        for (let i = 0; i < 5; i++) recordBreakerResult('p', { ok: false, status: 0, fetchError: 'timeout_or_network_error' }, t0);
+        expect(breakerAllows('p', t0 + 1000)).toBe(false);
+        expect(breakerSnapshot(t0 + 1000).p).toMatchObject({ state: 'open', failures: 5, lastError: 'timeout_or_network_error' });
+
+        // Cooldown over: one trial call, failure re-opens
+        expect(breakerAllows('p', t0 + 31_000)).toBe(true);
+        expect(breakerAllows('p', t0 + 31_001)).toBe(false);
+        recordBreakerResult('p', { ok: false, status: 502 }, t0 + 31_500);
+        expect(breakerSnapshot(t0 + 31_500).p.state).toBe('open');
+
+        // Next trial succeeds: closed again
+        expect(breakerAllows('p', t0 + 62_000)).toBe(true);
+        recordBreakerResult('p', { ok: true, status: 200 }, t0 + 62_100);
+        expect(breakerAllows('p', t0 + 62_200)).toBe(true);
+    });
+
+    it('ignores client errors and skips an open provider without calling it', async () => {
+        for (let i = 0; i < 10; i++) recordBreakerResult('q', { ok: false, status: 400 });
+        expect(breakerAllows('q')).toBe(true);
+
+        const fetchMock = vi.fn();
+        vi.stubGlobal('fetch', fetchMock);
+        for (let i = 0; i < 5; i++) recordBreakerResult('searchapi', { ok: false, status: 503 });
+
+        const usage = calls(0);
+        const res = await searchProperties({ SEARCHAPI_KEY: 'k' }, params, { usage });
+        expect(res).toMatchObject({ ok: false, blocked: 'UPSTREAM_UNAVAILABLE' });
+        expect(usage.searchapi_calls.google_hotels).toBe(0);
+        expect(fetchMock).not.toHaveBeenCalled();
+    });
+});
+
+describe('GET /admin/budget', () => {
+    it('requires the admin token', async () => {
+        const adminEnv = { ...env, ADMIN_TOKEN: 'ops' };
+        const get = async (token) => {
+            const ctx = createExecutionContext();
+            const res = await worker.fetch(new Request('https://worker.example/admin/budget', { headers: token ? { Authorization: `Bearer ${token}` } : {} }), adminEnv, ctx);
+            await waitOnExecutionContext(ctx);
+            return res;
+        };
+
+        expect((await get(null)).status).toBe(403);
+        const res = await get('ops');
+        expect(res.status).toBe(200);
+        const body = await res.json();
+        expect(body.counterBackend).toBe('do');
+        expect(body.breakerScope.scope).toBe('isolate');
+        expect(body.budget.config).toEqual({ daily: null, monthly: null, mode: 'cache-only' });
+        expect(typeof body.budget.day.used).toBe('number');
+    });
+});
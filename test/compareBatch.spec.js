@@ -0,0 +1,114 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import worker from '../src';
+import { COMPARE_BATCH_MAX_ITEMS, COMPARE_BURST, COMPARE_ITEM_MAX_CALLS } from '../src/lib/constants.js';
+import { getCompareRateLimitState, chargeCompareRateLimit } from '../src/lib/rateLimit.js';
+import harbourView from './fixtures/searchapi/harbour-view.json';
+import { createSearchApiMock, MOCK_SEARCHAPI_ENDPOINT } from './mocks/searchApiMock.js';
+
+const stay = { checkIn: '2026-12-01', checkOut: '2026-12-03' };
+const testEnv = { ...env, SEARCHAPI_KEY: 'test-key', SEARCHAPI_ENDPOINT: MOCK_SEARCHAPI_ENDPOINT };
+
+let searchApi;
+
+beforeEach(() => {
+    searchApi = createSearchApiMock([harbourView]);
+    vi.stubGlobal('fetch', searchApi.fetch);
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+function batchRequest(body, { ip = '203.0.113.60', method = 'POST' } = {}) {
+    return new Request('https://worker.example/compare/batch', {
+        method,
+        headers: { 'CF-Connecting-IP': ip, 'Content-Type': 'application/json' },
+        body: method === 'POST' ? JSON.stringify(body) : undefined,
+    });
+}
+
+async function batch(body, opts) {
+    const ctx = createExecutionContext();
+    const res = await worker.fetch(batchRequest(body, opts), testEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return { status: res.status, res, body: await res.json() };
+}
+
+describe('/compare/batch', () => {
+    it('runs every item through /compare and reports failures per item', async () => {
+        const { status, body } = await batch({
+            ...stay,
+            items: [
+                { id: 'a', hotelName: 'Harbour View Hotel' },
+                { id: 'b' },
+                { id: 'c', hotelName: 'Nowhere Inn' },
+            ],
+        });
+        expect(status).toBe(200);
+        expect(body).toMatchObject({ ok: true, count: 3, okCount: 1 });
+        expect(body.results.map(r => [r.index, r.id, r.ok, r.status, r.error_code])).toEqual([
+            [0, 'a', true, 200, null],
+            [1, 'b', false, 400, 'INVALID_PARAMS'],
+            [2, 'c', false, 502, 'SEARCH_FAILED'],
+        ]);
+        expect(body.results[0].result.property.property_token).toBe('ChkIqPrV2Jbx0Y8BGg0vZy8xMWg1bWhhcmJvdXIQAQ');
+        expect(body.results[1].result.missing).toEqual(['hotelName']);
+
+        // Charged by SearchApi calls: search + property for "a", one failed search for "c"
+        expect(body.usage.searchapi_calls).toEqual({ google_hotels: 2, google_hotels_property: 1 });
+        expect(body.rateLimit.charged).toBe(3);
+        expect(body.rateLimit.remaining).toBe(COMPARE_BURST - 3);
+    });
+
+    it('charges one unit when every item is served from cache', async () => {
+        await batch({ ...stay, items: [{ hotelName: 'Harbour View Hotel' }] }, { ip: '203.0.113.61' });
+        const calls = searchApi.calls.length;
+
+        const { body } = await batch({ ...stay, items: [{ hotelName: 'Harbour View Hotel' }, { hotelName: 'Harbour View Hotel' }] }, { ip: '203.0.113.61' });
+        expect(body.okCount).toBe(2);
+        expect(searchApi.calls.length).toBe(calls);
+        expect(body.rateLimit.charged).toBe(1);
+    });
+
+    it('cuts items off with 429 once spent + in-flight calls reach the window', async () => {
+        const ip = '203.0.113.62';
+        const rl = await getCompareRateLimitState(batchRequest({}, { ip }), testEnv);
+        await chargeCompareRateLimit(testEnv, rl, COMPARE_BURST - 1);
+
+        const { status, body } = await batch({
+            ...stay,
+            items: [{ hotelName: 'Harbour View Hotel' }, { hotelName: 'Harbour View Hotel' }, { hotelName: 'Harbour View Riverside Lisbon' }],
+        }, { ip });
+        expect(status).toBe(200);
+        expect(body.results.map(r => r.status)).toEqual([200, 429, 429]);
+        expect(body.results[1]).toMatchObject({ ok: false, error_code: 'RATE_LIMIT', result: { retryAfter: expect.any(Number) } });
+
+        // Nothing left at all: the whole request is refused
+        const refused = await batch({ ...stay, items: [{ hotelName: 'Harbour View Hotel' }] }, { ip });
+        expect(refused.status).toBe(429);
+    });
+
+    it('reserves the worst-case cost of in-flight items so cold items stay within the window', async () => {
+        const ip = '203.0.113.63';
+        const rl = await getCompareRateLimitState(batchRequest({}, { ip }), testEnv);
+        await chargeCompareRateLimit(testEnv, rl, COMPARE_BURST - COMPARE_ITEM_MAX_CALLS);
+
+        // Cold stay: every dispatched item pays search + property
+        const items = Array.from({ length: 4 }, () => ({ hotelName: 'Harbour View Hotel' }));
+        const { body } = await batch({ checkIn: '2026-12-20', checkOut: '2026-12-22', items }, { ip });
+        expect(body.results.map(r => r.status)).toEqual([200, 429, 429, 429]);
+        expect(body.rateLimit.charged).toBeLessThanOrEqual(COMPARE_ITEM_MAX_CALLS);
+    });
+
+    it('validates the request shape', async () => {
+        const tooMany = Array.from({ length: COMPARE_BATCH_MAX_ITEMS + 1 }, () => ({ hotelName: 'Harbour View Hotel' }));
+        const over = await batch({ ...stay, items: tooMany });
+        expect(over.status).toBe(400);
+        expect(over.body).toMatchObject({ error_code: 'INVALID_PARAMS', maxItems: COMPARE_BATCH_MAX_ITEMS, count: COMPARE_BATCH_MAX_ITEMS + 1 });
+
+        expect((await batch({ ...stay, items: [] })).body.missing).toEqual(['items']);
+        expect((await batch(null, { method: 'GET' })).status).toBe(405);
+        expect(searchApi.calls).toEqual([]);
+    });
+});
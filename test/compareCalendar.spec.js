@@ -0,0 +1,101 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import worker from '../src';
+import { CALENDAR_MAX_BUDGET, COMPARE_BURST } from '../src/lib/constants.js';
+import { addDaysIso, todayIso } from '../src/lib/normalize.js';
+import { getCompareRateLimitState, chargeCompareRateLimit } from '../src/lib/rateLimit.js';
+import { resetBreakers } from '../src/lib/circuitBreaker.js';
+import harbourView from './fixtures/searchapi/harbour-view.json';
+import { createSearchApiMock, MOCK_SEARCHAPI_ENDPOINT } from './mocks/searchApiMock.js';
+
+const testEnv = { ...env, SEARCHAPI_KEY: 'test-key', SEARCHAPI_ENDPOINT: MOCK_SEARCHAPI_ENDPOINT };
+
+let searchApi;
+let failDates;
+
+beforeEach(() => {
+    resetBreakers();
+    searchApi = createSearchApiMock([harbourView]);
+    failDates = new Set();
+    vi.stubGlobal('fetch', async (input, init) => {
+        const url = new URL(input instanceof Request ? input.url : String(input));
+        if (url.searchParams.get('engine') === 'google_hotels_property' && failDates.has(url.searchParams.get('check_in_date'))) {
+            return new Response(JSON.stringify({ error: 'Upstream exploded' }), { status: 500 });
+        }
+        return searchApi.fetch(input, init);
+    });
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+function request(path, params, ip) {
+    return new Request(`https://worker.example${path}?${new URLSearchParams(params)}`, { headers: { 'CF-Connecting-IP': ip } });
+}
+
+async function call(path, params, ip = '203.0.113.70') {
+    const ctx = createExecutionContext();
+    const res = await worker.fetch(request(path, params, ip), testEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return { status: res.status, body: await res.json() };
+}
+
+const hotel = { hotelName: 'Harbour View Hotel' };
+
+describe('/compare/calendar', () => {
+    it('fills the grid from the offers cache first, then fetches misses in date order', async () => {
+        // 2026-12-02 is already cached by a plain /compare for the same stay length
+        expect((await call('/compare', { ...hotel, checkIn: '2026-12-02', checkOut: '2026-12-04' })).status).toBe(200);
+        const propertyCalls = searchApi.count('google_hotels_property');
+
+        const { status, body } = await call('/compare/calendar', { ...hotel, from: '2026-12-01', to: '2026-12-05', nights: 2, budget: 3 });
+        expect(status).toBe(200);
+        expect(body.dates.map(c => [c.checkIn, c.checkOut, c.status, c.cache ?? c.reason])).toEqual([
+            ['2026-12-01', '2026-12-03', 'ok', 'miss'],
+            ['2026-12-02', '2026-12-04', 'ok', 'hit'],
+            ['2026-12-03', '2026-12-05', 'ok', 'miss'],
+            ['2026-12-04', '2026-12-06', 'ok', 'miss'],
+            ['2026-12-05', '2026-12-07', 'skipped', 'budget_exhausted'],
+        ]);
+        expect(body.budget).toEqual({ requested: 3, allowed: 3, used: 3, skipped: 1 });
+        expect(searchApi.count('google_hotels_property') - propertyCalls).toBe(3);
+        expect(body.cheapestDate).toMatchObject({ checkIn: '2026-12-01', total: expect.any(Number) });
+        expect(body.dates[0].cheapestOverall.total).toBe(body.cheapestDate.total);
+    });
+
+    it('clamps the budget to the rate-limit window and to the request cap', async () => {
+        const ip = '203.0.113.72';
+        const rl = await getCompareRateLimitState(request('/compare/calendar', {}, ip), testEnv);
+        await chargeCompareRateLimit(testEnv, rl, COMPARE_BURST - 3);
+
+        // Three calls left: one resolves the property, two fetch dates
+        const { body } = await call('/compare/calendar', { ...hotel, from: '2026-12-10', to: '2026-12-14', budget: 5 }, ip);
+        expect(body.budget).toEqual({ requested: 5, allowed: 2, used: 2, skipped: 3 });
+        expect(body.dates.filter(c => c.status === 'skipped').map(c => c.checkIn)).toEqual(['2026-12-12', '2026-12-13', '2026-12-14']);
+
+        const capped = await call('/compare/calendar', { ...hotel, from: '2026-12-01', to: '2026-12-02', budget: 999 }, '203.0.113.71');
+        expect(capped.body.budget).toMatchObject({ requested: CALENDAR_MAX_BUDGET, allowed: CALENDAR_MAX_BUDGET, used: 2 });
+    });
+
+    it('reports failed dates as error cells next to the good ones', async () => {
+        failDates.add('2026-12-21');
+        const { status, body } = await call('/compare/calendar', { ...hotel, from: '2026-12-20', to: '2026-12-22', budget: 3 }, '203.0.113.73');
+        expect(status).toBe(200);
+        expect(body.dates.map(c => c.status)).toEqual(['ok', 'error', 'ok']);
+        expect(body.dates[1]).toMatchObject({ checkIn: '2026-12-21', error_code: expect.any(String) });
+        expect(body.cheapestDate.checkIn).not.toBe('2026-12-21');
+    });
+
+    it('starts a window that began in the past today and rejects one that has ended', async () => {
+        const today = todayIso();
+        const started = await call('/compare/calendar', { ...hotel, from: addDaysIso(today, -3), to: addDaysIso(today, 1), budget: 0 }, '203.0.113.74');
+        expect(started.status).toBe(200);
+        expect(started.body.query).toMatchObject({ from: today, fromRequested: addDaysIso(today, -3) });
+        expect(started.body.dates.map(c => c.checkIn)).toEqual([today, addDaysIso(today, 1)]);
+
+        const ended = await call('/compare/calendar', { ...hotel, from: addDaysIso(today, -10), to: addDaysIso(today, -1) }, '203.0.113.74');
+        expect(ended.status).toBe(400);
+        expect(ended.body).toMatchObject({ error: 'Date window is in the past', error_code: 'INVALID_PARAMS' });
+    });
+});
@@ -0,0 +1,157 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import worker from '../src';
+import harbourView from './fixtures/searchapi/harbour-view.json';
+import { createSearchApiMock, MOCK_SEARCHAPI_ENDPOINT } from './mocks/searchApiMock.js';
+
+const testEnv = { ...env, SEARCHAPI_KEY: 'test-key', SEARCHAPI_ENDPOINT: MOCK_SEARCHAPI_ENDPOINT };
+const HARBOUR = harbourView.entries.find(e => e.request.engine === 'google_hotels_property').request.property_token;
+const stay = { checkIn: '2026-11-03', checkOut: '2026-11-05' };
+
+let mock;
+
+beforeEach(() => {
+    mock = createSearchApiMock([harbourView]);
+    vi.stubGlobal('fetch', mock.fetch);
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+async function get(path, params, ip = '203.0.113.7') {
+    const ctx = createExecutionContext();
+    const res = await worker.fetch(new Request(`https://worker.example${path}?${new URLSearchParams(params)}`, {
+        headers: { 'CF-Connecting-IP': ip },
+    }), testEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return { status: res.status, body: await res.json() };
+}
+
+describe('/compare against recorded SearchApi fixtures', () => {
+    it('searches, fetches offers, then serves both from cache', async () => {
+        const params = { hotelName: 'Harbour View Hotel', officialUrl: 'https://www.harbourview.example/', ...stay };
+
+        const first = await get('/compare', params);
+        expect(first.status).toBe(200);
+        expect(first.body).toMatchObject({ cache: 'miss', matchUncertain: false, property: { property_token: HARBOUR } });
+        expect(first.body.match.cacheDetail).toEqual({ token: 'miss', offers: 'miss' });
+        expect(first.body.cheapestOfficial).toMatchObject({ total: 352, isOfficial: true });
+        expect(first.body.offersCount).toBe(4);
+        expect(mock.count('google_hotels')).toBe(1);
+        expect(mock.count('google_hotels_property')).toBe(1);
+
+        const second = await get('/compare', params);
+        expect(second.body.cache).toBe('hit');
+        expect(second.body.match.cacheDetail).toEqual({ token: 'hit-domain', offers: 'hit' });
+        expect(second.body.offersCount).toBe(4);
+        expect(mock.calls).toHaveLength(2);
+    });
+
+    it('/prefetchCtx stores the search context once and serves repeats from KV', async () => {
+        const prefetch = await get('/prefetchCtx', { q: 'Hotels in Lisbon', ...stay });
+        expect(prefetch.status).toBe(200);
+        expect(prefetch.body).toMatchObject({ ok: true, ctxId: expect.any(String), count: 3, cache: 'miss' });
+
+        const stored = JSON.parse(await testEnv.CACHE_KV.get(`ctx:${prefetch.body.ctxId}`));
+        expect(stored.properties.map(p => p.name)).toEqual(['Lisbon Plaza Hotel', 'Harbour View Suites', 'Harbour View Hotel']);
+        expect(stored.query).toMatchObject({ q: 'Hotels in Lisbon', ...stay, adults: 2, currency: 'USD', gl: 'us' });
+
+        const repeat = await get('/prefetchCtx', { q: 'Hotels in Lisbon', ...stay });
+        expect(repeat.body).toEqual({ ok: true, ctxId: prefetch.body.ctxId, count: 3, cache: 'hit' });
+        expect(mock.count('google_hotels')).toBe(1);
+
+        expect((await get('/prefetchCtx', { q: 'Hotels in Lisbon' })).body.missing).toEqual(['checkIn', 'checkOut']);
+    });
+
+    it('/compare with a ctxId matches from the stored context instead of searching', async () => {
+        const { body: { ctxId } } = await get('/prefetchCtx', { q: 'Hotels in Lisbon', ...stay });
+        const searches = mock.count('google_hotels');
+
+        const res = await get('/compare', { hotelName: 'Harbour View Hotel', ctx: ctxId, ...stay });
+        expect(res.status).toBe(200);
+        expect(res.body.match).toMatchObject({ ctxHit: true, cacheDetail: { token: 'ctx-hit' } });
+        expect(res.body.property.property_token).toBe(HARBOUR);
+        // Only the offers call: the hotel was picked out of the prefetched list
+        expect(mock.count('google_hotels')).toBe(searches);
+        expect(mock.count('google_hotels_property')).toBe(1);
+
+        // An unknown ctxId is reported and matching carries on with the token cache
+        const fallback = await get('/compare', { hotelName: 'Harbour View Hotel', ctx: 'missing-ctx', ...stay });
+        expect(fallback.body.match).toMatchObject({ ctxHit: false, ctxRejectedReason: 'ctx_missing_or_expired', cacheDetail: { token: 'hit-name' } });
+        expect(mock.count('google_hotels')).toBe(searches);
+    });
+
+    it('runs a verify lookup for an uncertain cached token without a candidate summary', async () => {
+        await testEnv.CACHE_KV.put('tok:us:n:harbour-view-riverside-lisbon', JSON.stringify({
+            property_token: HARBOUR,
+            property_name: 'Harbour View Hotel',
+            link: 'https://www.harbourview.example/',
+            confidence: 0.56,
+        }));
+
+        const res = await get('/compare', { hotelName: 'Harbour View Riverside Lisbon', ...stay });
+        expect(res.status).toBe(200);
+        expect(res.body.matchUncertain).toBe(true);
+        expect(res.body.match).toMatchObject({ cacheDetail: { token: 'hit-name' }, candidateSummarySource: 'verify' });
+        expect(res.body.match.candidateSummary.topCandidates[0].name).toBe('Harbour View Hotel');
+        expect(mock.calls.map(c => c.q || c.engine)).toEqual(['Harbour View Riverside Lisbon', 'google_hotels_property']);
+    });
+
+    it('retries without hl when SearchApi rejects it', async () => {
+        const res = await get('/compare', { hotelName: 'Harbour View Hotel', hl: 'is', debug: '1', ...stay });
+        expect(res.status).toBe(200);
+        expect(res.body.debug.searchApi.google_hotels).toMatchObject({ hlSent: 'is', hlFallback: true });
+        expect(mock.calls.filter(c => c.engine === 'google_hotels').map(c => c.hl ?? null)).toEqual(['is', null]);
+    });
+
+    it('fails the request, not the network, for an unrecorded search', async () => {
+        const res = await get('/compare', { hotelName: 'Nowhere Inn', ...stay });
+        expect(res.status).toBe(502);
+        expect(res.body.error_code).toBe('SEARCH_FAILED');
+        expect(mock.unmatched).toEqual([expect.objectContaining({ engine: 'google_hotels', q: 'Nowhere Inn' })]);
+    });
+});
+
+/**
+ * Parse an SSE body into [{ event, data }].
+ * @param {string} text - Response body
+ * @returns {Array<{ event: string, data: Object }>}
+ */
+function parseEvents(text) {
+    return text.trim().split('\n\n').map((block) => {
+        const event = block.match(/^event: (.+)$/m)?.[1];
+        const data = block.match(/^data: (.+)$/m)?.[1];
+        return { event, data: data ? JSON.parse(data) : null };
+    });
+}
+
+async function stream(params, ip = '203.0.113.8') {
+    const ctx = createExecutionContext();
+    const res = await worker.fetch(new Request(`https://worker.example/compare?${new URLSearchParams(params)}`, {
+        headers: { 'CF-Connecting-IP': ip, Accept: 'text/event-stream' },
+    }), testEnv, ctx);
+    const text = await res.text();
+    await waitOnExecutionContext(ctx);
+    return { res, events: parseEvents(text) };
+}
+
+describe('/compare as Server-Sent Events', () => {
+    it('sends match, then offers, then done', async () => {
+        const { res, events } = await stream({ hotelName: 'Harbour View Hotel', ...stay });
+        expect(res.headers.get('Content-Type')).toContain('text/event-stream');
+        expect(events.map(e => e.event)).toEqual(['match', 'offers', 'done']);
+
+        const [match, offers, done] = events.map(e => e.data);
+        expect(match).toMatchObject({ property: { property_token: HARBOUR }, cacheDetail: { token: 'miss' }, matchUncertain: false });
+        expect(offers).toMatchObject({ ok: true, cache: 'miss', property: { property_token: HARBOUR }, offersCount: 4 });
+        expect(done).toEqual({ status: 200, usage: offers.usage });
+    });
+
+    it('sends error instead of offers when the pipeline fails', async () => {
+        const { events } = await stream({ hotelName: 'Nowhere Inn', ...stay });
+        expect(events.map(e => e.event)).toEqual(['error', 'done']);
+        expect(events[0].data).toMatchObject({ status: 502, error_code: 'SEARCH_FAILED' });
+        expect(events[1].data.status).toBe(502);
+    });
+});
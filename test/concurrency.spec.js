@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { mapWithConcurrency } from '../src/lib/concurrency.js';
+
+describe('mapWithConcurrency', () => {
+    it('keeps input order whatever order calls finish in', async () => {
+        const delays = [30, 5, 20, 0, 10];
+        const out = await mapWithConcurrency(delays, 2, async (ms, i) => {
+            await new Promise(r => setTimeout(r, ms));
+            return `${i}:${ms}`;
+        });
+        expect(out).toEqual(['0:30', '1:5', '2:20', '3:0', '4:10']);
+    });
+
+    it('never has more than `limit` calls in flight', async () => {
+        let inFlight = 0;
+        let peak = 0;
+        await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+            peak = Math.max(peak, ++inFlight);
+            await new Promise(r => setTimeout(r, 1));
+            inFlight--;
+        });
+        expect(peak).toBe(3);
+    });
+
+    it('handles empty input, non-arrays and limits below one', async () => {
+        expect(await mapWithConcurrency([], 4, async x => x)).toEqual([]);
+        expect(await mapWithConcurrency(null, 4, async x => x)).toEqual([]);
+        expect(await mapWithConcurrency([1, 2], 0, async x => x * 2)).toEqual([2, 4]);
+    });
+
+    it('rejects when a call throws', async () => {
+        await expect(mapWithConcurrency([1, 2], 2, async (x) => {
+            if (x === 2) throw new Error('boom');
+            return x;
+        })).rejects.toThrow('boom');
+    });
+});
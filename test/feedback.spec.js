@@ -0,0 +1,128 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src';
+import { applyFeedbackVote, feedbackKey } from '../src/lib/feedback.js';
+import { validateCachedToken } from '../src/lib/matching.js';
+import { createApiKey } from '../src/lib/apiKeys.js';
+
+const identity = { hotelName: 'Harbour View Hotel', officialDomain: null, bookingSlug: null, gl: 'us' };
+const nameKey = 'tok:us:n:harbour-view-hotel';
+
+async function feedback(body, ip, apiKey = null) {
+    const ctx = createExecutionContext();
+    const request = new Request('https://worker.example/feedback/match', {
+        method: 'POST',
+        headers: { 'CF-Connecting-IP': ip, 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+        body: JSON.stringify(body),
+    });
+    const res = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+    return res;
+}
+
+describe('applyFeedbackVote', () => {
+    it('counts each voter once per token and verdict', () => {
+        let { record, counted } = applyFeedbackVote(null, { identity, propertyToken: 'A', name: 'Harbour View', verdict: 'negative', voter: 'v1' });
+        expect(counted).toBe(true);
+        ({ record, counted } = applyFeedbackVote(record, { identity, propertyToken: 'A', name: null, verdict: 'negative', voter: 'v1' }));
+        expect(counted).toBe(false);
+        ({ record } = applyFeedbackVote(record, { identity, propertyToken: 'A', name: null, verdict: 'positive', voter: 'v1' }));
+        expect(record.tokens.A).toMatchObject({ name: 'Harbour View', negative: 1, positive: 1, keyedNegative: 0 });
+        expect(record.total).toBe(2);
+    });
+
+    it('tracks API-key votes separately', () => {
+        let { record } = applyFeedbackVote(null, { identity, propertyToken: 'A', name: null, verdict: 'negative', voter: 'v1', keyed: true });
+        ({ record } = applyFeedbackVote(record, { identity, propertyToken: 'A', name: null, verdict: 'negative', voter: 'v2' }));
+        expect(record.tokens.A).toMatchObject({ negative: 2, keyedNegative: 1 });
+    });
+});
+
+describe('POST /feedback/match', () => {
+    it('validates the body', async () => {
+        expect((await feedback({ hotelName: 'X' }, '198.51.100.1')).status).toBe(400);
+        expect((await feedback({ hotelName: 'X', servedToken: 'A' }, '198.51.100.1')).status).toBe(400);
+        expect((await feedback({ hotelName: 'X', servedToken: 'A', verdict: 'maybe' }, '198.51.100.1')).status).toBe(400);
+    });
+
+    it('records anonymous reports without touching the token cache', async () => {
+        await env.CACHE_KV.put(nameKey, JSON.stringify({ property_token: 'PT_SISTER', property_name: 'Harbour View Hotel' }));
+        const body = { hotelName: 'Harbour View Hotel', servedToken: 'PT_SISTER', verdict: 'wrong' };
+
+        for (const ip of ['198.51.100.1', '198.51.100.2', '198.51.100.3', '198.51.100.4']) {
+            const res = await (await feedback(body, ip)).json();
+            expect(res).toMatchObject({ cacheEffects: false, invalidated: [] });
+        }
+        expect(await env.CACHE_KV.get(nameKey)).not.toBeNull();
+    });
+
+    it('drops the cached token after repeated wrong reports from distinct API keys', async () => {
+        await env.CACHE_KV.put(nameKey, JSON.stringify({ property_token: 'PT_SISTER', property_name: 'Harbour View Hotel' }));
+        const body = { hotelName: 'Harbour View Hotel', servedToken: 'PT_SISTER', verdict: 'wrong' };
+        const keys = [];
+        for (let i = 0; i < 3; i++) keys.push((await createApiKey(env)).key);
+
+        await feedback(body, '198.51.100.1', keys[0]);
+        const dup = await (await feedback(body, '198.51.100.2', keys[0])).json();
+        expect(dup).toMatchObject({ counted: false, negative: { negative: 1, keyedNegative: 1 }, invalidated: [] });
+        await feedback(body, '198.51.100.1', keys[1]);
+        expect(await env.CACHE_KV.get(nameKey)).not.toBeNull();
+
+        const third = await (await feedback(body, '198.51.100.1', keys[2])).json();
+        expect(third.invalidated).toEqual([nameKey]);
+        expect(await env.CACHE_KV.get(nameKey)).toBeNull();
+
+        const stored = JSON.parse(await env.CACHE_KV.get(feedbackKey('us', 'Harbour View Hotel')));
+        expect(stored.actions).toEqual([expect.objectContaining({ type: 'invalidated', property_token: 'PT_SISTER' })]);
+    });
+
+    it('rejects a selection that was never a stored candidate', async () => {
+        const res = await feedback({
+            hotelName: 'Harbour View Hotel',
+            servedToken: 'PT_SISTER',
+            selected: { property_token: 'PT_ATTACKER', property_name: 'Harbour View Hotel', link: 'https://evil.example/' },
+        }, '198.51.100.1', (await createApiKey(env)).key);
+        expect(res.status).toBe(400);
+        expect((await res.json()).error_code).toBe('UNKNOWN_CANDIDATE');
+    });
+
+    it('promotes a repeatedly selected ctx candidate with server-side details and boosted confidence', async () => {
+        await env.CACHE_KV.put('ctx:ctx-harbour', JSON.stringify({
+            properties: [{ name: 'Harbour View Hotel', city: 'Sydney', country: 'AU', property_token: 'PT_RIGHT', link: 'https://harbourview.example/' }],
+        }));
+        const body = {
+            hotelName: 'Harbour View Hotel',
+            officialUrl: 'https://harbourview.example/',
+            ctx: 'ctx-harbour',
+            servedToken: 'PT_SISTER',
+            // Client-sent details are ignored
+            selected: { property_token: 'PT_RIGHT', property_name: 'Something Else', link: 'https://evil.example/' },
+        };
+        const keys = [];
+        for (let i = 0; i < 3; i++) keys.push((await createApiKey(env)).key);
+
+        expect((await (await feedback(body, '198.51.100.1')).json()).promoted).toEqual([]);
+        for (const key of keys.slice(0, 2)) {
+            expect((await (await feedback(body, '198.51.100.1', key)).json()).promoted).toEqual([]);
+        }
+        const res = await (await feedback(body, '198.51.100.1', keys[2])).json();
+        expect(res.promoted).toEqual([nameKey, 'tok:us:d:harbourview.example']);
+
+        const tokenObj = JSON.parse(await env.CACHE_KV.get(nameKey));
+        expect(tokenObj).toMatchObject({ property_token: 'PT_RIGHT', property_name: 'Harbour View Hotel', link: 'https://harbourview.example/', city: 'Sydney', feedbackBoost: 0.15 });
+
+        const plain = validateCachedToken({ hotelName: 'Harbour View', officialDomain: null, tokenObj: { ...tokenObj, feedbackBoost: 0 }, source: 'hit-name' });
+        const boosted = validateCachedToken({ hotelName: 'Harbour View', officialDomain: null, tokenObj, source: 'hit-name' });
+        expect(boosted.confidence).toBeCloseTo(Math.min(0.95, plain.confidence + 0.15), 5);
+    });
+
+    it('lists aggregates for admin review', async () => {
+        await feedback({ hotelName: 'Harbour View Hotel', servedToken: 'PT_SISTER', verdict: 'wrong' }, '198.51.100.9');
+        const ctx = createExecutionContext();
+        const res = await worker.fetch(new Request('https://worker.example/admin/feedback', { headers: { Authorization: 'Bearer ops' } }), { ...env, ADMIN_TOKEN: 'ops' }, ctx);
+        await waitOnExecutionContext(ctx);
+        const body = await res.json();
+        expect(body.feedback[0]).toMatchObject({ maxNegative: 1, tokens: { PT_SISTER: { negative: 1, positive: 0 } } });
+        expect(body.feedback[0].tokens.PT_SISTER.negVoters).toBeUndefined();
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { haversineKm, geoMatch, pickBestProperty, validateCachedToken } from '../src/lib/matching.js';
+
+const lisbon = { lat: 38.7223, lng: -9.1393 };
+const porto = { lat: 41.1579, lng: -8.6291 };
+
+describe('geoMatch', () => {
+    it('measures great-circle distance', () => {
+        expect(haversineKm(lisbon, porto)).toBeGreaterThan(270);
+        expect(haversineKm(lisbon, porto)).toBeLessThan(280);
+    });
+
+    it('boosts close candidates, penalizes far ones and hard-mismatches beyond the radius', () => {
+        expect(geoMatch(null, lisbon)).toEqual({ distanceKm: null, effect: 0, hardMismatch: false });
+        expect(geoMatch(lisbon, null).distanceKm).toBeNull();
+        expect(geoMatch(lisbon, { lat: 38.7224, lng: -9.1394 }).effect).toBe(0.1);
+        expect(geoMatch(lisbon, { lat: 38.735, lng: -9.1393 }).effect).toBe(0.05);
+        expect(geoMatch(lisbon, { lat: 38.85, lng: -9.1393 }).effect).toBeLessThan(0);
+        expect(geoMatch(lisbon, porto)).toMatchObject({ effect: 0, hardMismatch: true });
+        expect(geoMatch(lisbon, porto, 500).hardMismatch).toBe(false);
+    });
+});
+
+describe('geo-aware pickBestProperty', () => {
+    const candidates = [
+        { name: 'Hotel Central', city: 'Porto', property_token: 'porto', gps: porto },
+        { name: 'Hotel Central', city: 'Lisbon', property_token: 'lisbon', gps: { lat: 38.7225, lng: -9.1390 } },
+    ];
+
+    it('breaks a name tie by distance and reports distanceKm', () => {
+        const picked = pickBestProperty(candidates, 'Hotel Central', null, { geo: lisbon });
+        expect(picked.best.property_token).toBe('lisbon');
+        expect(picked.matchDetails.distanceKm).toBeLessThan(0.1);
+        expect(picked.allCandidates.find(c => c.skipped)).toMatchObject({ reason: 'geo_mismatch' });
+    });
+
+    it('ignores geo when the query has no coordinates', () => {
+        const picked = pickBestProperty(candidates, 'Hotel Central', null);
+        expect(picked.best.property_token).toBe('porto');
+        expect(picked.matchDetails.distanceKm).toBeNull();
+    });
+});
+
+describe('geo-aware validateCachedToken', () => {
+    it('rejects a cached token far from the query coordinates', () => {
+        const tokenObj = { property_token: 'porto', property_name: 'Hotel Central', city: 'Porto', gps: porto };
+        const v = validateCachedToken({ hotelName: 'Hotel Central', officialDomain: null, tokenObj, source: 'hit-name', geo: lisbon });
+        expect(v).toMatchObject({ ok: false, reason: 'geo_mismatch' });
+        expect(v.details.distanceKm).toBeGreaterThan(270);
+
+        const ok = validateCachedToken({ hotelName: 'Hotel Central', officialDomain: null, tokenObj, source: 'hit-name', geo: porto });
+        expect(ok.ok).toBe(true);
+    });
+});
@@ -0,0 +1,135 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import worker from '../src';
+import { resetBreakers } from '../src/lib/circuitBreaker.js';
+import { HEALTH_BURST } from '../src/lib/constants.js';
+import { parseHealthProbes } from '../src/routes/health.js';
+import { createSearchApiMock, MOCK_SEARCHAPI_ENDPOINT } from './mocks/searchApiMock.js';
+
+const configured = { ...env, SEARCHAPI_KEY: 'sk-secret-value', GOOGLE_API_KEY: 'g-secret-value', SEARCHAPI_ENDPOINT: MOCK_SEARCHAPI_ENDPOINT };
+const admin = { ...configured, ADMIN_TOKEN: 'ops', COMPARE_ALLOWED_ORIGINS: 'chrome-extension://abcdefghijklmnop' };
+const bearer = { Authorization: 'Bearer ops' };
+
+let upstream;
+
+beforeEach(() => {
+    resetBreakers();
+    upstream = [];
+    const searchApi = createSearchApiMock([]);
+    vi.stubGlobal('fetch', async (input, init) => {
+        const url = String(input instanceof Request ? input.url : input);
+        upstream.push(url);
+        if (url.startsWith('https://places.googleapis.com/')) {
+            return new Response(JSON.stringify({ places: [{ name: 'places/abc' }] }), { headers: { 'Content-Type': 'application/json' } });
+        }
+        return searchApi.fetch(input, init);
+    });
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+async function health(query = '', testEnv = configured, headers = {}) {
+    const ctx = createExecutionContext();
+    const res = await worker.fetch(new Request(`https://worker.example/__health${query}`, { headers: { 'CF-Connecting-IP': '203.0.113.90', ...headers } }), testEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return { status: res.status, res, text: await res.text() };
+}
+
+describe('parseHealthProbes', () => {
+    it('expands "all" and reports unknown names', () => {
+        expect(parseHealthProbes(new URLSearchParams('probe=all')).probes).toEqual(['searchapi', 'serpapi', 'places', 'brave', 'cse']);
+        expect(parseHealthProbes(new URLSearchParams('probe=Places, searchapi,nope'))).toEqual({ probes: ['searchapi', 'places'], unknown: ['nope'] });
+        expect(parseHealthProbes(new URLSearchParams(''))).toEqual({ probes: [], unknown: [] });
+    });
+});
+
+describe('/__health', () => {
+    it('tells anonymous callers only ok/status from read-only checks', async () => {
+        const writes = [];
+        const kv = {
+            get: (...args) => env.CACHE_KV.get(...args),
+            put: async (key) => { writes.push(`put ${key}`); },
+            delete: async (key) => { writes.push(`delete ${key}`); },
+        };
+        const { status, res, text } = await health('', { ...admin, CACHE_KV: kv }, { 'CF-Connecting-IP': '203.0.113.91' });
+        expect(status).toBe(200);
+        expect(res.headers.get('X-RateLimit-Limit')).toBeTruthy();
+
+        const body = JSON.parse(text);
+        expect(Object.keys(body).sort()).toEqual(['kv', 'ok', 'status']);
+        expect(body).toMatchObject({ ok: true, status: 'ok', kv: { ok: true, error: null } });
+        expect(text).not.toContain('chrome-extension://');
+        expect(writes).toEqual([]);
+
+        // A wrong token is anonymous too
+        const wrong = JSON.parse((await health('', admin, { Authorization: 'Bearer wrong' })).text);
+        expect(wrong.config).toBeUndefined();
+    });
+
+    it('rate-limits anonymous callers per IP but not admins', async () => {
+        const ip = { 'CF-Connecting-IP': '203.0.113.92' };
+        for (let i = 0; i < HEALTH_BURST; i++) expect((await health('', configured, ip)).status).toBe(200);
+        const limited = await health('', configured, ip);
+        expect(limited.status).toBe(429);
+        expect(JSON.parse(limited.text).error_code).toBe('RATE_LIMIT');
+
+        expect((await health('', admin, { ...ip, ...bearer })).status).toBe(200);
+    });
+
+    it('reports bindings, secrets, KV and config to admins without calling upstream', async () => {
+        const { status, res, text } = await health('', admin, bearer);
+        expect(status).toBe(200);
+        expect(res.headers.get('Cache-Control')).toBe('no-store');
+
+        const body = JSON.parse(text);
+        expect(body).toMatchObject({ ok: true, status: 'ok', problems: [], probes: null });
+        expect(body.bindings.CACHE_KV).toBe(true);
+        expect(body.secrets).toMatchObject({ SEARCHAPI_KEY: true, GOOGLE_API_KEY: true, BRAVE_API_KEY: false });
+        expect(body.kv).toMatchObject({ ok: true, error: null });
+        expect(body.breakerScope.scope).toBe('isolate');
+        expect(body.config.providers).toEqual(['searchapi']);
+        expect(body.config.rateLimits.scopes.compare).toMatchObject({ limit: expect.any(Number), burst: expect.any(Number) });
+        expect(body.config.ttlSec.offers).toBeGreaterThan(0);
+        expect(body.config.compareOrigins).toContain('chrome-extension://abcdefghijklmnop');
+        expect(text).not.toContain('secret-value');
+        expect(upstream).toEqual([]);
+    });
+
+    it('is degraded when a dependency is missing and down without KV', async () => {
+        const degraded = JSON.parse((await health('', { ...env, ADMIN_TOKEN: 'ops' }, bearer)).text);
+        expect(degraded.status).toBe('degraded');
+        expect(degraded.problems).toContain('GOOGLE_API_KEY missing (contact lookup)');
+
+        const down = await health('', { ...admin, CACHE_KV: undefined }, bearer);
+        expect(down.status).toBe(503);
+        expect(JSON.parse(down.text)).toMatchObject({ ok: false, status: 'down', kv: { ok: false, error: 'CACHE_KV not bound' } });
+
+        const anonymousDown = await health('', { ...configured, CACHE_KV: undefined });
+        expect(anonymousDown.status).toBe(503);
+        expect(JSON.parse(anonymousDown.text)).toEqual({ ok: false, status: 'down', kv: { ok: false, ms: null, error: 'CACHE_KV not bound' } });
+    });
+
+    it('keeps upstream probes behind ADMIN_TOKEN', async () => {
+        const withToken = { ...configured, ADMIN_TOKEN: 'ops' };
+        expect((await health('?probe=searchapi', withToken)).status).toBe(403);
+        expect((await health('?probe=searchapi', withToken, { Authorization: 'Bearer wrong' })).status).toBe(403);
+        expect((await health('?probe=bogus', withToken)).status).toBe(400);
+        expect(upstream).toEqual([]);
+    });
+
+    it('runs the requested probes and reports each outcome', async () => {
+        const { status, text } = await health('?probe=searchapi,places,brave', { ...configured, ADMIN_TOKEN: 'ops' }, { Authorization: 'Bearer ops' });
+        expect(status).toBe(200);
+
+        const body = JSON.parse(text);
+        // The SearchApi mock has no fixture for the probe query and answers 404
+        expect(body.probes.searchapi).toMatchObject({ ok: false, status: 404, ms: expect.any(Number) });
+        expect(body.probes.places).toMatchObject({ ok: true, status: 200, results: 1 });
+        expect(body.probes.brave).toEqual({ skipped: 'not_configured' });
+        expect(body.status).toBe('degraded');
+        expect(body.problems.some(p => p.startsWith('probe searchapi'))).toBe(true);
+        expect(upstream).toHaveLength(2);
+    });
+});
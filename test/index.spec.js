@@ -2,19 +2,72 @@ import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloud
 import { describe, it, expect } from 'vitest';
 import worker from '../src';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
-		const request = new Request('http://example.com');
-		// Create an empty context to pass to `worker.fetch()`.
-		const ctx = createExecutionContext();
-		const response = await worker.fetch(request, env, ctx);
-		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+const EXTENSION_ORIGIN = 'chrome-extension://aecflnbknfdgcmkkhmecpkloanhikcpe';
+
+// Every extension-only route, with a method its handler accepts
+const LOCKED_ROUTES = [
+	['GET', '/compare'],
+	['POST', '/compare/batch'],
+	['GET', '/compare/calendar'],
+	['GET', '/prefetchCtx'],
+	['GET', '/history'],
+	['GET', '/watches'],
+	['POST', '/keys'],
+	['POST', '/feedback/match'],
+	['POST', '/match/explain'],
+];
+
+async function call(request, testEnv = env) {
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(request, testEnv, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+describe('router', () => {
+	it('serves build info on /__version (unit style)', async () => {
+		const response = await call(new Request('http://example.com/__version'));
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+		expect(await response.json()).toMatchObject({ ok: true, build: expect.any(String) });
+	});
+
+	it('serves build info on /__version (integration style)', async () => {
+		const response = await SELF.fetch('http://example.com/__version');
+		expect((await response.json()).ok).toBe(true);
+	});
+
+	it('falls through to the contact lookup', async () => {
+		expect((await call(new Request('http://example.com/'))).status).toBe(500);
+		const response = await call(new Request('http://example.com/'), { ...env, GOOGLE_API_KEY: 'k' });
+		expect(response.status).toBe(400);
+		expect(await response.json()).toEqual({ error: 'Missing query' });
+	});
+
+	it('locks extension routes to the configured origin', async () => {
+		const preflight = (origin) => call(new Request('http://example.com/compare', { method: 'OPTIONS', headers: { Origin: origin } }));
+
+		const allowed = await preflight(EXTENSION_ORIGIN);
+		expect(allowed.status).toBe(204);
+		expect(allowed.headers.get('Access-Control-Allow-Origin')).toBe(EXTENSION_ORIGIN);
+		expect((await preflight('https://evil.example')).status).toBe(403);
+	});
+
+	it.each(LOCKED_ROUTES)('answers %s %s from other origins with the /compare CORS bodies', async (method, path) => {
+		const request = (headers) => new Request(`http://example.com${path}`, { method, headers, body: method === 'POST' ? '{}' : undefined });
+
+		const blocked = await call(request({ Origin: 'https://evil.example' }));
+		expect(blocked.status).toBe(403);
+		expect(blocked.headers.get('Access-Control-Allow-Origin')).toBeNull();
+		expect(await blocked.json()).toEqual({ error: 'Forbidden', reason: `Origin not allowed for ${path}`, origin: 'https://evil.example' });
+
+		const unconfigured = await call(request({}), { ...env, CHROME_EXTENSION_ID: '', COMPARE_ALLOWED_ORIGINS: '' });
+		expect(unconfigured.status).toBe(500);
+		expect(await unconfigured.json()).toMatchObject({ error: 'Compare CORS not configured', hint: expect.stringMatching(/COMPARE_ALLOWED_ORIGINS/) });
 	});
 
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+	it('keeps operator routes behind ADMIN_TOKEN', async () => {
+		expect((await call(new Request('http://example.com/admin/cache'))).status).toBe(500);
+		expect((await call(new Request('http://example.com/admin/cache'), { ...env, ADMIN_TOKEN: 'ops' })).status).toBe(403);
 	});
 });
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import core from './fixtures/matching/core.json';
+import { parseEvalFixture, runMatchEval, diffEvalReports, EVAL_RULES } from '../src/lib/matchEval.js';
+import { compileBrandTaxonomy } from '../src/lib/matching.js';
+
+const fixture = parseEvalFixture(core);
+
+describe('eval fixtures', () => {
+    it('parse and reject malformed cases', () => {
+        expect(fixture.error).toBeUndefined();
+        expect(parseEvalFixture({}).error).toBeTruthy();
+        expect(parseEvalFixture({ cases: [{ id: 'a', query: { hotelName: 'X' }, properties: [] }] }).error).toMatch(/expected/);
+        const dup = { id: 'a', query: { hotelName: 'X' }, properties: [], expected: null };
+        expect(parseEvalFixture({ cases: [dup, dup] }).error).toMatch(/duplicated/);
+    });
+});
+
+describe('runMatchEval', () => {
+    const report = runMatchEval([fixture]);
+
+    it('reports metrics at the /compare thresholds', () => {
+        expect(Object.keys(report.thresholds)).toEqual(['0.55', '0.65', '0.75']);
+        expect(report.cases).toBe(core.cases.length);
+
+        // Floors for the core set: tighten as the matcher improves, never loosen silently
+        expect(report.thresholds['0.65']).toMatchObject({ precision: 1, falseAcceptRate: 0 });
+        expect(report.thresholds['0.65'].recall).toBeGreaterThanOrEqual(0.9);
+        expect(report.thresholds['0.55'].falseAcceptRate).toBeLessThanOrEqual(0.1);
+    });
+
+    it('counts outcomes per case', () => {
+        const byId = Object.fromEntries(report.results.map(r => [r.id, r]));
+        expect(byId['cyrillic-query']).toMatchObject({ predicted: 'PT_MOSKVA', outcomes: { '0.65': 'tp' } });
+        expect(byId['brand-mismatch-only']).toMatchObject({ predicted: null, outcomes: { '0.55': 'tn' } });
+
+        for (const m of Object.values(report.thresholds)) {
+            expect(m.tp + m.fp + m.fn + m.tn).toBe(report.cases);
+        }
+    });
+
+    it('breaks scores down per rule', () => {
+        expect(Object.keys(report.rules)).toEqual(EVAL_RULES);
+        expect(report.rules.coverage.margin).toBeGreaterThan(0);
+        expect(report.rejects.sub_brand_mismatch.others).toBeGreaterThan(0);
+    });
+});
+
+describe('diffEvalReports', () => {
+    it('shows what a rule change moves', () => {
+        // Baseline without the brand taxonomy: sibling sub-brands are no longer rejected
+        const before = runMatchEval([fixture], { brandTaxonomy: compileBrandTaxonomy([]) });
+        const after = runMatchEval([fixture]);
+        const diff = diffEvalReports(before, after);
+
+        expect(diff.rejects.sub_brand_mismatch.others).toBe(after.rejects.sub_brand_mismatch.others);
+        expect(diff.rules.brandBoost.expectedMean).toBeGreaterThan(0);
+        const sibling = diff.changed.find(c => c.id === 'sub-brand-only-sibling');
+        expect(sibling.outcomes['0.55']).toBe('fp -> tn');
+
+        expect(diffEvalReports(after, after).changed).toEqual([]);
+    });
+});
@@ -0,0 +1,88 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src';
+
+async function explain(body, method = 'POST') {
+    const ctx = createExecutionContext();
+    const res = await worker.fetch(new Request('https://worker.example/match/explain', {
+        method,
+        headers: { 'CF-Connecting-IP': '198.51.100.40', 'Content-Type': 'application/json' },
+        body: method === 'POST' ? JSON.stringify(body) : undefined,
+    }), env, ctx);
+    await waitOnExecutionContext(ctx);
+    return res;
+}
+
+const heathrow = [
+    { name: 'Hilton Garden Inn London Heathrow', property_token: 'HGI', link: 'https://www.hilton.com/en/hotels/lhrgigi' },
+    { name: 'Hampton by Hilton London Heathrow Bath Road', property_token: 'HAMPTON', link: 'https://www.hilton.com/en/hotels/lhrbrhx', gps_coordinates: { latitude: 51.4816, longitude: -0.4371 } },
+    { name: 'Hampton by Hilton London Gatwick Airport', property_token: 'GATWICK', link: 'https://gatwick.example/hampton' },
+];
+
+describe('POST /match/explain', () => {
+    it('validates the body', async () => {
+        expect((await explain(null, 'GET')).status).toBe(405);
+        expect((await explain({ candidates: heathrow })).status).toBe(400);
+        expect((await explain({ hotelName: 'Hampton by Hilton' })).status).toBe(400);
+        expect((await explain({ hotelName: 'Hampton by Hilton', candidates: [] })).status).toBe(400);
+        expect((await explain({ hotelName: 'Hampton by Hilton', candidates: heathrow, lat: 95, lng: 0 })).status).toBe(400);
+    });
+
+    it('explains every inline candidate and the /compare gates', async () => {
+        const res = await explain({
+            hotelName: 'Hampton by Hilton London Heathrow Bath Road',
+            officialUrl: 'https://www.hilton.com/en/hampton/',
+            candidates: heathrow,
+        });
+        expect(res.status).toBe(200);
+        const body = await res.json();
+
+        expect(body.picked).toMatchObject({ property_token: 'HAMPTON' });
+        expect(body.ctx).toMatchObject({ accept: true, rejectedReason: null });
+        expect(body.candidates.map(c => c.status)).toEqual(['skipped', 'picked', 'scored']);
+
+        const [hgi, hampton, gatwick] = body.candidates;
+        expect(hgi).toMatchObject({ reason: 'sub_brand_mismatch', rank: null, brand: { subBrandMismatch: true } });
+        expect(hgi.notes[0]).toMatch(/sub-brands/);
+
+        expect(hampton.rank).toBe(1);
+        expect(hampton.score).toMatchObject({ coverage: 1, brandBoost: 0.05 });
+        expect(hampton.domain).toMatchObject({ match: true, status: 'applied' });
+        expect(hampton.gates).toMatchObject({ certain: { threshold: 0.65, pass: true }, cacheDomain: { pass: true } });
+
+        expect(gatwick.domain.status).toBe('link_host_differs');
+        expect(gatwick.gates.searchAccept.threshold).toBe(0.25);
+        expect(gatwick.notes.at(-1)).toMatch(/fails: .*certain/);
+    });
+
+    it('withholds the domain boost from sister hotels without an identity overlap', async () => {
+        const body = await (await explain({
+            hotelName: 'Saga Hotel Reykjavik',
+            officialDomain: 'centerhotels.is',
+            candidates: [{ name: 'Grand Hotel Reykjavik', property_token: 'GRAND', link: 'https://centerhotels.is/grand', city: 'Reykjavik' }],
+        })).json();
+
+        const [grand] = body.candidates;
+        expect(grand.domain).toMatchObject({ match: true, boost: 0, status: 'blocked_no_core_overlap' });
+        expect(grand.hasStrongSignal).toBe(true);
+        expect(grand.notes.join('\n')).toMatch(/boost withheld/);
+    });
+
+    it('reads candidates from a stored search context and applies override blocks', async () => {
+        expect((await explain({ hotelName: 'Harbour View Hotel', ctxId: 'missing' })).status).toBe(404);
+
+        await env.CACHE_KV.put('ctx:explain-test', JSON.stringify({
+            properties: [
+                { name: 'Harbour View Hotel', property_token: 'PT_BLOCKED', gps: null },
+                { name: 'Harbour View Hotel & Spa', property_token: 'PT_SPA', gps: { lat: 22.28, lng: 114.17 } },
+            ],
+        }));
+        await env.CACHE_KV.put('override:n:harbour-view-hotel', JSON.stringify({ block: ['PT_BLOCKED'] }));
+
+        const body = await (await explain({ hotelName: 'Harbour View Hotel', ctxId: 'explain-test', lat: 22.281, lng: 114.171 })).json();
+        expect(body.query.ctxId).toBe('explain-test');
+        expect(body.candidates[0]).toMatchObject({ status: 'blocked', reason: 'override_block' });
+        expect(body.picked.property_token).toBe('PT_SPA');
+        expect(body.candidates[1].geo.distanceKm).toBeLessThan(1);
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Recorded SearchApi responses, served without network.
+ * Shared by the vitest fetch stub (createSearchApiMock) and the local server (scripts/mock-searchapi.mjs).
+ *
+ * Fixture format (test/fixtures/searchapi/*.json):
+ *   { name, entries: [{ request: { engine, q | property_token, ...params }, status, body }] }
+ *
+ * An entry answers a call when every param in `request` equals the call's param; the entry with
+ * the most params wins, so `{ engine, q, hl: "xx" }` can fail a call that `{ engine, q }` answers.
+ * api_key is never part of a match.
+ */
+
+export const MOCK_SEARCHAPI_ENDPOINT = "https://searchapi.mock/api/v1/search";
+
+// Never written to fixtures
+const SECRET_PARAMS = new Set(["api_key"]);
+
+/**
+ * Query params of a SearchApi call (credentials dropped).
+ * @param {URL} url - Request URL
+ * @returns {Object}
+ */
+export function callParams(url) {
+    const params = {};
+    for (const [k, v] of url.searchParams) {
+        if (!SECRET_PARAMS.has(k)) params[k] = v;
+    }
+    return params;
+}
+
+/**
+ * Entries of one or more fixture files, in file order.
+ * @param {Object[]} fixtures - Parsed fixture files
+ * @returns {Object[]}
+ */
+export function fixtureEntries(fixtures) {
+    return fixtures.flatMap(f => (Array.isArray(f?.entries) ? f.entries : []));
+}
+
+/**
+ * Most specific entry answering a call.
+ * @param {Object[]} entries - fixtureEntries() result
+ * @param {Object} params - callParams() result
+ * @returns {Object|null}
+ */
+export function findFixtureEntry(entries, params) {
+    let best = null;
+    let bestSize = -1;
+    for (const entry of entries) {
+        const req = entry.request || {};
+        const keys = Object.keys(req);
+        if (keys.every(k => params[k] === String(req[k])) && keys.length > bestSize) {
+            best = entry;
+            bestSize = keys.length;
+        }
+    }
+    return best;
+}
+
+/**
+ * Fixture entry for a live response (record mode).
+ * search_metadata is dropped: it holds ids, timings and request URLs that change on every call.
+ * @param {Object} params - callParams() result
+ * @param {number} status - Upstream HTTP status
+ * @param {Object} body - Upstream JSON body
+ * @returns {Object}
+ */
+export function recordEntry(params, status, body) {
+    const { search_metadata: _metadata, ...rest } = body || {};
+    return { request: params, status, body: rest };
+}
+
+/**
+ * Response for a call, from the fixtures or a 404 naming the unrecorded params.
+ * @param {Object|null} entry - findFixtureEntry() result
+ * @param {Object} params - callParams() result
+ * @returns {Response}
+ */
+export function fixtureResponse(entry, params) {
+    const status = entry ? entry.status ?? 200 : 404;
+    const body = entry ? entry.body : { error: "No recorded SearchApi fixture for this request", params };
+    return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+}
+
+/**
+ * fetch() stand-in for vitest: serves fixtures for the mock endpoint and fails every other URL,
+ * so a test can never reach the network.
+ * Use with env.SEARCHAPI_ENDPOINT = MOCK_SEARCHAPI_ENDPOINT and vi.stubGlobal('fetch', mock.fetch).
+ * @param {Object[]} fixtures - Parsed fixture files
+ * @param {Object} [opts]
+ * @param {string} [opts.endpoint] - Mock endpoint URL
+ * @returns {{ fetch: Function, calls: Object[], unmatched: Object[], count: Function }}
+ */
+export function createSearchApiMock(fixtures, { endpoint = MOCK_SEARCHAPI_ENDPOINT } = {}) {
+    const entries = fixtureEntries(fixtures);
+    const base = new URL(endpoint);
+    const calls = [];
+    const unmatched = [];
+
+    return {
+        calls,
+        unmatched,
+        /**
+         * Calls made so far for an engine.
+         * @param {string} engine - "google_hotels" | "google_hotels_property"
+         * @returns {number}
+         */
+        count: (engine) => calls.filter(c => c.engine === engine).length,
+        async fetch(input) {
+            const url = new URL(input instanceof Request ? input.url : String(input));
+            if (url.origin !== base.origin || url.pathname !== base.pathname) {
+                throw new Error(`Unexpected network call in test: ${url.origin}${url.pathname}`);
+            }
+            const params = callParams(url);
+            calls.push(params);
+            const entry = findFixtureEntry(entries, params);
+            if (!entry) unmatched.push(params);
+            return fixtureResponse(entry, params);
+        },
+    };
+}
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { parseBookingHotelSlug } from '../src/lib/normalize.js';
+import { parseBookingHotelSlug, addDaysIso, parseOccupancy, parseGeo, occupancyKeySuffix, normalizeGl } from '../src/lib/normalize.js';
 
 describe('parseBookingHotelSlug', () => {
     it('parses standard en-gb URL', () => {
@@ -76,3 +76,66 @@ describe('parseBookingHotelSlug', () => {
         expect(result).toEqual({ cc: 'gb', slug: 'the-grand-hotel' });
     });
 });
+
+describe('addDaysIso', () => {
+    it('adds days across month and year boundaries', () => {
+        expect(addDaysIso('2025-01-30', 3)).toBe('2025-02-02');
+        expect(addDaysIso('2025-12-31', 1)).toBe('2026-01-01');
+    });
+
+    it('handles leap days and negative offsets', () => {
+        expect(addDaysIso('2024-02-28', 1)).toBe('2024-02-29');
+        expect(addDaysIso('2024-03-01', -1)).toBe('2024-02-29');
+    });
+
+    it('returns null for invalid input', () => {
+        expect(addDaysIso('not-a-date', 1)).toBeNull();
+    });
+});
+
+describe('parseOccupancy', () => {
+    const parse = (qs) => parseOccupancy(new URLSearchParams(qs));
+
+    it('defaults to 2 adults, no children, 1 room', () => {
+        const { occupancy, invalid } = parse('');
+        expect(invalid).toEqual([]);
+        expect(occupancy).toEqual({ adults: 2, children: 0, childAges: [], rooms: 1 });
+        expect(occupancyKeySuffix(occupancy)).toBe('');
+    });
+
+    it('infers children from childAges and builds a cache-key suffix', () => {
+        const { occupancy, invalid } = parse('adults=2&childAges=5,8&rooms=2');
+        expect(invalid).toEqual([]);
+        expect(occupancy).toEqual({ adults: 2, children: 2, childAges: [5, 8], rooms: 2 });
+        expect(occupancyKeySuffix(occupancy)).toBe(':c5.8:rm2');
+    });
+
+    it('rejects mismatched ages, out-of-range ages and too many rooms', () => {
+        expect(parse('children=2&childAges=5').invalid).toEqual(['childAges']);
+        expect(parse('childAges=5,18').invalid).toEqual(['childAges']);
+        expect(parse('adults=1&rooms=2').invalid).toEqual(['rooms']);
+        expect(parse('rooms=0').invalid).toEqual(['rooms']);
+    });
+});
+
+describe('normalizeGl', () => {
+    it('accepts two-letter codes and defaults to us', () => {
+        expect(normalizeGl('GB')).toBe('gb');
+        expect(normalizeGl('')).toBe('us');
+        expect(normalizeGl(undefined)).toBe('us');
+        expect(normalizeGl('usa')).toBeNull();
+        expect(normalizeGl('u:s')).toBeNull();
+    });
+});
+
+describe('parseGeo', () => {
+    it('is optional and parses decimal degrees', () => {
+        expect(parseGeo(new URLSearchParams(''))).toEqual({ geo: null, invalid: [] });
+        expect(parseGeo(new URLSearchParams('lat=48.8566&lon=2.3522'))).toEqual({ geo: { lat: 48.8566, lng: 2.3522 }, invalid: [] });
+    });
+
+    it('needs both coordinates, in range', () => {
+        expect(parseGeo(new URLSearchParams('lat=48.8')).invalid).toEqual(['lng']);
+        expect(parseGeo(new URLSearchParams('lat=91&lng=abc')).invalid).toEqual(['lat', 'lng']);
+    });
+});
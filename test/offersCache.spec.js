@@ -0,0 +1,121 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import worker from '../src';
+import { offersCacheState } from '../src/routes/compare.js';
+import harbourView from './fixtures/searchapi/harbour-view.json';
+import { createSearchApiMock, MOCK_SEARCHAPI_ENDPOINT } from './mocks/searchApiMock.js';
+
+const MIN = 60 * 1000;
+const fetchedAt = '2026-10-01T12:00:00.000Z';
+const t0 = Date.parse(fetchedAt);
+
+describe('offersCacheState', () => {
+    const cached = { fetchedAt, softExpiresAt: t0 + 30 * MIN };
+
+    it('is fresh until the soft expiry', () => {
+        expect(offersCacheState(cached, null, t0 + 10 * MIN)).toEqual({ state: 'fresh', ageSec: 600 });
+    });
+
+    it('is stale after soft expiry, within the stale window', () => {
+        expect(offersCacheState(cached, null, t0 + 90 * MIN)).toEqual({ state: 'stale', ageSec: 5400 });
+    });
+
+    it('honours the client maxStale limit', () => {
+        expect(offersCacheState(cached, 0, t0 + 31 * MIN).state).toBe('expired');
+        expect(offersCacheState(cached, 120, t0 + 31 * MIN).state).toBe('stale');
+        expect(offersCacheState(cached, 120, t0 + 33 * MIN).state).toBe('expired');
+    });
+
+    it('derives soft expiry from fetchedAt for older entries', () => {
+        expect(offersCacheState({ fetchedAt }, null, t0 + 29 * MIN).state).toBe('fresh');
+        expect(offersCacheState({ fetchedAt }, null, t0 + 31 * MIN).state).toBe('stale');
+    });
+});
+
+describe('/compare stale-while-revalidate', () => {
+    const testEnv = { ...env, SEARCHAPI_KEY: 'test-key', SEARCHAPI_ENDPOINT: MOCK_SEARCHAPI_ENDPOINT };
+    const params = { hotelName: 'Harbour View Hotel', checkIn: '2026-11-10', checkOut: '2026-11-12' };
+    let searchApi;
+
+    beforeEach(() => {
+        searchApi = createSearchApiMock([harbourView]);
+        vi.stubGlobal('fetch', searchApi.fetch);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    /** Send a /compare request; `body` resolves with the response, before background work ends */
+    function begin(ip) {
+        const ctx = createExecutionContext();
+        const request = new Request(`https://worker.example/compare?${new URLSearchParams(params)}`, { headers: { 'CF-Connecting-IP': ip } });
+        return { ctx, body: worker.fetch(request, testEnv, ctx).then(res => res.json()) };
+    }
+
+    /** Response body of a /compare request whose background work has finished */
+    async function start(ip = '203.0.113.80') {
+        const { ctx, body } = begin(ip);
+        const out = await body;
+        await waitOnExecutionContext(ctx);
+        return out;
+    }
+
+    /** Age the only cached offers entry past its soft expiry */
+    async function makeStale() {
+        const { keys } = await env.CACHE_KV.list({ prefix: 'offers:' });
+        expect(keys).toHaveLength(1);
+        const entry = JSON.parse(await env.CACHE_KV.get(keys[0].name));
+        const fetchedAt = new Date(Date.now() - 40 * MIN).toISOString();
+        await env.CACHE_KV.put(keys[0].name, JSON.stringify({ ...entry, fetchedAt, softExpiresAt: Date.now() - 10 * MIN }));
+        return keys[0].name;
+    }
+
+    it('serves a stale hit right away and refreshes the entry in the background', async () => {
+        const miss = await start();
+        expect(miss.cache).toBe('miss');
+        expect(miss.softExpiresAt).toBeUndefined();
+        expect(searchApi.count('google_hotels_property')).toBe(1);
+
+        const hit = await start();
+        expect(hit.cache).toBe('hit');
+        expect(hit.softExpiresAt).toBeUndefined();
+
+        const offersKey = await makeStale();
+        const stale = await start();
+        expect(stale).toMatchObject({ cache: 'stale', ageSec: expect.any(Number), match: { cacheDetail: { offers: 'stale' } } });
+        expect(stale.ageSec).toBeGreaterThanOrEqual(40 * 60);
+        expect(stale.softExpiresAt).toBeUndefined();
+
+        // Refreshed after the response, while the ctx was still open
+        expect(searchApi.count('google_hotels_property')).toBe(2);
+        const refreshed = JSON.parse(await env.CACHE_KV.get(offersKey));
+        expect(refreshed.softExpiresAt).toBeGreaterThan(Date.now());
+        expect((await start()).cache).toBe('hit');
+    });
+
+    it('refetches once for concurrent stale hits and while the refresh lock is held', async () => {
+        await start();
+        await makeStale();
+
+        // Hold the refresh open until both requests have been answered
+        let release;
+        const gate = new Promise(r => { release = r; });
+        vi.stubGlobal('fetch', async (input, init) => {
+            if (new URL(String(input instanceof Request ? input.url : input)).searchParams.get('engine') === 'google_hotels_property') await gate;
+            return searchApi.fetch(input, init);
+        });
+
+        const requests = [begin('203.0.113.81'), begin('203.0.113.82')];
+        const [a, b] = await Promise.all(requests.map(r => r.body));
+        release();
+        for (const r of requests) await waitOnExecutionContext(r.ctx);
+        expect([a.cache, b.cache]).toEqual(['stale', 'stale']);
+        expect(searchApi.count('google_hotels_property')).toBe(2);
+
+        // The KV lock outlives the refresh: another stale hit within it does not refetch
+        await makeStale();
+        expect((await start()).cache).toBe('stale');
+        expect(searchApi.count('google_hotels_property')).toBe(2);
+    });
+});
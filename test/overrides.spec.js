@@ -0,0 +1,111 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import worker from '../src';
+import { parseOverrideTarget, buildOverrideRecord, putOverride, overrideKeysFor } from '../src/lib/overrides.js';
+import { parseCompareQuery, resolvePropertyToken } from '../src/routes/compare.js';
+
+const json = (obj, status = 200) => new Response(JSON.stringify(obj), { status, headers: { 'Content-Type': 'application/json' } });
+
+const sisters = [
+    { name: 'Harbour View Hotel', property_token: 'PT_SISTER', link: 'https://harbourgroup.example/view' },
+    { name: 'Harbour View Suites', property_token: 'PT_SUITES', link: 'https://harbourgroup.example/suites' },
+];
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+async function resolve(params) {
+    const { query } = parseCompareQuery(new URLSearchParams({ checkIn: '2026-11-03', checkOut: '2026-11-05', ...params }));
+    const ctx = createExecutionContext();
+    const usage = { searchapi_calls: { google_hotels: 0, google_hotels_property: 0 } };
+    const resolved = await resolvePropertyToken({ env: { ...env, SEARCHAPI_KEY: 'k' }, ctx, query, usage, debugSearch: null });
+    await waitOnExecutionContext(ctx);
+    return { resolved, usage };
+}
+
+describe('override records', () => {
+    it('needs exactly one target and a pin or block list', () => {
+        expect(parseOverrideTarget({ officialUrl: 'https://www.harbourgroup.example/view' })).toEqual({ kind: 'domain', id: 'harbourgroup.example', key: 'override:d:harbourgroup.example' });
+        expect(parseOverrideTarget({ bookingUrl: 'https://www.booking.com/hotel/gb/harbour-view.html' }).key).toBe('override:b:harbour-view');
+        expect(parseOverrideTarget({ hotelName: 'A', officialDomain: 'a.example' }).error).toBeTruthy();
+        expect(parseOverrideTarget({}).error).toBeTruthy();
+
+        const target = { kind: 'name', id: 'x' };
+        expect(buildOverrideRecord(target, {}).error).toBeTruthy();
+        expect(buildOverrideRecord(target, { pin: { property_token: 'A' }, block: ['A'] }).error).toBeTruthy();
+        expect(buildOverrideRecord(target, { block: ['B', 'B', ''] }).record).toMatchObject({ pin: null, block: ['B'] });
+    });
+});
+
+describe('overrides in resolvePropertyToken', () => {
+    it('a pin wins before any cache or SearchApi lookup', async () => {
+        const fetchMock = vi.fn();
+        vi.stubGlobal('fetch', fetchMock);
+        await env.CACHE_KV.put('tok:us:n:harbour-view-hotel', JSON.stringify({ property_token: 'PT_SISTER', property_name: 'Harbour View Hotel' }));
+        await putOverride(env.CACHE_KV, buildOverrideRecord({ kind: 'name', id: 'harbour-view-hotel' }, {
+            pin: { property_token: 'PT_RIGHT', property_name: 'Harbour View Hotel (Old Town)' },
+        }).record);
+
+        const { resolved, usage } = await resolve({ hotelName: 'Harbour View Hotel' });
+        expect(resolved.tokenCacheDetail).toBe('override');
+        expect(resolved.tokenObj).toMatchObject({ property_token: 'PT_RIGHT', overrideKey: 'override:n:harbour-view-hotel' });
+        expect(usage.searchapi_calls.google_hotels).toBe(0);
+        expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('still applies a name pin stored under the pre-transliteration key', async () => {
+        const fetchMock = vi.fn();
+        vi.stubGlobal('fetch', fetchMock);
+        expect(overrideKeysFor({ hotelName: 'Hôtel Café Zürich' })).toEqual(['override:n:hotel-cafe-zurich', 'override:n:h-tel-caf-z-rich']);
+        expect(overrideKeysFor({ hotelName: 'Harbour View Hotel' })).toEqual(['override:n:harbour-view-hotel']);
+
+        await putOverride(env.CACHE_KV, buildOverrideRecord({ kind: 'name', id: 'h-tel-caf-z-rich' }, {
+            pin: { property_token: 'PT_ZURICH', property_name: 'Hôtel Café Zürich' },
+        }).record);
+
+        const { resolved } = await resolve({ hotelName: 'Hôtel Café Zürich' });
+        expect(resolved.tokenCacheDetail).toBe('override');
+        expect(resolved.tokenObj).toMatchObject({ property_token: 'PT_ZURICH', overrideKey: 'override:n:h-tel-caf-z-rich' });
+        expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('blocked tokens are skipped in the cache and in search results', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => json({ properties: sisters })));
+        await env.CACHE_KV.put('tok:us:d:harbourgroup.example', JSON.stringify({ property_token: 'PT_SISTER', property_name: 'Harbour View Hotel' }));
+        await putOverride(env.CACHE_KV, buildOverrideRecord({ kind: 'domain', id: 'harbourgroup.example' }, { block: ['PT_SISTER'] }).record);
+
+        const { resolved } = await resolve({ hotelName: 'Harbour View Hotel', officialUrl: 'https://harbourgroup.example/' });
+        expect(resolved.tokenValidation).toMatchObject({ source: 'hit-domain', ok: false, reason: 'blocked_by_override' });
+        expect(resolved.tokenObj.property_token).toBe('PT_SUITES');
+        expect(resolved.overrides).toEqual({ keys: ['override:d:harbourgroup.example'], pinKey: null, blocked: ['PT_SISTER'] });
+    });
+});
+
+describe('/admin/overrides', () => {
+    const adminEnv = { ...env, ADMIN_TOKEN: 'ops' };
+    async function admin(method, path, body) {
+        const ctx = createExecutionContext();
+        const init = { method, headers: { Authorization: 'Bearer ops' } };
+        if (body) init.body = JSON.stringify(body);
+        const res = await worker.fetch(new Request(`https://worker.example${path}`, init), adminEnv, ctx);
+        await waitOnExecutionContext(ctx);
+        return res;
+    }
+
+    it('creates, reads, lists and deletes overrides', async () => {
+        const put = await admin('PUT', '/admin/overrides', { officialDomain: 'harbourgroup.example', pin: { property_token: 'PT_RIGHT' }, note: 'sister hotels' });
+        expect(put.status).toBe(200);
+        expect((await put.json()).key).toBe('override:d:harbourgroup.example');
+
+        const one = await (await admin('GET', '/admin/overrides?officialDomain=harbourgroup.example')).json();
+        expect(one.override).toMatchObject({ kind: 'domain', pin: { property_token: 'PT_RIGHT' }, note: 'sister hotels' });
+
+        const list = await (await admin('GET', '/admin/overrides')).json();
+        expect(list.overrides.map(o => o.id)).toContain('harbourgroup.example');
+
+        expect((await admin('DELETE', '/admin/overrides?officialDomain=harbourgroup.example')).status).toBe(200);
+        expect((await admin('GET', '/admin/overrides?officialDomain=harbourgroup.example')).status).toBe(404);
+        expect((await admin('PUT', '/admin/overrides', { hotelName: 'X' })).status).toBe(400);
+    });
+});
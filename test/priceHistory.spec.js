@@ -0,0 +1,106 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import worker from '../src';
+import { buildPriceSnapshot, computeHistoryStats, historyKey } from '../src/lib/priceHistory.js';
+import harbourView from './fixtures/searchapi/harbour-view.json';
+import { createSearchApiMock, MOCK_SEARCHAPI_ENDPOINT } from './mocks/searchApiMock.js';
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+const HOUR = 60 * 60 * 1000;
+
+describe('historyKey', () => {
+    it('separates parties and markets like the offers key', () => {
+        const stay = { checkIn: '2026-12-01', checkOut: '2026-12-03', adults: 2, gl: 'us' };
+        expect(historyKey('PT', stay)).toBe('hist:PT:2026-12-01:2026-12-03:2:us');
+        expect(historyKey('PT', { ...stay, adults: 3 })).not.toBe(historyKey('PT', stay));
+        expect(historyKey('PT', { ...stay, gl: 'de' })).not.toBe(historyKey('PT', stay));
+        expect(historyKey('PT', { ...stay, children: 2, childAges: [4, 9], rooms: 2 })).toBe('hist:PT:2026-12-01:2026-12-03:2:us:c4.9:rm2');
+    });
+});
+
+describe('buildPriceSnapshot', () => {
+    it('keeps the cheapest total per OTA and the cheapest official offer', () => {
+        const snap = buildPriceSnapshot([
+            { source: 'Booking.com', total: 120 },
+            { source: 'booking.com', total: 110 },
+            { source: 'Hotel Site', total: 105, isOfficial: true },
+            { source: 'Expedia', total: 130 },
+        ], { currency: 'EUR', adults: 2, ts: 1000 });
+
+        expect(snap).toEqual({
+            ts: 1000,
+            currency: 'EUR',
+            adults: 2,
+            cheapest: 105,
+            cheapestOfficial: 105,
+            byOta: { bookingcom: 110, hotelsite: 105, expedia: 130 },
+        });
+    });
+
+    it('returns null when no offer has a total', () => {
+        expect(buildPriceSnapshot([{ source: 'Booking.com', total: null }], { currency: 'EUR', adults: 2 })).toBeNull();
+        expect(buildPriceSnapshot([], { currency: 'EUR', adults: 2 })).toBeNull();
+    });
+});
+
+describe('computeHistoryStats', () => {
+    it('returns empty stats for no snapshots', () => {
+        expect(computeHistoryStats([]).count).toBe(0);
+        expect(computeHistoryStats(null).median).toBeNull();
+    });
+
+    it('computes min/max/median and change vs previous', () => {
+        const stats = computeHistoryStats([
+            { ts: 0, cheapest: 100 },
+            { ts: HOUR, cheapest: 120 },
+            { ts: 2 * HOUR, cheapest: 90 },
+            { ts: 3 * HOUR, cheapest: 110 },
+        ]);
+        expect(stats.min).toBe(90);
+        expect(stats.max).toBe(120);
+        expect(stats.median).toBe(105);
+        expect(stats.changePct).toBe(22.2);
+        expect(stats.changePct24h).toBeNull(); // Series spans < 24h
+    });
+
+    it('computes change since yesterday against the newest snapshot at least 24h old', () => {
+        const stats = computeHistoryStats([
+            { ts: 0, cheapest: 200 },
+            { ts: 2 * HOUR, cheapest: 100 },
+            { ts: 20 * HOUR, cheapest: 95 },
+            { ts: 26 * HOUR, cheapest: 88 },
+        ]);
+        expect(stats.changePct24h).toBe(-12);
+    });
+});
+
+describe('/history', () => {
+    const testEnv = { ...env, SEARCHAPI_KEY: 'test-key', SEARCHAPI_ENDPOINT: MOCK_SEARCHAPI_ENDPOINT };
+    const stay = { checkIn: '2026-12-01', checkOut: '2026-12-03' };
+
+    async function call(path, params) {
+        const ctx = createExecutionContext();
+        const res = await worker.fetch(new Request(`https://worker.example${path}?${new URLSearchParams(params)}`, {
+            headers: { 'CF-Connecting-IP': '203.0.113.80' },
+        }), testEnv, ctx);
+        await waitOnExecutionContext(ctx);
+        return { status: res.status, body: await res.json() };
+    }
+
+    it('only returns snapshots recorded for the same party and gl', async () => {
+        vi.stubGlobal('fetch', createSearchApiMock([harbourView]).fetch);
+        const compared = await call('/compare', { hotelName: 'Harbour View Hotel', ...stay, adults: 3, gl: 'gb' });
+        const propertyToken = compared.body.property.property_token;
+
+        const same = await call('/history', { propertyToken, ...stay, adults: 3, gl: 'gb' });
+        expect(same.body).toMatchObject({ ok: true, adults: 3, gl: 'gb', children: 0, rooms: 1 });
+        expect(same.body.stats.count).toBe(1);
+
+        expect((await call('/history', { propertyToken, ...stay, gl: 'gb' })).body.stats.count).toBe(0);
+        expect((await call('/history', { propertyToken, ...stay, adults: 3 })).body.stats.count).toBe(0);
+        expect((await call('/history', { propertyToken, ...stay, children: 1 })).status).toBe(400);
+    });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { providerOrder, searchProperties, getPropertyOffers } from '../src/lib/providers.js';
+
+const json = (obj, status = 200) => new Response(JSON.stringify(obj), { status, headers: { 'Content-Type': 'application/json' } });
+
+const params = { q: 'Hotel Alpha', checkIn: '2026-11-03', checkOut: '2026-11-05', adults: 2, currency: 'USD', gl: 'us' };
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('providerOrder', () => {
+    it('puts the primary first and skips providers without keys', () => {
+        const env = { SEARCHAPI_KEY: 'a', SERPAPI_KEY: 'b', HOTEL_PROVIDER: 'serpapi', HOTEL_PROVIDER_FAILOVER: 'searchapi, serpapi, nope' };
+        expect(providerOrder(env).map(p => p.id)).toEqual(['serpapi', 'searchapi']);
+        expect(providerOrder({ SERPAPI_KEY: 'b', HOTEL_PROVIDER_FAILOVER: 'serpapi' }).map(p => p.id)).toEqual(['serpapi']);
+        expect(providerOrder({})).toEqual([]);
+    });
+});
+
+describe('provider failover', () => {
+    it('falls back to SerpApi when SearchApi errors and normalizes properties', async () => {
+        vi.stubGlobal('fetch', vi.fn(async (u) => {
+            const url = new URL(u);
+            if (url.hostname === 'www.searchapi.io') return json({ error: 'upstream' }, 503);
+            expect(url.searchParams.get('api_key')).toBe('serp-key');
+            return json({
+                properties: [{ name: 'Hotel Alpha', property_token: 'T1', link: 'https://alpha.example', gps_coordinates: { latitude: 1.5, longitude: 2.5 } }],
+            });
+        }));
+
+        const usage = { searchapi_calls: { google_hotels: 0, google_hotels_property: 0 } };
+        const env = { SEARCHAPI_KEY: 'k', SERPAPI_KEY: 'serp-key', HOTEL_PROVIDER_FAILOVER: 'serpapi' };
+        const r = await searchProperties(env, params, { usage });
+
+        expect(r.ok).toBe(true);
+        expect(r.provider).toBe('serpapi');
+        expect(r.failoverFrom).toBe('searchapi');
+        expect(r.requestUrl).not.toContain('serp-key');
+        expect(r.data.properties[0]).toMatchObject({ name: 'Hotel Alpha', property_token: 'T1', gps: { lat: 1.5, lng: 2.5 } });
+        expect(usage.searchapi_calls.google_hotels).toBe(2);
+    });
+
+    it('does not fail over on request errors', async () => {
+        const fetchMock = vi.fn(async () => json({ error: 'bad check_in_date' }, 400));
+        vi.stubGlobal('fetch', fetchMock);
+
+        const env = { SEARCHAPI_KEY: 'k', SERPAPI_KEY: 's', HOTEL_PROVIDER_FAILOVER: 'serpapi' };
+        const r = await searchProperties(env, params);
+        expect(r.ok).toBe(false);
+        expect(r.provider).toBe('searchapi');
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('never sends multi-room requests to SerpApi, which would price one room', async () => {
+        const fetchMock = vi.fn(async () => json({ error: 'upstream' }, 503));
+        vi.stubGlobal('fetch', fetchMock);
+        const twoRooms = { ...params, propertyToken: 'T1', adults: 4, rooms: 2 };
+
+        // SearchApi fails with a retryable error, but there is no failover for rooms > 1
+        const usage = { searchapi_calls: { google_hotels: 0, google_hotels_property: 0 } };
+        const failed = await getPropertyOffers({ SEARCHAPI_KEY: 'k', SERPAPI_KEY: 's', HOTEL_PROVIDER_FAILOVER: 'serpapi' }, twoRooms, { usage });
+        expect(failed).toMatchObject({ ok: false, provider: 'searchapi', status: 503 });
+        expect(failed.failoverFrom).toBeUndefined();
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(new URL(fetchMock.mock.calls[0][0]).hostname).toBe('www.searchapi.io');
+        expect(usage.searchapi_calls.google_hotels_property).toBe(1);
+
+        // SerpApi alone: refused without a call
+        const serpOnly = { SERPAPI_KEY: 's', HOTEL_PROVIDER: 'serpapi' };
+        expect(await searchProperties(serpOnly, twoRooms)).toMatchObject({ ok: false, status: 422, blocked: 'PROVIDER_UNSUPPORTED' });
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+
+        // One room is fine
+        fetchMock.mockImplementation(async () => json({ properties: [] }));
+        expect((await searchProperties(serpOnly, { ...twoRooms, rooms: 1 })).ok).toBe(true);
+    });
+
+    it('maps SerpApi prices onto the internal offer shape', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => json({
+            name: 'Hotel Alpha',
+            featured_prices: [{
+                source: 'Hotel Alpha',
+                official: true,
+                link: 'https://alpha.example/book',
+                rate_per_night: { lowest: '$100', extracted_lowest: 100 },
+                total_rate: { lowest: '$200', extracted_lowest: 200, before_taxes_fees: '$170', extracted_before_taxes_fees: 170 },
+            }],
+            prices: [],
+        })));
+
+        const r = await getPropertyOffers({ SERPAPI_KEY: 's', HOTEL_PROVIDER: 'serpapi' }, { ...params, propertyToken: 'T1' });
+        expect(r.ok).toBe(true);
+        expect(r.data.property.featured_offers[0]).toMatchObject({
+            source: 'Hotel Alpha',
+            is_official: true,
+            total_price: { price: '$200', extracted_price: 200, extracted_price_before_taxes: 170 },
+            price_per_night: { extracted_price: 100 },
+        });
+    });
+});
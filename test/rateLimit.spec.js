@@ -0,0 +1,91 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { refillBucket, takeFromBucket } from '../src/lib/rateLimitDO.js';
+import { takeRateLimit, rateLimitHeaders, rateLimitCompare, chargeCompareRateLimit, getCompareRateLimitState } from '../src/lib/rateLimit.js';
+
+const opts = { capacity: 3, refillPerSec: 0.5 };
+
+function memoryKv() {
+    const store = new Map();
+    return {
+        get: async (k) => (store.has(k) ? store.get(k) : null),
+        put: async (k, v) => { store.set(k, v); },
+    };
+}
+
+const req = (ip) => new Request('https://worker.example/compare', { headers: { 'CF-Connecting-IP': ip } });
+
+describe('token bucket', () => {
+    it('starts full and refills at the sustained rate up to capacity', () => {
+        expect(refillBucket(null, 3, 0.5, 1000)).toEqual({ tokens: 3, updatedAt: 1000 });
+        expect(refillBucket({ tokens: 0, updatedAt: 0 }, 3, 0.5, 4000)).toEqual({ tokens: 2, updatedAt: 4000 });
+        expect(refillBucket({ tokens: 2, updatedAt: 0 }, 3, 0.5, 60000).tokens).toBe(3);
+    });
+
+    it('allows bursts, then blocks with retryAfter for the next token', () => {
+        let bucket = refillBucket(null, 3, 0.5, 0);
+        for (let i = 0; i < 3; i++) {
+            const r = takeFromBucket(bucket, { ...opts, cost: 1 });
+            expect(r.allowed).toBe(true);
+            bucket = r.bucket;
+        }
+        const blocked = takeFromBucket(bucket, { ...opts, cost: 1 });
+        expect(blocked).toMatchObject({ allowed: false, remaining: 0, limit: 3, reset: 6, retryAfter: 2 });
+        expect(blocked.bucket.tokens).toBe(0);
+    });
+
+    it('peeks without charging and charges debt when asked', () => {
+        const bucket = { tokens: 1, updatedAt: 0 };
+        expect(takeFromBucket(bucket, { ...opts, cost: 0 })).toMatchObject({ allowed: true, remaining: 1 });
+        const debt = takeFromBucket(bucket, { ...opts, cost: 4, allowDebt: true });
+        expect(debt.allowed).toBe(true);
+        expect(debt.bucket.tokens).toBe(-3);
+        expect(debt.remaining).toBe(0);
+        expect(takeFromBucket(debt.bucket, { ...opts, cost: 0 })).toMatchObject({ allowed: false, retryAfter: 8 });
+    });
+});
+
+describe('rate limiter backends', () => {
+    it('uses the Durable Object when RATE_LIMITER is bound', async () => {
+        const first = await takeRateLimit(req('203.0.113.1'), env, 'compare', 1);
+        expect(first).toMatchObject({ backend: 'do', allowed: true, limit: 20, remaining: 19, identity: 'ip:203.0.113.1' });
+
+        const charged = await chargeCompareRateLimit(env, first, 25);
+        expect(charged).toMatchObject({ allowed: true, remaining: 0 });
+
+        const peek = await getCompareRateLimitState(req('203.0.113.1'), env);
+        expect(peek.remaining).toBe(0);
+        expect(peek.retryAfter).toBeGreaterThan(0);
+
+        // Other clients have their own bucket
+        expect((await takeRateLimit(req('203.0.113.2'), env, 'compare', 1)).remaining).toBe(19);
+    });
+
+    it('falls back to the KV hourly window and returns a 429 with headers', async () => {
+        const kvEnv = { CACHE_KV: memoryKv() };
+        const cors = { 'Access-Control-Allow-Origin': 'x' };
+
+        const ok = await rateLimitCompare(req('198.51.100.7'), kvEnv, cors);
+        expect(ok.blocked).toBeNull();
+        expect(ok.headers['X-RateLimit-Limit']).toBe('60');
+        expect(ok.headers['X-RateLimit-Remaining']).toBe('59');
+
+        const state = await getCompareRateLimitState(req('198.51.100.7'), kvEnv);
+        await chargeCompareRateLimit(kvEnv, state, 59);
+
+        const { blocked } = await rateLimitCompare(req('198.51.100.7'), kvEnv, cors);
+        expect(blocked.status).toBe(429);
+        expect(blocked.headers.get('X-RateLimit-Remaining')).toBe('0');
+        expect(blocked.headers.get('Access-Control-Allow-Origin')).toBe('x');
+        expect(Number(blocked.headers.get('Retry-After'))).toBeGreaterThan(0);
+    });
+
+    it('formats headers from a state', () => {
+        expect(rateLimitHeaders({ limit: 20, remaining: -2, reset: 30 })).toEqual({
+            'X-RateLimit-Limit': '20',
+            'X-RateLimit-Remaining': '0',
+            'X-RateLimit-Reset': '30',
+        });
+        expect(rateLimitHeaders(null)).toEqual({});
+    });
+});
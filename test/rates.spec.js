@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { parseRatesResponse, getRate, detectPriceCurrency, applyDisplayCurrency } from '../src/lib/rates.js';
+
+const table = { base: 'USD', rates: { USD: 1, EUR: 0.8, GBP: 0.5 }, asOf: '2026-10-01T00:00:00.000Z', source: 'kv' };
+
+describe('parseRatesResponse', () => {
+    it('parses open.er-api.com responses and drops junk entries', () => {
+        const parsed = parseRatesResponse({
+            result: 'success',
+            base_code: 'USD',
+            time_last_update_unix: 1759276800,
+            rates: { EUR: 0.8, BAD: 'x', GBP: 0.5, zzz: 1 },
+        });
+        expect(parsed).toEqual({
+            base: 'USD',
+            rates: { EUR: 0.8, GBP: 0.5, USD: 1 },
+            asOf: '2025-10-01T00:00:00.000Z',
+        });
+    });
+
+    it('rejects error responses', () => {
+        expect(parseRatesResponse({ result: 'error' })).toBeNull();
+        expect(parseRatesResponse({ base: 'USD', rates: {} })).toBeNull();
+    });
+});
+
+describe('getRate / detectPriceCurrency', () => {
+    it('computes cross rates via the base', () => {
+        expect(getRate(table, 'EUR', 'GBP')).toBeCloseTo(0.625);
+        expect(getRate(table, 'EUR', 'EUR')).toBe(1);
+        expect(getRate(table, 'EUR', 'XYZ')).toBeNull();
+    });
+
+    it('treats "$" as the requested dollar currency', () => {
+        expect(detectPriceCurrency('€120', 'USD')).toBe('EUR');
+        expect(detectPriceCurrency('$120', 'CAD')).toBe('CAD');
+        expect(detectPriceCurrency('$120', 'EUR')).toBe('USD');
+        expect(detectPriceCurrency('CHF 250', 'EUR')).toBe('CHF');
+        expect(detectPriceCurrency(null, 'EUR')).toBe('EUR');
+    });
+});
+
+describe('applyDisplayCurrency', () => {
+    it('converts every offer and reports the rate', () => {
+        const offer = { source: 'Booking.com', total: 200, totalText: '$200', perNight: 100, perNightText: '$100' };
+        const stray = { source: 'Agoda', total: 80, totalText: '£80', perNight: 40, perNightText: '£40' };
+        const body = applyDisplayCurrency(
+            { offers: [offer, stray], cheapestOverall: offer, cheapestOfficial: null, currentOtaOffer: null, bookingOffer: offer },
+            { currency: 'USD', displayCurrency: 'EUR', table }
+        );
+
+        expect(body.offers[0]).toMatchObject({ totalDisplay: 160, perNightDisplay: 80 });
+        expect(body.offers[1]).toMatchObject({ totalDisplay: 128, perNightDisplay: 64, priceCurrency: 'GBP' });
+        expect(body.cheapestOverall.totalDisplay).toBe(160);
+        expect(body.cheapestOfficial).toBeNull();
+        expect(body.displayCurrency).toMatchObject({ currency: 'EUR', from: 'USD', rate: 0.8, rateSource: 'kv', rateAsOf: table.asOf });
+        expect(offer.totalDisplay).toBeUndefined();
+    });
+});
@@ -0,0 +1,104 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import worker from '../src';
+import { requestIdFor } from '../src/lib/requestLog.js';
+import harbourView from './fixtures/searchapi/harbour-view.json';
+import { createSearchApiMock, MOCK_SEARCHAPI_ENDPOINT } from './mocks/searchApiMock.js';
+
+const stay = { checkIn: '2026-12-01', checkOut: '2026-12-03' };
+
+let logLines;
+let dataPoints;
+let testEnv;
+
+beforeEach(() => {
+    vi.stubGlobal('fetch', createSearchApiMock([harbourView]).fetch);
+    logLines = [];
+    vi.spyOn(console, 'log').mockImplementation((line) => {
+        if (typeof line === 'string' && line.startsWith('{"type":"request"')) logLines.push(JSON.parse(line));
+    });
+    dataPoints = [];
+    testEnv = {
+        ...env,
+        SEARCHAPI_KEY: 'test-key',
+        SEARCHAPI_ENDPOINT: MOCK_SEARCHAPI_ENDPOINT,
+        REQUEST_METRICS: { writeDataPoint: (p) => dataPoints.push(p) },
+    };
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+async function call(path, params, headers = {}) {
+    const ctx = createExecutionContext();
+    const res = await worker.fetch(new Request(`https://worker.example${path}?${new URLSearchParams(params)}`, {
+        headers: { 'CF-Connecting-IP': '203.0.113.21', ...headers },
+    }), testEnv, ctx);
+    const text = await res.text();
+    await waitOnExecutionContext(ctx);
+    return { res, text };
+}
+
+describe('requestIdFor', () => {
+    it('keeps a well-formed client id and replaces anything else', () => {
+        const req = (id) => new Request('https://x/', { headers: id ? { 'X-Request-Id': id } : {} });
+        expect(requestIdFor(req('ext-1234abcd'))).toBe('ext-1234abcd');
+        expect(requestIdFor(req('short'))).toMatch(/^[0-9a-f-]{36}$/);
+        expect(requestIdFor(req('has spaces in it'))).toMatch(/^[0-9a-f-]{36}$/);
+        expect(requestIdFor(req())).toMatch(/^[0-9a-f-]{36}$/);
+    });
+});
+
+describe('request log', () => {
+    it('writes one line per /compare with cache outcomes, confidence and upstream calls', async () => {
+        const params = { hotelName: 'Harbour View Hotel', officialUrl: 'https://www.harbourview.example/', ...stay };
+
+        const first = await call('/compare', params, { 'X-Request-Id': 'ext-req-0001' });
+        expect(first.res.status).toBe(200);
+        expect(first.res.headers.get('X-Request-Id')).toBe('ext-req-0001');
+
+        const second = await call('/compare', params);
+        expect(second.res.headers.get('X-Request-Id')).toMatch(/^[0-9a-f-]{36}$/);
+
+        expect(logLines).toHaveLength(2);
+        expect(logLines[0]).toMatchObject({
+            requestId: 'ext-req-0001',
+            method: 'GET',
+            route: '/compare',
+            status: 200,
+            tokenCache: 'miss',
+            offersCache: 'miss',
+            matchUncertain: false,
+            errorCode: null,
+            upstream: { calls: 2, byEngine: { google_hotels: { calls: 1, failed: 0 }, google_hotels_property: { calls: 1, failed: 0 } } },
+        });
+        expect(logLines[0].confidence).toBeGreaterThan(0.65);
+        expect(logLines[1]).toMatchObject({ tokenCache: 'hit-domain', offersCache: 'hit', upstream: { calls: 0, ms: 0 } });
+
+        expect(dataPoints).toHaveLength(2);
+        expect(dataPoints[1]).toMatchObject({ indexes: ['/compare'], blobs: ['/compare', '200', 'hit-domain', 'hit', ''] });
+        expect(dataPoints[1].doubles[1]).toBe(0);
+    });
+
+    it('records the error code of a failed request', async () => {
+        const { res } = await call('/compare', { hotelName: 'Nowhere Inn', ...stay });
+        expect(res.status).toBe(502);
+        expect(logLines).toEqual([expect.objectContaining({ status: 502, errorCode: 'SEARCH_FAILED', upstream: expect.objectContaining({ calls: 1 }) })]);
+        expect(logLines[0].upstream.byEngine.google_hotels.failed).toBe(1);
+    });
+
+    it('waits for a streamed /compare to finish before logging', async () => {
+        const { res, text } = await call('/compare', { hotelName: 'Harbour View Hotel', ...stay }, { Accept: 'text/event-stream' });
+        expect(res.headers.get('X-Request-Id')).toBeTruthy();
+        expect(text).toContain('event: done');
+        expect(logLines).toEqual([expect.objectContaining({ status: 200, streamStatus: 200, tokenCache: 'miss', upstream: expect.objectContaining({ calls: 2 }) })]);
+    });
+
+    it('names routes without per-id cardinality', async () => {
+        await call('/admin/cache', {});
+        await call('/', {});
+        expect(logLines.map(l => l.route)).toEqual(['/admin', 'contact']);
+    });
+});
@@ -0,0 +1,69 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src';
+import { canonicalQuery, signRequestHeaders, verifyRequestSignature } from '../src/lib/signing.js';
+
+const SECRET = 'test-signing-secret';
+const signEnv = { ...env, REQUEST_SIGNING_SECRET: SECRET, REQUIRE_SIGNED_ORIGINLESS: '1' };
+const URL_ = 'https://worker.example/keys/me/usage?b=2&a=hello world&a=1';
+
+describe('canonicalQuery', () => {
+    it('sorts by key then value and uses RFC 3986 encoding', () => {
+        expect(canonicalQuery(new URLSearchParams("b=2&a=it's&a=1&c=x+y"))).toBe('a=1&a=it%27s&b=2&c=x%20y');
+    });
+});
+
+describe('verifyRequestSignature', () => {
+    it('lets unsigned browser requests through and requires signatures without Origin', async () => {
+        const browser = new Request(URL_, { headers: { Origin: 'chrome-extension://abc' } });
+        expect(await verifyRequestSignature(browser, signEnv)).toEqual({ ok: true, signed: false });
+
+        const curl = await verifyRequestSignature(new Request(URL_), signEnv);
+        expect(curl.error.body.error_code).toBe('SIGNATURE_REQUIRED');
+
+        expect((await verifyRequestSignature(new Request(URL_), env)).ok).toBe(true);
+    });
+
+    it('accepts a valid signature once and rejects replays', async () => {
+        const headers = await signRequestHeaders(SECRET, { method: 'GET', url: URL_ });
+        const first = await verifyRequestSignature(new Request(URL_, { headers }), signEnv);
+        expect(first).toEqual({ ok: true, signed: true });
+
+        const replay = await verifyRequestSignature(new Request(URL_, { headers }), signEnv);
+        expect(replay.error.body.error_code).toBe('SIGNATURE_REPLAYED');
+    });
+
+    it('rejects tampered queries, bodies and stale timestamps', async () => {
+        const headers = await signRequestHeaders(SECRET, { method: 'GET', url: URL_ });
+        const tampered = await verifyRequestSignature(new Request(`${URL_}&x=1`, { headers }), signEnv);
+        expect(tampered.error.body.error_code).toBe('INVALID_SIGNATURE');
+
+        const postUrl = 'https://worker.example/compare/batch';
+        const postHeaders = await signRequestHeaders(SECRET, { method: 'POST', url: postUrl, body: '{"items":[]}' });
+        const wrongBody = await verifyRequestSignature(new Request(postUrl, { method: 'POST', headers: postHeaders, body: '{"items":[1]}' }), signEnv);
+        expect(wrongBody.error.body.error_code).toBe('INVALID_SIGNATURE');
+
+        const old = await signRequestHeaders(SECRET, { method: 'GET', url: URL_, timestamp: Math.floor(Date.now() / 1000) - 3600 });
+        const stale = await verifyRequestSignature(new Request(URL_, { headers: old }), signEnv);
+        expect(stale.error.body.error_code).toBe('SIGNATURE_EXPIRED');
+    });
+
+    it('is enforced by the router on locked routes', async () => {
+        const ctx = createExecutionContext();
+        const res = await worker.fetch(new Request('https://worker.example/compare?hotelName=x'), signEnv, ctx);
+        await waitOnExecutionContext(ctx);
+        expect(res.status).toBe(401);
+        expect((await res.json()).error_code).toBe('SIGNATURE_REQUIRED');
+    });
+
+    it('rejects other origins before checking the signature, so their nonces are never stored', async () => {
+        const url = 'https://worker.example/history?propertyToken=x';
+        const headers = await signRequestHeaders(SECRET, { method: 'GET', url });
+        const ctx = createExecutionContext();
+        const res = await worker.fetch(new Request(url, { headers: { ...headers, Origin: 'https://evil.example' } }), signEnv, ctx);
+        await waitOnExecutionContext(ctx);
+        expect(res.status).toBe(403);
+        expect((await res.json()).reason).toBe('Origin not allowed for /history');
+        expect(await env.CACHE_KV.get(`nonce:${headers['X-Signature-Nonce']}`)).toBeNull();
+    });
+});
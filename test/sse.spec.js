@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { wantsEventStream, createEventStream } from '../src/lib/sse.js';
+
+describe('wantsEventStream', () => {
+    it('detects text/event-stream in Accept', () => {
+        expect(wantsEventStream(new Request('https://x/compare', { headers: { Accept: 'text/event-stream' } }))).toBe(true);
+        expect(wantsEventStream(new Request('https://x/compare', { headers: { Accept: 'application/json' } }))).toBe(false);
+        expect(wantsEventStream(new Request('https://x/compare'))).toBe(false);
+    });
+});
+
+describe('createEventStream', () => {
+    it('frames events and ignores sends after close', async () => {
+        const stream = createEventStream({ 'Access-Control-Allow-Origin': '*' });
+        const text = stream.response.text();
+
+        await stream.send('match', { confidence: 0.9 });
+        await stream.send('done', { status: 200 });
+        await stream.close();
+        await stream.send('late', {});
+
+        expect(stream.response.headers.get('Content-Type')).toContain('text/event-stream');
+        expect(stream.response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+        expect(await text).toBe('event: match\ndata: {"confidence":0.9}\n\nevent: done\ndata: {"status":200}\n\n');
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { observedTaxRatio, normalizeOfferTaxes, sortPayloadByNormalizedTotal } from '../src/lib/taxes.js';
+
+describe('observedTaxRatio', () => {
+    it('uses the median ratio of offers showing both prices', () => {
+        const { ratio, samples } = observedTaxRatio([
+            { total: 110, beforeTax: 100 },
+            { total: 120, beforeTax: 100 },
+            { total: 130, beforeTax: 100 },
+            { total: 300, beforeTax: 100 },         // outlier, ignored
+            { total: 90, beforeTax: 90, totalIsBeforeTax: true },
+        ]);
+        expect(ratio).toBe(1.2);
+        expect(samples).toBe(3);
+    });
+
+    it('returns null without usable pairs', () => {
+        expect(observedTaxRatio([{ total: 100, beforeTax: null }]).ratio).toBeNull();
+    });
+});
+
+describe('normalizeOfferTaxes', () => {
+    it('scales before-tax offers by the observed ratio', () => {
+        const offers = [
+            { source: 'Booking.com', total: 100, beforeTax: 100, totalIsBeforeTax: true },
+            { source: 'Official', total: 115, beforeTax: 100, isOfficial: true },
+        ];
+        const basis = normalizeOfferTaxes(offers, { country: 'us' });
+        expect(basis).toEqual({ ratio: 1.15, source: 'observed', samples: 1 });
+        expect(offers[0]).toMatchObject({ totalNormalized: 115, estimated: true });
+        expect(offers[1]).toMatchObject({ totalNormalized: 115, estimated: false });
+    });
+
+    it('falls back to the country table, then to the raw total', () => {
+        const us = [{ total: 100, beforeTax: 100, totalIsBeforeTax: true }];
+        expect(normalizeOfferTaxes(us, { country: 'US' }).source).toBe('country');
+        expect(us[0].totalNormalized).toBe(114);
+
+        const unknown = [{ total: 100, beforeTax: 100, totalIsBeforeTax: true }];
+        expect(normalizeOfferTaxes(unknown, { country: 'xx' }).ratio).toBeNull();
+        expect(unknown[0]).toMatchObject({ totalNormalized: 100, estimated: true });
+    });
+});
+
+describe('sortPayloadByNormalizedTotal', () => {
+    it('re-picks cheapestOverall by the normalized total', () => {
+        const booking = { source: 'Booking.com', total: 100, totalNormalized: 120, estimated: true };
+        const official = { source: 'Official', total: 110, totalNormalized: 110, estimated: false, isOfficial: true };
+        const body = sortPayloadByNormalizedTotal({ offers: [booking, official], cheapestOverall: booking, cheapestOfficial: official });
+        expect(body.offers).toEqual([official, booking]);
+        expect(body.cheapestOverall).toBe(official);
+        expect(body.sortedBy).toBe('totalNormalized');
+    });
+
+    it('uses the normalized top of the full list over the raw-sorted slice', () => {
+        const booking = { source: 'Booking.com', total: 100, totalNormalized: 120, estimated: true };
+        const official = { source: 'Official', total: 130, totalNormalized: 110, estimated: false, isOfficial: true };
+        const body = sortPayloadByNormalizedTotal({
+            offers: [booking],
+            offersByNormalizedTotal: [official, booking],
+            cheapestOverall: booking,
+            cheapestOfficial: official,
+        });
+        expect(body.offers).toEqual([official, booking]);
+        expect(body.cheapestOverall).toBe(official);
+        expect(body).not.toHaveProperty('offersByNormalizedTotal');
+    });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { transliterate } from '../src/lib/transliterate.js';
+import { normalizeKey } from '../src/lib/normalize.js';
+import { tokenizeName, scoreNameMatch, scoreNameMatchDetailed, pickBestProperty } from '../src/lib/matching.js';
+
+describe('transliterate', () => {
+    it('romanizes Cyrillic, Greek and Arabic', () => {
+        expect(transliterate('Отель Москва')).toBe('hotel moskva');
+        expect(transliterate('Гостиница Україна')).toBe('hotel ukrayina');
+        expect(transliterate('Ξενοδοχείο Μύκονος')).toBe('hotel mykonos');
+        expect(transliterate('فندق برج العرب')).toBe('hotel brj alrb');
+    });
+
+    it('romanizes kana and Hangul, splitting out accommodation words', () => {
+        expect(transliterate('キャッスル')).toBe('kyassuru');
+        expect(transliterate('ホテルニューオータニ')).toBe('hotel nyuotani');
+        expect(transliterate('신라호텔 서울')).toBe('sinra hotel seoul');
+    });
+
+    it('keeps Han ideographs, set apart from other text', () => {
+        expect(transliterate('東京ステーションホテル')).toBe('東京 suteshon hotel');
+        expect(transliterate('北京饭店')).toBe('北京 hotel');
+    });
+
+    it('leaves Latin names as lowercase without diacritics', () => {
+        expect(transliterate('Hôtel Ærø Straße')).toBe('hotel aero strasse');
+        expect(transliterate('Grand Hotel Central')).toBe('grand hotel central');
+        expect(transliterate('constructor')).toBe('constructor');
+    });
+});
+
+describe('normalizeKey with non-Latin names', () => {
+    it('produces distinct, non-empty keys', () => {
+        const keys = ['Отель Москва', 'Отель Санкт-Петербург', '北京饭店', '上海饭店', 'โรงแรม'].map(normalizeKey);
+        expect(keys.every(Boolean)).toBe(true);
+        expect(new Set(keys).size).toBe(keys.length);
+    });
+
+    it('shares the key between a name and its Latin spelling', () => {
+        expect(normalizeKey('Отель Москва')).toBe('hotel-moskva');
+        expect(normalizeKey('Hotel Moskva')).toBe('hotel-moskva');
+    });
+
+    it('keeps Latin keys unchanged', () => {
+        expect(normalizeKey('Le Marais Boutique Hotel')).toBe('le-marais-boutique-hotel');
+    });
+});
+
+describe('matching across scripts', () => {
+    it('matches a Cyrillic name to its romanization', () => {
+        expect(tokenizeName('Отель Москва')).toEqual(['moskva']);
+        expect(scoreNameMatch('Отель Москва', 'Hotel Moskva')).toBeGreaterThanOrEqual(1);
+    });
+
+    it('scores Han names through bigrams', () => {
+        expect(tokenizeName('王府井希尔顿酒店')).toEqual(['王府', '府井', '井希', '希尔', '尔顿']);
+        const d = scoreNameMatchDetailed('北京王府井希尔顿酒店', '王府井希尔顿酒店');
+        expect(d.baseScore).toBeGreaterThan(0.6);
+        expect(scoreNameMatch('北京王府井希尔顿酒店', '上海外滩华尔道夫酒店')).toBeLessThan(0.3);
+    });
+
+    it('picks the Latin-listed property for a Cyrillic query', () => {
+        const props = [
+            { name: 'Hotel Moskva', property_token: 'a' },
+            { name: 'Hotel Metropol', property_token: 'b' },
+        ];
+        const { best } = pickBestProperty(props, 'Отель Москва', null);
+        expect(best?.property_token).toBe('a');
+    });
+});